@@ -0,0 +1,114 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import logger from '../utils/logger.js';
+
+// 最多保留的发布事件数量，超出后丢弃最早的记录
+const MAX_EVENTS = 500;
+
+/**
+ * 事件的存储键：不同公众号的发布ID可能重复，按AppID隔离
+ */
+function eventKey(appId, publishId) {
+  return `${appId}:${publishId}`;
+}
+
+/**
+ * 发布结果存储 - 记录微信推送的 PUBLISHJOBFINISH 事件
+ * 使用文件持久化，stdio 模式下的状态查询也能读取 HTTP 服务接收到的事件
+ * 事件按公众号AppID记录，只返回给查询同一公众号的调用方
+ */
+export class PublishEventStore {
+  constructor(storagePath) {
+    this.storagePath = storagePath;
+    // 串行执行读取-修改-写入，避免同时到达的推送互相覆盖
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * 从文件加载事件（每次读取都重新加载，以获取其他进程写入的记录）
+   * @returns {Promise<Map<string, Object>>} 事件，按接收顺序排列
+   */
+  async load() {
+    try {
+      const data = await fs.readFile(this.storagePath, 'utf8');
+      return new Map(Object.entries(JSON.parse(data).events || {}));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error('Failed to load publish events', { error: error.message });
+      }
+      return new Map();
+    }
+  }
+
+  async save(events) {
+    await fs.mkdir(path.dirname(this.storagePath), { recursive: true });
+    // 先写临时文件再重命名，避免并发读取到写了一半的文件，写入中途退出也不会损坏原文件
+    const tempPath = `${this.storagePath}.${process.pid}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify({ events: Object.fromEntries(events) }, null, 2));
+    await fs.rename(tempPath, this.storagePath);
+  }
+
+  /**
+   * 获取发布事件
+   * @param {string} publishId 发布ID
+   * @param {string} appId 查询方的公众号AppID，与事件所属的公众号不一致时不返回
+   * @returns {Promise<Object|undefined>} 发布事件
+   */
+  async get(publishId, appId) {
+    if (!appId) {
+      return undefined;
+    }
+    const events = await this.load();
+    return events.get(eventKey(appId, publishId));
+  }
+
+  /**
+   * 记录发布事件，同一进程内按接收顺序依次写入
+   * @param {Object} event 发布事件（appId、publishId、publishStatus、articleId、articleUrls、failIdx等）
+   * @returns {Promise<Object>} 记录的事件
+   */
+  async record(event) {
+    if (!event.appId) {
+      throw new Error('发布事件缺少所属公众号的AppID');
+    }
+
+    const task = this.queue.then(async () => {
+      const events = await this.load();
+
+      const publishId = String(event.publishId);
+      const key = eventKey(event.appId, publishId);
+      events.delete(key);
+      events.set(key, { ...event, publishId, receivedAt: Date.now() });
+
+      while (events.size > MAX_EVENTS) {
+        events.delete(events.keys().next().value);
+      }
+
+      await this.save(events);
+      logger.info('Publish event recorded', { appId: event.appId, publishId, publishStatus: event.publishStatus });
+      return events.get(key);
+    });
+    this.queue = task.catch(() => {});
+    return task;
+  }
+
+  /**
+   * 将发布事件转换为 freepublish/get 的响应格式，便于复用状态展示逻辑
+   * @param {Object} event 发布事件
+   * @returns {Object} 状态数据
+   */
+  static toStatusData(event) {
+    return {
+      publish_id: event.publishId,
+      publish_status: event.publishStatus,
+      article_id: event.articleId,
+      fail_idx: event.failIdx || [],
+      article_detail: {
+        count: (event.articleUrls || []).length,
+        item: (event.articleUrls || []).map((url, index) => ({ idx: index + 1, article_url: url }))
+      }
+    };
+  }
+}
+
+export default PublishEventStore;
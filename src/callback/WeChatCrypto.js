@@ -0,0 +1,126 @@
+import { createHash, createCipheriv, createDecipheriv, randomBytes, timingSafeEqual } from 'node:crypto';
+
+// 微信消息加解密使用的PKCS#7补位块大小
+const BLOCK_SIZE = 32;
+
+/**
+ * 微信消息加解密与签名校验
+ * 实现公众号服务器配置中的明文、兼容、安全(AES)三种模式所需的算法
+ */
+export class WeChatCrypto {
+  /**
+   * @param {Object} options 配置选项
+   * @param {string} options.token 服务器配置中的Token
+   * @param {string} [options.encodingAESKey] 服务器配置中的EncodingAESKey（43位），明文模式可不填
+   * @param {string} [options.appId] 公众号AppID，用于校验解密后消息的归属
+   */
+  constructor({ token, encodingAESKey, appId } = {}) {
+    if (!token) {
+      throw new Error('微信服务器配置缺少Token');
+    }
+
+    this.token = token;
+    this.appId = appId;
+
+    if (encodingAESKey) {
+      if (encodingAESKey.length !== 43) {
+        throw new Error('EncodingAESKey长度应该为43个字符');
+      }
+      this.aesKey = Buffer.from(`${encodingAESKey}=`, 'base64');
+      this.iv = this.aesKey.subarray(0, 16);
+    }
+  }
+
+  /**
+   * 计算签名：将token与其余参数字典序排序后拼接，再做SHA1
+   * @param {...string} parts timestamp、nonce，以及安全模式下的Encrypt
+   * @returns {string} 签名
+   */
+  getSignature(...parts) {
+    return createHash('sha1')
+      .update([this.token, ...parts].map(String).sort().join(''))
+      .digest('hex');
+  }
+
+  /**
+   * 校验签名
+   * @param {string} signature 请求中携带的签名（signature或msg_signature）
+   * @param {...string} parts 参与签名的参数
+   * @returns {boolean} 是否有效
+   */
+  verifySignature(signature, ...parts) {
+    if (!signature || parts.some(part => part === undefined)) {
+      return false;
+    }
+
+    const expected = Buffer.from(this.getSignature(...parts));
+    const actual = Buffer.from(String(signature));
+    return expected.length === actual.length && timingSafeEqual(expected, actual);
+  }
+
+  /**
+   * 解密消息
+   * 明文结构：16字节随机串 + 4字节消息长度(网络字节序) + 消息 + AppID
+   * @param {string} encrypted Base64编码的密文
+   * @returns {string} 解密后的消息XML
+   */
+  decrypt(encrypted) {
+    return this.decryptMessage(encrypted).message;
+  }
+
+  /**
+   * 解密消息，同时返回密文中携带的AppID
+   * @param {string} encrypted Base64编码的密文
+   * @returns {Object} { message, appId }
+   */
+  decryptMessage(encrypted) {
+    if (!this.aesKey) {
+      throw new Error('未配置EncodingAESKey，无法解密消息');
+    }
+
+    const decipher = createDecipheriv('aes-256-cbc', this.aesKey, this.iv);
+    decipher.setAutoPadding(false);
+    const padded = Buffer.concat([decipher.update(encrypted, 'base64'), decipher.final()]);
+
+    let pad = padded[padded.length - 1];
+    if (pad < 1 || pad > BLOCK_SIZE) {
+      pad = 0;
+    }
+    const content = padded.subarray(16, padded.length - pad);
+
+    const length = content.readUInt32BE(0);
+    const message = content.subarray(4, 4 + length).toString('utf8');
+    const appId = content.subarray(4 + length).toString('utf8');
+
+    if (this.appId && appId !== this.appId) {
+      throw new Error(`消息AppID不匹配: ${appId}`);
+    }
+
+    return { message, appId };
+  }
+
+  /**
+   * 加密消息（用于被动回复加密消息）
+   * @param {string} message 消息XML
+   * @returns {string} Base64编码的密文
+   */
+  encrypt(message) {
+    if (!this.aesKey) {
+      throw new Error('未配置EncodingAESKey，无法加密消息');
+    }
+
+    const messageBuffer = Buffer.from(message, 'utf8');
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(messageBuffer.length, 0);
+
+    const content = Buffer.concat([randomBytes(16), length, messageBuffer, Buffer.from(this.appId || '', 'utf8')]);
+    const pad = BLOCK_SIZE - (content.length % BLOCK_SIZE);
+    const padded = Buffer.concat([content, Buffer.alloc(pad, pad)]);
+
+    const cipher = createCipheriv('aes-256-cbc', this.aesKey, this.iv);
+    cipher.setAutoPadding(false);
+    return Buffer.concat([cipher.update(padded), cipher.final()]).toString('base64');
+  }
+}
+
+export default WeChatCrypto;
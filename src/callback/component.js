@@ -0,0 +1,99 @@
+import express from 'express';
+import { WeChatCrypto } from './WeChatCrypto.js';
+import { parseXML } from '../utils/xml.js';
+import logger from '../utils/logger.js';
+
+/**
+ * 设置第三方平台授权事件接收
+ * 接收微信推送的 component_verify_ticket 以及授权成功、授权更新、取消授权事件（第三方平台推送均为安全模式加密）
+ *
+ * @param {Object} options 配置选项
+ * @param {WeChatComponent} options.component 第三方平台
+ * @param {string} options.token 第三方平台的消息校验Token
+ * @param {string} options.encodingAESKey 第三方平台的消息加解密Key
+ * @param {string} [options.path='/wechat/component'] 授权事件接收路由
+ * @returns {Object} { crypto, setupRoutes }
+ */
+export function setupComponentCallback(options = {}) {
+  const {
+    component,
+    token,
+    encodingAESKey,
+    path = '/wechat/component'
+  } = options;
+
+  if (!encodingAESKey) {
+    throw new Error('第三方平台授权事件接收需要配置消息加解密Key');
+  }
+
+  const crypto = new WeChatCrypto({ token, encodingAESKey, appId: component.componentAppId });
+
+  /**
+   * 处理授权事件
+   */
+  async function handleMessage(message) {
+    switch (message.InfoType) {
+    case 'component_verify_ticket':
+      await component.saveVerifyTicket(message.ComponentVerifyTicket, parseInt(message.CreateTime, 10));
+      break;
+    case 'authorized':
+    case 'updateauthorized':
+      await component.handleAuthorization(message.AuthorizationCode);
+      break;
+    case 'unauthorized':
+      await component.removeAuthorizer(message.AuthorizerAppid);
+      break;
+    default:
+      logger.debug('Ignoring component event', { infoType: message.InfoType });
+    }
+  }
+
+  /**
+   * 设置授权事件接收路由到 Express app
+   */
+  function setupRoutes(app) {
+    app.post(path, express.text({ type: () => true, limit: '1mb' }), async (req, res) => {
+      const { timestamp, nonce, msg_signature: msgSignature } = req.query;
+
+      let message;
+      try {
+        const body = parseXML(req.body);
+        if (!crypto.verifySignature(msgSignature, timestamp, nonce, body.Encrypt)) {
+          logger.error('WeChat component event rejected: invalid msg_signature');
+          res.status(401).send('invalid msg_signature');
+          return;
+        }
+        message = parseXML(crypto.decrypt(body.Encrypt));
+      } catch (error) {
+        logger.error('Failed to parse WeChat component event', { error: error.message });
+        res.status(400).send('invalid message');
+        return;
+      }
+
+      logger.debug('WeChat component event received', { infoType: message.InfoType });
+
+      try {
+        await handleMessage(message);
+        res.send('success');
+      } catch (error) {
+        logger.error('Failed to handle WeChat component event', {
+          infoType: message.InfoType,
+          error: error.message
+        });
+        res.status(500).send('error');
+      }
+    });
+
+    logger.info('WeChat component event route configured', {
+      path,
+      componentAppId: component.componentAppId
+    });
+  }
+
+  return {
+    crypto,
+    setupRoutes
+  };
+}
+
+export default setupComponentCallback;
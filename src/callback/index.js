@@ -0,0 +1,4 @@
+export { WeChatCrypto } from './WeChatCrypto.js';
+export { PublishEventStore } from './PublishEventStore.js';
+export { setupWeChatCallback, getPublishEventStore } from './setup.js';
+export { setupComponentCallback } from './component.js';
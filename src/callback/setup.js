@@ -0,0 +1,158 @@
+import express from 'express';
+import { WeChatCrypto } from './WeChatCrypto.js';
+import { PublishEventStore } from './PublishEventStore.js';
+import { parseXML, toArray } from '../utils/xml.js';
+import logger from '../utils/logger.js';
+
+// 各存储路径共享同一个事件存储实例
+const eventStores = new Map();
+
+/**
+ * 获取发布事件存储
+ * @param {string} [storagePath] 数据存储目录，默认 MCP_DATA_PATH 或 ./data
+ * @returns {PublishEventStore} 事件存储
+ */
+export function getPublishEventStore(storagePath = process.env.MCP_DATA_PATH || './data') {
+  if (!eventStores.has(storagePath)) {
+    eventStores.set(storagePath, new PublishEventStore(`${storagePath}/publish-events.json`));
+  }
+  return eventStores.get(storagePath);
+}
+
+/**
+ * 设置微信服务器事件接收
+ * 支持GET验证服务器地址（echostr握手），以及明文、兼容、安全三种模式的事件推送
+ *
+ * @param {Object} options 配置选项
+ * @param {string} options.token 服务器配置中的Token
+ * @param {string} [options.encodingAESKey] 服务器配置中的EncodingAESKey（兼容/安全模式需要）
+ * @param {string} [options.appId] 公众号AppID，用于校验解密后的消息
+ * @param {string} [options.path='/wechat/callback'] 接收事件的路由
+ * @param {string} [options.storagePath='./data'] 数据存储路径
+ * @returns {Object} { crypto, eventStore, setupRoutes }
+ */
+export function setupWeChatCallback(options = {}) {
+  const {
+    token,
+    encodingAESKey,
+    appId,
+    path = '/wechat/callback',
+    storagePath = './data'
+  } = options;
+
+  const crypto = new WeChatCrypto({ token, encodingAESKey, appId });
+  const eventStore = getPublishEventStore(storagePath);
+
+  /**
+   * 解析推送消息：安全/兼容模式校验msg_signature后解密，明文模式校验signature
+   * 返回的 appId 为密文中携带的AppID，明文模式下为配置的AppID（未配置时为undefined）
+   */
+  function parseMessage(req) {
+    const { signature, timestamp, nonce, msg_signature: msgSignature } = req.query;
+    const body = parseXML(req.body);
+
+    if (body.Encrypt && crypto.aesKey) {
+      if (!crypto.verifySignature(msgSignature, timestamp, nonce, body.Encrypt)) {
+        return { error: 'invalid msg_signature' };
+      }
+      const decrypted = crypto.decryptMessage(body.Encrypt);
+      return { message: parseXML(decrypted.message), appId: decrypted.appId || appId };
+    }
+
+    if (!body.MsgType) {
+      throw new Error('收到加密消息，但未配置EncodingAESKey');
+    }
+
+    if (!crypto.verifySignature(signature, timestamp, nonce)) {
+      return { error: 'invalid signature' };
+    }
+    return { message: body, appId };
+  }
+
+  /**
+   * 记录发布结果事件（PUBLISHJOBFINISH），事件按公众号AppID隔离
+   */
+  async function recordPublishEvent(message, messageAppId) {
+    if (!messageAppId) {
+      logger.warn('Publish event ignored: unknown AppID (set WECHAT_CALLBACK_APPID or use aes/compatible mode)', { toUserName: message.ToUserName });
+      return;
+    }
+
+    const info = message.PublishEventInfo || {};
+    const items = toArray(info.article_detail && info.article_detail.item);
+
+    await eventStore.record({
+      appId: messageAppId,
+      publishId: info.publish_id,
+      publishStatus: parseInt(info.publish_status, 10),
+      articleId: info.article_id,
+      articleUrls: items.map(item => item.article_url),
+      failIdx: toArray(info.fail_idx).map(idx => parseInt(idx, 10)),
+      toUserName: message.ToUserName,
+      createTime: parseInt(message.CreateTime, 10)
+    });
+  }
+
+  /**
+   * 设置事件接收路由到 Express app
+   */
+  function setupRoutes(app) {
+    // 服务器地址验证
+    app.get(path, (req, res) => {
+      const { signature, timestamp, nonce, echostr } = req.query;
+
+      if (!crypto.verifySignature(signature, timestamp, nonce)) {
+        logger.error('WeChat callback verification failed: invalid signature');
+        res.status(401).send('invalid signature');
+        return;
+      }
+
+      logger.info('WeChat callback URL verified');
+      res.send(echostr);
+    });
+
+    // 事件推送（微信推送的是XML，不能使用JSON解析）
+    app.post(path, express.text({ type: () => true, limit: '1mb' }), async (req, res) => {
+      let parsed;
+      try {
+        parsed = parseMessage(req);
+      } catch (error) {
+        logger.error('Failed to parse WeChat callback message', { error: error.message });
+        res.status(400).send('invalid message');
+        return;
+      }
+
+      if (parsed.error) {
+        logger.error(`WeChat callback rejected: ${parsed.error}`);
+        res.status(401).send(parsed.error);
+        return;
+      }
+
+      const { message, appId: messageAppId } = parsed;
+      logger.debug('WeChat callback message received', { msgType: message.MsgType, event: message.Event });
+
+      try {
+        if (message.MsgType === 'event' && message.Event === 'PUBLISHJOBFINISH') {
+          await recordPublishEvent(message, messageAppId);
+        }
+        res.send('success');
+      } catch (error) {
+        logger.error('Failed to handle WeChat callback message', { error: error.message });
+        res.status(500).send('error');
+      }
+    });
+
+    logger.info('WeChat callback route configured', {
+      path,
+      mode: encodingAESKey ? 'aes/compatible' : 'plaintext'
+    });
+  }
+
+  return {
+    crypto,
+    eventStore,
+    setupRoutes
+  };
+}
+
+export default setupWeChatCallback;
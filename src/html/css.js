@@ -0,0 +1,158 @@
+/**
+ * CSS样式表与声明解析
+ * 只保留可以内联到style属性的普通规则；@media、@font-face、@keyframes等at规则无法内联，解析时跳过
+ */
+
+/**
+ * 按分隔符拆分，忽略引号、括号内的分隔符
+ * @param {string} text 文本
+ * @param {string} separator 单个分隔字符
+ * @returns {Array<string>} 拆分结果
+ */
+function splitTopLevel(text, separator) {
+  const parts = [];
+  let depth = 0;
+  let quote = null;
+  let start = 0;
+
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quote) {
+      if (c === '\\') {
+        i++;
+      } else if (c === quote) {
+        quote = null;
+      }
+    } else if (c === '"' || c === '\'') {
+      quote = c;
+    } else if (c === '(' || c === '[') {
+      depth++;
+    } else if (c === ')' || c === ']') {
+      depth = Math.max(0, depth - 1);
+    } else if (c === separator && depth === 0) {
+      parts.push(text.slice(start, i));
+      start = i + 1;
+    }
+  }
+  parts.push(text.slice(start));
+  return parts;
+}
+
+/**
+ * 去掉CSS注释（保留字符串中的内容）
+ */
+function stripComments(css) {
+  return css.replace(/("(?:\\.|[^"\\])*"|'(?:\\.|[^'\\])*')|\/\*[\s\S]*?\*\//g, (match, string) => string || '');
+}
+
+/**
+ * 从 start 位置（紧跟在 { 之后）查找匹配的 }
+ * @returns {number} } 的位置，找不到时为文本长度
+ */
+function findBlockEnd(css, start) {
+  let depth = 1;
+  let quote = null;
+  for (let i = start; i < css.length; i++) {
+    const c = css[i];
+    if (quote) {
+      if (c === '\\') {
+        i++;
+      } else if (c === quote) {
+        quote = null;
+      }
+    } else if (c === '"' || c === '\'') {
+      quote = c;
+    } else if (c === '{') {
+      depth++;
+    } else if (c === '}' && --depth === 0) {
+      return i;
+    }
+  }
+  return css.length;
+}
+
+/**
+ * 解析声明块
+ * @param {string} text 声明文本，如 "color: red; margin: 0 !important"
+ * @returns {Array<Object>} [{ property, value, important }]，属性名为小写
+ */
+function parseDeclarations(text) {
+  const declarations = [];
+  splitTopLevel(stripComments(text), ';').forEach(part => {
+    const colon = part.indexOf(':');
+    if (colon === -1) {
+      return;
+    }
+    const property = part.slice(0, colon).trim().toLowerCase();
+    let value = part.slice(colon + 1).trim();
+    const important = /!\s*important\s*$/i.test(value);
+    if (important) {
+      value = value.replace(/!\s*important\s*$/i, '').trim();
+    }
+    if (property && value && /^-?[a-z_-][a-z0-9_-]*$/.test(property)) {
+      declarations.push({ property, value, important });
+    }
+  });
+  return declarations;
+}
+
+/**
+ * 声明列表转换为style属性值
+ * @param {Array<Object>} declarations [{ property, value }]
+ * @returns {string} CSS声明文本
+ */
+function serializeDeclarations(declarations) {
+  return declarations.map(({ property, value }) => `${property}: ${value};`).join(' ');
+}
+
+/**
+ * 解析样式表
+ * @param {string} css 样式表文本
+ * @returns {Object} { rules: [{ selectors: [string], declarations }], skipped: [string] }，skipped为跳过的at规则
+ */
+function parseStylesheet(css) {
+  const source = stripComments(css);
+  const rules = [];
+  const skipped = [];
+  let pos = 0;
+
+  while (pos < source.length) {
+    const open = source.indexOf('{', pos);
+    const semicolon = source.indexOf(';', pos);
+
+    // 不带块的at规则（@import、@charset）
+    if (semicolon !== -1 && (open === -1 || semicolon < open) && source.slice(pos, semicolon).trim().startsWith('@')) {
+      skipped.push(source.slice(pos, semicolon).trim());
+      pos = semicolon + 1;
+      continue;
+    }
+    if (open === -1) {
+      break;
+    }
+
+    const prelude = source.slice(pos, open).trim();
+    const close = findBlockEnd(source, open + 1);
+    const body = source.slice(open + 1, close);
+    pos = close + 1;
+
+    if (prelude.startsWith('@')) {
+      skipped.push(prelude);
+      continue;
+    }
+
+    const selectors = splitTopLevel(prelude, ',').map(selector => selector.trim()).filter(Boolean);
+    const declarations = parseDeclarations(body);
+    if (selectors.length > 0 && declarations.length > 0) {
+      rules.push({ selectors, declarations });
+    }
+  }
+
+  return { rules, skipped };
+}
+
+export {
+  splitTopLevel,
+  parseDeclarations,
+  serializeDeclarations,
+  parseStylesheet
+};
@@ -0,0 +1,70 @@
+import { parseHTML, serializeHTML, walkElements, replaceNode } from './parser.js';
+
+/**
+ * 正文图片
+ * 从解析后的HTML中查找 <img> 元素：代码块、行内代码中的图片语法已被转义，不会被当作图片；
+ * 替换时只修改 src 属性，alt、data-* 等属性中出现相同的地址也不受影响。
+ * 公式图片（data-math）由 math.js 单独处理
+ */
+
+function isContentImage(element) {
+  return element.tagName === 'img' && !element.attributes.has('data-math') && Boolean(element.attributes.get('src'));
+}
+
+/**
+ * 列出正文中的图片（相同地址只列出一次）
+ * @param {string} html 正文HTML
+ * @returns {Array<Object>} [{ src, alt }]，按在正文中出现的顺序
+ */
+function listImages(html) {
+  if (!html || !/<img/i.test(html)) {
+    return [];
+  }
+
+  const images = new Map();
+  walkElements(parseHTML(html), element => {
+    const src = isContentImage(element) && element.attributes.get('src');
+    if (src && !images.has(src)) {
+      images.set(src, { src, alt: element.attributes.get('alt') || '' });
+    }
+  });
+  return [...images.values()];
+}
+
+/**
+ * 替换正文中的图片
+ * @param {string} html 正文HTML
+ * @param {Function} replace ({ src, alt }) => 替换结果：{ src } 修改图片地址，{ html } 将图片替换为HTML（空字符串为移除），undefined 保持不变
+ * @returns {string} 替换后的HTML
+ */
+function replaceImages(html, replace) {
+  if (!html || !/<img/i.test(html)) {
+    return html;
+  }
+
+  const document = parseHTML(html);
+  const images = [];
+  walkElements(document, element => {
+    if (isContentImage(element)) {
+      images.push(element);
+    }
+  });
+
+  images.forEach(image => {
+    const result = replace({ src: image.attributes.get('src'), alt: image.attributes.get('alt') || '' });
+    if (!result) {
+      return;
+    }
+    if (result.src !== undefined) {
+      image.attributes.set('src', result.src);
+    } else {
+      replaceNode(image, parseHTML(result.html).children);
+    }
+  });
+  return serializeHTML(document);
+}
+
+export {
+  listImages,
+  replaceImages
+};
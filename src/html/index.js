@@ -0,0 +1,16 @@
+/**
+ * HTML处理
+ * parseHTML / serializeHTML：轻量HTML解析与序列化
+ * inlineCSS：将样式表内联到style属性（微信编辑器会删除<style>和class）
+ * convertLinks：外部链接转换为脚注编号和文末参考链接
+ * listImages / replaceImages：正文图片的上传和地址替换
+ * listMathImages / replaceMathImages：公式图片的上传和内联SVG回退
+ */
+
+export { parseHTML, serializeHTML, walkElements } from './parser.js';
+export { parseStylesheet, parseDeclarations, serializeDeclarations } from './css.js';
+export { parseSelector, specificity, matchesSelector } from './selector.js';
+export { inlineCSS } from './inliner.js';
+export { LINK_MODES, isWeChatLink, convertLinks } from './links.js';
+export { listImages, replaceImages } from './images.js';
+export { MATH_MODES, listMathImages, replaceMathImages } from './math.js';
@@ -0,0 +1,127 @@
+import { parseHTML, serializeHTML, walkElements, removeNode, textContent } from './parser.js';
+import { parseStylesheet, parseDeclarations, serializeDeclarations } from './css.js';
+import { parseSelector, specificity, compareSpecificity, matchesSelector } from './selector.js';
+import logger from '../utils/logger.js';
+
+/**
+ * CSS内联
+ * 微信编辑器会删除<style>和class，样式只有写在style属性中才能生效。
+ * 将样式表（主题样式表和HTML中的<style>）按选择器匹配、优先级和层叠顺序计算后写入各元素的style属性，并删除<style>元素
+ */
+
+// 不输出样式的元素
+const SKIPPED_ELEMENTS = new Set(['style', 'script', 'head', 'title', 'meta', 'link', 'base']);
+
+/**
+ * 收集并删除HTML中的<style>元素
+ * @returns {Array<string>} 样式表文本（media不适用于屏幕的样式表被丢弃）
+ */
+function extractStyleElements(document) {
+  const styleElements = [];
+  walkElements(document, element => {
+    if (element.tagName === 'style') {
+      styleElements.push(element);
+    }
+  });
+
+  return styleElements.map(element => {
+    removeNode(element);
+    const media = (element.attributes.get('media') || '').toLowerCase();
+    return !media || /\b(?:all|screen)\b/.test(media) ? textContent(element) : '';
+  });
+}
+
+/**
+ * 编译样式规则：解析选择器、计算优先级，无法内联的选择器被跳过
+ * @returns {Object} { rules: [{ selector, compounds, specificity, order, declarations }], skipped: [string] }
+ */
+function compileRules(stylesheets) {
+  const rules = [];
+  const skipped = [];
+  let order = 0;
+
+  stylesheets.forEach(css => {
+    const stylesheet = parseStylesheet(css);
+    skipped.push(...stylesheet.skipped);
+    stylesheet.rules.forEach(rule => {
+      rule.selectors.forEach(selector => {
+        try {
+          const compounds = parseSelector(selector);
+          rules.push({ selector, compounds, specificity: specificity(compounds), order: order++, declarations: rule.declarations });
+        } catch (error) {
+          skipped.push(`${selector}（${error.message}）`);
+        }
+      });
+    });
+  });
+
+  return { rules, skipped };
+}
+
+/**
+ * 按层叠顺序合并元素的样式：
+ * 普通样式表声明 < 元素原有style < !important样式表声明 < 元素原有style中的!important；
+ * 同一级别内按选择器优先级、出现顺序
+ * @returns {Array<Object>} 合并后的声明 [{ property, value }]
+ */
+function cascade(matchedRules, inlineStyle) {
+  const candidates = [];
+  matchedRules.forEach(rule => {
+    rule.declarations.forEach(declaration => {
+      candidates.push({ ...declaration, level: declaration.important ? 2 : 0, specificity: rule.specificity, order: rule.order });
+    });
+  });
+  parseDeclarations(inlineStyle).forEach((declaration, index) => {
+    candidates.push({ ...declaration, level: declaration.important ? 3 : 1, specificity: [0, 0, 0], order: index });
+  });
+
+  candidates.sort((a, b) => a.level - b.level || compareSpecificity(a.specificity, b.specificity) || a.order - b.order);
+
+  // 后出现的声明覆盖先出现的，并移到最后，简写属性和对应的展开属性（margin、margin-top）之间的先后关系保持正确
+  const merged = new Map();
+  candidates.forEach(({ property, value }) => {
+    merged.delete(property);
+    merged.set(property, { property, value });
+  });
+  return [...merged.values()];
+}
+
+/**
+ * 将CSS内联到HTML的style属性中
+ * @param {string} html HTML内容（可以包含<style>元素）
+ * @param {Object} [options] 内联选项
+ * @param {string} [options.css] 额外的样式表（如主题样式表），优先级低于HTML中的<style>
+ * @returns {string} 内联后的HTML，不再包含<style>元素
+ */
+function inlineCSS(html, { css = '' } = {}) {
+  if (!html || (!css.trim() && !/<style[\s>]/i.test(html))) {
+    return html;
+  }
+
+  const document = parseHTML(html);
+  const { rules, skipped } = compileRules([css, ...extractStyleElements(document)]);
+
+  if (skipped.length > 0) {
+    logger.warn(`${skipped.length}条CSS规则无法内联，已忽略`, { rules: skipped });
+  }
+
+  if (rules.length > 0) {
+    walkElements(document, element => {
+      if (SKIPPED_ELEMENTS.has(element.tagName)) {
+        return;
+      }
+      const matchedRules = rules.filter(rule => matchesSelector(element, rule.compounds));
+      if (matchedRules.length === 0) {
+        return;
+      }
+      const declarations = cascade(matchedRules, element.attributes.get('style') || '');
+      element.attributes.set('style', serializeDeclarations(declarations));
+    });
+  }
+
+  return serializeHTML(document);
+}
+
+export {
+  inlineCSS
+};
@@ -0,0 +1,97 @@
+import { parseHTML, serializeHTML, createElement, appendChild, walkElements, replaceNode, textContent } from './parser.js';
+import { WeChatRenderer, escapeHtml } from '../markdown/WeChatRenderer.js';
+
+/**
+ * 链接处理
+ * 微信文章中只有指向 mp.weixin.qq.com 的链接可以点击，其他链接会失效或被删除。
+ * 按 linkMode 处理正文中的外部链接：
+ *   footnote：链接文字后加上标编号，文末生成「参考链接」列表（默认）
+ *   text：只保留链接文字
+ *   keep：不处理
+ */
+
+const LINK_MODES = ['footnote', 'text', 'keep'];
+
+// 可以在参考链接中列出的地址（相对地址、页内锚点等在文章中没有意义，只保留文字）
+const LISTABLE_PROTOCOLS = new Set(['http:', 'https:', 'ftp:', 'mailto:']);
+
+function parseURL(href) {
+  try {
+    return new URL(href);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * 是否为微信公众号文章内可以点击的链接
+ * @param {string} href 链接地址
+ * @returns {boolean} 是否指向 mp.weixin.qq.com
+ */
+function isWeChatLink(href) {
+  const url = parseURL(href);
+  return url !== null && ['http:', 'https:'].includes(url.protocol) && url.hostname.toLowerCase() === 'mp.weixin.qq.com';
+}
+
+/**
+ * 生成参考链接列表
+ */
+function renderFootnotes(footnotes, styles, title) {
+  const open = (tag, styleName) => `<${tag}${WeChatRenderer.styleAttribute(styles[styleName])}>`;
+  const items = footnotes.map(({ number, url, text }) => {
+    const label = text && text !== escapeHtml(url) ? `${text}: ` : '';
+    return `${open('p', 'footnoteItem')}[${number}] ${label}${open('span', 'footnoteUrl')}${escapeHtml(url)}</span></p>`;
+  });
+  return `${open('section', 'footnotes')}${open('p', 'footnotesTitle')}${escapeHtml(title)}</p>${items.join('')}</section>`;
+}
+
+/**
+ * 处理正文中的外部链接
+ * @param {string} html 正文HTML
+ * @param {Object} [options] 处理选项
+ * @param {string} [options.mode='footnote'] 处理方式：footnote、text、keep
+ * @param {Object} [options.styles] 主题样式（footnoteRef、footnotes、footnotesTitle、footnoteItem、footnoteUrl）
+ * @param {string} [options.title='参考链接'] 参考链接列表的标题
+ * @returns {string} 处理后的HTML
+ */
+function convertLinks(html, { mode = 'footnote', styles = {}, title = '参考链接' } = {}) {
+  if (!html || mode === 'keep' || !/<a[\s>]/i.test(html)) {
+    return html;
+  }
+
+  const document = parseHTML(html);
+  const anchors = [];
+  walkElements(document, element => {
+    if (element.tagName === 'a' && element.attributes.has('href') && !isWeChatLink(element.attributes.get('href'))) {
+      anchors.push(element);
+    }
+  });
+
+  // 同一地址只编号一次，列表中使用第一次出现时的链接文字
+  const footnotes = new Map();
+  anchors.forEach(anchor => {
+    const href = anchor.attributes.get('href').trim();
+    const url = parseURL(href);
+    const replacements = [...anchor.children];
+
+    if (mode === 'footnote' && url && LISTABLE_PROTOCOLS.has(url.protocol)) {
+      if (!footnotes.has(href)) {
+        footnotes.set(href, { number: footnotes.size + 1, url: href, text: textContent(anchor).trim() });
+      }
+      const marker = createElement('sup', new Map(styles.footnoteRef ? [['style', styles.footnoteRef]] : []));
+      appendChild(marker, { type: 'text', value: `[${footnotes.get(href).number}]` });
+      replacements.push(marker);
+    }
+
+    replaceNode(anchor, replacements);
+  });
+
+  const result = serializeHTML(document);
+  return footnotes.size > 0 ? `${result}\n${renderFootnotes([...footnotes.values()], styles, title)}` : result;
+}
+
+export {
+  LINK_MODES,
+  isWeChatLink,
+  convertLinks
+};
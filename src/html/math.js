@@ -0,0 +1,93 @@
+import { parseHTML, serializeHTML, walkElements, replaceNode } from './parser.js';
+
+/**
+ * 公式图片
+ * WeChatRenderer 将公式渲染为 <img data-math src="data:image/svg+xml;base64,...">，
+ * 发布时栅格化为PNG上传到微信；无法上传的公式改为内联SVG，保留原有的尺寸和对齐样式
+ *
+ * 按 mathMode 处理Markdown中的公式：
+ *   image：渲染为图片上传（默认）
+ *   svg：直接输出内联SVG
+ *   off：不解析公式，$ 按普通文字处理
+ */
+
+const MATH_MODES = ['image', 'svg', 'off'];
+
+const SVG_DATA_PREFIX = 'data:image/svg+xml;base64,';
+
+function isMathImage(element) {
+  return element.tagName === 'img' && element.attributes.has('data-math')
+    && (element.attributes.get('src') || '').startsWith(SVG_DATA_PREFIX);
+}
+
+/**
+ * 列出正文中的公式图片（相同的公式只列出一次）
+ * @param {string} html 正文HTML
+ * @returns {Array<Object>} [{ src, tex }]，src 为SVG的data URI，tex 为公式原文
+ */
+function listMathImages(html) {
+  if (!html || !html.includes('data-math')) {
+    return [];
+  }
+
+  const images = new Map();
+  walkElements(parseHTML(html), element => {
+    const src = isMathImage(element) && element.attributes.get('src');
+    if (src && !images.has(src)) {
+      images.set(src, { src, tex: element.attributes.get('alt') || '' });
+    }
+  });
+  return [...images.values()];
+}
+
+/**
+ * 公式图片转为内联SVG
+ */
+function toInlineSVG(image) {
+  const svg = Buffer.from(image.attributes.get('src').slice(SVG_DATA_PREFIX.length), 'base64').toString('utf8');
+  const [element] = parseHTML(svg).children.filter(node => node.type === 'element');
+  element.attributes.set('role', 'img');
+  element.attributes.set('aria-label', image.attributes.get('alt') || '');
+  ['data-math', 'style'].forEach(name => {
+    if (image.attributes.has(name)) {
+      element.attributes.set(name, image.attributes.get(name));
+    }
+  });
+  return element;
+}
+
+/**
+ * 替换公式图片的地址
+ * @param {string} html 正文HTML
+ * @param {Map<string, string>} urls SVG的data URI → 上传后的图片地址，不在其中的公式改为内联SVG
+ * @returns {string} 替换后的HTML
+ */
+function replaceMathImages(html, urls) {
+  if (!html || !html.includes('data-math')) {
+    return html;
+  }
+
+  const document = parseHTML(html);
+  const images = [];
+  walkElements(document, element => {
+    if (isMathImage(element)) {
+      images.push(element);
+    }
+  });
+
+  images.forEach(image => {
+    const url = urls.get(image.attributes.get('src'));
+    if (url) {
+      image.attributes.set('src', url);
+    } else {
+      replaceNode(image, [toInlineSVG(image)]);
+    }
+  });
+  return serializeHTML(document);
+}
+
+export {
+  MATH_MODES,
+  listMathImages,
+  replaceMathImages
+};
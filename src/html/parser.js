@@ -0,0 +1,309 @@
+/**
+ * 轻量HTML解析与序列化
+ * 解析为 { type, tagName, attributes, children, parent } 节点树，供CSS内联使用；
+ * 文本节点保留原始内容（不解码实体），序列化时原样输出，<pre>中的空白和换行不受影响
+ *
+ * 节点类型：
+ * - root：{ children }
+ * - element：{ tagName（小写）, attributes（Map，值已解码实体）, children }
+ *   SVG、MathML等外部内容中的标签名和属性名保留原始大小写（如 viewBox、linearGradient）
+ * - text：{ value }（原始文本）
+ * - raw：{ value }（注释、DOCTYPE、CDATA、处理指令，原样输出）
+ */
+
+import { decodeEntity } from '../markdown/inline.js';
+
+const VOID_ELEMENTS = new Set([
+  'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'param', 'source', 'track', 'wbr'
+]);
+
+// 内容不解析为HTML的元素
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style', 'textarea', 'title']);
+
+// 开始这些元素时自动结束未闭合的<p>
+const CLOSES_PARAGRAPH = new Set([
+  'address', 'article', 'aside', 'blockquote', 'details', 'div', 'dl', 'fieldset', 'figcaption', 'figure',
+  'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'main', 'nav', 'ol', 'p', 'pre',
+  'section', 'table', 'ul'
+]);
+
+// 可省略结束标签的元素：开始新元素时自动结束同级的旧元素
+const IMPLIED_END = {
+  li: ['li'],
+  dt: ['dt', 'dd'],
+  dd: ['dt', 'dd'],
+  tr: ['tr'],
+  td: ['td', 'th'],
+  th: ['td', 'th'],
+  option: ['option'],
+  thead: ['tbody', 'tfoot'],
+  tbody: ['thead', 'tbody', 'tfoot'],
+  tfoot: ['thead', 'tbody']
+};
+
+// 外部内容的根元素：其中的标签名和属性名区分大小写
+const FOREIGN_ELEMENTS = new Set(['svg', 'math']);
+
+// 自动结束不会越过这些元素
+const SCOPE_BOUNDARIES = new Set(['ul', 'ol', 'dl', 'table', 'select', 'blockquote', 'div', 'section']);
+
+const reEntity = /&(?:#x[a-f0-9]{1,6}|#[0-9]{1,7}|[a-z][a-z0-9]{1,31});/gi;
+// 以下正则使用粘连模式（y），从 lastIndex 位置开始匹配，避免反复截取字符串
+const reCloseTag = /<\/([A-Za-z][A-Za-z0-9-]*)\s*>/y;
+const reOpenTagName = /<([A-Za-z][A-Za-z0-9-]*)/y;
+const reAttribute = /\s*([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/y;
+const reOpenTagEnd = /\s*(\/?)>/y;
+
+function decodeEntities(text) {
+  return text.replace(reEntity, decodeEntity);
+}
+
+function escapeAttribute(value) {
+  return value.replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function createElement(tagName, attributes = new Map()) {
+  return { type: 'element', tagName, attributes, children: [], parent: null };
+}
+
+function appendChild(parent, node) {
+  node.parent = parent;
+  parent.children.push(node);
+}
+
+function matchAt(regex, text, index) {
+  regex.lastIndex = index;
+  return regex.exec(text);
+}
+
+/**
+ * 解析HTML片段
+ * @param {string} html HTML文本
+ * @returns {Object} 根节点 { type: 'root', children }
+ */
+function parseHTML(html) {
+  const root = { type: 'root', children: [], parent: null };
+  const stack = [root];
+  const current = () => stack[stack.length - 1];
+  let pos = 0;
+  let textStart = 0;
+
+  const flushText = (end) => {
+    if (end > textStart) {
+      appendChild(current(), { type: 'text', value: html.slice(textStart, end) });
+    }
+  };
+
+  // 从栈顶向下查找可以结束的元素，遇到作用域边界时停止
+  const findOpen = (tagNames, stopAtBoundary) => {
+    for (let i = stack.length - 1; i > 0; i--) {
+      if (tagNames.includes(stack[i].tagName.toLowerCase())) {
+        return i;
+      }
+      if (stopAtBoundary && SCOPE_BOUNDARIES.has(stack[i].tagName)) {
+        return -1;
+      }
+    }
+    return -1;
+  };
+
+  const closeFrom = (index) => {
+    if (index > 0) {
+      stack.length = index;
+    }
+  };
+
+  while (pos < html.length) {
+    const lt = html.indexOf('<', pos);
+    if (lt === -1) {
+      break;
+    }
+    pos = lt;
+
+    // 注释、DOCTYPE、CDATA、处理指令
+    let raw = null;
+    if (html.startsWith('<!--', pos)) {
+      const end = html.indexOf('-->', pos + 4);
+      raw = html.slice(pos, end === -1 ? html.length : end + 3);
+    } else if (html.startsWith('<![CDATA[', pos)) {
+      const end = html.indexOf(']]>', pos);
+      raw = html.slice(pos, end === -1 ? html.length : end + 3);
+    } else if (html[pos + 1] === '!' || html[pos + 1] === '?') {
+      const end = html.indexOf('>', pos);
+      raw = html.slice(pos, end === -1 ? html.length : end + 1);
+    }
+    if (raw !== null) {
+      flushText(pos);
+      appendChild(current(), { type: 'raw', value: raw });
+      pos += raw.length;
+      textStart = pos;
+      continue;
+    }
+
+    // 结束标签
+    const closeMatch = matchAt(reCloseTag, html, pos);
+    if (closeMatch) {
+      flushText(pos);
+      const tagName = closeMatch[1].toLowerCase();
+      // 多余的结束标签（没有对应的开始标签）直接忽略
+      closeFrom(findOpen([tagName], false));
+      pos += closeMatch[0].length;
+      textStart = pos;
+      continue;
+    }
+
+    // 开始标签
+    const nameMatch = matchAt(reOpenTagName, html, pos);
+    if (!nameMatch) {
+      pos += 1;
+      continue;
+    }
+
+    const lowerTagName = nameMatch[1].toLowerCase();
+    const foreign = FOREIGN_ELEMENTS.has(lowerTagName) || stack.some(node => FOREIGN_ELEMENTS.has(node.tagName));
+    let cursor = pos + nameMatch[0].length;
+    const attributes = new Map();
+    let attributeMatch;
+    while ((attributeMatch = matchAt(reAttribute, html, cursor))) {
+      const name = foreign ? attributeMatch[1] : attributeMatch[1].toLowerCase();
+      const value = attributeMatch[2] ?? attributeMatch[3] ?? attributeMatch[4] ?? '';
+      if (!attributes.has(name)) {
+        attributes.set(name, decodeEntities(value));
+      }
+      cursor += attributeMatch[0].length;
+    }
+    const tail = matchAt(reOpenTagEnd, html, cursor);
+    if (!tail) {
+      // 不完整的标签按文本处理
+      pos += 1;
+      continue;
+    }
+
+    flushText(pos);
+    const tagName = foreign && !FOREIGN_ELEMENTS.has(lowerTagName) ? nameMatch[1] : lowerTagName;
+    // SVG等内容中的 <path /> 自闭合
+    const selfClosing = tail[1] === '/';
+    pos = cursor + tail[0].length;
+    textStart = pos;
+
+    if (CLOSES_PARAGRAPH.has(lowerTagName)) {
+      closeFrom(findOpen(['p'], true));
+    }
+    if (IMPLIED_END[lowerTagName]) {
+      closeFrom(findOpen(IMPLIED_END[lowerTagName], true));
+    }
+
+    const element = createElement(tagName, attributes);
+    appendChild(current(), element);
+
+    if (VOID_ELEMENTS.has(lowerTagName) || selfClosing) {
+      continue;
+    }
+
+    if (RAW_TEXT_ELEMENTS.has(lowerTagName)) {
+      const closeRegex = new RegExp(`</${tagName}\\s*>`, 'gi');
+      closeRegex.lastIndex = pos;
+      const close = closeRegex.exec(html);
+      const end = close ? close.index : html.length;
+      if (end > pos) {
+        appendChild(element, { type: 'text', value: html.slice(pos, end) });
+      }
+      pos = close ? end + close[0].length : end;
+      textStart = pos;
+      continue;
+    }
+
+    stack.push(element);
+  }
+
+  flushText(html.length);
+  return root;
+}
+
+/**
+ * 序列化节点树为HTML
+ * @param {Object} node 根节点或元素节点
+ * @returns {string} HTML文本
+ */
+function serializeHTML(node) {
+  switch (node.type) {
+  case 'root':
+    return node.children.map(serializeHTML).join('');
+  case 'text':
+  case 'raw':
+    return node.value;
+  case 'element': {
+    let html = `<${node.tagName}`;
+    for (const [name, value] of node.attributes) {
+      html += ` ${name}="${escapeAttribute(value)}"`;
+    }
+    if (VOID_ELEMENTS.has(node.tagName)) {
+      return `${html} />`;
+    }
+    return `${html}>${node.children.map(serializeHTML).join('')}</${node.tagName}>`;
+  }
+  default:
+    return '';
+  }
+}
+
+/**
+ * 遍历所有元素节点（深度优先，文档顺序）
+ * @param {Object} node 起始节点
+ * @param {Function} callback (element) => void
+ */
+function walkElements(node, callback) {
+  node.children.forEach(child => {
+    if (child.type === 'element') {
+      callback(child);
+      walkElements(child, callback);
+    }
+  });
+}
+
+/**
+ * 移除节点
+ */
+function removeNode(node) {
+  const siblings = node.parent.children;
+  siblings.splice(siblings.indexOf(node), 1);
+  node.parent = null;
+}
+
+/**
+ * 用一组节点替换节点
+ * @param {Object} node 被替换的节点
+ * @param {Array<Object>} replacements 替换后的节点（可以是被替换节点的子节点）
+ */
+function replaceNode(node, replacements) {
+  const siblings = node.parent.children;
+  replacements.forEach(replacement => {
+    replacement.parent = node.parent;
+  });
+  siblings.splice(siblings.indexOf(node), 1, ...replacements);
+  node.parent = null;
+}
+
+/**
+ * 元素的文本内容（原始文本）
+ */
+function textContent(node) {
+  return node.children.map(child => {
+    if (child.type === 'text') {
+      return child.value;
+    }
+    return child.type === 'element' ? textContent(child) : '';
+  }).join('');
+}
+
+export {
+  VOID_ELEMENTS,
+  parseHTML,
+  serializeHTML,
+  createElement,
+  appendChild,
+  walkElements,
+  removeNode,
+  replaceNode,
+  textContent
+};
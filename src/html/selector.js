@@ -0,0 +1,370 @@
+/**
+ * CSS选择器解析、匹配与优先级计算
+ *
+ * 支持：类型选择器、通配符、#id、.class、属性选择器（= ~= |= ^= $= *=，可带 i 标记）、
+ * 组合器（后代、>、+、~）、结构伪类（:first-child、:last-child、:only-child、:nth-child()、
+ * :nth-last-child()、:first-of-type、:last-of-type、:only-of-type、:nth-of-type()、:nth-last-of-type()、
+ * :empty、:root）以及 :not()、:is()、:where()
+ *
+ * :hover等动态伪类和 ::before等伪元素无法内联，解析时抛出错误，由调用方跳过对应规则
+ */
+
+import { splitTopLevel } from './css.js';
+
+const STRUCTURAL_PSEUDOS = new Set([
+  'first-child', 'last-child', 'only-child', 'first-of-type', 'last-of-type', 'only-of-type', 'empty', 'root'
+]);
+const NTH_PSEUDOS = new Set(['nth-child', 'nth-last-child', 'nth-of-type', 'nth-last-of-type']);
+const SELECTOR_LIST_PSEUDOS = new Set(['not', 'is', 'where']);
+
+const reIdentifier = /-?(?:[_a-zA-Z\u00a0-\uffff]|\\.)(?:[\w\u00a0-\uffff-]|\\.)*/y;
+const reAttributeSelector = /\[\s*([^\s~|^$*=\]]+)\s*(?:([~|^$*]?=)\s*(?:"((?:\\.|[^"\\])*)"|'((?:\\.|[^'\\])*)'|([^\s\]]+))\s*([iIsS])?\s*)?\]/y;
+const reCombinator = /\s*([>+~])\s*|\s+/y;
+
+function matchAt(regex, text, index) {
+  regex.lastIndex = index;
+  return regex.exec(text);
+}
+
+function unescapeIdentifier(text) {
+  return text.replace(/\\([0-9a-fA-F]{1,6})\s?|\\(.)/g, (match, hex, char) => (hex ? String.fromCodePoint(parseInt(hex, 16)) : char));
+}
+
+/**
+ * 解析 an+b 表达式
+ * @returns {Object} { a, b }
+ */
+function parseNth(text) {
+  const expression = text.replace(/\s+/g, '').toLowerCase();
+  if (expression === 'odd') {
+    return { a: 2, b: 1 };
+  }
+  if (expression === 'even') {
+    return { a: 2, b: 0 };
+  }
+  const match = expression.match(/^(?:([+-]?\d*)n)?([+-]?\d+)?$/);
+  if (!match || expression === '') {
+    throw new Error(`无法解析的nth表达式: ${text}`);
+  }
+  let a = 0;
+  if (match[0].includes('n')) {
+    a = match[1] === '' || match[1] === '+' ? 1 : match[1] === '-' ? -1 : parseInt(match[1], 10);
+  }
+  return { a, b: match[2] ? parseInt(match[2], 10) : 0 };
+}
+
+/**
+ * 解析选择器
+ * @param {string} selector 单个选择器（不含逗号）
+ * @returns {Array<Object>} 复合选择器列表（从左到右），每项包含 combinator（与左侧复合选择器的关系）
+ */
+function parseSelector(selector) {
+  const text = selector.trim();
+  const compounds = [];
+  let compound = null;
+  let combinator = null;
+  let pos = 0;
+
+  const current = () => {
+    if (!compound) {
+      compound = { tag: null, ids: [], classes: [], attributes: [], pseudos: [], combinator };
+    }
+    return compound;
+  };
+
+  while (pos < text.length) {
+    const c = text[pos];
+    let match;
+
+    if (c === '*') {
+      current();
+      pos += 1;
+    } else if (c === '#' || c === '.') {
+      match = matchAt(reIdentifier, text, pos + 1);
+      if (!match) {
+        throw new Error(`无法解析的选择器: ${selector}`);
+      }
+      current()[c === '#' ? 'ids' : 'classes'].push(unescapeIdentifier(match[0]));
+      pos += 1 + match[0].length;
+    } else if (c === '[') {
+      match = matchAt(reAttributeSelector, text, pos);
+      if (!match) {
+        throw new Error(`无法解析的属性选择器: ${selector}`);
+      }
+      const value = match[3] ?? match[4] ?? match[5];
+      current().attributes.push({
+        name: match[1].toLowerCase(),
+        operator: match[2] || null,
+        value: value === undefined ? null : unescapeIdentifier(value),
+        insensitive: (match[6] || '').toLowerCase() === 'i'
+      });
+      pos += match[0].length;
+    } else if (c === ':') {
+      if (text[pos + 1] === ':') {
+        throw new Error(`伪元素无法内联: ${selector}`);
+      }
+      match = matchAt(reIdentifier, text, pos + 1);
+      if (!match) {
+        throw new Error(`无法解析的选择器: ${selector}`);
+      }
+      const name = match[0].toLowerCase();
+      pos += 1 + match[0].length;
+
+      let argument = null;
+      if (text[pos] === '(') {
+        let depth = 1;
+        let end = pos + 1;
+        while (end < text.length && depth > 0) {
+          if (text[end] === '(') {
+            depth++;
+          } else if (text[end] === ')') {
+            depth--;
+          }
+          end++;
+        }
+        argument = text.slice(pos + 1, end - 1).trim();
+        pos = end;
+      }
+
+      if (STRUCTURAL_PSEUDOS.has(name) && argument === null) {
+        current().pseudos.push({ name });
+      } else if (NTH_PSEUDOS.has(name) && argument !== null) {
+        current().pseudos.push({ name, nth: parseNth(argument) });
+      } else if (SELECTOR_LIST_PSEUDOS.has(name) && argument !== null) {
+        current().pseudos.push({ name, selectors: parseSelectorList(argument) });
+      } else {
+        throw new Error(`不支持内联的伪类 :${name}`);
+      }
+    } else if ((match = matchAt(reCombinator, text, pos)) && match[0].length > 0) {
+      if (!compound) {
+        throw new Error(`无法解析的选择器: ${selector}`);
+      }
+      compounds.push(compound);
+      compound = null;
+      combinator = match[1] || ' ';
+      pos += match[0].length;
+    } else if ((match = matchAt(reIdentifier, text, pos))) {
+      current().tag = match[0].toLowerCase();
+      pos += match[0].length;
+    } else {
+      throw new Error(`无法解析的选择器: ${selector}`);
+    }
+  }
+
+  if (!compound) {
+    throw new Error(`无法解析的选择器: ${selector}`);
+  }
+  compounds.push(compound);
+  compounds[0].combinator = null;
+  return compounds;
+}
+
+/**
+ * 解析逗号分隔的选择器列表
+ */
+function parseSelectorList(text) {
+  return splitTopLevel(text, ',').map(selector => parseSelector(selector));
+}
+
+/**
+ * 计算选择器优先级
+ * @param {Array<Object>} compounds parseSelector 的返回值
+ * @returns {Array<number>} [id数, 类/属性/伪类数, 类型数]
+ */
+function specificity(compounds) {
+  const result = [0, 0, 0];
+  const add = ([a, b, c]) => {
+    result[0] += a;
+    result[1] += b;
+    result[2] += c;
+  };
+
+  compounds.forEach(compound => {
+    add([compound.ids.length, compound.classes.length + compound.attributes.length, compound.tag ? 1 : 0]);
+    compound.pseudos.forEach(pseudo => {
+      if (pseudo.name === 'where') {
+        return;
+      }
+      if (pseudo.selectors) {
+        // :not()、:is() 取参数中优先级最高的选择器
+        add(pseudo.selectors.map(specificity).reduce((max, value) => (compareSpecificity(value, max) > 0 ? value : max), [0, 0, 0]));
+      } else {
+        add([0, 1, 0]);
+      }
+    });
+  });
+
+  return result;
+}
+
+/**
+ * 比较优先级
+ * @returns {number} 正数表示 a 优先级更高
+ */
+function compareSpecificity(a, b) {
+  return a[0] - b[0] || a[1] - b[1] || a[2] - b[2];
+}
+
+function elementSiblings(element) {
+  return element.parent ? element.parent.children.filter(node => node.type === 'element') : [element];
+}
+
+function matchesNth({ a, b }, position) {
+  if (a === 0) {
+    return position === b;
+  }
+  const n = (position - b) / a;
+  return Number.isInteger(n) && n >= 0;
+}
+
+function matchesAttribute(element, { name, operator, value, insensitive }) {
+  if (!element.attributes.has(name)) {
+    return false;
+  }
+  if (!operator) {
+    return true;
+  }
+
+  let actual = element.attributes.get(name);
+  let expected = value;
+  if (insensitive) {
+    actual = actual.toLowerCase();
+    expected = expected.toLowerCase();
+  }
+
+  switch (operator) {
+  case '=':
+    return actual === expected;
+  case '~=':
+    return actual.split(/\s+/).includes(expected);
+  case '|=':
+    return actual === expected || actual.startsWith(`${expected}-`);
+  case '^=':
+    return expected !== '' && actual.startsWith(expected);
+  case '$=':
+    return expected !== '' && actual.endsWith(expected);
+  case '*=':
+    return expected !== '' && actual.includes(expected);
+  default:
+    return false;
+  }
+}
+
+function matchesPseudo(element, pseudo) {
+  const siblings = elementSiblings(element);
+  const sameType = () => siblings.filter(node => node.tagName === element.tagName);
+
+  switch (pseudo.name) {
+  case 'first-child':
+    return siblings[0] === element;
+  case 'last-child':
+    return siblings[siblings.length - 1] === element;
+  case 'only-child':
+    return siblings.length === 1;
+  case 'first-of-type':
+    return sameType()[0] === element;
+  case 'last-of-type': {
+    const types = sameType();
+    return types[types.length - 1] === element;
+  }
+  case 'only-of-type':
+    return sameType().length === 1;
+  case 'nth-child':
+    return matchesNth(pseudo.nth, siblings.indexOf(element) + 1);
+  case 'nth-last-child':
+    return matchesNth(pseudo.nth, siblings.length - siblings.indexOf(element));
+  case 'nth-of-type':
+    return matchesNth(pseudo.nth, sameType().indexOf(element) + 1);
+  case 'nth-last-of-type': {
+    const types = sameType();
+    return matchesNth(pseudo.nth, types.length - types.indexOf(element));
+  }
+  case 'empty':
+    return element.children.every(node => node.type === 'raw' || (node.type === 'text' && node.value === ''));
+  case 'root':
+    return !element.parent || element.parent.type === 'root';
+  case 'not':
+    return !pseudo.selectors.some(selector => matchesSelector(element, selector));
+  case 'is':
+  case 'where':
+    return pseudo.selectors.some(selector => matchesSelector(element, selector));
+  default:
+    return false;
+  }
+}
+
+function matchesCompound(element, compound) {
+  if (compound.tag && compound.tag !== element.tagName) {
+    return false;
+  }
+  if (compound.ids.length > 0 && !compound.ids.every(id => element.attributes.get('id') === id)) {
+    return false;
+  }
+  if (compound.classes.length > 0) {
+    const classes = (element.attributes.get('class') || '').split(/\s+/);
+    if (!compound.classes.every(name => classes.includes(name))) {
+      return false;
+    }
+  }
+  return compound.attributes.every(attribute => matchesAttribute(element, attribute))
+    && compound.pseudos.every(pseudo => matchesPseudo(element, pseudo));
+}
+
+/**
+ * 从右向左匹配
+ */
+function matchesFrom(element, compounds, index) {
+  if (!matchesCompound(element, compounds[index])) {
+    return false;
+  }
+  if (index === 0) {
+    return true;
+  }
+
+  const { combinator } = compounds[index];
+  const parentElement = node => (node.parent && node.parent.type === 'element' ? node.parent : null);
+
+  switch (combinator) {
+  case '>': {
+    const parent = parentElement(element);
+    return parent !== null && matchesFrom(parent, compounds, index - 1);
+  }
+  case ' ': {
+    for (let ancestor = parentElement(element); ancestor; ancestor = parentElement(ancestor)) {
+      if (matchesFrom(ancestor, compounds, index - 1)) {
+        return true;
+      }
+    }
+    return false;
+  }
+  case '+': {
+    const siblings = elementSiblings(element);
+    const previous = siblings[siblings.indexOf(element) - 1];
+    return previous !== undefined && matchesFrom(previous, compounds, index - 1);
+  }
+  case '~': {
+    const siblings = elementSiblings(element);
+    return siblings.slice(0, siblings.indexOf(element)).some(sibling => matchesFrom(sibling, compounds, index - 1));
+  }
+  default:
+    return false;
+  }
+}
+
+/**
+ * 元素是否匹配选择器
+ * @param {Object} element 元素节点（见 parser.js）
+ * @param {Array<Object>} compounds parseSelector 的返回值
+ * @returns {boolean} 是否匹配
+ */
+function matchesSelector(element, compounds) {
+  return matchesFrom(element, compounds, compounds.length - 1);
+}
+
+export {
+  parseSelector,
+  parseSelectorList,
+  specificity,
+  compareSpecificity,
+  matchesSelector
+};
@@ -0,0 +1,372 @@
+/**
+ * 微信公众号HTML渲染器
+ * 将Markdown AST渲染为带内联样式的HTML（微信编辑器会丢弃class和<style>，样式必须写在style属性中）
+ */
+
+import defaultTheme from './themes/default.js';
+import { tokenize, splitLines } from './highlight/index.js';
+import { renderMath, toDataURI, MathParseError } from '../math/index.js';
+import logger from '../utils/logger.js';
+
+const reUnsafeProtocol = /^(?:javascript|vbscript|file|data):/i;
+const reSafeDataImage = /^data:image\/(?:png|gif|jpe?g|webp|svg\+xml)[;,]/i;
+
+// Mac窗口风格代码块标题栏的三个按钮
+const MAC_WINDOW_BUTTONS = ['#ff5f56', '#ffbd2e', '#27c93f'];
+
+/**
+ * 解析代码块的信息字符串
+ * 支持 ```js {1,3-5} title="app.js" lineNumbers=10 noMac 形式的标注（{} 可以紧跟在语言之后）
+ * @param {string} lang 信息字符串的第一个单词
+ * @param {string} meta 信息字符串的其余部分
+ * @param {number} lineCount 代码行数
+ * @returns {Object} { language, highlightLines, title, lineNumbers, lineNumberStart, macWindow }，未标注的选项为undefined
+ */
+function parseCodeInfo(lang, meta, lineCount) {
+  const braceIndex = lang.indexOf('{');
+  const language = braceIndex >= 0 ? lang.slice(0, braceIndex) : lang;
+  const annotations = braceIndex >= 0 ? `${lang.slice(braceIndex)} ${meta}` : meta;
+
+  const highlightLines = new Set();
+  const ranges = annotations.match(/\{([\d,\s-]*)\}/);
+  if (ranges) {
+    ranges[1].split(',').forEach(range => {
+      const [from, to = from] = range.split('-').map(value => parseInt(value, 10));
+      // 超出代码行数的范围截断，避免 {1-99999999} 生成过大的集合
+      for (let line = Math.max(from, 1); line <= Math.min(to, lineCount); line++) {
+        highlightLines.add(line);
+      }
+    });
+  }
+
+  const title = annotations.match(/(?:^|\s)title=(?:"([^"]*)"|'([^']*)'|(\S+))/);
+  const lineNumbers = annotations.match(/(?:^|\s)(no|show)?lineNumbers(?:=(\d+))?(?=\s|$)/i);
+  const macWindow = annotations.match(/(?:^|\s)(no)?mac(?=\s|$)/i);
+
+  return {
+    language,
+    highlightLines,
+    title: title ? title[1] ?? title[2] ?? title[3] : '',
+    lineNumbers: lineNumbers ? (lineNumbers[1] || '').toLowerCase() !== 'no' : undefined,
+    lineNumberStart: lineNumbers && lineNumbers[2] ? parseInt(lineNumbers[2], 10) : 1,
+    macWindow: macWindow ? !macWindow[1] : undefined
+  };
+}
+
+/**
+ * 样式中的文字颜色（公式图片使用与正文相同的颜色）
+ */
+function styleColor(style) {
+  const match = /(?:^|;)\s*color\s*:\s*([^;!]+)/i.exec(style || '');
+  return match ? match[1].trim() : null;
+}
+
+function em(value) {
+  return `${Number(value.toFixed(3))}em`;
+}
+
+/**
+ * HTML转义
+ */
+function escapeHtml(text) {
+  const map = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    '\'': '&#039;'
+  };
+  return String(text).replace(/[&<>"']/g, m => map[m]);
+}
+
+class WeChatRenderer {
+  /**
+   * @param {Object} [theme] 主题（见 themes/default.js），未定义的部分沿用默认主题
+   * @param {Object} [theme.styles] 元素样式 { 元素: CSS声明 }
+   * @param {Object} [theme.headingPrefixes] 标题前缀装饰 { 级别: 前缀 }
+   * @param {Array<string>} [theme.bulletStyles] 无序列表各层级的 list-style-type
+   * @param {Array<string>} [theme.orderedStyles] 有序列表各层级的 list-style-type
+   * @param {Object} [theme.taskMarkers] 任务列表标记 { checked, unchecked }
+   * @param {Object} [theme.syntax] 代码高亮样式 { 记号类型: CSS声明 }
+   * @param {Object} [theme.code] 代码块选项 { lineNumbers, macWindow }
+   * @param {Object} [options] 渲染选项
+   * @param {string} [options.math='image'] 公式的输出方式：image 为SVG图片（data URI，发布时上传），svg 为内联SVG
+   */
+  constructor(theme = {}, { math = 'image' } = {}) {
+    this.styles = { ...defaultTheme.styles, ...theme.styles };
+    this.headingPrefixes = theme.headingPrefixes || defaultTheme.headingPrefixes;
+    this.bulletStyles = theme.bulletStyles || defaultTheme.bulletStyles;
+    this.orderedStyles = theme.orderedStyles || defaultTheme.orderedStyles;
+    this.taskMarkers = { ...defaultTheme.taskMarkers, ...theme.taskMarkers };
+    this.syntax = { ...defaultTheme.syntax, ...theme.syntax };
+    this.codeOptions = { ...defaultTheme.code, ...theme.code };
+    this.mathMode = math;
+    this.mathColor = styleColor(this.styles.p) || '#333333';
+  }
+
+  /**
+   * 渲染AST为HTML
+   * @param {Object} root parseMarkdown 返回的AST根节点
+   * @param {Object} [options] 渲染选项
+   * @param {Array<string>} [options.tags] 文章标签（来自Front Matter），在文末输出为一行 #标签
+   * @returns {string} 带内联样式的HTML
+   */
+  render(root, { tags = [] } = {}) {
+    return this.renderBlocks(root.children, { listDepth: 0, tight: false }) + this.renderTags(tags);
+  }
+
+  renderTags(tags) {
+    if (tags.length === 0) {
+      return '';
+    }
+    const items = tags.map(tag => `${this.open('span', 'tag')}#${escapeHtml(tag)}</span>`);
+    return `\n${this.open('p', 'tags')}${items.join(' ')}</p>`;
+  }
+
+  /**
+   * 带样式的开始标签
+   */
+  open(tag, styleName = tag, attributes = '') {
+    return `<${tag}${attributes}${WeChatRenderer.styleAttribute(this.styles[styleName])}>`;
+  }
+
+  /**
+   * style属性（样式来自渲染器配置，只需处理双引号）
+   */
+  static styleAttribute(style) {
+    return style ? ` style="${style.replace(/"/g, '&quot;')}"` : '';
+  }
+
+  renderBlocks(blocks, context) {
+    return blocks.map(block => this.renderBlock(block, context)).join('\n');
+  }
+
+  renderBlock(node, context) {
+    switch (node.type) {
+    case 'heading':
+      return this.renderHeading(node);
+    case 'paragraph':
+      // 紧凑列表中的段落不包裹<p>
+      return context.tight ? this.renderInlines(node.children) : `${this.open('p')}${this.renderInlines(node.children)}</p>`;
+    case 'blockquote':
+      return `${this.open('blockquote')}\n${this.renderBlocks(node.children, { ...context, tight: false })}\n</blockquote>`;
+    case 'list':
+      return this.renderList(node, context);
+    case 'code':
+      return this.renderCode(node);
+    case 'html':
+      return node.value;
+    case 'thematicBreak':
+      return this.open('hr');
+    case 'table':
+      return this.renderTable(node);
+    case 'math':
+      return `${this.open('section', 'mathBlock')}${this.renderMath(node.value, true, true)}</section>`;
+    default:
+      return '';
+    }
+  }
+
+  renderHeading(node) {
+    const tag = `h${node.depth}`;
+    const prefix = this.headingPrefixes[node.depth] || '';
+    return `${this.open(tag)}${escapeHtml(prefix)}${this.renderInlines(node.children)}</${tag}>`;
+  }
+
+  renderList(node, context) {
+    const tag = node.ordered ? 'ol' : 'ul';
+    const types = node.ordered ? this.orderedStyles : this.bulletStyles;
+    const listStyle = `${this.styles[tag] || ''} list-style-type: ${types[context.listDepth % types.length]};`.trim();
+    const start = node.ordered && node.start !== 1 ? ` start="${node.start}"` : '';
+    const itemContext = { listDepth: context.listDepth + 1, tight: node.tight };
+
+    const items = node.children.map(item => {
+      const content = this.renderBlocks(item.children, itemContext);
+      if (item.checked === null || item.checked === undefined) {
+        return `${this.open('li')}${content}</li>`;
+      }
+      // 复选标记放在第一个段落内，松散列表中才不会单独占一行
+      const checkbox = `${item.checked ? this.taskMarkers.checked : this.taskMarkers.unchecked} `;
+      const checked = content.startsWith('<p') ? content.replace('>', `>${checkbox}`) : checkbox + content;
+      return `${this.open('li', 'taskItem')}${checked}</li>`;
+    });
+
+    return `<${tag}${start}${WeChatRenderer.styleAttribute(listStyle)}>\n${items.join('\n')}\n</${tag}>`;
+  }
+
+  renderCode(node) {
+    const code = node.value.replace(/\n$/, '');
+    const info = parseCodeInfo(node.lang, node.meta, code.split('\n').length);
+    const tokens = tokenize(code, info.language) || [{ type: null, value: code }];
+    const lineNumbers = info.lineNumbers ?? this.codeOptions.lineNumbers;
+    const macWindow = info.macWindow ?? this.codeOptions.macWindow;
+
+    let body;
+    if (!lineNumbers && info.highlightLines.size === 0) {
+      body = tokens.map(token => this.renderToken(token)).join('');
+    } else {
+      // 行号和高亮行需要逐行输出，每行是一个块级span（<pre>中不再保留行之间的换行）
+      const lines = splitLines(tokens);
+      const width = String(info.lineNumberStart + lines.length - 1).length;
+      body = lines.map((line, index) => {
+        const gutter = lineNumbers
+          ? `<span${WeChatRenderer.styleAttribute(`${this.styles.codeLineNumber || ''} min-width: ${width}ch;`.trim())}>${info.lineNumberStart + index}</span>`
+          : '';
+        // 空行保留一个空格，否则块级span没有高度
+        const content = line.map(token => this.renderToken(token)).join('') || ' ';
+        return `${this.open('span', info.highlightLines.has(index + 1) ? 'codeLineHighlight' : 'codeLine')}${gutter}${content}</span>`;
+      }).join('');
+    }
+
+    const attributes = ` data-language="${escapeHtml(info.language || 'text')}"`;
+    const header = macWindow ? this.renderCodeHeader(info.title) : '';
+    return `${this.open('pre', 'pre', attributes)}${header}${this.open('code', 'preCode')}${body}</code></pre>`;
+  }
+
+  /**
+   * 代码高亮的记号
+   */
+  renderToken({ type, value }) {
+    const style = type && this.syntax[type];
+    return style ? `<span${WeChatRenderer.styleAttribute(style)}>${escapeHtml(value)}</span>` : escapeHtml(value);
+  }
+
+  /**
+   * Mac窗口风格的代码块标题栏（三个圆点按钮和可选的文件名）
+   */
+  renderCodeHeader(title) {
+    const buttons = MAC_WINDOW_BUTTONS.map(color => `<span style="color: ${color};">●</span>`).join(' ');
+    const titleHtml = title ? `${this.open('span', 'codeTitle')}${escapeHtml(title)}</span>` : '';
+    return `${this.open('span', 'codeHeader')}${buttons}${titleHtml}</span>`;
+  }
+
+  renderTable(node) {
+    const [header, ...rows] = node.children;
+    const cell = (tag, children, index) => {
+      let style = this.styles[tag] || '';
+      if (node.align[index]) {
+        // 列对齐方式覆盖样式中的默认对齐
+        style = `${style.replace(/\s*text-align:[^;]*;?/g, '')} text-align: ${node.align[index]};`.trim();
+      }
+      return `<${tag}${WeChatRenderer.styleAttribute(style)}>${this.renderInlines(children.children)}</${tag}>`;
+    };
+
+    let html = this.open('table');
+    html += `<thead>${this.open('tr', 'thead')}${header.children.map((c, i) => cell('th', c, i)).join('')}</tr></thead>`;
+    if (rows.length > 0) {
+      html += '<tbody>';
+      rows.forEach((row, rowIndex) => {
+        html += this.open('tr', rowIndex % 2 === 0 ? 'trEven' : 'trOdd');
+        html += row.children.map((c, i) => cell('td', c, i)).join('');
+        html += '</tr>';
+      });
+      html += '</tbody>';
+    }
+    return `${html}</table>`;
+  }
+
+  renderInlines(nodes) {
+    return nodes.map(node => this.renderInline(node)).join('');
+  }
+
+  renderInline(node) {
+    switch (node.type) {
+    case 'text':
+      return escapeHtml(node.value);
+    case 'strong':
+      return `${this.open('strong')}${this.renderInlines(node.children)}</strong>`;
+    case 'emphasis':
+      return `${this.open('em')}${this.renderInlines(node.children)}</em>`;
+    case 'delete':
+      return `${this.open('del')}${this.renderInlines(node.children)}</del>`;
+    case 'inlineCode':
+      return `${this.open('code')}${escapeHtml(node.value)}</code>`;
+    case 'link':
+      return this.renderLink(node);
+    case 'image':
+      return this.renderImage(node);
+    case 'html':
+      return node.value;
+    case 'break':
+      return '<br/>';
+    case 'inlineMath':
+      return this.renderMath(node.value, node.display, false);
+    default:
+      return '';
+    }
+  }
+
+  renderLink(node) {
+    const title = node.title ? ` title="${escapeHtml(node.title)}"` : '';
+    const attributes = ` href="${escapeHtml(this.safeURL(node.url))}"${title} target="_blank"`;
+    return `${this.open('a', 'a', attributes)}${this.renderInlines(node.children)}</a>`;
+  }
+
+  renderImage(node) {
+    const title = node.title ? ` title="${escapeHtml(node.title)}"` : '';
+    const alt = WeChatRenderer.plainText(node.children);
+    return `${this.open('img', 'img', ` src="${escapeHtml(this.safeURL(node.url, true))}" alt="${escapeHtml(alt)}"${title}`).slice(0, -1)} />`;
+  }
+
+  /**
+   * 公式：渲染为SVG（见 math/index.js），行内公式按em设置尺寸并下移深度，使公式基线与正文基线对齐；
+   * 公式有语法错误或使用了不支持的命令时按原文显示
+   * @param {string} tex 公式
+   * @param {boolean} display 是否使用行间样式
+   * @param {boolean} block 是否为公式块
+   */
+  renderMath(tex, display, block) {
+    let result;
+    try {
+      result = renderMath(tex, { display, color: this.mathColor });
+    } catch (error) {
+      if (!(error instanceof MathParseError)) {
+        throw error;
+      }
+      logger.warn(`公式渲染失败，按原文显示: ${tex}`, { error: error.message });
+      const delimiter = display ? '$$' : '$';
+      return block
+        ? `${this.open('pre')}${this.open('code', 'preCode')}${escapeHtml(tex)}</code></pre>`
+        : `${this.open('code')}${escapeHtml(`${delimiter}${tex}${delimiter}`)}</code>`;
+    }
+
+    const style = block
+      ? `width: ${em(result.width)}; max-width: 100%; height: auto;`
+      : `${this.styles.mathInline || ''} width: ${em(result.width)}; height: ${em(result.height + result.depth)}; vertical-align: ${em(-result.depth)};`.trim();
+    const attributes = ` data-math="${block ? 'block' : 'inline'}"${WeChatRenderer.styleAttribute(style)}`;
+    if (this.mathMode === 'svg') {
+      return result.svg.replace('<svg ', `<svg role="img" aria-label="${escapeHtml(tex)}"${attributes} `);
+    }
+    return `<img src="${toDataURI(result.svg)}" alt="${escapeHtml(tex)}"${attributes} />`;
+  }
+
+  /**
+   * 过滤可执行脚本的链接协议，图片允许常见格式的data URI
+   */
+  safeURL(url, image = false) {
+    if (reUnsafeProtocol.test(url) && !(image && reSafeDataImage.test(url))) {
+      return '#';
+    }
+    return url;
+  }
+
+  /**
+   * 提取行内节点的纯文本（用于图片alt）
+   */
+  static plainText(nodes) {
+    return nodes.map(node => {
+      if (node.type === 'text' || node.type === 'inlineCode') {
+        return node.value;
+      }
+      if (node.type === 'image') {
+        return WeChatRenderer.plainText(node.children);
+      }
+      return node.children ? WeChatRenderer.plainText(node.children) : '';
+    }).join('');
+  }
+}
+
+export {
+  WeChatRenderer,
+  escapeHtml
+};
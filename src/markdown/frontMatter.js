@@ -0,0 +1,113 @@
+import yaml from 'js-yaml';
+
+/**
+ * YAML Front Matter
+ * Markdown开头两行 --- 之间的YAML，描述文章在公众号中的发布信息：
+ *
+ *   ---
+ *   title: 文章标题
+ *   author: 作者
+ *   digest: 摘要
+ *   cover: ./images/cover.png
+ *   content_source_url: https://example.com/original
+ *   need_open_comment: true
+ *   only_fans_can_comment: false
+ *   theme: tech
+ *   tags: [AI, 工具]
+ *   ---
+ *
+ * 结束行也可以是 ...；其他字段保留在 data 中，不做处理
+ */
+
+const reFrontMatter = /^\uFEFF?---[ \t]*\r?\n(?:([\s\S]*?)\r?\n)?(?:---|\.\.\.)[ \t]*(?:\r?\n|$)/;
+
+// Front Matter字段 → 发布参数
+const STRING_FIELDS = {
+  title: 'title',
+  author: 'author',
+  digest: 'digest',
+  cover: 'coverImagePath',
+  content_source_url: 'contentSourceUrl',
+  theme: 'theme'
+};
+
+const BOOLEAN_FIELDS = {
+  need_open_comment: 'needOpenComment',
+  only_fans_can_comment: 'onlyFansCanComment'
+};
+
+/**
+ * 拆分Front Matter和正文
+ * 开头的 --- 块不是YAML对象时（如分隔线后接setext标题）视为正文
+ * @param {string} markdown Markdown内容
+ * @returns {Object} { data, body }，data 为解析出的对象（没有Front Matter时为空对象），body 为其后的正文
+ * @throws {Error} Front Matter的YAML格式错误
+ */
+function parseFrontMatter(markdown) {
+  const match = typeof markdown === 'string' ? reFrontMatter.exec(markdown) : null;
+  if (!match) {
+    return { data: {}, body: markdown };
+  }
+
+  let data;
+  try {
+    data = yaml.load(match[1] || '');
+  } catch (error) {
+    throw new Error(`Front Matter格式错误: ${error.reason || error.message}${error.mark ? `（第${error.mark.line + 2}行）` : ''}`);
+  }
+
+  if (data === null || data === undefined) {
+    data = {};
+  } else if (typeof data !== 'object' || Array.isArray(data)) {
+    return { data: {}, body: markdown };
+  }
+  return { data, body: markdown.slice(match[0].length) };
+}
+
+/**
+ * Front Matter转换为发布参数
+ * @param {Object} data parseFrontMatter 返回的 data
+ * @returns {Object} { title, author, digest, coverImagePath, contentSourceUrl, needOpenComment, onlyFansCanComment, theme, tags }，只包含Front Matter中出现的字段
+ * @throws {Error} 字段类型不正确
+ */
+function frontMatterToArticle(data) {
+  const article = {};
+
+  Object.entries(STRING_FIELDS).forEach(([field, param]) => {
+    const value = data[field];
+    if (value === undefined || value === null) {
+      return;
+    }
+    if (typeof value !== 'string' && typeof value !== 'number') {
+      throw new Error(`Front Matter中的${field}必须是字符串`);
+    }
+    article[param] = String(value);
+  });
+
+  Object.entries(BOOLEAN_FIELDS).forEach(([field, param]) => {
+    const value = data[field];
+    if (value === undefined || value === null) {
+      return;
+    }
+    if (typeof value !== 'boolean' && value !== 0 && value !== 1) {
+      throw new Error(`Front Matter中的${field}必须是布尔值`);
+    }
+    article[param] = Boolean(value);
+  });
+
+  if (data.tags !== undefined && data.tags !== null) {
+    // tags: [a, b]、列表，或逗号分隔的字符串
+    const tags = typeof data.tags === 'string' ? data.tags.split(/[,，]/) : data.tags;
+    if (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string' && typeof tag !== 'number')) {
+      throw new Error('Front Matter中的tags必须是字符串列表');
+    }
+    article.tags = [...new Set(tags.map(tag => String(tag).trim().replace(/^#/, '')).filter(Boolean))];
+  }
+
+  return article;
+}
+
+export {
+  parseFrontMatter,
+  frontMatterToArticle
+};
@@ -0,0 +1,140 @@
+import javascript from './languages/javascript.js';
+import typescript from './languages/typescript.js';
+import python from './languages/python.js';
+import go from './languages/go.js';
+import java from './languages/java.js';
+import bash from './languages/bash.js';
+import json from './languages/json.js';
+import yaml from './languages/yaml.js';
+import sql from './languages/sql.js';
+import diff from './languages/diff.js';
+
+/**
+ * 代码高亮（离线，不依赖第三方库）
+ *
+ * 语言定义（languages/*.js）：
+ * {
+ *   name: 'python',
+ *   aliases: ['py'],
+ *   rules: [
+ *     { type: 'comment', pattern: /#[^\n]+/y },                     // pattern 必须带 y（粘连）标记
+ *     { type: 'annotation', pattern: /@[\w.]+/y, lookbehind: /^[ \t]*$/ }  // lookbehind：同一行中位于匹配位置之前的文本需满足的条件
+ *   ]
+ * }
+ *
+ * 从左到右扫描，在每个位置按顺序尝试规则，使用第一个匹配的规则；都不匹配时该字符作为普通文本。
+ * type 为 null 的规则用于整体跳过标识符等文本，避免其中的一部分被其他规则匹配
+ *
+ * 记号类型：comment、string、keyword、literal、number、function、type、builtin、property、
+ * variable、annotation、regex、operator、punctuation、inserted、deleted、meta
+ */
+
+const LANGUAGES = [javascript, typescript, python, go, java, bash, json, yaml, sql, diff];
+
+const registry = new Map();
+LANGUAGES.forEach(language => {
+  [language.name, ...(language.aliases || [])].forEach(name => registry.set(name, language));
+});
+
+// lookbehind 最多检查的字符数，避免超长单行代码的扫描退化为平方复杂度
+const LOOKBEHIND_LIMIT = 80;
+
+/**
+ * 查找语言定义
+ * @param {string} name 语言名称或别名（不区分大小写）
+ * @returns {Object|null} 语言定义，不支持时返回null
+ */
+function getLanguage(name) {
+  return registry.get(String(name || '').toLowerCase()) || null;
+}
+
+/**
+ * 支持的语言
+ * @returns {Array<Object>} [{ name, aliases }]
+ */
+function listLanguages() {
+  return LANGUAGES.map(({ name, aliases = [] }) => ({ name, aliases }));
+}
+
+/**
+ * 将代码切分为记号
+ * @param {string} code 代码
+ * @param {string} language 语言名称或别名
+ * @returns {Array<Object>|null} [{ type, value }]，相邻的同类记号已合并；不支持的语言返回null
+ */
+function tokenize(code, language) {
+  const definition = getLanguage(language);
+  if (!definition) {
+    return null;
+  }
+
+  const tokens = [];
+  const push = (type, value) => {
+    const last = tokens[tokens.length - 1];
+    if (last && last.type === type) {
+      last.value += value;
+    } else {
+      tokens.push({ type, value });
+    }
+  };
+
+  let pos = 0;
+  let lineStart = 0;
+  while (pos < code.length) {
+    let matched = null;
+    let before = null;
+    for (const rule of definition.rules) {
+      if (rule.lookbehind) {
+        if (before === null) {
+          before = code.slice(Math.max(lineStart, pos - LOOKBEHIND_LIMIT), pos);
+        }
+        if (!rule.lookbehind.test(before)) {
+          continue;
+        }
+      }
+      rule.pattern.lastIndex = pos;
+      const match = rule.pattern.exec(code);
+      if (match && match[0].length > 0) {
+        matched = { type: rule.type, value: match[0] };
+        break;
+      }
+    }
+
+    const value = matched ? matched.value : code[pos];
+    push(matched ? matched.type : null, value);
+    const newline = value.lastIndexOf('\n');
+    if (newline >= 0) {
+      lineStart = pos + newline + 1;
+    }
+    pos += value.length;
+  }
+
+  return tokens;
+}
+
+/**
+ * 将记号按行拆分（跨行的注释、字符串等记号拆到各行中）
+ * @param {Array<Object>} tokens tokenize 的返回值
+ * @returns {Array<Array<Object>>} 每行的记号
+ */
+function splitLines(tokens) {
+  const lines = [[]];
+  tokens.forEach(({ type, value }) => {
+    value.split('\n').forEach((part, index) => {
+      if (index > 0) {
+        lines.push([]);
+      }
+      if (part) {
+        lines[lines.length - 1].push({ type, value: part });
+      }
+    });
+  });
+  return lines;
+}
+
+export {
+  getLanguage,
+  listLanguages,
+  tokenize,
+  splitLines
+};
@@ -0,0 +1,31 @@
+import { words } from './common.js';
+
+const KEYWORDS = [
+  'if', 'then', 'else', 'elif', 'fi', 'for', 'in', 'do', 'done', 'while', 'until', 'case', 'esac', 'function', 'select',
+  'return', 'break', 'continue', 'local', 'export', 'readonly', 'declare', 'unset', 'shift', 'source', 'alias', 'set'
+];
+
+const BUILTINS = [
+  'echo', 'printf', 'cd', 'pwd', 'read', 'exit', 'eval', 'exec', 'test', 'trap', 'wait', 'kill', 'sleep', 'true', 'false',
+  'sudo'
+];
+
+// 命令和参数中常带有连字符，关键字之后不能紧跟单词字符或连字符
+const WORD_END = '(?![\\w-])';
+
+export default {
+  name: 'bash',
+  aliases: ['sh', 'shell', 'zsh', 'console', 'shell-session'],
+  rules: [
+    // # 只在单词开头表示注释（${#var}、a#b 不是注释）
+    { type: 'comment', pattern: /#[^\n]*/y, lookbehind: /(?:^|[\s;|&(])$/ },
+    { type: 'string', pattern: /"(?:\\[\s\S]|[^\\"])*"?|'[^']*'?|\$'(?:\\.|[^\\'])*'?/y },
+    { type: 'variable', pattern: /\$(?:\{[^}\n]*\}?|\(\(?|[A-Za-z_]\w*|[@*#?$!0-9-])/y },
+    { type: 'keyword', pattern: words(KEYWORDS, { end: WORD_END }) },
+    { type: 'builtin', pattern: words(BUILTINS, { end: WORD_END }) },
+    { type: 'number', pattern: /\d+(?![\w.-])/y },
+    { type: null, pattern: /[A-Za-z_][\w.-]*/y },
+    { type: 'operator', pattern: /&&|\|\||[|&;<>]+|=/y },
+    { type: 'punctuation', pattern: /[(){}[\]]/y }
+  ]
+};
@@ -0,0 +1,56 @@
+/**
+ * 语言定义共用的规则
+ */
+
+/**
+ * 关键字列表的规则正则
+ * @param {Array<string>} list 关键字
+ * @param {Object} [options] 选项
+ * @param {string} [options.end='\\b'] 关键字之后需满足的条件（正则源码）
+ * @param {boolean} [options.ignoreCase=false] 是否不区分大小写
+ * @returns {RegExp} 粘连正则
+ */
+function words(list, { end = '\\b', ignoreCase = false } = {}) {
+  return new RegExp(`(?:${list.join('|')})${end}`, ignoreCase ? 'iy' : 'y');
+}
+
+// C风格的注释（未闭合的块注释延续到代码结尾）
+const C_COMMENT = /\/\/[^\n]*|\/\*[\s\S]*?(?:\*\/|$)/y;
+
+const DOUBLE_QUOTED = /"(?:\\.|[^\\"\n])*"?/y;
+const SINGLE_QUOTED = /'(?:\\.|[^\\'\n])*'?/y;
+
+// 十进制、十六进制、二进制、八进制数字，可带下划线分隔符和指数
+const C_NUMBER = /(?:0[xX][\da-fA-F_]+|0[bB][01_]+|0[oO][0-7_]+|(?:\d[\d_]*(?:\.[\d_]*)?|\.\d[\d_]*)(?:[eE][+-]?\d+)?)[a-zA-Z]*/y;
+
+// 后面紧跟括号的标识符视为函数调用或定义
+const FUNCTION_CALL = /[A-Za-z_$][\w$]*(?=\s*\()/y;
+
+// 大驼峰标识符视为类型名
+const PASCAL_CASE = /[A-Z][a-z\d][\w$]*/y;
+
+const IDENTIFIER = /[A-Za-z_$][\w$]*/y;
+
+// 成员访问（obj.get、Array.from）中的名称不是关键字，放在关键字规则之前
+const AFTER_DOT = /\.\s*$/;
+const MEMBER_RULES = [
+  { type: 'function', pattern: FUNCTION_CALL, lookbehind: AFTER_DOT },
+  { type: null, pattern: IDENTIFIER, lookbehind: AFTER_DOT }
+];
+
+const C_OPERATOR = /[-+*/%=!<>&|^~?:]+/y;
+const C_PUNCTUATION = /[{}[\]();,.]/y;
+
+export {
+  words,
+  C_COMMENT,
+  DOUBLE_QUOTED,
+  SINGLE_QUOTED,
+  C_NUMBER,
+  FUNCTION_CALL,
+  PASCAL_CASE,
+  IDENTIFIER,
+  MEMBER_RULES,
+  C_OPERATOR,
+  C_PUNCTUATION
+};
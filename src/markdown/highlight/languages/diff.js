@@ -0,0 +1,13 @@
+// 每种行只在行首判断
+const LINE_START = /^$/;
+
+export default {
+  name: 'diff',
+  aliases: ['patch'],
+  rules: [
+    { type: 'meta', pattern: /(?:@@|diff |index |\+\+\+ |--- )[^\n]*/y, lookbehind: LINE_START },
+    { type: 'inserted', pattern: /\+[^\n]*/y, lookbehind: LINE_START },
+    { type: 'deleted', pattern: /-[^\n]*/y, lookbehind: LINE_START },
+    { type: null, pattern: /[^\n]+/y }
+  ]
+};
@@ -0,0 +1,35 @@
+import { words, C_COMMENT, C_NUMBER, FUNCTION_CALL, IDENTIFIER, MEMBER_RULES, C_OPERATOR, C_PUNCTUATION } from './common.js';
+
+const KEYWORDS = [
+  'break', 'case', 'chan', 'const', 'continue', 'default', 'defer', 'else', 'fallthrough', 'for', 'func', 'go', 'goto',
+  'if', 'import', 'interface', 'map', 'package', 'range', 'return', 'select', 'struct', 'switch', 'type', 'var'
+];
+
+const TYPES = [
+  'any', 'bool', 'byte', 'complex64', 'complex128', 'error', 'float32', 'float64', 'int', 'int8', 'int16', 'int32',
+  'int64', 'rune', 'string', 'uint', 'uint8', 'uint16', 'uint32', 'uint64', 'uintptr'
+];
+
+const BUILTINS = [
+  'append', 'cap', 'clear', 'close', 'complex', 'copy', 'delete', 'imag', 'len', 'make', 'max', 'min', 'new', 'panic',
+  'print', 'println', 'real', 'recover'
+];
+
+export default {
+  name: 'go',
+  aliases: ['golang'],
+  rules: [
+    { type: 'comment', pattern: C_COMMENT },
+    { type: 'string', pattern: /"(?:\\.|[^\\"\n])*"?|`[^`]*`?|'(?:\\.|[^\\'\n])*'?/y },
+    ...MEMBER_RULES,
+    { type: 'keyword', pattern: words(KEYWORDS) },
+    { type: 'literal', pattern: words(['true', 'false', 'nil', 'iota']) },
+    { type: 'type', pattern: words(TYPES) },
+    { type: 'builtin', pattern: words(BUILTINS, { end: '(?=\\s*\\()' }) },
+    { type: 'number', pattern: C_NUMBER },
+    { type: 'function', pattern: FUNCTION_CALL },
+    { type: null, pattern: IDENTIFIER },
+    { type: 'operator', pattern: C_OPERATOR },
+    { type: 'punctuation', pattern: C_PUNCTUATION }
+  ]
+};
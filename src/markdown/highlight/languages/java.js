@@ -0,0 +1,32 @@
+import {
+  words, C_COMMENT, SINGLE_QUOTED, C_NUMBER, FUNCTION_CALL, PASCAL_CASE, IDENTIFIER, MEMBER_RULES, C_OPERATOR, C_PUNCTUATION
+} from './common.js';
+
+const KEYWORDS = [
+  'abstract', 'assert', 'boolean', 'break', 'byte', 'case', 'catch', 'char', 'class', 'continue', 'default', 'do',
+  'double', 'else', 'enum', 'extends', 'final', 'finally', 'float', 'for', 'if', 'implements', 'import', 'instanceof',
+  'int', 'interface', 'long', 'native', 'new', 'package', 'permits', 'private', 'protected', 'public', 'record',
+  'return', 'sealed', 'short', 'static', 'strictfp', 'super', 'switch', 'synchronized', 'this', 'throw', 'throws',
+  'transient', 'try', 'var', 'void', 'volatile', 'while', 'yield'
+];
+
+export default {
+  name: 'java',
+  aliases: [],
+  rules: [
+    { type: 'comment', pattern: C_COMMENT },
+    // 文本块（"""）可以跨行
+    { type: 'string', pattern: /"""[\s\S]*?(?:"""|$)|"(?:\\.|[^\\"\n])*"?/y },
+    { type: 'string', pattern: SINGLE_QUOTED },
+    { type: 'annotation', pattern: /@[A-Za-z_]\w*/y },
+    ...MEMBER_RULES,
+    { type: 'keyword', pattern: words(KEYWORDS) },
+    { type: 'literal', pattern: words(['true', 'false', 'null']) },
+    { type: 'number', pattern: C_NUMBER },
+    { type: 'function', pattern: FUNCTION_CALL },
+    { type: 'type', pattern: PASCAL_CASE },
+    { type: null, pattern: IDENTIFIER },
+    { type: 'operator', pattern: C_OPERATOR },
+    { type: 'punctuation', pattern: C_PUNCTUATION }
+  ]
+};
@@ -0,0 +1,59 @@
+import {
+  words, C_COMMENT, DOUBLE_QUOTED, SINGLE_QUOTED, C_NUMBER, FUNCTION_CALL, PASCAL_CASE, IDENTIFIER, MEMBER_RULES,
+  C_OPERATOR, C_PUNCTUATION
+} from './common.js';
+
+const KEYWORDS = [
+  'await', 'break', 'case', 'catch', 'class', 'const', 'continue', 'debugger', 'default', 'delete', 'do', 'else',
+  'export', 'extends', 'finally', 'for', 'function', 'if', 'import', 'in', 'instanceof', 'let', 'new', 'return',
+  'super', 'switch', 'this', 'throw', 'try', 'typeof', 'var', 'void', 'while', 'with', 'yield'
+];
+
+// 上下文关键字，后面紧跟括号时是普通的函数名（get(key)、from(list)）
+const CONTEXTUAL_KEYWORDS = ['async', 'from', 'get', 'of', 'set', 'static'];
+
+const LITERALS = ['true', 'false', 'null', 'undefined', 'NaN', 'Infinity'];
+
+// 正则字面量只能出现在运算符、左括号、逗号等之后，否则 / 是除号
+const REGEX_CONTEXT = /(?:^|[(,=:[!&|?{};+\-*%<>~^]|\breturn|\btypeof|\bcase|\bdo|\belse)\s*$/;
+
+/**
+ * 生成 JavaScript 系语言的规则（TypeScript 在此基础上增加关键字和类型）
+ * @param {Object} [extra] 额外的定义
+ * @param {Array<string>} [extra.keywords] 额外的关键字
+ * @param {Array<string>} [extra.types] 内置类型
+ */
+function javascriptRules({ keywords = [], types = [] } = {}) {
+  const rules = [
+    { type: 'comment', pattern: C_COMMENT },
+    { type: 'string', pattern: /`(?:\\[\s\S]|[^\\`])*`?/y },
+    { type: 'string', pattern: DOUBLE_QUOTED },
+    { type: 'string', pattern: SINGLE_QUOTED },
+    { type: 'regex', pattern: /\/(?![*/])(?:\\.|\[(?:\\.|[^\]\\\n])*\]|[^/\\\n[])+\/[dgimsuvy]*/y, lookbehind: REGEX_CONTEXT },
+    { type: 'annotation', pattern: /@[A-Za-z_$][\w$.]*/y },
+    ...MEMBER_RULES,
+    { type: 'keyword', pattern: words([...KEYWORDS, ...keywords], { end: '(?![\\w$])' }) },
+    { type: 'keyword', pattern: words(CONTEXTUAL_KEYWORDS, { end: '(?![\\w$])(?!\\s*\\()' }) },
+    { type: 'literal', pattern: words(LITERALS, { end: '(?![\\w$])' }) }
+  ];
+  if (types.length > 0) {
+    rules.push({ type: 'type', pattern: words(types, { end: '(?![\\w$])' }) });
+  }
+  rules.push(
+    { type: 'number', pattern: C_NUMBER },
+    { type: 'function', pattern: FUNCTION_CALL },
+    { type: 'type', pattern: PASCAL_CASE },
+    { type: null, pattern: IDENTIFIER },
+    { type: 'operator', pattern: C_OPERATOR },
+    { type: 'punctuation', pattern: C_PUNCTUATION }
+  );
+  return rules;
+}
+
+export { javascriptRules };
+
+export default {
+  name: 'javascript',
+  aliases: ['js', 'jsx', 'mjs', 'cjs', 'node'],
+  rules: javascriptRules()
+};
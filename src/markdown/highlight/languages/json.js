@@ -0,0 +1,15 @@
+import { C_COMMENT } from './common.js';
+
+export default {
+  name: 'json',
+  aliases: ['jsonc', 'json5'],
+  rules: [
+    // JSONC 允许注释
+    { type: 'comment', pattern: C_COMMENT },
+    { type: 'property', pattern: /"(?:\\.|[^\\"\n])*"(?=\s*:)/y },
+    { type: 'string', pattern: /"(?:\\.|[^\\"\n])*"?/y },
+    { type: 'number', pattern: /-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?/y },
+    { type: 'literal', pattern: /(?:true|false|null)\b/y },
+    { type: 'punctuation', pattern: /[{}[\],:]/y }
+  ]
+};
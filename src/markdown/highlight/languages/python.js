@@ -0,0 +1,39 @@
+import { words, C_NUMBER, PASCAL_CASE, MEMBER_RULES } from './common.js';
+
+const KEYWORDS = [
+  'and', 'as', 'assert', 'async', 'await', 'break', 'case', 'class', 'continue', 'def', 'del', 'elif', 'else', 'except',
+  'finally', 'for', 'from', 'global', 'if', 'import', 'in', 'is', 'lambda', 'nonlocal', 'not', 'or', 'pass', 'raise',
+  'return', 'try', 'while', 'with', 'yield'
+];
+
+// 软关键字，后面紧跟括号或赋值时是普通的名称
+const SOFT_KEYWORDS = ['match', 'case', 'type'];
+
+const BUILTINS = [
+  'abs', 'all', 'any', 'bool', 'bytes', 'dict', 'enumerate', 'filter', 'float', 'getattr', 'hasattr', 'input', 'int',
+  'isinstance', 'iter', 'len', 'list', 'map', 'max', 'min', 'next', 'object', 'open', 'print', 'range', 'repr',
+  'reversed', 'round', 'set', 'setattr', 'sorted', 'str', 'sum', 'super', 'tuple', 'type', 'zip', 'self', 'cls'
+];
+
+export default {
+  name: 'python',
+  aliases: ['py', 'py3', 'python3'],
+  rules: [
+    { type: 'comment', pattern: /#[^\n]*/y },
+    // 可带 r、b、u、f 前缀，三引号字符串可以跨行
+    { type: 'string', pattern: /(?:[rRbBuUfF]{1,2})?(?:"""[\s\S]*?(?:"""|$)|'''[\s\S]*?(?:'''|$)|"(?:\\.|[^\\"\n])*"?|'(?:\\.|[^\\'\n])*'?)/y },
+    // 装饰器只出现在行首，其他位置的 @ 是矩阵乘法运算符
+    { type: 'annotation', pattern: /@[A-Za-z_][\w.]*/y, lookbehind: /^[ \t]*$/ },
+    ...MEMBER_RULES,
+    { type: 'keyword', pattern: words(KEYWORDS) },
+    { type: 'keyword', pattern: words(SOFT_KEYWORDS, { end: '\\b(?!\\s*[(=,)\\]:.])' }) },
+    { type: 'literal', pattern: words(['True', 'False', 'None']) },
+    { type: 'builtin', pattern: words(BUILTINS) },
+    { type: 'number', pattern: C_NUMBER },
+    { type: 'function', pattern: /[A-Za-z_]\w*(?=\s*\()/y },
+    { type: 'type', pattern: PASCAL_CASE },
+    { type: null, pattern: /[A-Za-z_]\w*/y },
+    { type: 'operator', pattern: /[-+*/%=!<>&|^~@]+|:=/y },
+    { type: 'punctuation', pattern: /[{}[\]();,.:]/y }
+  ]
+};
@@ -0,0 +1,35 @@
+import { words, C_NUMBER } from './common.js';
+
+const KEYWORDS = [
+  'add', 'all', 'alter', 'and', 'as', 'asc', 'begin', 'between', 'by', 'cascade', 'case', 'check', 'column', 'commit',
+  'constraint', 'create', 'cross', 'database', 'default', 'delete', 'desc', 'distinct', 'drop', 'else', 'end', 'except',
+  'exists', 'explain', 'foreign', 'from', 'full', 'grant', 'group', 'having', 'if', 'in', 'index', 'inner', 'insert',
+  'intersect', 'into', 'is', 'join', 'key', 'left', 'like', 'limit', 'not', 'offset', 'on', 'or', 'order', 'outer',
+  'over', 'partition', 'primary', 'references', 'returning', 'revoke', 'right', 'rollback', 'select', 'set', 'table',
+  'then', 'transaction', 'truncate', 'union', 'unique', 'update', 'using', 'values', 'view', 'when', 'where', 'with'
+];
+
+const TYPES = [
+  'bigint', 'binary', 'blob', 'boolean', 'char', 'date', 'datetime', 'decimal', 'double', 'float', 'int', 'integer',
+  'json', 'jsonb', 'numeric', 'real', 'serial', 'smallint', 'text', 'time', 'timestamp', 'tinyint', 'uuid', 'varchar'
+];
+
+export default {
+  name: 'sql',
+  aliases: ['mysql', 'postgresql', 'postgres', 'sqlite', 'plsql'],
+  rules: [
+    { type: 'comment', pattern: /--[^\n]*|\/\*[\s\S]*?(?:\*\/|$)/y },
+    { type: 'string', pattern: /'(?:''|\\.|[^\\'])*'?/y },
+    // 双引号和反引号中是标识符
+    { type: 'property', pattern: /"(?:""|[^"])*"?|`[^`]*`?/y },
+    { type: 'variable', pattern: /@@?[\w.$]+|:[A-Za-z_]\w*|\$\d+/y },
+    { type: 'literal', pattern: words(['null', 'true', 'false'], { ignoreCase: true }) },
+    { type: 'keyword', pattern: words(KEYWORDS, { ignoreCase: true }) },
+    { type: 'type', pattern: words(TYPES, { ignoreCase: true }) },
+    { type: 'number', pattern: C_NUMBER },
+    { type: 'function', pattern: /[A-Za-z_]\w*(?=\s*\()/y },
+    { type: null, pattern: /[A-Za-z_]\w*/y },
+    { type: 'operator', pattern: /[-+*/%=<>!|&^~]+/y },
+    { type: 'punctuation', pattern: /[(),;.]/y }
+  ]
+};
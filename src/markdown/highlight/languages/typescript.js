@@ -0,0 +1,13 @@
+import { javascriptRules } from './javascript.js';
+
+export default {
+  name: 'typescript',
+  aliases: ['ts', 'tsx', 'mts', 'cts'],
+  rules: javascriptRules({
+    keywords: [
+      'abstract', 'as', 'asserts', 'declare', 'enum', 'implements', 'infer', 'interface', 'is', 'keyof', 'module',
+      'namespace', 'override', 'private', 'protected', 'public', 'readonly', 'satisfies', 'type', 'unique'
+    ],
+    types: ['any', 'bigint', 'boolean', 'never', 'number', 'object', 'string', 'symbol', 'unknown']
+  })
+};
@@ -0,0 +1,24 @@
+import { words } from './common.js';
+
+// 标量之后只能是行尾、注释或流式集合的分隔符
+const SCALAR_END = '(?=[ \\t]*(?:$|\\n|#|,|\\]|\\}))';
+
+// 键只出现在行首（可在序列项的 - 之后）或流式映射中
+const KEY_CONTEXT = /(?:^[ \t]*(?:-[ \t]+)*|[{,][ \t]*)$/;
+
+export default {
+  name: 'yaml',
+  aliases: ['yml'],
+  rules: [
+    { type: 'comment', pattern: /#[^\n]*/y, lookbehind: /(?:^|\s)$/ },
+    { type: 'meta', pattern: /(?:---|\.\.\.)(?=[ \t]|\n|$)/y, lookbehind: /^$/ },
+    { type: 'property', pattern: /(?:"(?:\\.|[^\\"\n])*"|'(?:''|[^'\n])*'|[^\s#:'"[\]{},&*!|>-][^\n:#]*?|-[^\s\n:#][^\n:#]*?)(?=[ \t]*:(?:[ \t]|\n|$))/y, lookbehind: KEY_CONTEXT },
+    { type: 'string', pattern: /"(?:\\[\s\S]|[^\\"])*"?|'(?:''|[^'])*'?/y },
+    { type: 'variable', pattern: /[&*][\w-]+/y },
+    { type: 'type', pattern: /![\w!/.-]*/y },
+    { type: 'literal', pattern: words(['true', 'false', 'null', 'yes', 'no', 'on', 'off', '~'], { end: SCALAR_END, ignoreCase: true }) },
+    { type: 'number', pattern: new RegExp(`[+-]?(?:\\d[\\d_]*(?:\\.\\d*)?(?:[eE][+-]?\\d+)?|0x[\\da-fA-F]+|\\.inf|\\.nan)${SCALAR_END}`, 'iy') },
+    { type: 'punctuation', pattern: /-(?=[ \t]|\n|$)|[:?|>](?=[ \t]|\n|$)|[[\]{},]/y },
+    { type: null, pattern: /[^\s,[\]{}#]+/y }
+  ]
+};
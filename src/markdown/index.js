@@ -0,0 +1,15 @@
+/**
+ * Markdown解析与渲染
+ * parseMarkdown：CommonMark + GFM（表格、任务列表、删除线、自动链接）解析为AST
+ * WeChatRenderer：AST渲染为微信公众号可用的内联样式HTML
+ * themes：文章主题（内置主题和自定义主题目录）
+ * highlight：代码块语法高亮
+ * parseFrontMatter：开头的YAML Front Matter（文章的发布信息）
+ */
+
+export { parseMarkdown, BlockParser } from './parser.js';
+export { InlineParser, decodeEntity, unescapeString, normalizeURL, normalizeReference } from './inline.js';
+export { WeChatRenderer, escapeHtml } from './WeChatRenderer.js';
+export { parseFrontMatter, frontMatterToArticle } from './frontMatter.js';
+export { loadTheme, listThemes, getDefaultThemeName, isValidThemeName } from './themes/index.js';
+export { tokenize, getLanguage, listLanguages } from './highlight/index.js';
@@ -0,0 +1,914 @@
+/**
+ * Markdown行内解析
+ * 按CommonMark的分隔符栈算法解析强调、链接和图片，并支持GFM的删除线和扩展自动链接；
+ * 解析结果为行内节点数组（text、emphasis、strong、delete、inlineCode、link、image、html、break，
+ * 启用 math 选项时还有 inlineMath { value, display }）
+ */
+
+const ESCAPABLE = '[!"#$%&\'()*+,./:;<=>?@[\\\\\\]^_`{|}~-]';
+const ENTITY = '&(?:#x[a-f0-9]{1,6}|#[0-9]{1,7}|[a-z][a-z0-9]{1,31});';
+
+const reEscapable = new RegExp(`^${ESCAPABLE}`);
+const reEntityHere = new RegExp(`^${ENTITY}`, 'i');
+const reEntityOrEscapedChar = new RegExp(`\\\\${ESCAPABLE}|${ENTITY}`, 'gi');
+
+const TAGNAME = '[A-Za-z][A-Za-z0-9-]*';
+const ATTRIBUTENAME = '[a-zA-Z_:][a-zA-Z0-9:._-]*';
+const ATTRIBUTEVALUE = '(?:[^"\'=<>`\\x00-\\x20]+|\'[^\']*\'|"[^"]*")';
+const ATTRIBUTE = `(?:\\s+${ATTRIBUTENAME}(?:\\s*=\\s*${ATTRIBUTEVALUE})?)`;
+const OPENTAG = `<${TAGNAME}${ATTRIBUTE}*\\s*/?>`;
+const CLOSETAG = `</${TAGNAME}\\s*[>]`;
+const HTMLCOMMENT = '<!-->|<!--->|<!--[\\s\\S]*?-->';
+const PROCESSINGINSTRUCTION = '[<][?][\\s\\S]*?[?][>]';
+const DECLARATION = '<![A-Za-z]+[^>]*>';
+const CDATA = '<!\\[CDATA\\[[\\s\\S]*?\\]\\]>';
+const HTMLTAG = `(?:${OPENTAG}|${CLOSETAG}|${HTMLCOMMENT}|${PROCESSINGINSTRUCTION}|${DECLARATION}|${CDATA})`;
+
+const reHtmlTag = new RegExp(`^${HTMLTAG}`, 'i');
+const reAutolink = /^<[A-Za-z][A-Za-z0-9.+-]{1,31}:[^<>\0-\x20]*>/;
+const reEmailAutolink = /^<([a-zA-Z0-9.!#$%&'*+/=?^_`{|}~-]+@[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?(?:\.[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?)*)>/;
+const reLinkTitle = /^(?:"(?:\\[\s\S]|[^\\"\0])*"|'(?:\\[\s\S]|[^\\'\0])*'|\((?:\\[\s\S]|[^\\()\0])*\))/;
+const reLinkDestinationBraces = /^<(?:[^<>\n\\\0]|\\.)*>/;
+const reLinkLabel = /^\[(?:[^\\[\]]|\\.){0,1000}\]/s;
+const reMain = /^[^\n`[\]\\!<&*_~$]+/;
+const reSpnl = /^ *(?:\n *)?/;
+// 行内公式（pandoc规则）：开始的 $ 后面不能是空白，结束的 $ 前面不能是空白、后面不能是数字，避免把 $5 和 $10 误认为公式
+const reInlineMath = /^\$(?![\s$])((?:\\[\s\S]|[^\\$])*?(?:\\[\s\S]|[^\s\\$]))\$(?!\d)/;
+const reDisplayMath = /^\$\$((?:\\[\s\S]|[^\\$])+?)\$\$/;
+const reWhitespaceChar = /^[ \t\n\v\f\r]/;
+const reUnicodeWhitespaceChar = /^\s/;
+const rePunctuation = /^[\p{P}\p{S}]/u;
+// 中日韩文字：与其相邻的强调符号按空白处理，使“**“引号”**内容”这类中文排版能正确识别粗体
+const CJK_RANGE = '\\u2e80-\\u9fff\\uac00-\\ud7af\\uf900-\\ufaff\\uff00-\\uffef';
+const reCJK = new RegExp(`^[${CJK_RANGE}]`);
+
+// GFM扩展自动链接（www.、http(s)://开头的网址和邮箱地址），中文与网址之间不需要空格
+const reExtendedAutolink = new RegExp(
+  `(^|[\\s*_~(${CJK_RANGE}])((?:https?:\\/\\/|www\\.)[\\w-]+(?:\\.[\\w-]+)*[^\\s<${CJK_RANGE}]*|[\\w.+-]+@[\\w-]+(?:\\.[\\w-]+)+)`,
+  'gi'
+);
+
+const NAMED_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'', nbsp: ' ', ensp: ' ', emsp: ' ',
+  thinsp: ' ', zwnj: '‌', zwj: '‍', copy: '©', reg: '®', trade: '™', hellip: '…',
+  mdash: '—', ndash: '–', lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”', laquo: '«', raquo: '»',
+  middot: '·', bull: '•', times: '×', divide: '÷', deg: '°', plusmn: '±', para: '¶', sect: '§',
+  euro: '€', yen: '¥', pound: '£', cent: '¢', larr: '←', rarr: '→', uarr: '↑', darr: '↓', harr: '↔',
+  le: '≤', ge: '≥', ne: '≠', infin: '∞', hearts: '♥', check: '✓', star: '☆'
+};
+
+/**
+ * 解码HTML实体，无法识别的实体保持原样
+ * @param {string} entity 如 &amp;、&#35;、&#x22;
+ * @returns {string}
+ */
+function decodeEntity(entity) {
+  const body = entity.slice(1, -1);
+  if (body[0] === '#') {
+    const code = body[1] === 'x' || body[1] === 'X' ? parseInt(body.slice(2), 16) : parseInt(body.slice(1), 10);
+    return code === 0 || code > 0x10ffff || (code >= 0xd800 && code <= 0xdfff) ? '�' : String.fromCodePoint(code);
+  }
+  return Object.prototype.hasOwnProperty.call(NAMED_ENTITIES, body) ? NAMED_ENTITIES[body] : entity;
+}
+
+/**
+ * 处理反斜杠转义和HTML实体
+ * @param {string} text 原始文本
+ * @returns {string}
+ */
+function unescapeString(text) {
+  return text.replace(reEntityOrEscapedChar, match => (match[0] === '\\' ? match[1] : decodeEntity(match)));
+}
+
+/**
+ * 规范化链接地址：对空格、中文等字符做百分号编码，已编码的部分保持不变
+ * @param {string} url 链接地址
+ * @returns {string}
+ */
+function normalizeURL(url) {
+  return url.replace(/%[0-9a-f]{2}|[^A-Za-z0-9\-._~:/?#[\]@!$&'()*+,;=]/gi, match => {
+    if (match.length === 3 && match[0] === '%') {
+      return match;
+    }
+    try {
+      return encodeURIComponent(match);
+    } catch {
+      return '';
+    }
+  });
+}
+
+/**
+ * 规范化引用链接的标签（忽略大小写，合并空白）
+ * @param {string} label 含方括号的标签
+ * @returns {string}
+ */
+function normalizeReference(label) {
+  return label.slice(1, -1).trim().replace(/[ \t\r\n]+/g, ' ').toLowerCase().toUpperCase();
+}
+
+// 链表指针，转换为AST时去掉
+const LINK_KEYS = ['parent', 'prev', 'next', 'first', 'last'];
+
+/**
+ * 解析过程中使用的行内节点（双向链表），解析完成后转换为普通对象
+ */
+class InlineNode {
+  constructor(type, props = {}) {
+    this.type = type;
+    Object.assign(this, props);
+    this.parent = null;
+    this.prev = null;
+    this.next = null;
+    this.first = null;
+    this.last = null;
+  }
+
+  append(child) {
+    child.unlink();
+    child.parent = this;
+    if (this.last) {
+      this.last.next = child;
+      child.prev = this.last;
+    } else {
+      this.first = child;
+    }
+    this.last = child;
+  }
+
+  insertAfter(sibling) {
+    sibling.unlink();
+    sibling.next = this.next;
+    if (sibling.next) {
+      sibling.next.prev = sibling;
+    }
+    sibling.prev = this;
+    this.next = sibling;
+    sibling.parent = this.parent;
+    if (!sibling.next && sibling.parent) {
+      sibling.parent.last = sibling;
+    }
+  }
+
+  unlink() {
+    if (this.prev) {
+      this.prev.next = this.next;
+    } else if (this.parent) {
+      this.parent.first = this.next;
+    }
+    if (this.next) {
+      this.next.prev = this.prev;
+    } else if (this.parent) {
+      this.parent.last = this.prev;
+    }
+    this.parent = null;
+    this.next = null;
+    this.prev = null;
+  }
+
+  /**
+   * 转换为AST节点，合并相邻的文本节点
+   */
+  toAST() {
+    const node = {};
+    Object.keys(this).forEach(key => {
+      if (!LINK_KEYS.includes(key)) {
+        node[key] = this[key];
+      }
+    });
+    if (!this.first && ['text', 'inlineCode', 'html', 'break', 'inlineMath'].includes(this.type)) {
+      return node;
+    }
+
+    node.children = [];
+    for (let child = this.first; child; child = child.next) {
+      const converted = child.toAST();
+      const previous = node.children[node.children.length - 1];
+      if (converted.type === 'text' && previous && previous.type === 'text') {
+        previous.value += converted.value;
+      } else if (converted.type !== 'text' || converted.value !== '') {
+        node.children.push(converted);
+      }
+    }
+    return node;
+  }
+}
+
+/**
+ * 行内解析器
+ */
+class InlineParser {
+  /**
+   * @param {Map<string, Object>} references 链接引用定义（规范化标签 → { url, title }）
+   * @param {Object} [options] 解析选项
+   * @param {boolean} [options.math=false] 是否解析 $...$ 和 $$...$$ 公式
+   */
+  constructor(references = new Map(), { math = false } = {}) {
+    this.references = references;
+    this.math = math;
+  }
+
+  /**
+   * 解析一段行内文本
+   * @param {string} text 行内Markdown文本
+   * @returns {Array<Object>} 行内节点
+   */
+  parse(text) {
+    this.subject = text;
+    this.pos = 0;
+    this.delimiters = null;
+    this.brackets = null;
+
+    const root = new InlineNode('root');
+    while (this.parseInline(root)) {
+      // 逐个解析行内元素
+    }
+    this.processEmphasis(null);
+    return linkify(root.toAST().children);
+  }
+
+  peek() {
+    return this.pos < this.subject.length ? this.subject[this.pos] : undefined;
+  }
+
+  match(regex) {
+    const match = regex.exec(this.subject.slice(this.pos));
+    if (!match) {
+      return null;
+    }
+    this.pos += match.index + match[0].length;
+    return match[0];
+  }
+
+  spnl() {
+    this.match(reSpnl);
+    return true;
+  }
+
+  text(value) {
+    return new InlineNode('text', { value });
+  }
+
+  parseInline(block) {
+    const c = this.peek();
+    if (c === undefined) {
+      return false;
+    }
+
+    let handled;
+    switch (c) {
+    case '\n':
+      handled = this.parseNewline(block);
+      break;
+    case '\\':
+      handled = this.parseBackslash(block);
+      break;
+    case '`':
+      handled = this.parseBackticks(block);
+      break;
+    case '*':
+    case '_':
+    case '~':
+      handled = this.handleDelim(c, block);
+      break;
+    case '[':
+      handled = this.parseOpenBracket(block);
+      break;
+    case '!':
+      handled = this.parseBang(block);
+      break;
+    case ']':
+      handled = this.parseCloseBracket(block);
+      break;
+    case '<':
+      handled = this.parseAutolink(block) || this.parseHtmlTag(block);
+      break;
+    case '&':
+      handled = this.parseEntity(block);
+      break;
+    case '$':
+      handled = this.math && this.parseMath(block);
+      break;
+    default:
+      handled = this.parseString(block);
+    }
+
+    if (!handled) {
+      this.pos += 1;
+      block.append(this.text(c));
+    }
+    return true;
+  }
+
+  parseNewline(block) {
+    this.pos += 1;
+    const last = block.last;
+    if (last && last.type === 'text' && last.value.endsWith(' ')) {
+      const hardbreak = last.value.endsWith('  ');
+      last.value = last.value.replace(/ +$/, '');
+      block.append(hardbreak ? new InlineNode('break') : this.text('\n'));
+    } else {
+      block.append(this.text('\n'));
+    }
+    this.match(/^ */);
+    return true;
+  }
+
+  parseBackslash(block) {
+    this.pos += 1;
+    const c = this.peek();
+    if (c === '\n') {
+      this.pos += 1;
+      block.append(new InlineNode('break'));
+    } else if (c !== undefined && reEscapable.test(c)) {
+      this.pos += 1;
+      block.append(this.text(c));
+    } else {
+      block.append(this.text('\\'));
+    }
+    return true;
+  }
+
+  parseBackticks(block) {
+    const ticks = this.match(/^`+/);
+    const afterOpenTicks = this.pos;
+    let matched;
+    while ((matched = this.match(/`+/)) !== null) {
+      if (matched === ticks) {
+        let contents = this.subject.slice(afterOpenTicks, this.pos - ticks.length).replace(/\n/g, ' ');
+        if (contents.length > 0 && /[^ ]/.test(contents) && contents[0] === ' ' && contents[contents.length - 1] === ' ') {
+          contents = contents.slice(1, -1);
+        }
+        block.append(new InlineNode('inlineCode', { value: contents }));
+        return true;
+      }
+    }
+    // 没有匹配的结束反引号，按普通文本处理
+    this.pos = afterOpenTicks;
+    block.append(this.text(ticks));
+    return true;
+  }
+
+  parseMath(block) {
+    const display = this.match(reDisplayMath);
+    const match = display || this.match(reInlineMath);
+    if (!match) {
+      return false;
+    }
+    const value = match.slice(display ? 2 : 1, display ? -2 : -1).replace(/\n/g, ' ').trim();
+    block.append(new InlineNode('inlineMath', { value, display: Boolean(display) }));
+    return true;
+  }
+
+  parseAutolink(block) {
+    let match = this.match(reEmailAutolink);
+    if (match) {
+      const address = match.slice(1, -1);
+      const link = new InlineNode('link', { url: normalizeURL(`mailto:${address}`), title: '' });
+      link.append(this.text(address));
+      block.append(link);
+      return true;
+    }
+
+    match = this.match(reAutolink);
+    if (match) {
+      const address = match.slice(1, -1);
+      const link = new InlineNode('link', { url: normalizeURL(address), title: '' });
+      link.append(this.text(address));
+      block.append(link);
+      return true;
+    }
+    return false;
+  }
+
+  parseHtmlTag(block) {
+    const match = this.match(reHtmlTag);
+    if (match === null) {
+      return false;
+    }
+    block.append(new InlineNode('html', { value: match }));
+    return true;
+  }
+
+  parseEntity(block) {
+    const match = this.match(reEntityHere);
+    if (!match) {
+      return false;
+    }
+    block.append(this.text(decodeEntity(match)));
+    return true;
+  }
+
+  parseString(block) {
+    const match = this.match(reMain);
+    if (!match) {
+      return false;
+    }
+    block.append(this.text(match));
+    return true;
+  }
+
+  /**
+   * 扫描强调分隔符（* _ ~），判断能否作为开始或结束
+   */
+  scanDelims(c) {
+    const startPos = this.pos;
+    let numDelims = 0;
+    while (this.peek() === c) {
+      numDelims++;
+      this.pos++;
+    }
+    this.pos = startPos;
+
+    const charBefore = startPos === 0 ? '\n' : this.subject[startPos - 1];
+    const charAfter = this.subject[startPos + numDelims] || '\n';
+
+    const afterIsWhitespace = reUnicodeWhitespaceChar.test(charAfter);
+    const afterIsPunctuation = rePunctuation.test(charAfter);
+    const beforeIsWhitespace = reUnicodeWhitespaceChar.test(charBefore);
+    const beforeIsPunctuation = rePunctuation.test(charBefore);
+
+    const leftFlanking = !afterIsWhitespace
+      && (!afterIsPunctuation || beforeIsWhitespace || beforeIsPunctuation || reCJK.test(charBefore));
+    const rightFlanking = !beforeIsWhitespace
+      && (!beforeIsPunctuation || afterIsWhitespace || afterIsPunctuation || reCJK.test(charAfter));
+
+    let canOpen;
+    let canClose;
+    if (c === '_') {
+      canOpen = leftFlanking && (!rightFlanking || beforeIsPunctuation);
+      canClose = rightFlanking && (!leftFlanking || afterIsPunctuation);
+    } else if (c === '~' && numDelims > 2) {
+      // 删除线只使用一个或两个波浪号
+      canOpen = false;
+      canClose = false;
+    } else {
+      canOpen = leftFlanking;
+      canClose = rightFlanking;
+    }
+
+    return { numDelims, canOpen, canClose };
+  }
+
+  handleDelim(c, block) {
+    const { numDelims, canOpen, canClose } = this.scanDelims(c);
+    const startPos = this.pos;
+    this.pos += numDelims;
+    const node = this.text(this.subject.slice(startPos, this.pos));
+    block.append(node);
+
+    if (canOpen || canClose) {
+      this.delimiters = {
+        c,
+        numDelims,
+        origDelims: numDelims,
+        node,
+        previous: this.delimiters,
+        next: null,
+        canOpen,
+        canClose
+      };
+      if (this.delimiters.previous) {
+        this.delimiters.previous.next = this.delimiters;
+      }
+    }
+    return true;
+  }
+
+  removeDelimiter(delim) {
+    if (delim.previous !== null) {
+      delim.previous.next = delim.next;
+    }
+    if (delim.next === null) {
+      this.delimiters = delim.previous;
+    } else {
+      delim.next.previous = delim.previous;
+    }
+  }
+
+  /**
+   * 按CommonMark规则匹配分隔符，生成强调、加粗和删除线节点
+   * @param {Object|null} stackBottom 只处理该分隔符之后的部分
+   */
+  processEmphasis(stackBottom) {
+    const openersBottom = {};
+
+    let closer = this.delimiters;
+    while (closer !== null && closer.previous !== stackBottom) {
+      closer = closer.previous;
+    }
+
+    while (closer !== null) {
+      if (!closer.canClose) {
+        closer = closer.next;
+        continue;
+      }
+
+      const bottomKey = `${closer.c}${closer.canOpen ? 3 : 0}${closer.origDelims % 3}`;
+      let opener = closer.previous;
+      let openerFound = false;
+      while (opener !== null && opener !== stackBottom && opener !== openersBottom[bottomKey]) {
+        const oddMatch = closer.c !== '~'
+          && (closer.canOpen || opener.canClose)
+          && closer.origDelims % 3 !== 0
+          && (opener.origDelims + closer.origDelims) % 3 === 0;
+        const lengthMatch = closer.c !== '~' || opener.numDelims === closer.numDelims;
+        if (opener.c === closer.c && opener.canOpen && !oddMatch && lengthMatch) {
+          openerFound = true;
+          break;
+        }
+        opener = opener.previous;
+      }
+
+      const oldCloser = closer;
+      if (openerFound) {
+        const useDelims = closer.c === '~'
+          ? closer.numDelims
+          : (closer.numDelims >= 2 && opener.numDelims >= 2 ? 2 : 1);
+        const openerNode = opener.node;
+        const closerNode = closer.node;
+
+        opener.numDelims -= useDelims;
+        closer.numDelims -= useDelims;
+        openerNode.value = openerNode.value.slice(0, openerNode.value.length - useDelims);
+        closerNode.value = closerNode.value.slice(0, closerNode.value.length - useDelims);
+
+        const type = closer.c === '~' ? 'delete' : (useDelims === 1 ? 'emphasis' : 'strong');
+        const emphasis = new InlineNode(type);
+        let node = openerNode.next;
+        while (node && node !== closerNode) {
+          const next = node.next;
+          emphasis.append(node);
+          node = next;
+        }
+        openerNode.insertAfter(emphasis);
+
+        // 开始和结束之间未匹配的分隔符不再参与匹配
+        if (opener.next !== closer) {
+          opener.next = closer;
+          closer.previous = opener;
+        }
+
+        if (opener.numDelims === 0) {
+          openerNode.unlink();
+          this.removeDelimiter(opener);
+        }
+
+        if (closer.numDelims === 0) {
+          closerNode.unlink();
+          const next = closer.next;
+          this.removeDelimiter(closer);
+          closer = next;
+        }
+      } else {
+        closer = closer.next;
+        openersBottom[bottomKey] = oldCloser.previous;
+        if (!oldCloser.canOpen) {
+          this.removeDelimiter(oldCloser);
+        }
+      }
+    }
+
+    while (this.delimiters !== null && this.delimiters !== stackBottom) {
+      this.removeDelimiter(this.delimiters);
+    }
+  }
+
+  addBracket(node, index, image) {
+    if (this.brackets !== null) {
+      this.brackets.bracketAfter = true;
+    }
+    this.brackets = {
+      node,
+      previous: this.brackets,
+      previousDelimiter: this.delimiters,
+      index,
+      image,
+      active: true,
+      bracketAfter: false
+    };
+  }
+
+  removeBracket() {
+    this.brackets = this.brackets.previous;
+  }
+
+  parseOpenBracket(block) {
+    const startPos = this.pos;
+    this.pos += 1;
+    const node = this.text('[');
+    block.append(node);
+    this.addBracket(node, startPos, false);
+    return true;
+  }
+
+  parseBang(block) {
+    const startPos = this.pos;
+    this.pos += 1;
+    if (this.peek() === '[') {
+      this.pos += 1;
+      const node = this.text('![');
+      block.append(node);
+      this.addBracket(node, startPos + 1, true);
+    } else {
+      block.append(this.text('!'));
+    }
+    return true;
+  }
+
+  parseLinkTitle() {
+    const title = this.match(reLinkTitle);
+    return title === null ? null : unescapeString(title.slice(1, -1));
+  }
+
+  parseLinkDestination() {
+    let res = this.match(reLinkDestinationBraces);
+    if (res !== null) {
+      return normalizeURL(unescapeString(res.slice(1, -1)));
+    }
+
+    if (this.peek() === '<') {
+      return null;
+    }
+
+    // 普通地址：允许成对的括号，遇到空白或控制字符结束
+    const savePos = this.pos;
+    let openParens = 0;
+    let c;
+    while ((c = this.peek()) !== undefined) {
+      if (c === '\\' && reEscapable.test(this.subject[this.pos + 1] || '')) {
+        this.pos += 2;
+      } else if (c === '(') {
+        this.pos += 1;
+        openParens += 1;
+      } else if (c === ')') {
+        if (openParens < 1) {
+          break;
+        }
+        this.pos += 1;
+        openParens -= 1;
+      } else if (reWhitespaceChar.test(c) || c.charCodeAt(0) < 0x20 || c.charCodeAt(0) === 0x7f) {
+        break;
+      } else {
+        this.pos += 1;
+      }
+    }
+
+    if (this.pos === savePos && c !== ')') {
+      return null;
+    }
+    if (openParens !== 0) {
+      return null;
+    }
+    res = this.subject.slice(savePos, this.pos);
+    return normalizeURL(unescapeString(res));
+  }
+
+  parseLinkLabel() {
+    const match = this.match(reLinkLabel);
+    return match === null || match.length > 1001 ? 0 : match.length;
+  }
+
+  parseCloseBracket(block) {
+    this.pos += 1;
+    const startPos = this.pos;
+
+    const opener = this.brackets;
+    if (opener === null) {
+      block.append(this.text(']'));
+      return true;
+    }
+
+    if (!opener.active) {
+      block.append(this.text(']'));
+      this.removeBracket();
+      return true;
+    }
+
+    const isImage = opener.image;
+    const savePos = this.pos;
+    let url;
+    let title;
+    let matched = false;
+
+    // 行内链接 [text](url "title")
+    if (this.peek() === '(') {
+      this.pos += 1;
+      this.spnl();
+      const dest = this.parseLinkDestination();
+      if (dest !== null && this.spnl()) {
+        const beforeTitle = this.pos;
+        const parsedTitle = reWhitespaceChar.test(this.subject[this.pos - 1]) ? this.parseLinkTitle() : null;
+        if (parsedTitle === null) {
+          this.pos = beforeTitle;
+        }
+        if (this.spnl() && this.peek() === ')') {
+          this.pos += 1;
+          url = dest;
+          title = parsedTitle || '';
+          matched = true;
+        }
+      }
+      if (!matched) {
+        this.pos = savePos;
+      }
+    }
+
+    // 引用链接 [text][label]、[text][]、[text]
+    if (!matched) {
+      const beforeLabel = this.pos;
+      const n = this.parseLinkLabel();
+      let refLabel;
+      if (n > 2) {
+        refLabel = this.subject.slice(beforeLabel, beforeLabel + n);
+      } else if (!opener.bracketAfter) {
+        refLabel = this.subject.slice(opener.index, startPos);
+      }
+      if (n === 0) {
+        this.pos = savePos;
+      }
+
+      if (refLabel) {
+        const reference = this.references.get(normalizeReference(refLabel));
+        if (reference) {
+          url = reference.url;
+          title = reference.title;
+          matched = true;
+        }
+      }
+    }
+
+    if (!matched) {
+      this.removeBracket();
+      this.pos = startPos;
+      block.append(this.text(']'));
+      return true;
+    }
+
+    const node = new InlineNode(isImage ? 'image' : 'link', { url, title });
+    let child = opener.node.next;
+    while (child) {
+      const next = child.next;
+      node.append(child);
+      child = next;
+    }
+    block.append(node);
+    this.processEmphasis(opener.previousDelimiter);
+    this.removeBracket();
+    opener.node.unlink();
+
+    // 链接中不能再嵌套链接：之前的链接开始括号失效
+    if (!isImage) {
+      let previous = this.brackets;
+      while (previous !== null) {
+        if (!previous.image) {
+          previous.active = false;
+        }
+        previous = previous.previous;
+      }
+    }
+    return true;
+  }
+
+  /**
+   * 从段落开头解析一个链接引用定义 [label]: url "title"
+   * @param {string} text 段落内容
+   * @returns {number} 消耗的字符数，不是引用定义时返回0
+   */
+  parseReference(text) {
+    this.subject = text;
+    this.pos = 0;
+
+    const labelLength = this.parseLinkLabel();
+    if (labelLength === 0) {
+      return 0;
+    }
+    const rawLabel = this.subject.slice(0, labelLength);
+
+    if (this.peek() !== ':') {
+      return 0;
+    }
+    this.pos += 1;
+    this.spnl();
+
+    const dest = this.parseLinkDestination();
+    if (dest === null) {
+      return 0;
+    }
+
+    const beforeTitle = this.pos;
+    this.spnl();
+    let title = null;
+    if (this.pos !== beforeTitle) {
+      title = this.parseLinkTitle();
+    }
+    if (title === null) {
+      title = '';
+      this.pos = beforeTitle;
+    }
+
+    // 引用定义之后只能是行尾
+    let atLineEnd = true;
+    if (this.match(/^ *(?:\n|$)/) === null) {
+      if (title === '') {
+        atLineEnd = false;
+      } else {
+        // 标题后还有内容时，放弃标题，只保留地址
+        title = '';
+        this.pos = beforeTitle;
+        atLineEnd = this.match(/^ *(?:\n|$)/) !== null;
+      }
+    }
+    if (!atLineEnd) {
+      return 0;
+    }
+
+    const label = normalizeReference(rawLabel);
+    if (label === '') {
+      return 0;
+    }
+    if (!this.references.has(label)) {
+      this.references.set(label, { url: dest, title });
+    }
+    return this.pos;
+  }
+}
+
+/**
+ * 去掉扩展自动链接末尾不属于网址的字符（标点、未配对的右括号、实体）
+ */
+function trimAutolink(url) {
+  let end = url.length;
+  for (;;) {
+    const tail = url.slice(0, end);
+    if (/[?!.,:*_~'"]$/.test(tail)) {
+      end -= 1;
+    } else if (tail.endsWith(')') && (tail.match(/\(/g) || []).length < (tail.match(/\)/g) || []).length) {
+      end -= 1;
+    } else if (/&[a-z0-9]+;$/i.test(tail)) {
+      end = tail.lastIndexOf('&');
+    } else {
+      return url.slice(0, end);
+    }
+  }
+}
+
+/**
+ * 将文本节点中的网址和邮箱地址转换为链接（GFM扩展自动链接），链接内的文本不处理
+ * @param {Array<Object>} nodes 行内节点
+ * @returns {Array<Object>}
+ */
+function linkify(nodes) {
+  const result = [];
+  nodes.forEach(node => {
+    if (node.children && node.type !== 'link') {
+      node.children = linkify(node.children);
+    }
+    if (node.type !== 'text') {
+      result.push(node);
+      return;
+    }
+
+    let last = 0;
+    const text = node.value;
+    reExtendedAutolink.lastIndex = 0;
+    let match;
+    while ((match = reExtendedAutolink.exec(text)) !== null) {
+      const start = match.index + match[1].length;
+      const isEmail = !/^(?:https?:\/\/|www\.)/i.test(match[2]);
+      const address = isEmail ? match[2].replace(/\.+$/, '') : trimAutolink(match[2]);
+
+      // 邮箱地址不能以 - 或 _ 结尾；网址的最后两级域名不能包含下划线
+      const domain = isEmail ? address.split('@')[1] : address.replace(/^(?:https?:\/\/)?/i, '').split(/[/?#]/)[0];
+      const invalid = isEmail
+        ? /[-_]$/.test(address)
+        : domain.split('.').slice(-2).some(part => part.includes('_')) || (/^www\./i.test(address) && !domain.includes('.', 4));
+      if (invalid || address === '') {
+        continue;
+      }
+
+      if (start > last) {
+        result.push({ type: 'text', value: text.slice(last, start) });
+      }
+      const url = isEmail ? `mailto:${address}` : (/^www\./i.test(address) ? `http://${address}` : address);
+      result.push({ type: 'link', url: normalizeURL(url), title: '', children: [{ type: 'text', value: address }] });
+      last = start + address.length;
+      reExtendedAutolink.lastIndex = last;
+    }
+
+    if (last === 0) {
+      result.push(node);
+    } else if (last < text.length) {
+      result.push({ type: 'text', value: text.slice(last) });
+    }
+  });
+  return result;
+}
+
+export {
+  InlineParser,
+  decodeEntity,
+  unescapeString,
+  normalizeURL,
+  normalizeReference
+};
@@ -0,0 +1,873 @@
+/**
+ * Markdown块级解析
+ * 按CommonMark的容器块算法逐行解析（引用、列表、代码块、HTML块、标题、分隔线、段落），
+ * 并支持GFM的表格和任务列表，最后对段落、标题和表格单元格做行内解析，得到完整的AST
+ *
+ * AST节点：
+ * - 块级：root、heading { depth }、paragraph、blockquote、list { ordered, start, tight }、
+ *   listItem { checked }、code { lang, meta, value }、html { value }、thematicBreak、
+ *   table { align }、tableRow、tableCell、math { value }（启用 math 选项时的 $$ 公式块）
+ * - 行内：见 inline.js
+ */
+
+import { InlineParser, unescapeString } from './inline.js';
+
+const CODE_INDENT = 4;
+
+const reHtmlBlockOpen = [
+  /./, // 占位，类型从1开始
+  /^<(?:script|pre|textarea|style)(?:\s|>|$)/i,
+  /^<!--/,
+  /^<[?]/,
+  /^<![A-Za-z]/,
+  /^<!\[CDATA\[/,
+  /^<[/]?(?:address|article|aside|base|basefont|blockquote|body|caption|center|col|colgroup|dd|details|dialog|dir|div|dl|dt|fieldset|figcaption|figure|footer|form|frame|frameset|h[123456]|head|header|hr|html|iframe|legend|li|link|main|menu|menuitem|nav|noframes|ol|optgroup|option|p|param|search|section|summary|table|tbody|td|tfoot|th|thead|title|tr|track|ul)(?:\s|[/]?[>]|$)/i,
+  /^(?:<[A-Za-z][A-Za-z0-9-]*(?:\s+[a-zA-Z_:][a-zA-Z0-9:._-]*(?:\s*=\s*(?:[^"'=<>`\0-\x20]+|'[^']*'|"[^"]*"))?)*\s*\/?>|<\/[A-Za-z][A-Za-z0-9-]*\s*[>])\s*$/i
+];
+
+const reHtmlBlockClose = [
+  /./,
+  /<\/(?:script|pre|textarea|style)>/i,
+  /-->/,
+  /\?>/,
+  />/,
+  /\]\]>/
+];
+
+const reThematicBreak = /^(?:\*[ \t]*){3,}$|^(?:_[ \t]*){3,}$|^(?:-[ \t]*){3,}$/;
+const reMaybeSpecial = /^[#`~*+_=<>0-9|:$-]/;
+const reNonSpace = /[^ \t\f\v\r\n]/;
+const reBulletListMarker = /^[*+-]/;
+const reOrderedListMarker = /^(\d{1,9})([.)])/;
+const reATXHeadingMarker = /^#{1,6}(?:[ \t]+|$)/;
+const reCodeFence = /^`{3,}(?!.*`)|^~{3,}/;
+const reClosingCodeFence = /^(?:`{3,}|~{3,})(?=[ \t]*$)/;
+const reSetextHeadingLine = /^(?:=+|-+)[ \t]*$/;
+const reTableDelimiterRow = /^\|?[ \t]*:?-+:?[ \t]*(?:\|[ \t]*:?-+:?[ \t]*)*\|?[ \t]*$/;
+const reTaskListMarker = /^\[([ xX])\](?:[ \t]+|$)/;
+// 公式块：单独一行的 $$ 开始，或 $$...$$ 写在同一行
+const reMathBlockOpen = /^\$\$[ \t]*$/;
+const reMathBlockLine = /^\$\$(.*?[^\\])\$\$[ \t]*$/;
+const reMathBlockClose = /^(.*?)\$\$[ \t]*$/;
+
+/**
+ * 是否可以包含子块
+ */
+function canContain(parentType, childType) {
+  switch (parentType) {
+  case 'root':
+  case 'blockquote':
+  case 'listItem':
+    return childType !== 'listItem';
+  case 'list':
+    return childType === 'listItem';
+  default:
+    return false;
+  }
+}
+
+/**
+ * 是否直接接收文本行
+ */
+function acceptsLines(type) {
+  return type === 'paragraph' || type === 'code' || type === 'html' || type === 'table' || type === 'math';
+}
+
+/**
+ * 将行首缩进和容器标记（>）中的制表符展开为空格（制表位为4）
+ */
+function expandLeadingTabs(line) {
+  const prefix = line.match(/^[ \t>]*/)[0];
+  if (!prefix.includes('\t')) {
+    return line;
+  }
+
+  let column = 0;
+  let expanded = '';
+  for (const c of prefix) {
+    if (c === '\t') {
+      const width = 4 - (column % 4);
+      expanded += ' '.repeat(width);
+      column += width;
+    } else {
+      expanded += c;
+      column += 1;
+    }
+  }
+  return expanded + line.slice(prefix.length);
+}
+
+/**
+ * 拆分表格行，转义的竖线（\|）保留在单元格内容中
+ * @param {string} line 表格行
+ * @returns {Array<string>} 单元格内容
+ */
+function splitTableRow(line) {
+  let row = line.trim();
+  if (row.startsWith('|')) {
+    row = row.slice(1);
+  }
+  if (row.endsWith('|') && !row.endsWith('\\|')) {
+    row = row.slice(0, -1);
+  }
+
+  const cells = [];
+  let cell = '';
+  for (let i = 0; i < row.length; i++) {
+    if (row[i] === '\\' && row[i + 1] === '|') {
+      cell += '|';
+      i++;
+    } else if (row[i] === '|') {
+      cells.push(cell.trim());
+      cell = '';
+    } else {
+      cell += row[i];
+    }
+  }
+  cells.push(cell.trim());
+  return cells;
+}
+
+/**
+ * 解析表格分隔行中的对齐方式
+ */
+function parseTableAlign(line) {
+  return splitTableRow(line).map(cell => {
+    const left = cell.startsWith(':');
+    const right = cell.endsWith(':');
+    if (left && right) {
+      return 'center';
+    }
+    if (right) {
+      return 'right';
+    }
+    return left ? 'left' : null;
+  });
+}
+
+/**
+ * 各类块的延续规则
+ * 返回 0：当前行属于该块；1：不属于该块；2：当前行已处理完毕（如代码块结束标记）
+ */
+const continuations = {
+  root: () => 0,
+
+  blockquote(parser) {
+    if (!parser.indented && parser.peekNonspace() === '>') {
+      parser.advanceNextNonspace();
+      parser.advanceOffset(1);
+      if (parser.line[parser.offset] === ' ') {
+        parser.advanceOffset(1);
+      }
+      return 0;
+    }
+    return 1;
+  },
+
+  list: () => 0,
+
+  listItem(parser, container) {
+    if (parser.blank) {
+      // 列表项以空行开始后又遇到空行，列表项结束
+      if (container.children.length === 0) {
+        return 1;
+      }
+      parser.advanceNextNonspace();
+      return 0;
+    }
+    if (parser.indent >= container.markerOffset + container.padding) {
+      parser.advanceOffset(container.markerOffset + container.padding);
+      return 0;
+    }
+    return 1;
+  },
+
+  heading: () => 1,
+
+  thematicBreak: () => 1,
+
+  code(parser, container) {
+    if (container.fenced) {
+      const match = parser.indent <= 3 && parser.line.slice(parser.nextNonspace).match(reClosingCodeFence);
+      if (match && match[0][0] === container.fenceChar && match[0].length >= container.fenceLength) {
+        parser.finalize(container);
+        return 2;
+      }
+      // 去掉与开始标记相同的缩进
+      let i = container.fenceOffset;
+      while (i > 0 && parser.line[parser.offset] === ' ') {
+        parser.advanceOffset(1);
+        i--;
+      }
+      return 0;
+    }
+
+    if (parser.indent >= CODE_INDENT) {
+      parser.advanceOffset(CODE_INDENT);
+    } else if (parser.blank) {
+      parser.advanceNextNonspace();
+    } else {
+      return 1;
+    }
+    return 0;
+  },
+
+  html(parser, container) {
+    return parser.blank && (container.htmlBlockType === 6 || container.htmlBlockType === 7) ? 1 : 0;
+  },
+
+  paragraph(parser) {
+    return parser.blank ? 1 : 0;
+  },
+
+  math(parser, container) {
+    // 结束标记前的内容属于公式
+    const match = parser.line.slice(parser.offset).match(reMathBlockClose);
+    if (match) {
+      container.lines.push(match[1]);
+      parser.finalize(container);
+      return 2;
+    }
+    return 0;
+  },
+
+  table(parser) {
+    if (parser.blank) {
+      return 1;
+    }
+    // 遇到其他块级结构时表格结束
+    const rest = parser.line.slice(parser.nextNonspace);
+    if (!parser.indented && (/^>|^#{1,6}(?:[ \t]|$)|^`{3,}|^~{3,}|^\$\$/.test(rest) || reThematicBreak.test(rest))) {
+      return 1;
+    }
+    return 0;
+  }
+};
+
+/**
+ * 块级结构的开始规则，按优先级排列
+ * 返回 0：不匹配；1：匹配容器块（继续匹配行内剩余部分）；2：匹配叶子块
+ */
+const blockStarts = [
+  // 引用
+  (parser) => {
+    if (parser.indented || parser.peekNonspace() !== '>') {
+      return 0;
+    }
+    parser.advanceNextNonspace();
+    parser.advanceOffset(1);
+    if (parser.line[parser.offset] === ' ') {
+      parser.advanceOffset(1);
+    }
+    parser.closeUnmatchedBlocks();
+    parser.addChild('blockquote');
+    return 1;
+  },
+
+  // ATX标题
+  (parser) => {
+    const match = !parser.indented && parser.line.slice(parser.nextNonspace).match(reATXHeadingMarker);
+    if (!match) {
+      return 0;
+    }
+    parser.advanceNextNonspace();
+    parser.advanceOffset(match[0].length);
+    parser.closeUnmatchedBlocks();
+    const heading = parser.addChild('heading');
+    heading.depth = match[0].trim().length;
+    heading.content = parser.line.slice(parser.offset)
+      .replace(/^[ \t]*#+[ \t]*$/, '')
+      .replace(/[ \t]+#+[ \t]*$/, '')
+      .trim();
+    parser.advanceOffset(parser.line.length - parser.offset);
+    return 2;
+  },
+
+  // 围栏代码块
+  (parser) => {
+    const match = !parser.indented && parser.line.slice(parser.nextNonspace).match(reCodeFence);
+    if (!match) {
+      return 0;
+    }
+    const fenceLength = match[0].length;
+    parser.closeUnmatchedBlocks();
+    const code = parser.addChild('code');
+    code.fenced = true;
+    code.fenceLength = fenceLength;
+    code.fenceChar = match[0][0];
+    code.fenceOffset = parser.indent;
+    parser.advanceNextNonspace();
+    parser.advanceOffset(fenceLength);
+    return 2;
+  },
+
+  // 公式块（启用 math 选项时）
+  (parser) => {
+    if (!parser.math || parser.indented) {
+      return 0;
+    }
+    const rest = parser.line.slice(parser.nextNonspace);
+    const singleLine = rest.match(reMathBlockLine);
+    if (!singleLine && !reMathBlockOpen.test(rest)) {
+      return 0;
+    }
+    parser.closeUnmatchedBlocks();
+    const math = parser.addChild('math');
+    parser.advanceOffset(parser.line.length - parser.offset);
+    if (singleLine) {
+      math.lines.push(singleLine[1]);
+      parser.finalize(math);
+    }
+    return 2;
+  },
+
+  // HTML块
+  (parser, container) => {
+    if (parser.indented || parser.peekNonspace() !== '<') {
+      return 0;
+    }
+    const rest = parser.line.slice(parser.nextNonspace);
+    for (let blockType = 1; blockType <= 7; blockType++) {
+      // 第7类（单独一行的任意标签）不能打断段落
+      if (reHtmlBlockOpen[blockType].test(rest) && (blockType < 7 || container.type !== 'paragraph')) {
+        parser.closeUnmatchedBlocks();
+        const html = parser.addChild('html');
+        html.htmlBlockType = blockType;
+        return 2;
+      }
+    }
+    return 0;
+  },
+
+  // GFM表格：段落最后一行作为表头，当前行为分隔行
+  (parser, container) => {
+    if (parser.indented || container.type !== 'paragraph' || !parser.allClosed) {
+      return 0;
+    }
+    const rest = parser.line.slice(parser.nextNonspace);
+    if (!rest.includes('|') && !container.lines[container.lines.length - 1].includes('|')) {
+      return 0;
+    }
+    if (!reTableDelimiterRow.test(rest)) {
+      return 0;
+    }
+
+    const headerLine = container.lines[container.lines.length - 1];
+    const header = splitTableRow(headerLine);
+    const align = parseTableAlign(rest);
+    if (header.length !== align.length) {
+      return 0;
+    }
+
+    parser.closeUnmatchedBlocks();
+    container.lines.pop();
+    if (container.lines.length === 0) {
+      parser.removeBlock(container);
+    } else {
+      parser.finalize(container);
+    }
+
+    const table = parser.addChild('table');
+    table.align = align;
+    table.rows = [header];
+    parser.advanceOffset(parser.line.length - parser.offset);
+    return 2;
+  },
+
+  // Setext标题（段落下一行为 === 或 ---）
+  (parser, container) => {
+    if (parser.indented || container.type !== 'paragraph' || !reSetextHeadingLine.test(parser.line.slice(parser.nextNonspace))) {
+      return 0;
+    }
+    parser.closeUnmatchedBlocks();
+    // 段落开头的链接引用定义不属于标题
+    parser.extractReferences(container);
+    if (container.lines.length === 0) {
+      return 0;
+    }
+
+    const heading = parser.replaceBlock(container, 'heading');
+    heading.depth = parser.line[parser.nextNonspace] === '=' ? 1 : 2;
+    heading.content = container.lines.join('\n').trim();
+    parser.advanceOffset(parser.line.length - parser.offset);
+    return 2;
+  },
+
+  // 分隔线
+  (parser) => {
+    if (parser.indented || !reThematicBreak.test(parser.line.slice(parser.nextNonspace))) {
+      return 0;
+    }
+    parser.closeUnmatchedBlocks();
+    parser.addChild('thematicBreak');
+    parser.advanceOffset(parser.line.length - parser.offset);
+    return 2;
+  },
+
+  // 列表项
+  (parser, container) => {
+    if (parser.indented && container.type !== 'list') {
+      return 0;
+    }
+    const marker = parser.parseListMarker(container);
+    if (!marker) {
+      return 0;
+    }
+
+    parser.closeUnmatchedBlocks();
+    const { tip } = parser;
+    if (tip.type !== 'list' || tip.ordered !== marker.ordered || tip.delimiter !== marker.delimiter || tip.bulletChar !== marker.bulletChar) {
+      const list = parser.addChild('list');
+      list.ordered = marker.ordered;
+      list.start = marker.start;
+      list.delimiter = marker.delimiter;
+      list.bulletChar = marker.bulletChar;
+    }
+    const item = parser.addChild('listItem');
+    item.markerOffset = marker.markerOffset;
+    item.padding = marker.padding;
+    return 1;
+  },
+
+  // 缩进代码块
+  (parser) => {
+    if (!parser.indented || parser.tip.type === 'paragraph' || parser.blank) {
+      return 0;
+    }
+    parser.advanceOffset(CODE_INDENT);
+    parser.closeUnmatchedBlocks();
+    parser.addChild('code');
+    return 2;
+  }
+];
+
+/**
+ * 块级解析器
+ */
+class BlockParser {
+  /**
+   * @param {Object} [options] 解析选项
+   * @param {boolean} [options.math=false] 是否解析 $...$ 行内公式和 $$...$$ 公式块
+   */
+  constructor({ math = false } = {}) {
+    this.math = math;
+    this.references = new Map();
+    this.inlineParser = new InlineParser(this.references, { math });
+  }
+
+  /**
+   * 解析Markdown文档
+   * @param {string} source Markdown文本
+   * @returns {Object} AST根节点 { type: 'root', children }
+   */
+  parse(source) {
+    this.root = this.createBlock('root');
+    this.tip = this.root;
+    this.oldTip = this.root;
+    this.lastMatchedContainer = this.root;
+    this.allClosed = true;
+    this.lineNumber = 0;
+
+    const lines = source.replace(/\0/g, '�').split(/\r\n|\r|\n/);
+    if (lines[lines.length - 1] === '') {
+      lines.pop();
+    }
+    lines.forEach(line => this.incorporateLine(line));
+
+    while (this.tip) {
+      this.finalize(this.tip);
+    }
+
+    this.processInlines(this.root);
+    return this.toAST(this.root);
+  }
+
+  createBlock(type) {
+    return {
+      type,
+      parent: null,
+      children: [],
+      lines: [],
+      open: true,
+      startLine: this.lineNumber,
+      lastLine: this.lineNumber
+    };
+  }
+
+  peekNonspace() {
+    return this.line[this.nextNonspace];
+  }
+
+  findNextNonspace() {
+    const match = reNonSpace.exec(this.line.slice(this.offset));
+    this.nextNonspace = match ? this.offset + match.index : this.line.length;
+    this.indent = this.nextNonspace - this.offset;
+    this.indented = this.indent >= CODE_INDENT;
+    this.blank = match === null;
+  }
+
+  advanceOffset(count) {
+    this.offset = Math.min(this.offset + count, this.line.length);
+  }
+
+  advanceNextNonspace() {
+    this.offset = this.nextNonspace;
+  }
+
+  addChild(type) {
+    while (!canContain(this.tip.type, type)) {
+      this.finalize(this.tip);
+    }
+    const block = this.createBlock(type);
+    block.parent = this.tip;
+    this.tip.children.push(block);
+    this.tip = block;
+    return block;
+  }
+
+  removeBlock(block) {
+    const siblings = block.parent.children;
+    siblings.splice(siblings.indexOf(block), 1);
+    if (this.tip === block) {
+      this.tip = block.parent;
+    }
+  }
+
+  replaceBlock(block, type) {
+    const replacement = this.createBlock(type);
+    replacement.parent = block.parent;
+    replacement.startLine = block.startLine;
+    const siblings = block.parent.children;
+    siblings[siblings.indexOf(block)] = replacement;
+    this.tip = replacement;
+    return replacement;
+  }
+
+  closeUnmatchedBlocks() {
+    if (!this.allClosed) {
+      while (this.oldTip !== this.lastMatchedContainer) {
+        const parent = this.oldTip.parent;
+        this.finalize(this.oldTip);
+        this.oldTip = parent;
+      }
+      this.allClosed = true;
+    }
+  }
+
+  addLine() {
+    this.tip.lines.push(this.line.slice(this.offset));
+  }
+
+  /**
+   * 解析列表标记（- * + 或 1. 1)）
+   * @returns {Object|null} { ordered, start, delimiter, bulletChar, markerOffset, padding }
+   */
+  parseListMarker(container) {
+    const rest = this.line.slice(this.nextNonspace);
+    let marker;
+    let match;
+
+    if ((match = rest.match(reBulletListMarker))) {
+      marker = { ordered: false, bulletChar: match[0], delimiter: null, start: null };
+    } else if ((match = rest.match(reOrderedListMarker)) && (container.type !== 'paragraph' || match[1] === '1')) {
+      marker = { ordered: true, bulletChar: null, delimiter: match[2], start: parseInt(match[1], 10) };
+    } else {
+      return null;
+    }
+
+    // 标记后必须是空白或行尾
+    const nextChar = this.line[this.nextNonspace + match[0].length];
+    if (nextChar !== undefined && nextChar !== ' ' && nextChar !== '\t') {
+      return null;
+    }
+
+    // 空列表项不能打断段落
+    if (container.type === 'paragraph' && !reNonSpace.test(this.line.slice(this.nextNonspace + match[0].length))) {
+      return null;
+    }
+
+    this.advanceNextNonspace();
+    this.advanceOffset(match[0].length);
+    const markerOffset = this.indent;
+    const markerWidth = match[0].length;
+
+    let spaces = 0;
+    while (spaces <= CODE_INDENT && (this.line[this.offset + spaces] === ' ' || this.line[this.offset + spaces] === '\t')) {
+      spaces++;
+    }
+    const blankItem = this.offset + spaces >= this.line.length;
+
+    // 标记后有5个及以上空格时，内容按缩进代码块处理，列表项内容只从一个空格后开始
+    if (spaces >= CODE_INDENT + 1 || spaces < 1 || blankItem) {
+      marker.padding = markerWidth + 1;
+      if (this.line[this.offset] === ' ' || this.line[this.offset] === '\t') {
+        this.advanceOffset(1);
+      }
+    } else {
+      marker.padding = markerWidth + spaces;
+      this.advanceOffset(spaces);
+    }
+    marker.markerOffset = markerOffset;
+    return marker;
+  }
+
+  /**
+   * 处理一行输入
+   */
+  incorporateLine(rawLine) {
+    let container = this.root;
+    this.oldTip = this.tip;
+    this.offset = 0;
+    this.lineNumber += 1;
+    this.line = expandLeadingTabs(rawLine);
+
+    // 1. 依次匹配已打开的容器块
+    let lastChild;
+    while ((lastChild = container.children[container.children.length - 1]) && lastChild.open) {
+      container = lastChild;
+      this.findNextNonspace();
+
+      const result = continuations[container.type](this, container);
+      if (result === 1) {
+        container = container.parent;
+        break;
+      }
+      if (result === 2) {
+        return;
+      }
+    }
+
+    this.allClosed = container === this.oldTip;
+    this.lastMatchedContainer = container;
+
+    // 2. 查找新的块级结构
+    let matchedLeaf = container.type !== 'paragraph' && acceptsLines(container.type);
+    while (!matchedLeaf) {
+      this.findNextNonspace();
+
+      if (!this.indented && !reMaybeSpecial.test(this.line.slice(this.nextNonspace))) {
+        this.advanceNextNonspace();
+        break;
+      }
+
+      let matched = 0;
+      for (const start of blockStarts) {
+        matched = start(this, container);
+        if (matched) {
+          break;
+        }
+      }
+
+      if (matched === 1) {
+        container = this.tip;
+      } else if (matched === 2) {
+        container = this.tip;
+        matchedLeaf = true;
+      } else {
+        this.advanceNextNonspace();
+        break;
+      }
+    }
+
+    // 3. 剩余内容：段落的惰性延续行，或加入当前块
+    if (!this.allClosed && !this.blank && this.tip.type === 'paragraph') {
+      this.addLine();
+    } else {
+      this.closeUnmatchedBlocks();
+
+      if (acceptsLines(container.type)) {
+        this.addLine();
+        if (container.type === 'html' && container.htmlBlockType >= 1 && container.htmlBlockType <= 5
+          && reHtmlBlockClose[container.htmlBlockType].test(this.line.slice(this.offset))) {
+          this.lastLine();
+          this.finalize(container);
+        }
+      } else if (this.offset < this.line.length && !this.blank) {
+        this.addChild('paragraph');
+        this.advanceNextNonspace();
+        this.addLine();
+      }
+    }
+
+    this.lastLine();
+  }
+
+  /**
+   * 记录各块最后一个非空行的行号，用于判断列表是否松散
+   */
+  lastLine() {
+    if (this.blank) {
+      return;
+    }
+    for (let block = this.tip; block; block = block.parent) {
+      block.lastLine = this.lineNumber;
+    }
+  }
+
+  /**
+   * 结束一个块
+   */
+  finalize(block) {
+    const parent = block.parent;
+    block.open = false;
+
+    switch (block.type) {
+    case 'paragraph':
+      this.extractReferences(block);
+      if (block.lines.length === 0) {
+        this.removeBlock(block);
+      }
+      break;
+
+    case 'code':
+      if (block.fenced) {
+        const [info, ...lines] = block.lines;
+        const infoString = unescapeString(info.trim());
+        const [lang = '', ...meta] = infoString.split(/\s+/);
+        block.lang = lang;
+        block.meta = meta.join(' ');
+        block.value = lines.length > 0 ? `${lines.join('\n')}\n` : '';
+      } else {
+        const lines = [...block.lines];
+        while (lines.length > 0 && !reNonSpace.test(lines[lines.length - 1])) {
+          lines.pop();
+        }
+        block.lang = '';
+        block.meta = '';
+        block.value = lines.length > 0 ? `${lines.join('\n')}\n` : '';
+      }
+      break;
+
+    case 'html':
+      block.value = block.lines.join('\n').replace(/(\n *)+$/, '');
+      break;
+
+    case 'math':
+      block.value = block.lines.join('\n').trim();
+      break;
+
+    case 'table':
+      block.lines.forEach(line => {
+        if (reNonSpace.test(line)) {
+          block.rows.push(splitTableRow(line));
+        }
+      });
+      break;
+
+    case 'list':
+      block.tight = this.isTight(block);
+      break;
+
+    default:
+      break;
+    }
+
+    this.tip = parent;
+  }
+
+  /**
+   * 列表项之间、或列表项内的块之间有空行时为松散列表
+   */
+  isTight(list) {
+    const separated = blocks => blocks.some((block, i) => i > 0 && block.startLine > blocks[i - 1].lastLine + 1);
+    return !separated(list.children) && !list.children.some(item => separated(item.children));
+  }
+
+  /**
+   * 从段落开头提取链接引用定义
+   */
+  extractReferences(paragraph) {
+    let content = paragraph.lines.join('\n');
+    let consumed;
+    while (content.startsWith('[') && (consumed = this.inlineParser.parseReference(content))) {
+      content = content.slice(consumed);
+    }
+    paragraph.lines = reNonSpace.test(content) ? content.split('\n') : [];
+  }
+
+  /**
+   * 对段落、标题和表格单元格做行内解析，并识别任务列表项
+   */
+  processInlines(block) {
+    if (block.type === 'listItem') {
+      const [first] = block.children;
+      const match = first && first.type === 'paragraph' && first.lines[0].replace(/^[ \t]+/, '').match(reTaskListMarker);
+      block.checked = null;
+      if (match) {
+        block.checked = match[1] !== ' ';
+        first.lines[0] = first.lines[0].replace(/^[ \t]+/, '').slice(match[0].length);
+      }
+    }
+
+    switch (block.type) {
+    case 'paragraph':
+      block.inlines = this.inlineParser.parse(block.lines.map(line => line.replace(/^[ \t]+/, '')).join('\n').trim());
+      break;
+    case 'heading':
+      block.inlines = this.inlineParser.parse(block.content);
+      break;
+    case 'table':
+      block.inlineRows = block.rows.map(row => block.align.map((align, i) => this.inlineParser.parse(row[i] || '')));
+      break;
+    default:
+      block.children.forEach(child => this.processInlines(child));
+    }
+  }
+
+  /**
+   * 转换为只包含必要字段的AST
+   */
+  toAST(block) {
+    switch (block.type) {
+    case 'root':
+    case 'blockquote':
+      return { type: block.type, children: block.children.map(child => this.toAST(child)) };
+    case 'list':
+      return {
+        type: 'list',
+        ordered: block.ordered,
+        start: block.start,
+        tight: block.tight,
+        children: block.children.map(child => this.toAST(child))
+      };
+    case 'listItem':
+      return { type: 'listItem', checked: block.checked, children: block.children.map(child => this.toAST(child)) };
+    case 'heading':
+      return { type: 'heading', depth: block.depth, children: block.inlines };
+    case 'paragraph':
+      return { type: 'paragraph', children: block.inlines };
+    case 'code':
+      return { type: 'code', lang: block.lang, meta: block.meta, value: block.value };
+    case 'html':
+      return { type: 'html', value: block.value };
+    case 'math':
+      return { type: 'math', value: block.value };
+    case 'table':
+      return {
+        type: 'table',
+        align: block.align,
+        children: block.inlineRows.map(cells => ({
+          type: 'tableRow',
+          children: cells.map(children => ({ type: 'tableCell', children }))
+        }))
+      };
+    default:
+      return { type: block.type };
+    }
+  }
+}
+
+/**
+ * 解析Markdown为AST
+ * @param {string} source Markdown文本
+ * @param {Object} [options] 解析选项（见 BlockParser）
+ * @returns {Object} AST根节点 { type: 'root', children }
+ */
+function parseMarkdown(source, options) {
+  return new BlockParser(options).parse(source);
+}
+
+export {
+  BlockParser,
+  parseMarkdown
+};
@@ -0,0 +1,104 @@
+/**
+ * 默认主题：蓝色标题、彩色强调、带前缀装饰的多级标题
+ * 也是其他主题的基础，主题中未定义的元素样式沿用这里的定义
+ */
+
+const MONOSPACE = '\'Monaco\', \'Consolas\', \'Courier New\', monospace';
+
+export default {
+  name: 'default',
+  description: '默认主题：蓝色标题、彩色强调文字，适合通用内容',
+  styles: {
+    h1: 'color: #2c3e50; font-size: 28px; font-weight: bold; margin: 24px 0 16px 0; line-height: 1.3; border-bottom: 3px solid #3498db; padding-bottom: 8px;',
+    h2: 'color: #3498db; font-size: 24px; font-weight: bold; margin: 20px 0 12px 0; line-height: 1.3;',
+    h3: 'color: #27ae60; font-size: 20px; font-weight: bold; margin: 18px 0 10px 0; line-height: 1.3;',
+    h4: 'color: #8e44ad; font-size: 18px; font-weight: bold; margin: 16px 0 8px 0; line-height: 1.3;',
+    h5: 'color: #2c3e50; font-size: 16px; font-weight: bold; margin: 16px 0 8px 0; line-height: 1.3;',
+    h6: 'color: #7f8c8d; font-size: 16px; font-weight: bold; margin: 16px 0 8px 0; line-height: 1.3;',
+    p: 'margin: 16px 0; line-height: 1.8; text-align: justify; color: #333;',
+    strong: 'color: #e74c3c; font-weight: bold;',
+    em: 'color: #9b59b6; font-style: italic;',
+    del: 'color: #95a5a6; text-decoration: line-through;',
+    code: `background: #f1f3f4; color: #e91e63; padding: 2px 6px; border-radius: 4px; font-family: ${MONOSPACE}; font-size: 0.9em;`,
+    pre: `background: #f8f9fa; padding: 16px; border-radius: 8px; overflow-x: auto; font-family: ${MONOSPACE}; font-size: 14px; line-height: 1.4; border: 1px solid #e9ecef; margin: 16px 0; white-space: pre;`,
+    preCode: 'color: #333; background: none; padding: 0;',
+    ul: 'margin: 16px 0; padding-left: 24px;',
+    ol: 'margin: 16px 0; padding-left: 24px;',
+    li: 'margin: 8px 0; line-height: 1.6;',
+    taskItem: 'margin: 8px 0; line-height: 1.6; list-style: none;',
+    blockquote: 'border-left: 4px solid #3498db; padding: 16px 20px; margin: 16px 0; background: #f8fafb; font-style: italic; color: #555; border-radius: 0 8px 8px 0;',
+    img: 'max-width: 100%; height: auto; display: block; margin: 16px auto; border-radius: 8px; box-shadow: 0 2px 8px rgba(0,0,0,0.1);',
+    a: 'color: #3498db; text-decoration: none; border-bottom: 1px dotted #3498db;',
+    hr: 'border: none; height: 1px; background: linear-gradient(to right, transparent, #ddd, transparent); margin: 24px 0;',
+    table: 'width: 100%; border-collapse: collapse; margin: 16px 0; font-size: 14px; box-shadow: 0 2px 8px rgba(0,0,0,0.1);',
+    thead: 'background: #f8f9fa;',
+    th: 'border: 1px solid #dee2e6; padding: 12px 8px; text-align: left; font-weight: bold; color: #495057;',
+    td: 'border: 1px solid #dee2e6; padding: 12px 8px; color: #495057;',
+    trEven: 'background: #ffffff;',
+    trOdd: 'background: #f8f9fa;',
+    // 代码块：每行（显示行号或高亮行时）、高亮行、行号、Mac窗口标题栏
+    codeLine: 'display: block;',
+    codeLineHighlight: 'display: block; background: #fff8c5; margin: 0 -16px; padding: 0 16px;',
+    codeLineNumber: 'display: inline-block; text-align: right; margin-right: 16px; color: #b0b7bf; user-select: none;',
+    codeHeader: 'display: block; margin-bottom: 12px; font-size: 12px; line-height: 1;',
+    codeTitle: 'margin-left: 12px; color: #8c959f; font-family: sans-serif;',
+    // 外部链接的脚注编号和文末参考链接列表（见 linkMode）
+    footnoteRef: 'color: #3498db; font-size: 0.75em; margin-left: 2px;',
+    footnotes: 'margin: 32px 0 16px 0; padding-top: 12px; border-top: 1px solid #eee; font-size: 13px; color: #888;',
+    footnotesTitle: 'margin: 0 0 8px 0; font-weight: bold; color: #555;',
+    footnoteItem: 'margin: 4px 0; line-height: 1.6; word-break: break-all;',
+    footnoteUrl: 'color: #999; font-style: italic;',
+    // 数学公式：行内公式（尺寸和基线对齐由渲染器设置）、居中的公式块，公式颜色取自 p 的 color
+    mathInline: 'display: inline-block; margin: 0 2px;',
+    mathBlock: 'margin: 16px 0; text-align: center; overflow-x: auto;',
+    // Front Matter中的标签，在文末输出为一行 #标签
+    tags: 'margin: 24px 0 16px 0; line-height: 2;',
+    tag: 'display: inline-block; margin-right: 8px; padding: 0 8px; border-radius: 4px; background: #eef6fc; color: #3498db; font-size: 13px; line-height: 1.8;'
+  },
+  // 代码高亮各类记号的样式（见 highlight/index.js），未定义的记号不加样式
+  syntax: {
+    comment: 'color: #a0a1a7; font-style: italic;',
+    keyword: 'color: #a626a4;',
+    string: 'color: #50a14f;',
+    number: 'color: #986801;',
+    literal: 'color: #0184bc;',
+    function: 'color: #4078f2;',
+    type: 'color: #c18401;',
+    builtin: 'color: #0184bc;',
+    property: 'color: #e45649;',
+    variable: 'color: #e45649;',
+    annotation: 'color: #c18401;',
+    regex: 'color: #0184bc;',
+    operator: 'color: #0184bc;',
+    inserted: 'color: #22863a; background: #f0fff4;',
+    deleted: 'color: #b31d28; background: #ffeef0;',
+    meta: 'color: #6f42c1; font-weight: bold;'
+  },
+  // 代码块默认选项，可在代码块中标注覆盖（lineNumbers/noLineNumbers、mac/noMac）
+  code: {
+    lineNumbers: false,
+    macWindow: false
+  },
+  headingPrefixes: {
+    2: '🔹 ',
+    3: '▶ ',
+    4: '• '
+  },
+  // 嵌套列表按层级轮换的列表符号
+  bulletStyles: ['disc', 'circle', 'square'],
+  orderedStyles: ['decimal', 'lower-alpha', 'lower-roman'],
+  taskMarkers: {
+    checked: '☑',
+    unchecked: '☐'
+  },
+  // 主题样式表：内联到正文中（Markdown中的HTML和HTML格式的正文都可以通过class使用）
+  stylesheet: `
+img { max-width: 100%; height: auto; }
+
+/* 强调框 */
+.highlight { background: #fff3cd; border: 1px solid #ffeaa7; border-radius: 8px; padding: 16px; margin: 16px 0; }
+
+/* 小贴士 */
+.tip { background: #d1ecf1; border-left: 4px solid #bee5eb; padding: 16px; margin: 16px 0; border-radius: 0 8px 8px 0; }
+`
+};
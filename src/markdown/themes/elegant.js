@@ -0,0 +1,31 @@
+/**
+ * 典雅主题：暖色调、居中标题、衬线字体，适合人文、生活类内容
+ */
+
+const SERIF = '\'Songti SC\', \'Noto Serif SC\', Georgia, serif';
+
+export default {
+  name: 'elegant',
+  description: '典雅主题：暖色调、居中标题、衬线字体，适合人文和生活类内容',
+  styles: {
+    h1: `color: #5c3d2e; font-size: 26px; font-weight: bold; margin: 28px 0 18px 0; line-height: 1.4; text-align: center; font-family: ${SERIF};`,
+    h2: `color: #8b4513; font-size: 21px; font-weight: bold; margin: 28px 0 14px 0; line-height: 1.4; text-align: center; font-family: ${SERIF}; border-bottom: 1px solid #d4a373; padding-bottom: 6px;`,
+    h3: `color: #a0522d; font-size: 18px; font-weight: bold; margin: 20px 0 10px 0; line-height: 1.4; font-family: ${SERIF};`,
+    h4: `color: #a0522d; font-size: 16px; font-weight: bold; margin: 16px 0 8px 0; line-height: 1.4; font-family: ${SERIF};`,
+    p: 'margin: 18px 0; line-height: 2; text-align: justify; color: #4a4a4a; letter-spacing: 1px;',
+    strong: 'color: #b5651d; font-weight: bold;',
+    em: 'color: #8b5a2b; font-style: italic;',
+    blockquote: `border-left: none; padding: 16px 24px; margin: 20px 0; background: #fdf6ec; color: #7a5c3e; font-family: ${SERIF}; border-radius: 4px;`,
+    a: 'color: #b5651d; text-decoration: none; border-bottom: 1px solid #e9c46a;',
+    hr: 'border: none; border-top: 1px solid #e6ccb2; margin: 32px 20%;',
+    img: 'max-width: 100%; height: auto; display: block; margin: 20px auto; border-radius: 4px;',
+    thead: 'background: #fdf6ec;',
+    th: 'border: 1px solid #e6ccb2; padding: 10px 8px; text-align: left; font-weight: bold; color: #5c3d2e;',
+    td: 'border: 1px solid #e6ccb2; padding: 10px 8px; color: #4a4a4a;',
+    trOdd: 'background: #fffaf3;'
+  },
+  headingPrefixes: {
+    2: '❦ ',
+    3: '◆ '
+  }
+};
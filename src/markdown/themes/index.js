@@ -0,0 +1,299 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import logger from '../../utils/logger.js';
+import defaultTheme from './default.js';
+import minimalTheme from './minimal.js';
+import techTheme from './tech.js';
+import elegantTheme from './elegant.js';
+
+/**
+ * 文章主题
+ *
+ * 主题定义（JSON或导出默认对象的JS模块）：
+ * {
+ *   name: 'brand',                 // 主题名称，省略时使用文件名
+ *   description: '品牌主题',
+ *   extends: 'default',            // 继承的主题，默认为 default
+ *   styles: {                      // 元素样式，按元素合并到继承的主题上
+ *     h1: 'color: #c00; font-size: 26px;',
+ *     strong: { color: '#c00', fontWeight: 'bold' }  // 也可以写成对象
+ *   },
+ *   headingPrefixes: { 2: '■ ' },  // 标题前缀装饰，整体替换继承的定义
+ *   bulletStyles: ['disc'],        // 无序列表各层级的 list-style-type，整体替换
+ *   orderedStyles: ['decimal'],    // 有序列表各层级的 list-style-type，整体替换
+ *   taskMarkers: { checked: '✔', unchecked: '○' },
+ *   syntax: { keyword: 'color: #c00;' },   // 代码高亮各类记号的样式，按记号合并
+ *   code: { lineNumbers: true, macWindow: true },  // 代码块默认选项，按选项合并
+ *   stylesheet: '.note { color: #666; }',  // 样式表，追加在继承的样式表之后，发布时内联到元素的style属性
+ *   stylesheetFile: 'brand.css'    // 也可以引用主题目录中的CSS文件（仅自定义主题）
+ * }
+ *
+ * 可用的元素见 default.js；自定义主题放在 WECHAT_THEMES_DIR（默认 MCP_DATA_PATH/themes）目录下，
+ * 与内置主题同名时覆盖内置主题
+ */
+
+const BUILTIN_THEMES = [defaultTheme, minimalTheme, techTheme, elegantTheme];
+
+const THEME_NAME_PATTERN = /^[A-Za-z0-9_-]+$/;
+const THEME_FILE_PATTERN = /\.(?:json|js|mjs)$/i;
+
+/**
+ * 默认主题名称（WECHAT_THEME，未设置时为default）
+ */
+function getDefaultThemeName() {
+  return process.env.WECHAT_THEME || 'default';
+}
+
+/**
+ * 自定义主题目录
+ */
+function getThemesDir() {
+  return process.env.WECHAT_THEMES_DIR || path.join(process.env.MCP_DATA_PATH || './data', 'themes');
+}
+
+function isValidThemeName(name) {
+  return typeof name === 'string' && THEME_NAME_PATTERN.test(name);
+}
+
+/**
+ * 解析主题引用的文件路径，不在主题目录中（绝对路径、../ 跳出目录）时返回null
+ * @param {string} dir 主题目录
+ * @param {string} file 相对于主题目录的文件路径
+ * @returns {string|null} 文件的绝对路径
+ */
+function resolveThemeFile(dir, file) {
+  const filePath = path.resolve(dir, file);
+  const relative = path.relative(path.resolve(dir), filePath);
+  if (!relative || path.isAbsolute(relative) || relative.split(path.sep)[0] === '..') {
+    return null;
+  }
+  return filePath;
+}
+
+/**
+ * 校验主题定义
+ * @param {Object} theme 主题定义
+ * @param {string} [dir] 主题目录，stylesheetFile 必须是该目录中的文件
+ * @returns {Array<string>} 错误列表
+ */
+function validateTheme(theme, dir = getThemesDir()) {
+  const errors = [];
+  const isPlainObject = value => value && typeof value === 'object' && !Array.isArray(value);
+  const isStringArray = value => Array.isArray(value) && value.length > 0 && value.every(item => typeof item === 'string');
+
+  if (!isPlainObject(theme)) {
+    return ['主题定义必须是对象'];
+  }
+  if (theme.name !== undefined && !isValidThemeName(theme.name)) {
+    errors.push('name只能包含字母、数字、下划线和连字符');
+  }
+  if (theme.extends !== undefined && !isValidThemeName(theme.extends)) {
+    errors.push('extends必须是主题名称');
+  }
+  if (theme.styles !== undefined) {
+    if (!isPlainObject(theme.styles)) {
+      errors.push('styles必须是对象');
+    } else {
+      Object.entries(theme.styles).forEach(([element, style]) => {
+        if (typeof style !== 'string' && !isPlainObject(style)) {
+          errors.push(`styles.${element}必须是CSS声明字符串或对象`);
+        }
+      });
+    }
+  }
+  if (theme.headingPrefixes !== undefined && !isPlainObject(theme.headingPrefixes)) {
+    errors.push('headingPrefixes必须是对象');
+  }
+  ['bulletStyles', 'orderedStyles'].forEach(field => {
+    if (theme[field] !== undefined && !isStringArray(theme[field])) {
+      errors.push(`${field}必须是非空字符串数组`);
+    }
+  });
+  if (theme.taskMarkers !== undefined && !isPlainObject(theme.taskMarkers)) {
+    errors.push('taskMarkers必须是对象');
+  }
+  if (theme.syntax !== undefined) {
+    if (!isPlainObject(theme.syntax)) {
+      errors.push('syntax必须是对象');
+    } else {
+      Object.entries(theme.syntax).forEach(([tokenType, style]) => {
+        if (typeof style !== 'string' && !isPlainObject(style)) {
+          errors.push(`syntax.${tokenType}必须是CSS声明字符串或对象`);
+        }
+      });
+    }
+  }
+  if (theme.code !== undefined) {
+    if (!isPlainObject(theme.code)) {
+      errors.push('code必须是对象');
+    } else {
+      ['lineNumbers', 'macWindow'].forEach(option => {
+        if (theme.code[option] !== undefined && typeof theme.code[option] !== 'boolean') {
+          errors.push(`code.${option}必须是布尔值`);
+        }
+      });
+    }
+  }
+  ['stylesheet', 'stylesheetFile'].forEach(field => {
+    if (theme[field] !== undefined && typeof theme[field] !== 'string') {
+      errors.push(`${field}必须是字符串`);
+    }
+  });
+  if (typeof theme.stylesheetFile === 'string' && !resolveThemeFile(dir, theme.stylesheetFile)) {
+    errors.push('stylesheetFile必须是主题目录中的文件');
+  }
+
+  return errors;
+}
+
+/**
+ * 将对象形式的样式（{ fontSize: '16px' }）转换为CSS声明字符串
+ */
+function normalizeStyle(style) {
+  if (typeof style === 'string') {
+    return style;
+  }
+  return Object.entries(style)
+    .map(([property, value]) => `${property.replace(/[A-Z]/g, c => `-${c.toLowerCase()}`)}: ${value};`)
+    .join(' ');
+}
+
+/**
+ * 转换样式表中的每一项（styles、syntax）
+ */
+function normalizeStyles(styles = {}) {
+  return Object.fromEntries(Object.entries(styles).map(([name, style]) => [name, normalizeStyle(style)]));
+}
+
+/**
+ * 读取目录中的自定义主题，无法解析或定义不合法的文件记录警告后跳过
+ * @param {string} [dir] 主题目录
+ * @returns {Promise<Map<string, Object>>} 主题名称 → 主题定义
+ */
+async function loadCustomThemes(dir = getThemesDir()) {
+  const themes = new Map();
+
+  let files;
+  try {
+    files = await fs.readdir(dir);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.warn('读取自定义主题目录失败', { dir, error: error.message });
+    }
+    return themes;
+  }
+
+  for (const file of files.filter(name => THEME_FILE_PATTERN.test(name)).sort()) {
+    const filePath = path.resolve(dir, file);
+    try {
+      let theme;
+      if (file.toLowerCase().endsWith('.json')) {
+        theme = JSON.parse(await fs.readFile(filePath, 'utf8'));
+      } else {
+        // 带上修改时间，主题文件修改后无需重启即可生效
+        const { mtimeMs } = await fs.stat(filePath);
+        theme = (await import(`${pathToFileURL(filePath).href}?mtime=${mtimeMs}`)).default;
+      }
+
+      const errors = validateTheme(theme, dir);
+      if (errors.length > 0) {
+        throw new Error(errors.join(', '));
+      }
+
+      const name = theme.name || path.basename(file, path.extname(file));
+      if (!isValidThemeName(name)) {
+        throw new Error('文件名不是合法的主题名称');
+      }
+
+      let { stylesheet = '' } = theme;
+      if (theme.stylesheetFile) {
+        stylesheet += `\n${await fs.readFile(resolveThemeFile(dir, theme.stylesheetFile), 'utf8')}`;
+      }
+      themes.set(name, { ...theme, name, stylesheet, source: filePath });
+    } catch (error) {
+      logger.warn(`自定义主题加载失败，已跳过: ${file}`, { error: error.message });
+    }
+  }
+
+  return themes;
+}
+
+/**
+ * 全部可用主题定义（自定义主题覆盖同名内置主题）
+ * @returns {Promise<Map<string, Object>>} 主题名称 → 主题定义
+ */
+async function getThemeDefinitions() {
+  const themes = new Map(BUILTIN_THEMES.map(theme => [theme.name, { ...theme, source: 'builtin' }]));
+  for (const [name, theme] of await loadCustomThemes()) {
+    themes.set(name, theme);
+  }
+  return themes;
+}
+
+/**
+ * 按继承关系合并主题定义
+ */
+function resolveTheme(name, definitions, chain = []) {
+  if (chain.includes(name)) {
+    throw new Error(`主题继承存在循环: ${[...chain, name].join(' → ')}`);
+  }
+
+  const theme = definitions.get(name);
+  if (!theme) {
+    throw new Error(`主题 ${chain[chain.length - 1]} 继承的主题不存在: ${name}`);
+  }
+
+  const parentName = theme.extends || (name === 'default' ? null : 'default');
+  const parent = parentName ? resolveTheme(parentName, definitions, [...chain, name]) : {};
+
+  return {
+    name,
+    description: theme.description || '',
+    styles: { ...parent.styles, ...normalizeStyles(theme.styles) },
+    headingPrefixes: theme.headingPrefixes || parent.headingPrefixes,
+    bulletStyles: theme.bulletStyles || parent.bulletStyles,
+    orderedStyles: theme.orderedStyles || parent.orderedStyles,
+    taskMarkers: { ...parent.taskMarkers, ...theme.taskMarkers },
+    syntax: { ...parent.syntax, ...normalizeStyles(theme.syntax) },
+    code: { ...parent.code, ...theme.code },
+    stylesheet: [parent.stylesheet, theme.stylesheet].filter(Boolean).join('\n')
+  };
+}
+
+/**
+ * 加载主题（合并继承的主题后可直接传给 WeChatRenderer）
+ * @param {string} [name] 主题名称，默认为 WECHAT_THEME 或 default
+ * @returns {Promise<Object>} 主题
+ */
+async function loadTheme(name = getDefaultThemeName()) {
+  if (!isValidThemeName(name)) {
+    throw new Error(`主题名称不合法: ${name}`);
+  }
+
+  const definitions = await getThemeDefinitions();
+  if (!definitions.has(name)) {
+    throw new Error(`未知主题: ${name}（可用主题: ${[...definitions.keys()].join(', ')}）`);
+  }
+  return resolveTheme(name, definitions);
+}
+
+/**
+ * 列出可用主题
+ * @returns {Promise<Array<Object>>} [{ name, description, source }]，source为builtin或自定义主题文件路径
+ */
+async function listThemes() {
+  const definitions = await getThemeDefinitions();
+  return [...definitions.values()].map(({ name, description = '', source }) => ({ name, description, source }));
+}
+
+export {
+  BUILTIN_THEMES,
+  getDefaultThemeName,
+  getThemesDir,
+  isValidThemeName,
+  validateTheme,
+  loadCustomThemes,
+  loadTheme,
+  listThemes
+};
@@ -0,0 +1,32 @@
+/**
+ * 简约主题：黑白灰配色，不使用标题前缀装饰
+ */
+
+export default {
+  name: 'minimal',
+  description: '简约主题：黑白灰配色、无装饰，适合长文阅读',
+  styles: {
+    h1: 'color: #111; font-size: 26px; font-weight: bold; margin: 28px 0 16px 0; line-height: 1.4;',
+    h2: 'color: #111; font-size: 22px; font-weight: bold; margin: 24px 0 12px 0; line-height: 1.4;',
+    h3: 'color: #222; font-size: 19px; font-weight: bold; margin: 20px 0 10px 0; line-height: 1.4;',
+    h4: 'color: #333; font-size: 17px; font-weight: bold; margin: 16px 0 8px 0; line-height: 1.4;',
+    h5: 'color: #333; font-size: 16px; font-weight: bold; margin: 16px 0 8px 0; line-height: 1.4;',
+    h6: 'color: #666; font-size: 16px; font-weight: bold; margin: 16px 0 8px 0; line-height: 1.4;',
+    p: 'margin: 16px 0; line-height: 1.9; text-align: justify; color: #333; letter-spacing: 0.5px;',
+    strong: 'color: #111; font-weight: bold;',
+    em: 'color: #333; font-style: italic;',
+    del: 'color: #999; text-decoration: line-through;',
+    code: 'background: #f5f5f5; color: #333; padding: 2px 4px; border-radius: 3px; font-family: Menlo, Consolas, monospace; font-size: 0.9em;',
+    pre: 'background: #f7f7f7; padding: 16px; border-radius: 4px; overflow-x: auto; font-family: Menlo, Consolas, monospace; font-size: 13px; line-height: 1.5; margin: 16px 0; white-space: pre;',
+    blockquote: 'border-left: 3px solid #ccc; padding: 4px 16px; margin: 16px 0; color: #666;',
+    img: 'max-width: 100%; height: auto; display: block; margin: 16px auto;',
+    a: 'color: #333; text-decoration: underline;',
+    hr: 'border: none; border-top: 1px solid #e5e5e5; margin: 28px 0;',
+    table: 'width: 100%; border-collapse: collapse; margin: 16px 0; font-size: 14px;',
+    thead: 'background: #fafafa;',
+    th: 'border-bottom: 2px solid #ddd; padding: 10px 8px; text-align: left; font-weight: bold; color: #333;',
+    td: 'border-bottom: 1px solid #eee; padding: 10px 8px; color: #333;',
+    trOdd: 'background: #ffffff;'
+  },
+  headingPrefixes: {}
+};
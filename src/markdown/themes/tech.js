@@ -0,0 +1,62 @@
+/**
+ * 科技主题：青绿色强调、深色代码块，适合技术文章
+ */
+
+const MONOSPACE = '\'Fira Code\', \'JetBrains Mono\', \'Consolas\', monospace';
+
+export default {
+  name: 'tech',
+  description: '科技主题：青绿色强调、深色代码块，适合技术文章',
+  styles: {
+    h1: 'color: #0f172a; font-size: 26px; font-weight: bold; margin: 24px 0 16px 0; line-height: 1.3; text-align: center;',
+    h2: 'color: #ffffff; background: #0d9488; font-size: 20px; font-weight: bold; margin: 28px 0 14px 0; padding: 6px 14px; border-radius: 4px; display: inline-block; line-height: 1.4;',
+    h3: 'color: #0f766e; font-size: 18px; font-weight: bold; margin: 20px 0 10px 0; padding-left: 10px; border-left: 4px solid #14b8a6; line-height: 1.4;',
+    h4: 'color: #115e59; font-size: 16px; font-weight: bold; margin: 16px 0 8px 0; line-height: 1.4;',
+    p: 'margin: 14px 0; line-height: 1.8; text-align: justify; color: #334155; font-size: 15px;',
+    strong: 'color: #0d9488; font-weight: bold;',
+    em: 'color: #475569; font-style: italic;',
+    code: `background: #f0fdfa; color: #0f766e; padding: 2px 6px; border-radius: 4px; font-family: ${MONOSPACE}; font-size: 0.9em;`,
+    pre: `background: #1e293b; padding: 16px; border-radius: 8px; overflow-x: auto; font-family: ${MONOSPACE}; font-size: 13px; line-height: 1.6; margin: 16px 0; white-space: pre;`,
+    preCode: 'color: #e2e8f0; background: none; padding: 0;',
+    blockquote: 'border-left: 4px solid #14b8a6; padding: 12px 16px; margin: 16px 0; background: #f0fdfa; color: #475569; border-radius: 0 6px 6px 0;',
+    a: 'color: #0d9488; text-decoration: none; border-bottom: 1px solid #5eead4;',
+    hr: 'border: none; border-top: 1px dashed #94a3b8; margin: 28px 0;',
+    thead: 'background: #0d9488;',
+    th: 'border: 1px solid #99f6e4; padding: 10px 8px; text-align: left; font-weight: bold; color: #ffffff;',
+    td: 'border: 1px solid #ccfbf1; padding: 10px 8px; color: #334155;',
+    trOdd: 'background: #f0fdfa;',
+    codeLineHighlight: 'display: block; background: rgba(255, 255, 255, 0.08); margin: 0 -16px; padding: 0 16px;',
+    codeLineNumber: 'display: inline-block; text-align: right; margin-right: 16px; color: #64748b; user-select: none;',
+    codeTitle: 'margin-left: 12px; color: #94a3b8; font-family: sans-serif;',
+    footnoteRef: 'color: #0d9488; font-size: 0.75em; margin-left: 2px;',
+    tag: 'display: inline-block; margin-right: 8px; padding: 0 8px; border-radius: 4px; background: #f0fdfa; color: #0d9488; font-size: 13px; line-height: 1.8;'
+  },
+  syntax: {
+    comment: 'color: #7f848e; font-style: italic;',
+    keyword: 'color: #c678dd;',
+    string: 'color: #98c379;',
+    number: 'color: #d19a66;',
+    literal: 'color: #d19a66;',
+    function: 'color: #61afef;',
+    type: 'color: #e5c07b;',
+    builtin: 'color: #56b6c2;',
+    property: 'color: #e06c75;',
+    variable: 'color: #e06c75;',
+    annotation: 'color: #e5c07b;',
+    regex: 'color: #56b6c2;',
+    operator: 'color: #56b6c2;',
+    inserted: 'color: #98c379; background: rgba(152, 195, 121, 0.12);',
+    deleted: 'color: #e06c75; background: rgba(224, 108, 117, 0.12);',
+    meta: 'color: #61afef; font-weight: bold;'
+  },
+  code: {
+    macWindow: true
+  },
+  headingPrefixes: {
+    4: '# '
+  },
+  taskMarkers: {
+    checked: '✅',
+    unchecked: '⬜'
+  }
+};
@@ -0,0 +1,45 @@
+import { parseTex, MathParseError } from './parser.js';
+import { layoutMath } from './layout.js';
+import { renderSVG } from './svg.js';
+
+/**
+ * 数学公式渲染（离线，不依赖第三方库）
+ *
+ * TeX公式 → 节点（parser.js）→ 盒子（layout.js）→ SVG（svg.js）
+ * 发布时SVG由 preprocessImage 用canvas栅格化为PNG后上传（微信正文不支持SVG图片）
+ */
+
+// 每em的像素数：正文字号约16px，按3倍绘制，在高分辨率屏幕上保持清晰
+const DEFAULT_PIXELS_PER_EM = 48;
+const PADDING = 0.05;
+
+/**
+ * 渲染公式为SVG
+ * @param {string} tex 公式（不含 $ 定界符）
+ * @param {Object} [options] 渲染选项
+ * @param {boolean} [options.display=false] 是否为行间公式（大运算符放大、分数使用行间样式）
+ * @param {string} [options.color='#000000'] 文字颜色
+ * @param {number} [options.pixelsPerEm=48] SVG像素尺寸中每em的像素数
+ * @returns {Object} { svg, width, height, depth }，width 为宽度，height、depth 为基线以上、以下的高度（单位em）
+ * @throws {MathParseError} 公式有语法错误或使用了不支持的命令
+ */
+function renderMath(tex, { display = false, color = '#000000', pixelsPerEm = DEFAULT_PIXELS_PER_EM } = {}) {
+  const box = layoutMath(parseTex(tex), { display, color });
+  return renderSVG(box, { color, pixelsPerEm, padding: PADDING });
+}
+
+/**
+ * SVG转为data URI
+ * @param {string} svg SVG
+ * @returns {string} data:image/svg+xml;base64,...
+ */
+function toDataURI(svg) {
+  return `data:image/svg+xml;base64,${Buffer.from(svg, 'utf8').toString('base64')}`;
+}
+
+export {
+  MathParseError,
+  parseTex,
+  renderMath,
+  toDataURI
+};
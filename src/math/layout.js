@@ -0,0 +1,741 @@
+import { AXIS_HEIGHT, RULE_THICKNESS, X_HEIGHT, getCharMetrics } from './metrics.js';
+
+/**
+ * 公式排版：将解析结果（见 parser.js）排版为盒子
+ *
+ * 盒子：{ width, height, depth, children: [{ x, y, item }] }
+ * 坐标单位为em（正文字号），原点在盒子左端的基线上，y 向下为正；item 为盒子或绘制元素：
+ *   glyph  { text, size, italic, bold, family, width, color }  文字，在 width 范围内居中绘制，y 为基线
+ *   rule   { width, height, color }                            矩形，(x, y) 为左上角
+ *   path   { commands, stroke, color }                         路径；stroke 为线宽，省略时填充
+ *   circle { r, color }                                        圆点，(x, y) 为圆心
+ *
+ * 排版规则参照TeX（The TeXbook 附录G），字符度量为估算值（见 metrics.js）
+ */
+
+// 样式：D 行间、T 行内、S 上下标、SS 二级上下标
+const SIZES = { D: 1, T: 1, S: 0.7, SS: 0.5 };
+const SCRIPT_STYLES = { D: 'S', T: 'S', S: 'SS', SS: 'SS' };
+const FRACTION_STYLES = { D: 'T', T: 'S', S: 'SS', SS: 'SS' };
+
+// 原子之间的间距（mu，1mu = 1/18em），SPACING 用于 D、T 样式，SCRIPT_SPACING 用于上下标中
+const SPACING = {
+  ord: { op: 3, bin: 4, rel: 5, inner: 3 },
+  op: { ord: 3, op: 3, rel: 5, inner: 3 },
+  bin: { ord: 4, op: 4, open: 4, inner: 4 },
+  rel: { ord: 5, op: 5, open: 5, inner: 5 },
+  close: { op: 3, bin: 4, rel: 5, inner: 3 },
+  punct: { ord: 3, op: 3, rel: 3, open: 3, close: 3, punct: 3, inner: 3 },
+  inner: { ord: 3, op: 3, bin: 4, rel: 5, open: 3, punct: 3, inner: 3 }
+};
+const SCRIPT_SPACING = { ord: { op: 3 }, op: { ord: 3, op: 3 }, close: { op: 3 }, inner: { op: 3 } };
+
+// 二元运算符前后是这些类型时按普通符号处理（如 -x、(+1)）
+const BIN_LEFT_BREAKERS = new Set([null, 'bin', 'op', 'rel', 'open', 'punct']);
+const BIN_RIGHT_BREAKERS = new Set(['rel', 'close', 'punct']);
+
+const SCRIPT_SPACE = 0.05;
+const NULL_DELIMITER_SPACE = 0.12;
+const DELIMITER_FACTOR = 0.901;
+const DELIMITER_SHORTFALL = 0.5;
+const STROKE = 0.05;
+
+// 数学字母数字符号（\mathbb、\mathcal、\mathfrak），[大写起点, 小写起点, 数字起点] 和字母表中预留位置的例外
+const ALPHABETS = {
+  doubleStruck: {
+    upper: 0x1d538, lower: 0x1d552, digit: 0x1d7d8,
+    exceptions: { C: 'ℂ', H: 'ℍ', N: 'ℕ', P: 'ℙ', Q: 'ℚ', R: 'ℝ', Z: 'ℤ' }
+  },
+  script: {
+    upper: 0x1d49c, lower: 0x1d4b6, digit: null,
+    exceptions: { B: 'ℬ', E: 'ℰ', F: 'ℱ', H: 'ℋ', I: 'ℐ', L: 'ℒ', M: 'ℳ', R: 'ℛ', e: 'ℯ', g: 'ℊ', o: 'ℴ' }
+  },
+  fraktur: {
+    upper: 0x1d504, lower: 0x1d51e, digit: null,
+    exceptions: { C: 'ℭ', H: 'ℌ', I: 'ℑ', R: 'ℜ', Z: 'ℨ' }
+  }
+};
+
+// ---- 盒子 ----
+
+function makeBox(width, height, depth, children = []) {
+  return { width, height, depth, children };
+}
+
+/**
+ * 水平排列
+ * @param {Array<Object|number>} parts 盒子、{ box, shift }（shift 为向下的偏移）或数字（水平间距）
+ */
+function hpack(parts) {
+  const children = [];
+  let x = 0;
+  let height = 0;
+  let depth = 0;
+  parts.forEach(part => {
+    if (typeof part === 'number') {
+      x += part;
+      return;
+    }
+    const { box, shift = 0 } = part.box ? part : { box: part };
+    children.push({ x, y: shift, item: box });
+    height = Math.max(height, box.height - shift);
+    depth = Math.max(depth, box.depth + shift);
+    x += box.width;
+  });
+  return makeBox(Math.max(x, 0), height, depth, children);
+}
+
+function glyphBox(text, options, { italic = false, bold = false, family = 'serif', scale = 1 } = {}) {
+  const size = SIZES[options.style] * scale;
+  let width = 0;
+  let height = 0;
+  let depth = 0;
+  for (const char of text) {
+    // 组合字符（如 \not 的斜线）不占宽度
+    if (/[̀-ͯ]/.test(char)) {
+      continue;
+    }
+    const metrics = getCharMetrics(char);
+    width += metrics.width;
+    height = Math.max(height, metrics.height);
+    depth = Math.max(depth, metrics.depth);
+  }
+  width *= size;
+  if (bold) {
+    width *= 1.05;
+  }
+  const glyph = { kind: 'glyph', text, size, italic, bold, family, width, color: options.color };
+  return makeBox(width, height * size, depth * size, [{ x: 0, y: 0, item: glyph }]);
+}
+
+// ---- 字体 ----
+
+function mapAlphabet(char, alphabet) {
+  if (alphabet.exceptions[char]) {
+    return alphabet.exceptions[char];
+  }
+  const code = char.charCodeAt(0);
+  if (char >= 'A' && char <= 'Z') {
+    return String.fromCodePoint(alphabet.upper + code - 65);
+  }
+  if (char >= 'a' && char <= 'z') {
+    return String.fromCodePoint(alphabet.lower + code - 97);
+  }
+  if (char >= '0' && char <= '9' && alphabet.digit) {
+    return String.fromCodePoint(alphabet.digit + code - 48);
+  }
+  return char;
+}
+
+/**
+ * 按字体命令确定字符的绘制方式
+ * @param {string} char 字符
+ * @param {string} defaultFont 字符默认的字体（italic、roman）
+ * @param {string|null} font 字体命令指定的字体（见 symbols.js 中的 FONTS）
+ */
+function styleCharacter(char, defaultFont, font) {
+  const italic = defaultFont === 'italic';
+  if (!font || !/^[A-Za-z0-9Α-Ωα-ω]$/.test(char)) {
+    return { text: char, italic, bold: false, family: 'serif' };
+  }
+  switch (font) {
+  case 'roman':
+    return { text: char, italic: false, bold: false, family: 'serif' };
+  case 'italic':
+    return { text: char, italic: true, bold: false, family: 'serif' };
+  case 'bold':
+    return { text: char, italic: false, bold: true, family: 'serif' };
+  case 'boldItalic':
+    return { text: char, italic, bold: true, family: 'serif' };
+  case 'sansSerif':
+  case 'monospace':
+    return { text: char, italic: false, bold: false, family: font };
+  default:
+    return { text: ALPHABETS[font] ? mapAlphabet(char, ALPHABETS[font]) : char, italic: false, bold: false, family: 'serif' };
+  }
+}
+
+/**
+ * 文字（\text、函数名），按空格拆分为多段
+ */
+function textBox(text, options, font = 'roman') {
+  const parts = [];
+  text.replace(/\\([{}$%&#_ ])/g, '$1').split(/(\s+)/).forEach(part => {
+    if (/^\s+$/.test(part)) {
+      parts.push(0.25 * SIZES[options.style]);
+    } else if (part) {
+      const { italic, bold, family } = styleCharacter('a', 'roman', font);
+      parts.push(glyphBox(part, options, { italic, bold, family }));
+    }
+  });
+  return hpack(parts);
+}
+
+// ---- 路径 ----
+
+/**
+ * 水平镜像路径（左括号 → 右括号）
+ */
+function mirrorPath(commands, width) {
+  return commands.map(([command, ...coords]) => [command, ...coords.map((value, i) => (i % 2 === 0 ? width - value : value))]);
+}
+
+function pathItem(commands, options, stroke) {
+  return { kind: 'path', commands, stroke, color: options.color };
+}
+
+// 伸缩括号的宽度（em，不随高度变化的部分）
+const DELIMITER_WIDTHS = {
+  '(': 0.42, ')': 0.42, '[': 0.36, ']': 0.36, '{': 0.5, '}': 0.5, '|': 0.28, '‖': 0.44,
+  '⟨': 0.42, '⟩': 0.42, '⌊': 0.44, '⌋': 0.44, '⌈': 0.44, '⌉': 0.44, '/': 0.5, '\\': 0.5
+};
+const MIRRORED = { ')': '(', ']': '[', '}': '{', '⟩': '⟨', '⌋': '⌊', '⌉': '⌈' };
+
+/**
+ * 绘制指定高度的括号路径
+ * @returns {Object} { commands, fill }（commands 的坐标以括号顶端左侧为原点）
+ */
+function delimiterPath(char, width, total, stroke) {
+  const left = MIRRORED[char] || char;
+  const padding = 2 * stroke;
+  const x0 = padding + stroke;
+  const x1 = width - padding;
+  const mid = total / 2;
+  const xm = width / 2;
+  let commands;
+  let fill = false;
+
+  switch (left) {
+  case '(': {
+    const thickness = 2 * stroke;
+    commands = [
+      ['M', x1, 0], ['C', x0, total * 0.3, x0, total * 0.7, x1, total],
+      ['C', x0 + thickness, total * 0.7, x0 + thickness, total * 0.3, x1, 0], ['Z']
+    ];
+    fill = true;
+    break;
+  }
+  case '[':
+    commands = [['M', x1, 0], ['L', x0, 0], ['L', x0, total], ['L', x1, total]];
+    break;
+  case '{': {
+    const curl = Math.min(0.15, total / 6);
+    commands = [
+      ['M', x1, 0], ['C', xm, 0, xm, 0, xm, curl], ['L', xm, mid - curl], ['C', xm, mid, xm, mid, x0, mid],
+      ['C', xm, mid, xm, mid, xm, mid + curl], ['L', xm, total - curl], ['C', xm, total, xm, total, x1, total]
+    ];
+    break;
+  }
+  case '|':
+    commands = [['M', xm, 0], ['L', xm, total]];
+    break;
+  case '‖':
+    commands = [['M', xm - 0.08, 0], ['L', xm - 0.08, total], ['M', xm + 0.08, 0], ['L', xm + 0.08, total]];
+    break;
+  case '⟨':
+    commands = [['M', x1, 0], ['L', x0, mid], ['L', x1, total]];
+    break;
+  case '⌊':
+    commands = [['M', x0, 0], ['L', x0, total], ['L', x1, total]];
+    break;
+  case '⌈':
+    commands = [['M', x1, 0], ['L', x0, 0], ['L', x0, total]];
+    break;
+  case '/':
+    commands = [['M', x1, 0], ['L', x0, total]];
+    break;
+  default:
+    commands = [['M', x0, 0], ['L', x1, total]];
+  }
+
+  return { commands: left !== char ? mirrorPath(commands, width) : commands, fill };
+}
+
+/**
+ * 括号：高度不超过普通字符时使用字符，否则绘制伸缩的路径；以数学轴为中心
+ * @param {string} char 括号字符，空字符串表示不显示（\left.）
+ * @param {number} total 需要覆盖的总高度（em）
+ */
+function makeDelimiter(char, total, options) {
+  const size = SIZES[options.style];
+  if (!char) {
+    return makeBox(NULL_DELIMITER_SPACE * size, 0, 0);
+  }
+  if (total <= 1.05 * size || !DELIMITER_WIDTHS[char]) {
+    return glyphBox(char, options);
+  }
+
+  const width = (DELIMITER_WIDTHS[char] + Math.min(0.2, 0.03 * total)) * size;
+  const stroke = STROKE * size;
+  const { commands, fill } = delimiterPath(char, width, total, stroke);
+  const top = -(AXIS_HEIGHT * size + total / 2);
+  const item = pathItem(commands, options, fill ? undefined : stroke);
+  return makeBox(width, -top, total + top, [{ x: 0, y: top, item }]);
+}
+
+/**
+ * 覆盖盒子所需的括号高度（TeX的 \delimiterfactor 和 \delimitershortfall）
+ */
+function delimiterSize(box, options) {
+  const size = SIZES[options.style];
+  const axis = AXIS_HEIGHT * size;
+  const extent = 2 * Math.max(box.height - axis, box.depth + axis);
+  return Math.max(extent * DELIMITER_FACTOR, extent - DELIMITER_SHORTFALL * size);
+}
+
+function wrapDelimiters(box, left, right, options) {
+  const total = delimiterSize(box, options);
+  return hpack([makeDelimiter(left, total, options), box, makeDelimiter(right, total, options)]);
+}
+
+// ---- 节点 ----
+
+function layoutSymbol(node, options) {
+  const { text, italic, bold, family } = styleCharacter(node.char, node.font, options.font);
+  return glyphBox(text, options, { italic, bold, family });
+}
+
+function layoutOperator(node, options) {
+  const size = SIZES[options.style];
+  if (node.body) {
+    return layoutList(node.body, options);
+  }
+  if (node.name) {
+    return textBox(node.name, options);
+  }
+
+  // 大运算符在行间公式中放大，并以数学轴为中心
+  const display = options.style === 'D';
+  const scale = node.integral ? (display ? 2 : 1.3) : (display ? 1.45 : 1);
+  const box = glyphBox(node.char, options, { scale });
+  const ink = (node.integral ? 1.1 : 0.8) * scale * size;
+  const center = (node.integral ? 0.35 : 0.3) * scale * size;
+  const axis = AXIS_HEIGHT * size;
+  const width = box.width * (node.integral ? 0.8 : 1);
+  box.children[0].item.width = width;
+  return makeBox(width, axis + ink / 2, ink / 2 - axis, [{ x: 0, y: center - axis, item: box.children[0].item }]);
+}
+
+/**
+ * 上下标写在上下方（大运算符的 limits、\overset 等）
+ */
+function layoutLimits(base, sup, sub, options, { upperGap, upperClearance, lowerGap, lowerClearance }) {
+  const size = SIZES[options.style];
+  const width = Math.max(base.width, sup ? sup.width : 0, sub ? sub.width : 0);
+  const children = [{ x: (width - base.width) / 2, y: 0, item: base }];
+  let height = base.height;
+  let depth = base.depth;
+
+  if (sup) {
+    const shift = base.height + Math.max(upperGap * size, upperClearance * size - sup.depth) + sup.depth;
+    children.push({ x: (width - sup.width) / 2, y: -shift, item: sup });
+    height = shift + sup.height + 0.05 * size;
+  }
+  if (sub) {
+    const shift = base.depth + Math.max(lowerGap * size, lowerClearance * size - sub.height) + sub.height;
+    children.push({ x: (width - sub.width) / 2, y: shift, item: sub });
+    depth = shift + sub.depth + 0.05 * size;
+  }
+  return makeBox(width, height, depth, children);
+}
+
+function layoutSupSub(node, options) {
+  const { base } = node;
+  const size = SIZES[options.style];
+  const scriptOptions = { ...options, style: SCRIPT_STYLES[options.style] };
+  const scriptSize = SIZES[scriptOptions.style];
+  const { box: baseBox, cls } = layoutNode(base, options);
+  const sup = node.sup ? layoutList([node.sup], scriptOptions) : null;
+  const sub = node.sub ? layoutList([node.sub], scriptOptions) : null;
+
+  const limits = node.limits !== undefined ? node.limits : base.limits;
+  if (base.type === 'op' && limits && (options.style === 'D' || node.limits === true)) {
+    const gaps = { upperGap: 0.111, upperClearance: 0.2, lowerGap: 0.167, lowerClearance: 0.6 };
+    return { box: layoutLimits(baseBox, sup, sub, options, gaps), cls };
+  }
+
+  // 单个字符的上下标位置只由字体参数决定，其他底数（分组、分数等）的上下标跟随底数的高度和深度
+  const isCharacter = base.type === 'symbol';
+  const italicCorrection = base.type === 'symbol' && base.font === 'italic' && !options.font ? 0.05 * size : 0;
+  const integralKern = base.type === 'op' && base.integral ? 0.12 * size * (options.style === 'D' ? 2 : 1.3) : 0;
+  let supShift = isCharacter ? 0 : baseBox.height - 0.386 * scriptSize;
+  let subShift = isCharacter ? 0 : baseBox.depth + 0.05 * scriptSize;
+
+  if (sup) {
+    supShift = Math.max(supShift, (options.style === 'D' ? 0.413 : 0.363) * size, sup.depth + X_HEIGHT * size / 4);
+  }
+  if (sub && !sup) {
+    subShift = Math.max(subShift, 0.15 * size, sub.height - 0.8 * X_HEIGHT * size);
+  }
+  if (sub && sup) {
+    subShift = Math.max(subShift, 0.247 * size);
+    const gap = (supShift - sup.depth) - (sub.height - subShift);
+    if (gap < 4 * RULE_THICKNESS * size) {
+      subShift += 4 * RULE_THICKNESS * size - gap;
+      const lift = 0.8 * X_HEIGHT * size - (supShift - sup.depth);
+      if (lift > 0) {
+        supShift += lift;
+        subShift -= lift;
+      }
+    }
+  }
+
+  const children = [{ x: 0, y: 0, item: baseBox }];
+  let width = baseBox.width;
+  let height = baseBox.height;
+  let depth = baseBox.depth;
+  if (sup) {
+    const x = baseBox.width + italicCorrection + integralKern;
+    children.push({ x, y: -supShift, item: sup });
+    width = Math.max(width, x + sup.width);
+    height = Math.max(height, supShift + sup.height);
+  }
+  if (sub) {
+    const x = baseBox.width - integralKern / 2;
+    children.push({ x, y: subShift, item: sub });
+    width = Math.max(width, x + sub.width);
+    depth = Math.max(depth, subShift + sub.depth);
+  }
+  return { box: makeBox(width + SCRIPT_SPACE * size, height, depth, children), cls };
+}
+
+function layoutFraction(node, options) {
+  const style = node.style || options.style;
+  const fractionOptions = { ...options, style };
+  const size = SIZES[style];
+  const display = style === 'D';
+  const partOptions = { ...options, style: FRACTION_STYLES[style] };
+  const numer = layoutList(node.numer, partOptions);
+  const denom = layoutList(node.denom, partOptions);
+  const rule = RULE_THICKNESS * size;
+  const axis = AXIS_HEIGHT * size;
+
+  let numShift;
+  let denomShift;
+  if (node.rule) {
+    const clearance = (display ? 3 : 1) * rule;
+    numShift = Math.max((display ? 0.677 : 0.394) * size, clearance + numer.depth + axis + rule / 2);
+    denomShift = Math.max((display ? 0.686 : 0.345) * size, clearance + denom.height - axis + rule / 2);
+  } else {
+    const clearance = (display ? 7 : 3) * rule;
+    numShift = (display ? 0.677 : 0.444) * size;
+    denomShift = (display ? 0.686 : 0.345) * size;
+    const gap = (numShift - numer.depth) - (denom.height - denomShift);
+    if (gap < clearance) {
+      numShift += (clearance - gap) / 2;
+      denomShift += (clearance - gap) / 2;
+    }
+  }
+
+  const inner = Math.max(numer.width, denom.width);
+  const padding = node.delims ? 0 : NULL_DELIMITER_SPACE * size;
+  const children = [
+    { x: padding + (inner - numer.width) / 2, y: -numShift, item: numer },
+    { x: padding + (inner - denom.width) / 2, y: denomShift, item: denom }
+  ];
+  if (node.rule) {
+    children.push({ x: padding, y: -(axis + rule / 2), item: { kind: 'rule', width: inner, height: rule, color: options.color } });
+  }
+  const box = makeBox(inner + 2 * padding, numShift + numer.height, denomShift + denom.depth, children);
+  return node.delims ? wrapDelimiters(box, node.delims[0], node.delims[1], fractionOptions) : box;
+}
+
+function layoutSqrt(node, options) {
+  const size = SIZES[options.style];
+  const body = layoutList(node.body, options);
+  const rule = RULE_THICKNESS * size;
+  const stroke = STROKE * size;
+  const gap = rule + (options.style === 'D' ? X_HEIGHT / 4 : rule / 4) * size;
+
+  // 根号至少与小写字母一样高
+  const bodyHeight = Math.max(body.height, X_HEIGHT * size);
+  const bodyDepth = Math.max(body.depth, 0.1 * size);
+  const top = -(bodyHeight + gap + rule / 2);
+  const bottom = bodyDepth + 0.05 * size;
+  const total = bottom - top;
+  const surdWidth = Math.min(0.5 * size + 0.05 * total, 0.9 * size);
+  const tick = bottom - Math.min(0.45 * total, 0.5 * size);
+
+  let offset = 0;
+  let indexHeight = 0;
+  const children = [];
+  if (node.index) {
+    const index = layoutList(node.index, { ...options, style: 'SS' });
+    const y = tick - 0.1 * size - index.depth;
+    offset = Math.max(0, index.width - 0.45 * surdWidth);
+    indexHeight = index.height - y;
+    children.push({ x: Math.max(0, 0.45 * surdWidth - index.width), y, item: index });
+  }
+
+  const end = offset + surdWidth + body.width + 0.05 * size;
+  const commands = [
+    ['M', offset, tick + 0.04 * size], ['L', offset + 0.12 * surdWidth, tick - 0.02 * size],
+    ['L', offset + 0.42 * surdWidth, bottom], ['L', offset + surdWidth, top], ['L', end, top]
+  ];
+  children.push({ x: 0, y: 0, item: pathItem(commands, options, stroke) });
+  children.push({ x: offset + surdWidth, y: 0, item: body });
+  return makeBox(end + 0.05 * size, Math.max(-top + stroke, indexHeight), bottom + stroke, children);
+}
+
+function layoutAccent(node, options) {
+  const size = SIZES[options.style];
+  const body = layoutList(node.body, options);
+  const stroke = STROKE * size * 0.8;
+  const { accent } = node;
+
+  if (accent === 'underline') {
+    const y = body.depth + 0.1 * size;
+    const rule = { kind: 'rule', width: body.width, height: RULE_THICKNESS * size, color: options.color };
+    return makeBox(body.width, body.height, y + RULE_THICKNESS * size + 0.05 * size, [
+      { x: 0, y: 0, item: body }, { x: 0, y, item: rule }
+    ]);
+  }
+
+  // 重音符号放在x高度之上，同一行中 \hat{a} 与 \hat{x} 等高
+  const isWide = ['widehat', 'widetilde', 'overline', 'overrightarrow', 'overleftarrow'].includes(accent);
+  const base = -(Math.max(body.height, X_HEIGHT * size) + 0.08 * size);
+  const width = isWide ? body.width : Math.min(Math.max(body.width * 0.9, 0.3 * size), 0.5 * size);
+  const skew = !isWide && node.body.length === 1 && node.body[0].type === 'symbol' && node.body[0].font === 'italic' ? 0.06 * size : 0;
+  const x = (body.width - width) / 2 + skew;
+  const w = width;
+  let height;
+  let item;
+
+  switch (accent) {
+  case 'hat':
+  case 'widehat':
+  case 'check': {
+    height = accent === 'widehat' ? Math.min(0.12 + 0.04 * body.width, 0.25) * size : 0.12 * size;
+    const [edge, peak] = accent === 'check' ? [-height, 0] : [0, -height];
+    item = pathItem([['M', 0, edge], ['L', w / 2, peak], ['L', w, edge]], options, stroke);
+    break;
+  }
+  case 'bar':
+  case 'overline':
+    height = RULE_THICKNESS * size;
+    item = { kind: 'rule', width: w, height, color: options.color };
+    return makeBox(body.width, -base + 0.05 * size, body.depth, [
+      { x: 0, y: 0, item: body }, { x, y: base - height, item }
+    ]);
+  case 'vec':
+  case 'overrightarrow':
+  case 'overleftarrow': {
+    height = 0.14 * size;
+    const head = 0.1 * size;
+    const commands = [['M', 0, -height / 2], ['L', w, -height / 2], ['M', w - head, -height], ['L', w, -height / 2], ['L', w - head, 0]];
+    item = pathItem(accent === 'overleftarrow' ? mirrorPath(commands, w) : commands, options, stroke);
+    break;
+  }
+  case 'tilde':
+  case 'widetilde':
+    height = 0.1 * size;
+    item = pathItem([['M', 0, -height * 0.2], ['C', w * 0.3, -height * 1.4, w * 0.7, height * 0.4, w, -height * 0.8]], options, stroke);
+    break;
+  case 'dot':
+  case 'ddot': {
+    const r = 0.045 * size;
+    height = 2 * r;
+    const centers = accent === 'dot' ? [w / 2] : [w / 2 - 0.11 * size, w / 2 + 0.11 * size];
+    return makeBox(body.width, -base + height + 0.05 * size, body.depth, [
+      { x: 0, y: 0, item: body },
+      ...centers.map(cx => ({ x: x + cx, y: base - r, item: { kind: 'circle', r, color: options.color } }))
+    ]);
+  }
+  case 'acute':
+  case 'grave': {
+    height = 0.16 * size;
+    const commands = [['M', w * 0.35, 0], ['L', w * 0.65, -height]];
+    item = pathItem(accent === 'grave' ? mirrorPath(commands, w) : commands, options, stroke);
+    break;
+  }
+  default: // breve
+    height = 0.12 * size;
+    item = pathItem([['M', w * 0.2, -height], ['Q', w / 2, height, w * 0.8, -height]], options, stroke);
+  }
+
+  return makeBox(body.width, -base + height + 0.05 * size, body.depth, [
+    { x: 0, y: 0, item: body }, { x, y: base, item }
+  ]);
+}
+
+function layoutArray(node, options) {
+  const size = SIZES[options.style];
+  // 上下标中的矩阵保持上下标的字号
+  const cellOptions = { ...options, style: size < 1 ? options.style : node.style };
+  const columns = node.align.length;
+  // aligned 中左对齐的列以关系符开头（&=），前面补空分组使关系符两侧都有间距
+  const cells = node.rows.map(row => row.map((cell, column) => layoutList(
+    node.aligned && column % 2 === 1 ? [{ type: 'group', body: [] }, ...cell] : cell, cellOptions
+  )));
+
+  const widths = Array(columns).fill(0);
+  cells.forEach(row => row.forEach((cell, column) => {
+    widths[column] = Math.max(widths[column], cell.width);
+  }));
+  const gaps = widths.map((_, column) => {
+    if (column === columns - 1) {
+      return 0;
+    }
+    return (node.aligned ? (column % 2 === 1 ? 2 : 0) : node.columnGap) * size;
+  });
+
+  // 行高至少为一个基线距离（1.2em，基线以上0.84em、以下0.36em）
+  const strutHeight = 0.84 * size;
+  const strutDepth = 0.36 * size;
+  const children = [];
+  let y = 0;
+  cells.forEach((row, index) => {
+    const height = Math.max(strutHeight, ...row.map(cell => cell.height));
+    const depth = Math.max(strutDepth, ...row.map(cell => cell.depth));
+    y += height + (index > 0 ? node.rowGap * size : 0);
+    let x = 0;
+    row.forEach((cell, column) => {
+      const free = widths[column] - cell.width;
+      const align = node.align[column];
+      const offset = align === 'l' ? 0 : align === 'r' ? free : free / 2;
+      children.push({ x: x + offset, y, item: cell });
+      x += widths[column] + gaps[column];
+    });
+    y += depth;
+  });
+
+  // 整体以数学轴为中心
+  const shift = y / 2 + AXIS_HEIGHT * size;
+  children.forEach(child => {
+    child.y -= shift;
+  });
+  const width = widths.reduce((sum, value) => sum + value, 0) + gaps.reduce((sum, value) => sum + value, 0);
+  const box = makeBox(width, shift, y - shift, children);
+  return node.delims ? wrapDelimiters(box, node.delims[0], node.delims[1], options) : box;
+}
+
+/**
+ * 排版单个节点
+ * @returns {Object} { box, cls }，cls 为参与间距计算的原子类型
+ */
+function layoutNode(node, options) {
+  switch (node.type) {
+  case 'symbol':
+    return { box: layoutSymbol(node, options), cls: node.cls };
+  case 'group':
+    return { box: layoutList(node.body, options), cls: 'ord' };
+  case 'op':
+    return { box: layoutOperator(node, options), cls: 'op' };
+  case 'supsub':
+    return layoutSupSub(node, options);
+  case 'frac':
+    return { box: layoutFraction(node, options), cls: 'inner' };
+  case 'sqrt':
+    return { box: layoutSqrt(node, options), cls: 'ord' };
+  case 'leftright':
+    return { box: wrapDelimiters(layoutList(node.body, options), node.left, node.right, options), cls: 'inner' };
+  case 'delim': {
+    const box = makeDelimiter(node.char, node.size * SIZES[options.style], options);
+    return { box, cls: node.cls };
+  }
+  case 'text':
+    return { box: textBox(node.text, options, node.font), cls: 'ord' };
+  case 'font':
+    return { box: layoutList(node.body, { ...options, font: node.font }), cls: 'ord' };
+  case 'accent':
+    return { box: layoutAccent(node, options), cls: 'ord' };
+  case 'overunder': {
+    const body = node.body.length === 1 ? layoutNode(node.body[0], options) : { box: layoutList(node.body, options), cls: 'ord' };
+    const scriptOptions = { ...options, style: SCRIPT_STYLES[options.style] };
+    const over = node.over ? layoutList(node.over, scriptOptions) : null;
+    const under = node.under ? layoutList(node.under, scriptOptions) : null;
+    const gaps = { upperGap: 0.1, upperClearance: 0, lowerGap: 0.1, lowerClearance: 0 };
+    return { box: layoutLimits(body.box, over, under, options, gaps), cls: body.cls };
+  }
+  case 'array':
+    return { box: layoutArray(node, options), cls: node.delims ? 'inner' : 'ord' };
+  default:
+    throw new Error(`未知的公式节点: ${node.type}`);
+  }
+}
+
+/**
+ * 展开 \color、\displaystyle 等作用到分组结束的节点，使其内容与前后的原子正常计算间距
+ */
+function flatten(nodes, options, result = []) {
+  nodes.forEach(node => {
+    if (node.type === 'color') {
+      flatten(node.body, { ...options, color: node.color }, result);
+    } else if (node.type === 'styling') {
+      flatten(node.body, { ...options, style: node.style }, result);
+    } else {
+      result.push({ node, options });
+    }
+  });
+  return result;
+}
+
+/**
+ * 排版节点序列：逐个排版后按原子类型插入间距
+ * @param {Array<Object>} nodes 节点数组
+ * @param {Object} options { style, color, font }
+ * @returns {Object} 盒子
+ */
+function layoutList(nodes, options) {
+  const atoms = flatten(nodes, options).map(({ node, options: nodeOptions }) => {
+    if (node.type === 'space') {
+      return { kern: node.width * SIZES[nodeOptions.style] };
+    }
+    return { ...layoutNode(node, nodeOptions), style: nodeOptions.style };
+  });
+
+  // 二元运算符在开头、其他运算符之后或关系符之前时按普通符号处理
+  let previous = null;
+  atoms.forEach((atom, index) => {
+    if (atom.kern !== undefined) {
+      return;
+    }
+    if (atom.cls === 'bin' && BIN_LEFT_BREAKERS.has(previous ? previous.cls : null)) {
+      atom.cls = 'ord';
+    }
+    if (previous && previous.cls === 'bin' && BIN_RIGHT_BREAKERS.has(atom.cls)) {
+      previous.cls = 'ord';
+    }
+    const next = atoms.slice(index + 1).find(candidate => candidate.kern === undefined);
+    if (atom.cls === 'bin' && !next) {
+      atom.cls = 'ord';
+    }
+    previous = atom;
+  });
+
+  const parts = [];
+  previous = null;
+  atoms.forEach(atom => {
+    if (atom.kern !== undefined) {
+      parts.push(atom.kern);
+      return;
+    }
+    if (previous) {
+      const table = atom.style === 'S' || atom.style === 'SS' ? SCRIPT_SPACING : SPACING;
+      const space = (table[previous.cls] || {})[atom.cls] || 0;
+      if (space) {
+        parts.push(space / 18 * SIZES[atom.style]);
+      }
+    }
+    parts.push(atom.box);
+    previous = atom;
+  });
+
+  return hpack(parts);
+}
+
+/**
+ * 排版公式
+ * @param {Array<Object>} nodes 解析结果
+ * @param {Object} [options] 排版选项
+ * @param {boolean} [options.display=false] 是否为行间公式
+ * @param {string} [options.color='#000000'] 文字颜色
+ * @returns {Object} 盒子
+ */
+function layoutMath(nodes, { display = false, color = '#000000' } = {}) {
+  return layoutList(nodes, { style: display ? 'D' : 'T', color, font: null });
+}
+
+export {
+  layoutMath
+};
@@ -0,0 +1,92 @@
+/**
+ * 字符度量（单位em，字号为1时的近似值，参照Times类衬线字体）
+ *
+ * 没有读取字体文件，只用于排版时估算每个字符占据的宽度、基线以上的高度和基线以下的深度。
+ * 字符在分配的宽度内居中绘制，实际字形与估算值的偏差会平均分到两侧
+ */
+
+// 排版参数（参照TeX的数学字体参数）
+const AXIS_HEIGHT = 0.25; // 数学轴（分数线、加号横线）的高度
+const RULE_THICKNESS = 0.04; // 分数线、根号横线的粗细
+const X_HEIGHT = 0.431;
+
+const LOWER_WIDTHS = {
+  a: 0.53, b: 0.43, c: 0.44, d: 0.52, e: 0.47, f: 0.49, g: 0.48, h: 0.58, i: 0.35, j: 0.41, k: 0.52, l: 0.3, m: 0.88,
+  n: 0.6, o: 0.49, p: 0.5, q: 0.45, r: 0.45, s: 0.47, t: 0.36, u: 0.57, v: 0.49, w: 0.72, x: 0.57, y: 0.49, z: 0.47
+};
+
+const UPPER_WIDTHS = {
+  A: 0.75, B: 0.76, C: 0.72, D: 0.83, E: 0.74, F: 0.64, G: 0.79, H: 0.83, I: 0.44, J: 0.56, K: 0.84, L: 0.68, M: 0.97,
+  N: 0.8, O: 0.76, P: 0.64, Q: 0.79, R: 0.76, S: 0.61, T: 0.58, U: 0.68, V: 0.58, W: 0.94, X: 0.83, Y: 0.58, Z: 0.68
+};
+
+const ASCENDERS = new Set('bdfhklt');
+const DESCENDERS = new Set('fgjpqy');
+const GREEK_ASCENDERS = new Set('βδζθϑλξϕψ');
+const GREEK_DESCENDERS = new Set('βγζημξρϱφϕχψς');
+
+// 其他字符：[宽度, 高度, 深度]
+const SYMBOLS = {
+  '(': [0.39, 0.75, 0.25], ')': [0.39, 0.75, 0.25], '[': [0.28, 0.75, 0.25], ']': [0.28, 0.75, 0.25],
+  '{': [0.5, 0.75, 0.25], '}': [0.5, 0.75, 0.25], '|': [0.28, 0.75, 0.25], '‖': [0.5, 0.75, 0.25],
+  '⟨': [0.39, 0.75, 0.25], '⟩': [0.39, 0.75, 0.25], '⌊': [0.44, 0.75, 0.25], '⌋': [0.44, 0.75, 0.25],
+  '⌈': [0.44, 0.75, 0.25], '⌉': [0.44, 0.75, 0.25], '/': [0.5, 0.75, 0.25], '\\': [0.5, 0.75, 0.25],
+  '+': [0.78, 0.58, 0.08], '−': [0.78, 0.58, 0.08], '±': [0.78, 0.67, 0.13], '∓': [0.78, 0.67, 0.13],
+  '×': [0.78, 0.49, 0], '÷': [0.78, 0.5, 0], '⋅': [0.28, 0.31, 0], '∗': [0.5, 0.47, 0], '∘': [0.5, 0.44, 0],
+  '=': [0.78, 0.37, 0], '<': [0.78, 0.54, 0.04], '>': [0.78, 0.54, 0.04], '≤': [0.78, 0.64, 0.14], '≥': [0.78, 0.64, 0.14],
+  ',': [0.28, 0.11, 0.19], ';': [0.28, 0.43, 0.19], ':': [0.28, 0.43, 0], '.': [0.28, 0.11, 0], '!': [0.28, 0.69, 0],
+  '?': [0.47, 0.69, 0], '\'': [0.28, 0.69, 0], '′': [0.28, 0.56, 0], '∞': [1.0, 0.44, 0], '∂': [0.57, 0.69, 0],
+  '∇': [0.83, 0.68, 0], '…': [1.17, 0.12, 0], '⋯': [1.17, 0.31, 0], '⋮': [0.28, 0.9, 0.03], '⋱': [1.12, 0.82, 0],
+  ' ': [0.25, 0, 0]
+};
+
+const DIGIT = [0.5, 0.66, 0];
+const UPPER_HEIGHT = 0.68;
+const DEFAULT_METRICS = [0.78, 0.6, 0.12];
+const WIDE_METRICS = [1.0, 0.8, 0.2];
+
+/**
+ * 是否为CJK等全角字符
+ */
+function isWideCharacter(char) {
+  const code = char.codePointAt(0);
+  return (code >= 0x2e80 && code <= 0x9fff) || (code >= 0xac00 && code <= 0xd7af) || (code >= 0xf900 && code <= 0xfaff)
+    || (code >= 0xff00 && code <= 0xffef);
+}
+
+/**
+ * 获取字符度量
+ * @param {string} char 字符（一个码点）
+ * @returns {Object} { width, height, depth }（单位em，字号为1）
+ */
+function getCharMetrics(char) {
+  let metrics;
+  if (/[0-9]/.test(char)) {
+    metrics = DIGIT;
+  } else if (/[a-z]/.test(char)) {
+    metrics = [LOWER_WIDTHS[char], ASCENDERS.has(char) ? 0.69 : (char === 'i' || char === 'j' ? 0.66 : X_HEIGHT), DESCENDERS.has(char) ? 0.2 : 0];
+  } else if (/[A-Z]/.test(char)) {
+    metrics = [UPPER_WIDTHS[char], UPPER_HEIGHT, char === 'Q' ? 0.2 : 0];
+  } else if (/[Α-Ω]/.test(char)) {
+    metrics = [0.75, UPPER_HEIGHT, 0];
+  } else if (/[α-϶]/.test(char)) {
+    metrics = [0.58, GREEK_ASCENDERS.has(char) ? 0.69 : X_HEIGHT, GREEK_DESCENDERS.has(char) ? 0.2 : 0];
+  } else if (SYMBOLS[char]) {
+    metrics = SYMBOLS[char];
+  } else if (isWideCharacter(char)) {
+    metrics = WIDE_METRICS;
+  } else if (char.codePointAt(0) >= 0x1d400 && char.codePointAt(0) <= 0x1d7ff) {
+    // 数学字母数字符号（𝔸、𝒜、𝔄 等）
+    metrics = [0.75, UPPER_HEIGHT, 0];
+  } else {
+    metrics = DEFAULT_METRICS;
+  }
+  return { width: metrics[0], height: metrics[1], depth: metrics[2] };
+}
+
+export {
+  AXIS_HEIGHT,
+  RULE_THICKNESS,
+  X_HEIGHT,
+  getCharMetrics
+};
@@ -0,0 +1,574 @@
+import {
+  BIG_OPERATORS,
+  FUNCTIONS,
+  FUNCTION_NAMES,
+  DELIMITERS,
+  BIG_SIZES,
+  ACCENTS,
+  FONTS,
+  SPACES,
+  CHARACTER_CLASSES,
+  CHARACTER_REPLACEMENTS,
+  lookupSymbol
+} from './symbols.js';
+
+/**
+ * TeX数学公式解析器
+ *
+ * 支持常用的LaTeX数学命令（KaTeX/MathJax常用子集），不支持宏定义。解析结果为节点数组：
+ *   symbol    { char, cls, font }                符号；cls为原子类型（见 symbols.js）
+ *   group     { body }                           花括号分组（作为普通符号参与间距计算）
+ *   supsub    { base, sup, sub, limits }         上下标；limits 为 true/false 时强制上下标的位置
+ *   op        { char | name, limits, integral }  大运算符（∑、∫）或直立体函数名（sin、lim）
+ *   frac      { numer, denom, rule, delims, style }  分数、二项式系数
+ *   sqrt      { body, index }
+ *   leftright { left, right, body }              \left \right 伸缩括号
+ *   delim     { char, size, cls }                \big 等固定大小的括号
+ *   text      { text, font }                     \text 中的文字
+ *   font      { font, body }                     \mathbf 等字体命令
+ *   accent    { accent, body }                   \hat、\vec、\overline 等
+ *   overunder { body, over, under }              \overset、\underset、\stackrel
+ *   array     { rows, align, delims, style, columnGap, rowGap, aligned }  矩阵和多行公式环境；aligned 为 aligned 环境（左对齐列以关系符开头）
+ *   space     { width }                          间距（单位em）
+ *   styling   { style, body }                    \displaystyle 等（作用到所在分组结束）
+ *   color     { color, body }                    \color、\textcolor
+ *
+ * 语法错误或不支持的命令抛出 MathParseError
+ */
+
+class MathParseError extends Error {
+  constructor(message, position) {
+    super(position === undefined ? message : `${message}（位置 ${position}）`);
+    this.name = 'MathParseError';
+    this.position = position;
+  }
+}
+
+const MAX_DEPTH = 64;
+const MAX_LENGTH = 10000;
+
+const STYLE_COMMANDS = { displaystyle: 'D', textstyle: 'T', scriptstyle: 'S', scriptscriptstyle: 'SS' };
+const FRACTION_COMMANDS = {
+  frac: { rule: true }, dfrac: { rule: true, style: 'D' }, tfrac: { rule: true, style: 'T' },
+  binom: { rule: false, delims: ['(', ')'] }, dbinom: { rule: false, delims: ['(', ')'], style: 'D' },
+  tbinom: { rule: false, delims: ['(', ')'], style: 'T' }, cfrac: { rule: true, style: 'D' }
+};
+const BIG_DELIMITER_CLASSES = { '': 'ord', l: 'open', r: 'close', m: 'rel' };
+const COLOR_PATTERN = /^(#[0-9a-fA-F]{3}|#[0-9a-fA-F]{6}|[A-Za-z]+)$/;
+
+// 矩阵环境的括号
+const MATRIX_DELIMITERS = {
+  matrix: null, pmatrix: ['(', ')'], bmatrix: ['[', ']'], Bmatrix: ['{', '}'], vmatrix: ['|', '|'],
+  Vmatrix: ['‖', '‖'], smallmatrix: null
+};
+
+class TexParser {
+  constructor(source) {
+    if (source.length > MAX_LENGTH) {
+      throw new MathParseError(`公式过长（超过${MAX_LENGTH}个字符）`);
+    }
+    this.source = source;
+    this.pos = 0;
+    this.depth = 0;
+  }
+
+  parse() {
+    const body = this.parseExpression();
+    if (this.pos < this.source.length) {
+      throw new MathParseError(`多余的 ${this.peekToken().value}`, this.pos);
+    }
+    return body;
+  }
+
+  // ---- 记号 ----
+
+  skipWhitespace() {
+    while (this.pos < this.source.length) {
+      const char = this.source[this.pos];
+      if (/\s/.test(char)) {
+        this.pos++;
+      } else if (char === '%') {
+        // 注释到行尾
+        const end = this.source.indexOf('\n', this.pos);
+        this.pos = end < 0 ? this.source.length : end + 1;
+      } else {
+        break;
+      }
+    }
+  }
+
+  /**
+   * 读取下一个记号（不移动位置）
+   * @returns {Object|null} { type: 'command' | 'char', value, end }
+   */
+  peekToken() {
+    this.skipWhitespace();
+    if (this.pos >= this.source.length) {
+      return null;
+    }
+    const rest = this.source.slice(this.pos);
+    if (rest[0] === '\\') {
+      const match = /^\\([A-Za-z]+|[^A-Za-z])/.exec(rest);
+      if (!match) {
+        throw new MathParseError('命令不完整', this.pos);
+      }
+      return { type: 'command', value: match[1], end: this.pos + match[0].length };
+    }
+    const char = String.fromCodePoint(rest.codePointAt(0));
+    return { type: 'char', value: char, end: this.pos + char.length };
+  }
+
+  nextToken() {
+    const token = this.peekToken();
+    if (token) {
+      this.pos = token.end;
+    }
+    return token;
+  }
+
+  isNext(type, value) {
+    const token = this.peekToken();
+    return token !== null && token.type === type && token.value === value;
+  }
+
+  expect(type, value) {
+    const token = this.nextToken();
+    if (!token || token.type !== type || token.value !== value) {
+      const expected = type === 'command' ? `\\${value}` : value;
+      throw new MathParseError(`缺少 ${expected}`, this.pos);
+    }
+  }
+
+  // ---- 表达式 ----
+
+  /**
+   * 解析原子序列，遇到 }、&、\\、\right、\end 或结尾时停止（不消耗结束记号）
+   */
+  parseExpression() {
+    if (++this.depth > MAX_DEPTH) {
+      throw new MathParseError('公式嵌套层数过多', this.pos);
+    }
+
+    const body = [];
+    for (;;) {
+      const token = this.peekToken();
+      if (!token || (token.type === 'char' && ['}', '&'].includes(token.value))
+        || (token.type === 'command' && ['\\', 'right', 'end', 'cr'].includes(token.value))) {
+        break;
+      }
+
+      if (token.type === 'command' && STYLE_COMMANDS[token.value]) {
+        this.pos = token.end;
+        body.push({ type: 'styling', style: STYLE_COMMANDS[token.value], body: this.parseExpression() });
+        break;
+      }
+      if (token.type === 'command' && token.value === 'color') {
+        this.pos = token.end;
+        const color = this.parseColor();
+        body.push({ type: 'color', color, body: this.parseExpression() });
+        break;
+      }
+      if (token.type === 'command' && FONTS[token.value] && ['rm', 'it', 'bf'].includes(token.value)) {
+        // 旧式字体切换（{\bf x}）作用到所在分组结束
+        this.pos = token.end;
+        body.push({ type: 'font', font: FONTS[token.value], body: this.parseExpression() });
+        break;
+      }
+
+      const atom = this.parseScripts(this.parseAtom());
+      if (atom) {
+        body.push(atom);
+      }
+    }
+
+    this.depth--;
+    return body;
+  }
+
+  /**
+   * 解析原子后面的上下标（^、_、'）
+   */
+  parseScripts(base) {
+    if (base === null) {
+      return null;
+    }
+
+    let sup = null;
+    let sub = null;
+    let limits;
+    let primes = 0;
+    for (;;) {
+      const token = this.peekToken();
+      if (!token) {
+        break;
+      }
+      if (token.type === 'command' && (token.value === 'limits' || token.value === 'nolimits')) {
+        if (base.type !== 'op') {
+          throw new MathParseError(`\\${token.value} 只能用在运算符后面`, this.pos);
+        }
+        this.pos = token.end;
+        limits = token.value === 'limits';
+      } else if (token.type === 'char' && token.value === '\'') {
+        this.pos = token.end;
+        primes++;
+      } else if (token.type === 'char' && (token.value === '^' || token.value === '_')) {
+        this.pos = token.end;
+        const isSup = token.value === '^';
+        if (isSup ? sup : sub) {
+          throw new MathParseError(isSup ? '重复的上标' : '重复的下标', this.pos);
+        }
+        const argument = this.parseArgument(`${token.value} 后面`);
+        if (isSup) {
+          sup = argument;
+        } else {
+          sub = argument;
+        }
+      } else {
+        break;
+      }
+    }
+
+    if (primes > 0) {
+      // x' 等价于 x^{\prime}，与上标合并
+      const marks = { type: 'symbol', char: '′'.repeat(primes), cls: 'ord', font: 'roman' };
+      sup = sup ? { type: 'group', body: [marks, sup] } : marks;
+    }
+    if (!sup && !sub) {
+      return limits === undefined ? base : { ...base, limits };
+    }
+    return { type: 'supsub', base, sup, sub, limits };
+  }
+
+  /**
+   * 解析一个参数：花括号分组或单个原子
+   */
+  parseArgument(description) {
+    const token = this.peekToken();
+    if (!token || (token.type === 'char' && ['}', '&', '^', '_'].includes(token.value))) {
+      throw new MathParseError(`${description}缺少参数`, this.pos);
+    }
+    if (token.type === 'char' && token.value === '{') {
+      return { type: 'group', body: this.parseGroup() };
+    }
+    const atom = this.parseAtom();
+    if (atom === null) {
+      throw new MathParseError(`${description}缺少参数`, this.pos);
+    }
+    return atom;
+  }
+
+  /**
+   * 解析花括号分组的内容
+   */
+  parseGroup() {
+    this.expect('char', '{');
+    const body = this.parseExpression();
+    this.expect('char', '}');
+    return body;
+  }
+
+  /**
+   * 读取花括号中的原始文本（\text、\begin 的参数等）
+   */
+  readRawGroup(description) {
+    this.skipWhitespace();
+    if (this.source[this.pos] !== '{') {
+      throw new MathParseError(`${description}缺少 {`, this.pos);
+    }
+    let depth = 0;
+    const start = this.pos + 1;
+    for (let i = this.pos; i < this.source.length; i++) {
+      const char = this.source[i];
+      if (char === '\\') {
+        i++;
+      } else if (char === '{') {
+        depth++;
+      } else if (char === '}' && --depth === 0) {
+        this.pos = i + 1;
+        return this.source.slice(start, i);
+      }
+    }
+    throw new MathParseError(`${description}缺少 }`, this.pos);
+  }
+
+  /**
+   * 读取可选参数 [..]
+   */
+  readOptionalRaw() {
+    this.skipWhitespace();
+    if (this.source[this.pos] !== '[') {
+      return null;
+    }
+    const end = this.source.indexOf(']', this.pos);
+    if (end < 0) {
+      throw new MathParseError('缺少 ]', this.pos);
+    }
+    const value = this.source.slice(this.pos + 1, end);
+    this.pos = end + 1;
+    return value;
+  }
+
+  parseColor() {
+    const color = this.readRawGroup('\\color').trim();
+    if (!COLOR_PATTERN.test(color)) {
+      throw new MathParseError(`颜色不合法: ${color}`, this.pos);
+    }
+    return color;
+  }
+
+  parseDelimiter(command) {
+    const token = this.nextToken();
+    const key = token ? (token.type === 'command' ? `\\${token.value}` : token.value) : '';
+    if (!token || !Object.prototype.hasOwnProperty.call(DELIMITERS, key)) {
+      throw new MathParseError(`\\${command} 后面需要括号`, this.pos);
+    }
+    return DELIMITERS[key];
+  }
+
+  // ---- 原子 ----
+
+  /**
+   * 解析一个原子，没有可解析的内容时返回null
+   */
+  parseAtom() {
+    const token = this.peekToken();
+    if (!token) {
+      return null;
+    }
+
+    if (token.type === 'char') {
+      return this.parseCharacter(token);
+    }
+
+    this.pos = token.end;
+    return this.parseCommand(token.value);
+  }
+
+  parseCharacter(token) {
+    const char = token.value;
+    if (char === '{') {
+      return { type: 'group', body: this.parseGroup() };
+    }
+    if (char === '^' || char === '_') {
+      // 没有底数的上下标（如开头的 ^{14}C）作用于空分组
+      return this.parseScripts({ type: 'group', body: [] });
+    }
+    if (char === '}' || char === '&') {
+      throw new MathParseError(`多余的 ${char}`, this.pos);
+    }
+    if (char === '~') {
+      this.pos = token.end;
+      return { type: 'space', width: 0.333 };
+    }
+    if (char === '#' || char === '$') {
+      throw new MathParseError(`不支持的字符 ${char}`, this.pos);
+    }
+
+    this.pos = token.end;
+    const isLetter = /[A-Za-z]/.test(char);
+    return {
+      type: 'symbol',
+      char: CHARACTER_REPLACEMENTS[char] || char,
+      cls: CHARACTER_CLASSES[char] || 'ord',
+      font: isLetter ? 'italic' : 'roman'
+    };
+  }
+
+  parseCommand(name) {
+    const symbol = lookupSymbol(name);
+    if (symbol) {
+      return { type: 'symbol', char: symbol.char, cls: symbol.cls, font: symbol.italic ? 'italic' : 'roman' };
+    }
+
+    if (Object.prototype.hasOwnProperty.call(SPACES, name)) {
+      return { type: 'space', width: SPACES[name] / 18 };
+    }
+    if (BIG_OPERATORS[name]) {
+      const { char, limits, integral = false } = BIG_OPERATORS[name];
+      return { type: 'op', char, limits, integral };
+    }
+    if (Object.prototype.hasOwnProperty.call(FUNCTIONS, name)) {
+      return { type: 'op', name: FUNCTION_NAMES[name] || name, limits: FUNCTIONS[name], integral: false };
+    }
+    if (FRACTION_COMMANDS[name]) {
+      const { rule, delims = null, style = null } = FRACTION_COMMANDS[name];
+      const numer = this.parseArgument(`\\${name} 的分子`);
+      const denom = this.parseArgument(`\\${name} 的分母`);
+      return { type: 'frac', numer: [numer], denom: [denom], rule, delims, style };
+    }
+    if (ACCENTS[name]) {
+      return { type: 'accent', accent: ACCENTS[name], body: [this.parseArgument(`\\${name} `)] };
+    }
+    if (FONTS[name]) {
+      if (name === 'operatorname') {
+        const text = this.readRawGroup('\\operatorname');
+        return { type: 'op', name: text.trim(), limits: false, integral: false };
+      }
+      if (name.startsWith('text')) {
+        return { type: 'text', text: this.readRawGroup(`\\${name}`), font: FONTS[name] };
+      }
+      return { type: 'font', font: FONTS[name], body: [this.parseArgument(`\\${name} `)] };
+    }
+
+    const bigMatch = /^(big|Big|bigg|Bigg)([lrm]?)$/.exec(name);
+    if (bigMatch) {
+      const char = this.parseDelimiter(name);
+      return { type: 'delim', char, size: BIG_SIZES[bigMatch[1]], cls: BIG_DELIMITER_CLASSES[bigMatch[2]] };
+    }
+
+    switch (name) {
+    case 'text':
+    case 'mbox':
+    case 'textnormal':
+      return { type: 'text', text: this.readRawGroup(`\\${name}`), font: 'roman' };
+    case 'sqrt': {
+      const index = this.readOptionalRaw();
+      const body = this.parseArgument('\\sqrt ');
+      return { type: 'sqrt', body: [body], index: index === null ? null : new TexParser(index).parse() };
+    }
+    case 'left':
+      return this.parseLeftRight();
+    case 'begin':
+      return this.parseEnvironment();
+    case 'textcolor': {
+      const color = this.parseColor();
+      return { type: 'color', color, body: [this.parseArgument('\\textcolor ')] };
+    }
+    case 'overset':
+    case 'underset':
+    case 'stackrel': {
+      const script = this.parseArgument(`\\${name} `);
+      const body = [this.parseArgument(`\\${name} `)];
+      return name === 'underset'
+        ? { type: 'overunder', body, over: null, under: [script] }
+        : { type: 'overunder', body, over: [script], under: null };
+    }
+    case 'not': {
+      const next = this.parseAtom();
+      if (!next || next.type !== 'symbol') {
+        throw new MathParseError('\\not 后面需要符号', this.pos);
+      }
+      return { ...next, char: `${next.char}̸`, cls: 'rel' };
+    }
+    case 'mathop': {
+      const body = [this.parseArgument('\\mathop ')];
+      return { type: 'op', body, limits: true, integral: false };
+    }
+    case 'hline':
+    case 'nonumber':
+    case 'notag':
+    case 'displaylimits':
+      return null;
+    case 'right':
+    case 'end':
+      throw new MathParseError(`多余的 \\${name}`, this.pos);
+    default:
+      throw new MathParseError(`不支持的命令 \\${name}`, this.pos);
+    }
+  }
+
+  parseLeftRight() {
+    const left = this.parseDelimiter('left');
+    const body = this.parseExpression();
+    if (!this.isNext('command', 'right')) {
+      throw new MathParseError('\\left 缺少对应的 \\right', this.pos);
+    }
+    this.nextToken();
+    const right = this.parseDelimiter('right');
+    return { type: 'leftright', left, right, body };
+  }
+
+  // ---- 环境 ----
+
+  parseEnvironment() {
+    const name = this.readRawGroup('\\begin').trim();
+    let node;
+    if (Object.prototype.hasOwnProperty.call(MATRIX_DELIMITERS, name)) {
+      const rows = this.parseRows();
+      const align = rows.reduce((max, row) => Math.max(max, row.length), 0);
+      node = {
+        type: 'array', rows, align: Array(align).fill('c'), delims: MATRIX_DELIMITERS[name],
+        style: name === 'smallmatrix' ? 'S' : 'T', columnGap: name === 'smallmatrix' ? 0.55 : 1, rowGap: 0
+      };
+    } else if (name === 'cases' || name === 'dcases') {
+      node = {
+        type: 'array', rows: this.parseRows(), align: ['l', 'l'], delims: ['{', ''],
+        style: name === 'dcases' ? 'D' : 'T', columnGap: 1, rowGap: 0
+      };
+    } else if (['aligned', 'align', 'align*', 'alignedat', 'split'].includes(name)) {
+      if (name === 'alignedat') {
+        this.readRawGroup('alignedat');
+      }
+      const rows = this.parseRows();
+      const columns = rows.reduce((max, row) => Math.max(max, row.length), 0);
+      node = {
+        type: 'array', rows, align: Array.from({ length: columns }, (_, i) => (i % 2 === 0 ? 'r' : 'l')),
+        delims: null, style: 'D', columnGap: 0, rowGap: 0.25, aligned: true
+      };
+    } else if (['gathered', 'gather', 'gather*'].includes(name)) {
+      node = { type: 'array', rows: this.parseRows(), align: ['c'], delims: null, style: 'D', columnGap: 0, rowGap: 0.25 };
+    } else if (name === 'array') {
+      const spec = this.readRawGroup('array').replace(/[|\s]/g, '');
+      if (!/^[lcr]+$/.test(spec)) {
+        throw new MathParseError(`array 的列格式不合法: ${spec}`, this.pos);
+      }
+      node = { type: 'array', rows: this.parseRows(), align: [...spec], delims: null, style: 'T', columnGap: 1, rowGap: 0 };
+    } else {
+      throw new MathParseError(`不支持的环境 ${name}`, this.pos);
+    }
+
+    this.expect('command', 'end');
+    const end = this.readRawGroup('\\end').trim();
+    if (end !== name) {
+      throw new MathParseError(`\\begin{${name}} 与 \\end{${end}} 不匹配`, this.pos);
+    }
+    node.rows.forEach(row => {
+      if (row.length > node.align.length) {
+        throw new MathParseError(`${name} 的列数超过定义`, this.pos);
+      }
+    });
+    return node;
+  }
+
+  /**
+   * 解析环境中以 & 和 \\ 分隔的单元格
+   * @returns {Array<Array<Array<Object>>>} 行 → 单元格 → 节点
+   */
+  parseRows() {
+    const rows = [];
+    let row = [];
+    for (;;) {
+      row.push(this.parseExpression());
+      const token = this.peekToken();
+      if (token && token.type === 'char' && token.value === '&') {
+        this.pos = token.end;
+      } else if (token && token.type === 'command' && (token.value === '\\' || token.value === 'cr')) {
+        this.pos = token.end;
+        this.readOptionalRaw(); // 行距调整（\\[2pt]）忽略
+        rows.push(row);
+        row = [];
+      } else {
+        break;
+      }
+    }
+    // 最后一行以 \\ 结尾时不产生空行
+    if (!(row.length === 1 && row[0].length === 0 && rows.length > 0)) {
+      rows.push(row);
+    }
+    return rows;
+  }
+}
+
+/**
+ * 解析TeX数学公式
+ * @param {string} source 公式（不含 $ 定界符）
+ * @returns {Array<Object>} 节点数组
+ */
+function parseTex(source) {
+  return new TexParser(String(source)).parse();
+}
+
+export {
+  MathParseError,
+  parseTex
+};
@@ -0,0 +1,110 @@
+/**
+ * 将排版结果（见 layout.js）输出为SVG
+ *
+ * viewBox 中 1em = 100 个单位；width、height 属性为像素尺寸，栅格化为PNG时按该尺寸绘制
+ */
+
+const UNITS_PER_EM = 100;
+
+const FONT_FAMILIES = {
+  serif: '\'Times New Roman\', Times, \'STIX Two Math\', \'Cambria Math\', serif',
+  sansSerif: 'Helvetica, Arial, sans-serif',
+  monospace: '\'Courier New\', Courier, monospace'
+};
+
+function escapeXml(text) {
+  return String(text).replace(/[&<>"]/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[char]);
+}
+
+function format(value) {
+  return String(Math.round(value * UNITS_PER_EM * 100) / 100);
+}
+
+function serializePath(commands, dx, dy) {
+  return commands.map(([command, ...coords]) => {
+    const values = coords.map((value, i) => format(value + (i % 2 === 0 ? dx : dy)));
+    return [command, ...values].join(' ');
+  }).join(' ');
+}
+
+function colorAttribute(name, color, rootColor) {
+  return color && color !== rootColor ? ` ${name}="${escapeXml(color)}"` : '';
+}
+
+/**
+ * 输出盒子中的绘制元素
+ */
+function serializeBox(box, dx, dy, rootColor, output) {
+  box.children.forEach(({ x, y, item }) => {
+    const left = dx + x;
+    const baseline = dy + y;
+    if (item.children) {
+      serializeBox(item, left, baseline, rootColor, output);
+      return;
+    }
+
+    switch (item.kind) {
+    case 'glyph': {
+      let attributes = `x="${format(left + item.width / 2)}" y="${format(baseline)}" font-size="${format(item.size)}"`;
+      if (item.italic) {
+        attributes += ' font-style="italic"';
+      }
+      if (item.bold) {
+        attributes += ' font-weight="bold"';
+      }
+      if (item.family !== 'serif') {
+        attributes += ` font-family="${FONT_FAMILIES[item.family]}"`;
+      }
+      output.push(`<text ${attributes}${colorAttribute('fill', item.color, rootColor)}>${escapeXml(item.text)}</text>`);
+      break;
+    }
+    case 'rule':
+      output.push(`<rect x="${format(left)}" y="${format(baseline)}" width="${format(item.width)}" height="${format(item.height)}"${colorAttribute('fill', item.color, rootColor)}></rect>`);
+      break;
+    case 'circle':
+      output.push(`<circle cx="${format(left)}" cy="${format(baseline)}" r="${format(item.r)}"${colorAttribute('fill', item.color, rootColor)}></circle>`);
+      break;
+    case 'path': {
+      const d = serializePath(item.commands, left, baseline);
+      if (item.stroke) {
+        output.push(`<path d="${d}" fill="none" stroke="${escapeXml(item.color || rootColor)}" stroke-width="${format(item.stroke)}" stroke-linecap="round" stroke-linejoin="round"></path>`);
+      } else {
+        output.push(`<path d="${d}"${colorAttribute('fill', item.color, rootColor)}></path>`);
+      }
+      break;
+    }
+    default:
+      throw new Error(`未知的绘制元素: ${item.kind}`);
+    }
+  });
+}
+
+/**
+ * 输出SVG
+ * @param {Object} box 排版结果
+ * @param {Object} options 输出选项
+ * @param {string} options.color 默认颜色
+ * @param {number} options.pixelsPerEm 每em的像素数
+ * @param {number} options.padding 四周留白（em，避免字形超出估算范围时被裁切）
+ * @returns {Object} { svg, width, height, depth }，尺寸单位为em（含留白）
+ */
+function renderSVG(box, { color, pixelsPerEm, padding }) {
+  const width = box.width + 2 * padding;
+  const height = box.height + padding;
+  const depth = box.depth + padding;
+  const output = [];
+  serializeBox(box, padding, height, color, output);
+
+  const attributes = [
+    'xmlns="http://www.w3.org/2000/svg"',
+    `width="${Math.ceil(width * pixelsPerEm)}"`,
+    `height="${Math.ceil((height + depth) * pixelsPerEm)}"`,
+    `viewBox="0 0 ${format(width)} ${format(height + depth)}"`
+  ].join(' ');
+  const svg = `<svg ${attributes}><g font-family="${FONT_FAMILIES.serif}" fill="${escapeXml(color)}" text-anchor="middle">${output.join('')}</g></svg>`;
+  return { svg, width, height, depth };
+}
+
+export {
+  renderSVG
+};
@@ -0,0 +1,156 @@
+/**
+ * TeX数学符号表
+ *
+ * 原子类型（决定原子之间的间距，见 layout.js）：
+ * ord 普通符号、op 大运算符、bin 二元运算符、rel 关系符、open 左括号、close 右括号、punct 标点、inner 分式等
+ */
+
+// 希腊字母（小写为斜体，大写为直立体）
+const GREEK = {
+  alpha: 'α', beta: 'β', gamma: 'γ', delta: 'δ', epsilon: 'ϵ', varepsilon: 'ε', zeta: 'ζ', eta: 'η', theta: 'θ',
+  vartheta: 'ϑ', iota: 'ι', kappa: 'κ', lambda: 'λ', mu: 'μ', nu: 'ν', xi: 'ξ', omicron: 'ο', pi: 'π', varpi: 'ϖ',
+  rho: 'ρ', varrho: 'ϱ', sigma: 'σ', varsigma: 'ς', tau: 'τ', upsilon: 'υ', phi: 'ϕ', varphi: 'φ', chi: 'χ', psi: 'ψ',
+  omega: 'ω',
+  Gamma: 'Γ', Delta: 'Δ', Theta: 'Θ', Lambda: 'Λ', Xi: 'Ξ', Pi: 'Π', Sigma: 'Σ', Upsilon: 'Υ', Phi: 'Φ', Psi: 'Ψ',
+  Omega: 'Ω'
+};
+
+const ORDINARY = {
+  infty: '∞', partial: '∂', nabla: '∇', forall: '∀', exists: '∃', nexists: '∄', emptyset: '∅', varnothing: '∅',
+  hbar: 'ℏ', ell: 'ℓ', Re: 'ℜ', Im: 'ℑ', aleph: 'ℵ', wp: '℘', prime: '′', angle: '∠', triangle: '△', top: '⊤',
+  bot: '⊥', neg: '¬', lnot: '¬', surd: '√', clubsuit: '♣', diamondsuit: '♢', heartsuit: '♡', spadesuit: '♠',
+  flat: '♭', natural: '♮', sharp: '♯', degree: '°', dots: '…', ldots: '…', cdots: '⋯', vdots: '⋮', ddots: '⋱',
+  checkmark: '✓', backslash: '\\', imath: 'ı', jmath: 'ȷ', mho: '℧', therefore: '∴', because: '∵',
+  '|': '‖', $: '$', '%': '%', '&': '&', '#': '#', _: '_'
+};
+
+const BINARY = {
+  pm: '±', mp: '∓', times: '×', div: '÷', cdot: '⋅', ast: '∗', star: '⋆', circ: '∘', bullet: '∙', cap: '∩',
+  cup: '∪', uplus: '⊎', sqcap: '⊓', sqcup: '⊔', vee: '∨', lor: '∨', wedge: '∧', land: '∧', setminus: '∖',
+  oplus: '⊕', ominus: '⊖', otimes: '⊗', oslash: '⊘', odot: '⊙', dagger: '†', ddagger: '‡', amalg: '⨿', wr: '≀',
+  diamond: '⋄', bigtriangleup: '△', bigtriangledown: '▽', triangleleft: '◃', triangleright: '▹'
+};
+
+const RELATION = {
+  leq: '≤', le: '≤', geq: '≥', ge: '≥', neq: '≠', ne: '≠', equiv: '≡', approx: '≈', sim: '∼', simeq: '≃',
+  cong: '≅', propto: '∝', ll: '≪', gg: '≫', prec: '≺', succ: '≻', preceq: '⪯', succeq: '⪰', doteq: '≐',
+  in: '∈', notin: '∉', ni: '∋', subset: '⊂', supset: '⊃', subseteq: '⊆', supseteq: '⊇', subsetneq: '⊊',
+  supsetneq: '⊋', sqsubseteq: '⊑', sqsupseteq: '⊒', perp: '⊥', parallel: '∥', mid: '∣', nmid: '∤', vdash: '⊢',
+  dashv: '⊣', models: '⊨', asymp: '≍', bowtie: '⋈', smile: '⌣', frown: '⌢', coloneqq: '≔', leqslant: '⩽',
+  geqslant: '⩾', lesssim: '≲', gtrsim: '≳', nleq: '≰', ngeq: '≱',
+  to: '→', rightarrow: '→', leftarrow: '←', gets: '←', leftrightarrow: '↔', Rightarrow: '⇒', Leftarrow: '⇐',
+  Leftrightarrow: '⇔', implies: '⟹', impliedby: '⟸', iff: '⟺', longrightarrow: '⟶', longleftarrow: '⟵',
+  longleftrightarrow: '⟷', Longrightarrow: '⟹', Longleftarrow: '⟸', Longleftrightarrow: '⟺', mapsto: '↦',
+  longmapsto: '⟼', uparrow: '↑', downarrow: '↓', updownarrow: '↕', Uparrow: '⇑', Downarrow: '⇓',
+  nearrow: '↗', searrow: '↘', swarrow: '↙', nwarrow: '↖', hookrightarrow: '↪', hookleftarrow: '↩',
+  rightleftharpoons: '⇌', leftharpoonup: '↼', rightharpoonup: '⇀', leadsto: '⇝'
+};
+
+const OPEN = { '{': '{', langle: '⟨', lceil: '⌈', lfloor: '⌊', lbrace: '{', lbrack: '[', lvert: '|', lVert: '‖' };
+const CLOSE = { '}': '}', rangle: '⟩', rceil: '⌉', rfloor: '⌋', rbrace: '}', rbrack: ']', rvert: '|', rVert: '‖' };
+const PUNCTUATION = { colon: ':' };
+
+// 大运算符：limits 为 true 时行间公式中的上下标写在符号上下方
+const BIG_OPERATORS = {
+  sum: { char: '∑', limits: true },
+  prod: { char: '∏', limits: true },
+  coprod: { char: '∐', limits: true },
+  bigcup: { char: '⋃', limits: true },
+  bigcap: { char: '⋂', limits: true },
+  bigvee: { char: '⋁', limits: true },
+  bigwedge: { char: '⋀', limits: true },
+  bigoplus: { char: '⨁', limits: true },
+  bigotimes: { char: '⨂', limits: true },
+  bigodot: { char: '⨀', limits: true },
+  bigsqcup: { char: '⨆', limits: true },
+  int: { char: '∫', limits: false, integral: true },
+  iint: { char: '∬', limits: false, integral: true },
+  iiint: { char: '∭', limits: false, integral: true },
+  oint: { char: '∮', limits: false, integral: true }
+};
+
+// 直立体函数名：limits 为 true 时行间公式中的下标写在下方（如 \lim_{x \to 0}）
+const FUNCTIONS = {
+  lim: true, liminf: true, limsup: true, max: true, min: true, sup: true, inf: true, det: true, gcd: true, Pr: true,
+  argmax: true, argmin: true,
+  sin: false, cos: false, tan: false, cot: false, sec: false, csc: false, arcsin: false, arccos: false, arctan: false,
+  sinh: false, cosh: false, tanh: false, coth: false, log: false, ln: false, lg: false, exp: false, arg: false,
+  deg: false, dim: false, hom: false, ker: false, mod: false
+};
+
+const FUNCTION_NAMES = { liminf: 'lim inf', limsup: 'lim sup', argmax: 'arg max', argmin: 'arg min' };
+
+// 可以用 \left \right 伸缩的括号
+const DELIMITERS = {
+  '(': '(', ')': ')', '[': '[', ']': ']', '\\{': '{', '\\}': '}', '\\lbrace': '{', '\\rbrace': '}', '|': '|',
+  '\\|': '‖', '\\vert': '|', '\\Vert': '‖', '\\lvert': '|', '\\rvert': '|', '\\lVert': '‖', '\\rVert': '‖',
+  '\\langle': '⟨', '\\rangle': '⟩', '<': '⟨', '>': '⟩', '\\lfloor': '⌊', '\\rfloor': '⌋', '\\lceil': '⌈',
+  '\\rceil': '⌉', '\\lbrack': '[', '\\rbrack': ']', '/': '/', '\\backslash': '\\', '.': ''
+};
+
+// \big 系列的括号高度（em）
+const BIG_SIZES = { big: 1.2, Big: 1.8, bigg: 2.4, Bigg: 3.0 };
+
+const ACCENTS = {
+  hat: 'hat', widehat: 'widehat', check: 'check', bar: 'bar', overline: 'overline', underline: 'underline',
+  vec: 'vec', overrightarrow: 'overrightarrow', overleftarrow: 'overleftarrow', dot: 'dot', ddot: 'ddot',
+  tilde: 'tilde', widetilde: 'widetilde', acute: 'acute', grave: 'grave', breve: 'breve'
+};
+
+// 字体命令
+const FONTS = {
+  mathrm: 'roman', textrm: 'roman', rm: 'roman', mathup: 'roman', operatorname: 'roman',
+  mathit: 'italic', textit: 'italic', it: 'italic',
+  mathbf: 'bold', textbf: 'bold', bf: 'bold', boldsymbol: 'boldItalic', bm: 'boldItalic',
+  mathbb: 'doubleStruck', mathcal: 'script', mathscr: 'script', mathfrak: 'fraktur',
+  mathsf: 'sansSerif', textsf: 'sansSerif', mathtt: 'monospace', texttt: 'monospace'
+};
+
+// 间距命令（单位mu，1mu = 1/18em）
+const SPACES = {
+  ',': 3, thinspace: 3, ':': 4, '>': 4, medspace: 4, ';': 5, thickspace: 5, '!': -3, negthinspace: -3,
+  ' ': 6, quad: 18, qquad: 36, enspace: 9
+};
+
+// 单个字符的原子类型
+const CHARACTER_CLASSES = {
+  '+': 'bin', '-': 'bin', '*': 'bin', '=': 'rel', '<': 'rel', '>': 'rel', ':': 'rel', ',': 'punct', ';': 'punct',
+  '(': 'open', '[': 'open', ')': 'close', ']': 'close', '!': 'close', '?': 'close'
+};
+
+// 输入字符对应的显示字符
+const CHARACTER_REPLACEMENTS = { '-': '−', '*': '∗' };
+
+/**
+ * 查找命令对应的符号
+ * @param {string} name 命令名（不含反斜杠）
+ * @returns {Object|null} { cls, char, italic }
+ */
+function lookupSymbol(name) {
+  if (GREEK[name]) {
+    return { cls: 'ord', char: GREEK[name], italic: name[0] === name[0].toLowerCase() };
+  }
+  const tables = [
+    [ORDINARY, 'ord'], [BINARY, 'bin'], [RELATION, 'rel'], [OPEN, 'open'], [CLOSE, 'close'], [PUNCTUATION, 'punct']
+  ];
+  for (const [table, cls] of tables) {
+    if (Object.prototype.hasOwnProperty.call(table, name)) {
+      return { cls, char: table[name], italic: false };
+    }
+  }
+  return null;
+}
+
+export {
+  BIG_OPERATORS,
+  FUNCTIONS,
+  FUNCTION_NAMES,
+  DELIMITERS,
+  BIG_SIZES,
+  ACCENTS,
+  FONTS,
+  SPACES,
+  CHARACTER_CLASSES,
+  CHARACTER_REPLACEMENTS,
+  lookupSymbol
+};
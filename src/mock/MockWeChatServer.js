@@ -0,0 +1,640 @@
+#!/usr/bin/env node
+
+import express from 'express';
+import { fileURLToPath } from 'url';
+import logger from '../utils/logger.js';
+
+/**
+ * 本地模拟微信公众平台接口
+ * 在进程内实现本项目用到的接口（令牌、素材上传、草稿、发布、预览、第三方平台授权），可编排错误和延迟，
+ * 配合 WeChatAPI 的 baseURL（或 WECHAT_API_BASE_URL）即可离线测试完整的发布流程
+ *
+ * @example
+ * const mock = new MockWeChatServer();
+ * const baseURL = await mock.start();
+ * const api = new WeChatAPI(mock.appId, mock.appSecret, { baseURL });
+ * mock.failNext('draft/add', { errcode: -1, errmsg: 'system error' });
+ */
+export class MockWeChatServer {
+  /**
+   * @param {Object} [options] 配置选项
+   * @param {string} [options.appId='wx0000000000000000'] 模拟公众号AppID
+   * @param {string} [options.appSecret] 模拟公众号AppSecret（32位）
+   * @param {number} [options.latency=0] 所有接口的默认响应延迟（毫秒）
+   * @param {string} [options.componentAppId='wxcomponent00000'] 模拟第三方平台AppID
+   * @param {string} [options.componentAppSecret] 模拟第三方平台AppSecret
+   */
+  constructor({
+    appId = 'wx0000000000000000',
+    appSecret = '0'.repeat(32),
+    latency = 0,
+    componentAppId = 'wxcomponent00000',
+    componentAppSecret = '1'.repeat(32)
+  } = {}) {
+    this.appId = appId;
+    this.appSecret = appSecret;
+    this.componentAppId = componentAppId;
+    this.componentAppSecret = componentAppSecret;
+    this.server = null;
+    this.baseURL = null;
+    this.defaultLatency = latency;
+    this.reset();
+  }
+
+  /**
+   * 清空所有数据、编排的错误和请求记录，响应延迟恢复为构造时配置的值
+   */
+  reset() {
+    this.sequence = 0;
+    this.tokens = new Set();
+    this.stableToken = null;
+    this.materials = new Map();
+    this.drafts = new Map();
+    this.publishes = new Map();
+    this.articles = new Map();
+    this.failures = new Map();
+    this.latency = { '*': this.defaultLatency };
+    this.publishResult = { status: 0, polls: 1, failIdx: [] };
+    this.requests = [];
+    // 第三方平台：推送给第三方平台的ticket、已签发的component_access_token、待使用的授权码、授权方的refresh_token
+    this.verifyTicket = 'mock_verify_ticket';
+    this.componentTokens = new Set();
+    this.authorizationCodes = new Map();
+    this.authorizers = new Map();
+  }
+
+  /**
+   * 启动服务器
+   * @param {number} [port=0] 端口，0表示随机端口
+   * @returns {Promise<string>} 接口地址，如 http://127.0.0.1:12345
+   */
+  async start(port = 0) {
+    const app = this.createApp();
+
+    await new Promise((resolve, reject) => {
+      this.server = app.listen(port, '127.0.0.1', resolve);
+      this.server.once('error', reject);
+    });
+
+    this.baseURL = `http://127.0.0.1:${this.server.address().port}`;
+    logger.debug('Mock WeChat server started', { baseURL: this.baseURL });
+    return this.baseURL;
+  }
+
+  /**
+   * 停止服务器
+   */
+  async stop() {
+    if (!this.server) {
+      return;
+    }
+    this.server.closeAllConnections();
+    await new Promise(resolve => this.server.close(resolve));
+    this.server = null;
+  }
+
+  /**
+   * 让接口接下来的若干次调用失败
+   * @param {string} endpoint 接口路径（不含/cgi-bin/），如 'draft/add'；'*' 表示任意接口
+   * @param {Object} [failure] 失败方式：{ errcode, errmsg } 返回错误码；{ httpStatus } 返回HTTP错误；{ drop: true } 直接断开连接
+   * @param {number} [times=1] 失败次数
+   */
+  failNext(endpoint, failure = { errcode: -1, errmsg: 'system error' }, times = 1) {
+    const queue = this.failures.get(endpoint) || [];
+    for (let i = 0; i < times; i++) {
+      queue.push(failure);
+    }
+    this.failures.set(endpoint, queue);
+  }
+
+  /**
+   * 设置响应延迟
+   * @param {number} ms 延迟（毫秒）
+   * @param {string} [endpoint='*'] 接口路径，不指定时对所有接口生效
+   */
+  setLatency(ms, endpoint = '*') {
+    this.latency[endpoint] = ms;
+  }
+
+  /**
+   * 设置后续提交发布的结果
+   * @param {Object} result 发布结果
+   * @param {number} [result.status=0] 最终的publish_status（0成功，2/3失败，4审核不通过等）
+   * @param {number} [result.polls=1] 返回最终状态之前，freepublish/get 返回"发布中"的次数
+   * @param {Array<number>} [result.failIdx] 失败文章序号
+   */
+  setPublishResult({ status = 0, polls = 1, failIdx = [] } = {}) {
+    this.publishResult = { status, polls, failIdx };
+  }
+
+  /**
+   * 使已签发的access_token全部失效（模拟其他服务刷新了令牌）
+   */
+  invalidateTokens() {
+    this.tokens.clear();
+    this.stableToken = null;
+  }
+
+  /**
+   * 使已签发的component_access_token全部失效
+   */
+  invalidateComponentTokens() {
+    this.componentTokens.clear();
+  }
+
+  /**
+   * 模拟公众号管理员授权给第三方平台，返回授权码（对应授权成功事件中的AuthorizationCode）
+   * @param {string} [authorizerAppId] 授权方AppID，默认为模拟公众号
+   * @returns {string} 授权码，只能使用一次
+   */
+  authorize(authorizerAppId = this.appId) {
+    const code = this.nextId('mock_auth_code_');
+    this.authorizers.set(authorizerAppId, this.nextId('mock_refresh_token_'));
+    this.authorizationCodes.set(code, authorizerAppId);
+    return code;
+  }
+
+  /**
+   * 生成递增的ID
+   */
+  nextId(prefix = '') {
+    this.sequence++;
+    return `${prefix}${Date.now()}${String(this.sequence).padStart(4, '0')}`;
+  }
+
+  /**
+   * 生成递增的数字ID（publish_id、msg_id等），保持在安全整数范围内
+   */
+  nextNumericId() {
+    this.sequence++;
+    return 2247483647 + this.sequence;
+  }
+
+  issueToken() {
+    const token = this.nextId('mock_token_');
+    this.tokens.add(token);
+    return token;
+  }
+
+  /**
+   * 创建Express应用，注册模拟接口
+   */
+  createApp() {
+    const app = express();
+    app.use(express.json({ limit: '20mb' }));
+
+    // 记录请求、模拟延迟、注入编排的错误
+    app.use('/cgi-bin', async (req, res, next) => {
+      const endpoint = req.path.replace(/^\//, '');
+      this.requests.push({ method: req.method, endpoint, query: req.query, body: req.body });
+
+      const latency = this.latency[endpoint] ?? this.latency['*'];
+      if (latency > 0) {
+        await new Promise(resolve => setTimeout(resolve, latency));
+      }
+
+      const failure = this.takeFailure(endpoint);
+      if (!failure) {
+        next();
+      } else if (failure.drop) {
+        req.socket.destroy();
+      } else if (failure.httpStatus) {
+        res.status(failure.httpStatus).send(failure.body || 'mock http error');
+      } else {
+        res.json({ errcode: failure.errcode, errmsg: failure.errmsg || 'mock error' });
+      }
+    });
+
+    // 令牌接口不需要access_token
+    app.get('/cgi-bin/token', (req, res) => {
+      const { appid, secret } = req.query;
+      const error = this.checkCredentials(appid, secret);
+      if (error) {
+        res.json(error);
+        return;
+      }
+
+      // 与真实接口一致：重新获取会使之前的令牌失效
+      this.tokens.clear();
+      res.json({ access_token: this.issueToken(), expires_in: 7200 });
+    });
+
+    app.post('/cgi-bin/stable_token', (req, res) => {
+      const { appid, secret, force_refresh: forceRefresh } = req.body || {};
+      const error = this.checkCredentials(appid, secret);
+      if (error) {
+        res.json(error);
+        return;
+      }
+
+      if (!this.stableToken || forceRefresh || !this.tokens.has(this.stableToken)) {
+        this.stableToken = this.issueToken();
+      }
+      res.json({ access_token: this.stableToken, expires_in: 7200 });
+    });
+
+    this.registerComponentRoutes(app);
+
+    // 其他接口需要有效的access_token
+    app.use('/cgi-bin', (req, res, next) => {
+      if (!this.tokens.has(req.query.access_token)) {
+        res.json({ errcode: 40001, errmsg: 'invalid credential, access_token is invalid or not latest' });
+        return;
+      }
+      next();
+    });
+
+    app.post('/cgi-bin/material/add_material', (req, res) => {
+      this.consumeUpload(req, () => {
+        const mediaId = this.nextId('mock_material_');
+        const url = `http://mmbiz.qpic.cn/mock/${mediaId}/0`;
+        this.materials.set(mediaId, { url });
+        res.json({ media_id: mediaId, url });
+      });
+    });
+
+    app.post('/cgi-bin/media/uploadimg', (req, res) => {
+      this.consumeUpload(req, () => {
+        res.json({ url: `http://mmbiz.qpic.cn/mock/${this.nextId('img_')}/0` });
+      });
+    });
+
+    app.post('/cgi-bin/media/uploadnews', (req, res) => {
+      const error = this.checkArticles(req.body.articles);
+      if (error) {
+        res.json(error);
+        return;
+      }
+      res.json({ type: 'news', media_id: this.nextId('mock_news_'), created_at: Math.floor(Date.now() / 1000) });
+    });
+
+    app.post('/cgi-bin/message/mass/preview', (req, res) => {
+      if (!req.body.touser || !req.body.mpnews || !req.body.mpnews.media_id) {
+        res.json({ errcode: 44002, errmsg: 'empty post data' });
+        return;
+      }
+      res.json({ errcode: 0, errmsg: 'preview success', msg_id: this.nextNumericId() });
+    });
+
+    app.post('/cgi-bin/draft/add', (req, res) => {
+      const error = this.checkArticles(req.body.articles, { requireThumb: true });
+      if (error) {
+        res.json(error);
+        return;
+      }
+
+      const mediaId = this.nextId('mock_draft_');
+      this.drafts.set(mediaId, {
+        newsItems: req.body.articles.map(article => this.toNewsItem(article, mediaId)),
+        updateTime: Math.floor(Date.now() / 1000)
+      });
+      res.json({ media_id: mediaId });
+    });
+
+    app.post('/cgi-bin/draft/get', (req, res) => {
+      const draft = this.drafts.get(req.body.media_id);
+      if (!draft) {
+        res.json(this.invalidMediaId());
+        return;
+      }
+      res.json({ news_item: draft.newsItems });
+    });
+
+    app.post('/cgi-bin/draft/update', (req, res) => {
+      const { media_id: mediaId, index = 0, articles } = req.body;
+      const draft = this.drafts.get(mediaId);
+      if (!draft || index >= draft.newsItems.length) {
+        res.json(this.invalidMediaId());
+        return;
+      }
+
+      const error = this.checkArticles([articles], { requireThumb: true });
+      if (error) {
+        res.json(error);
+        return;
+      }
+
+      draft.newsItems[index] = this.toNewsItem(articles, mediaId);
+      draft.updateTime = Math.floor(Date.now() / 1000);
+      res.json({ errcode: 0, errmsg: 'ok' });
+    });
+
+    app.post('/cgi-bin/draft/delete', (req, res) => {
+      if (!this.drafts.delete(req.body.media_id)) {
+        res.json(this.invalidMediaId());
+        return;
+      }
+      res.json({ errcode: 0, errmsg: 'ok' });
+    });
+
+    app.post('/cgi-bin/draft/batchget', (req, res) => {
+      const { offset = 0, count = 20, no_content: noContent = 0 } = req.body;
+      const items = [...this.drafts.entries()]
+        .reverse()
+        .slice(offset, offset + count)
+        .map(([mediaId, draft]) => ({
+          media_id: mediaId,
+          content: { news_item: draft.newsItems.map(item => this.withoutContent(item, noContent)) },
+          update_time: draft.updateTime
+        }));
+
+      res.json({ total_count: this.drafts.size, item_count: items.length, item: items });
+    });
+
+    app.get('/cgi-bin/draft/count', (req, res) => {
+      res.json({ errcode: 0, errmsg: 'ok', total_count: this.drafts.size });
+    });
+
+    app.post('/cgi-bin/freepublish/submit', (req, res) => {
+      const draft = this.drafts.get(req.body.media_id);
+      if (!draft) {
+        res.json(this.invalidMediaId());
+        return;
+      }
+
+      // 提交发布后草稿从草稿箱移除
+      this.drafts.delete(req.body.media_id);
+      const publishId = String(this.nextNumericId());
+      this.publishes.set(publishId, {
+        ...this.publishResult,
+        pollsLeft: this.publishResult.polls,
+        newsItems: draft.newsItems
+      });
+
+      res.json({ errcode: 0, errmsg: 'ok', publish_id: publishId, msg_data_id: this.nextNumericId() });
+    });
+
+    app.post('/cgi-bin/freepublish/get', (req, res) => {
+      const publishId = String(req.body.publish_id);
+      const publish = this.publishes.get(publishId);
+      if (!publish) {
+        res.json({ errcode: 40007, errmsg: 'invalid publish_id' });
+        return;
+      }
+
+      if (publish.pollsLeft > 0) {
+        publish.pollsLeft--;
+        res.json({ errcode: 0, errmsg: 'ok', publish_id: publishId, publish_status: 1 });
+        return;
+      }
+
+      res.json({ errcode: 0, errmsg: 'ok', publish_id: publishId, ...this.finishPublish(publish) });
+    });
+
+    app.post('/cgi-bin/freepublish/batchget', (req, res) => {
+      const { offset = 0, count = 20, no_content: noContent = 0 } = req.body;
+      const items = [...this.articles.entries()]
+        .reverse()
+        .slice(offset, offset + count)
+        .map(([articleId, article]) => ({
+          article_id: articleId,
+          content: { news_item: article.newsItems.map(item => this.withoutContent(item, noContent)) },
+          update_time: article.updateTime
+        }));
+
+      res.json({ total_count: this.articles.size, item_count: items.length, item: items });
+    });
+
+    app.post('/cgi-bin/freepublish/getarticle', (req, res) => {
+      const article = this.articles.get(req.body.article_id);
+      if (!article) {
+        res.json({ errcode: 40007, errmsg: 'invalid article_id' });
+        return;
+      }
+      res.json({ news_item: article.newsItems });
+    });
+
+    app.post('/cgi-bin/freepublish/delete', (req, res) => {
+      const { article_id: articleId, index = 0 } = req.body;
+      const article = this.articles.get(articleId);
+      if (!article) {
+        res.json({ errcode: 40007, errmsg: 'invalid article_id' });
+        return;
+      }
+
+      // index为0时删除全部文章，否则删除指定位置（从1开始）的文章
+      article.newsItems.forEach((item, i) => {
+        if (index === 0 || index === i + 1) {
+          item.is_deleted = true;
+        }
+      });
+      res.json({ errcode: 0, errmsg: 'ok' });
+    });
+
+    app.use((req, res) => {
+      res.status(404).json({ errcode: 404, errmsg: `mock server: unknown endpoint ${req.path}` });
+    });
+
+    return app;
+  }
+
+  /**
+   * 注册第三方平台接口（cgi-bin/component/*）
+   */
+  registerComponentRoutes(app) {
+    app.post('/cgi-bin/component/api_component_token', (req, res) => {
+      const { component_appid: appid, component_appsecret: secret, component_verify_ticket: ticket } = req.body || {};
+      if (appid !== this.componentAppId || secret !== this.componentAppSecret) {
+        res.json({ errcode: 61004, errmsg: 'access clientip is not registered or invalid component credential' });
+        return;
+      }
+      if (ticket !== this.verifyTicket) {
+        res.json({ errcode: 61006, errmsg: 'component ticket is invalid' });
+        return;
+      }
+
+      const token = this.nextId('mock_component_token_');
+      this.componentTokens.add(token);
+      res.json({ component_access_token: token, expires_in: 7200 });
+    });
+
+    app.use('/cgi-bin/component', (req, res, next) => {
+      if (!this.componentTokens.has(req.query.component_access_token)) {
+        res.json({ errcode: 40001, errmsg: 'invalid credential, component_access_token is invalid or not latest' });
+        return;
+      }
+      next();
+    });
+
+    app.post('/cgi-bin/component/api_query_auth', (req, res) => {
+      const authorizerAppId = this.authorizationCodes.get(req.body.authorization_code);
+      if (!authorizerAppId) {
+        res.json({ errcode: 61010, errmsg: 'code is expired or invalid' });
+        return;
+      }
+
+      this.authorizationCodes.delete(req.body.authorization_code);
+      res.json({
+        authorization_info: {
+          authorizer_appid: authorizerAppId,
+          authorizer_access_token: this.issueToken(),
+          expires_in: 7200,
+          authorizer_refresh_token: this.authorizers.get(authorizerAppId)
+        }
+      });
+    });
+
+    app.post('/cgi-bin/component/api_authorizer_token', (req, res) => {
+      const { authorizer_appid: authorizerAppId, authorizer_refresh_token: refreshToken } = req.body;
+      if (!this.authorizers.has(authorizerAppId) || this.authorizers.get(authorizerAppId) !== refreshToken) {
+        res.json({ errcode: 61023, errmsg: 'refresh_token is invalid' });
+        return;
+      }
+
+      res.json({
+        authorizer_access_token: this.issueToken(),
+        expires_in: 7200,
+        authorizer_refresh_token: refreshToken
+      });
+    });
+
+    app.post('/cgi-bin/component/api_get_authorizer_list', (req, res) => {
+      const { offset = 0, count = 500 } = req.body;
+      const list = [...this.authorizers.entries()]
+        .slice(offset, offset + count)
+        .map(([authorizerAppId, refreshToken]) => ({
+          authorizer_appid: authorizerAppId,
+          refresh_token: refreshToken,
+          auth_time: Math.floor(Date.now() / 1000)
+        }));
+      res.json({ total_count: this.authorizers.size, list });
+    });
+  }
+
+  /**
+   * 取出接口下一个编排的错误
+   */
+  takeFailure(endpoint) {
+    for (const key of [endpoint, '*']) {
+      const queue = this.failures.get(key);
+      if (queue && queue.length > 0) {
+        return queue.shift();
+      }
+    }
+    return null;
+  }
+
+  checkCredentials(appid, secret) {
+    if (appid !== this.appId) {
+      return { errcode: 40013, errmsg: 'invalid appid' };
+    }
+    if (secret !== this.appSecret) {
+      return { errcode: 40125, errmsg: 'invalid appsecret' };
+    }
+    return null;
+  }
+
+  /**
+   * 校验图文内容，规则参照真实接口的常见报错
+   */
+  checkArticles(articles, { requireThumb = false } = {}) {
+    if (!Array.isArray(articles) || articles.length === 0 || articles.some(article => !article)) {
+      return { errcode: 44002, errmsg: 'empty post data' };
+    }
+
+    for (const article of articles) {
+      if (!article.title || !article.content) {
+        return { errcode: 44003, errmsg: 'empty news data' };
+      }
+      if (article.title.length > 64) {
+        return { errcode: 45003, errmsg: 'title size out of limit' };
+      }
+      if (article.digest && article.digest.length > 120) {
+        return { errcode: 45004, errmsg: 'description size out of limit' };
+      }
+      if (/<script/i.test(article.content)) {
+        return { errcode: 45166, errmsg: 'invalid content' };
+      }
+      if ((requireThumb || article.thumb_media_id) && !this.materials.has(article.thumb_media_id)) {
+        return this.invalidMediaId();
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * 读取完上传的表单数据后再响应（无需解析文件内容）
+   */
+  consumeUpload(req, respond) {
+    if (req.readableEnded) {
+      respond();
+      return;
+    }
+    req.on('data', () => {});
+    req.on('end', respond);
+  }
+
+  invalidMediaId() {
+    return { errcode: 40007, errmsg: 'invalid media_id' };
+  }
+
+  toNewsItem(article, mediaId) {
+    return {
+      title: article.title,
+      author: article.author || '',
+      digest: article.digest || '',
+      content: article.content,
+      content_source_url: article.content_source_url || '',
+      thumb_media_id: article.thumb_media_id,
+      thumb_url: article.thumb_media_id ? this.materials.get(article.thumb_media_id).url : '',
+      need_open_comment: article.need_open_comment || 0,
+      only_fans_can_comment: article.only_fans_can_comment || 0,
+      url: `https://mp.weixin.qq.com/s/mock_${mediaId}`
+    };
+  }
+
+  withoutContent(item, noContent) {
+    if (!noContent) {
+      return item;
+    }
+    const rest = { ...item };
+    delete rest.content;
+    return rest;
+  }
+
+  /**
+   * 生成发布的最终结果；成功时生成已发布文章
+   */
+  finishPublish(publish) {
+    if (publish.status !== 0) {
+      return { publish_status: publish.status, fail_idx: publish.failIdx };
+    }
+
+    if (!publish.articleId) {
+      publish.articleId = this.nextId('mock_article_');
+      const newsItems = publish.newsItems.map((item, index) => ({
+        ...item,
+        url: `https://mp.weixin.qq.com/s/${publish.articleId}_${index + 1}`,
+        is_deleted: false
+      }));
+      this.articles.set(publish.articleId, { newsItems, updateTime: Math.floor(Date.now() / 1000) });
+    }
+
+    const { newsItems } = this.articles.get(publish.articleId);
+    return {
+      publish_status: 0,
+      article_id: publish.articleId,
+      article_detail: {
+        count: newsItems.length,
+        item: newsItems.map((item, index) => ({ idx: index + 1, article_url: item.url }))
+      },
+      fail_idx: []
+    };
+  }
+}
+
+// 直接运行时启动独立的模拟服务器：node src/mock/MockWeChatServer.js
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const mock = new MockWeChatServer({
+    appId: process.env.MOCK_WECHAT_APPID,
+    appSecret: process.env.MOCK_WECHAT_APPSECRET
+  });
+  const baseURL = await mock.start(parseInt(process.env.MOCK_WECHAT_PORT || '8787', 10));
+
+  logger.info(`Mock WeChat API listening on ${baseURL}`);
+  logger.info(`AppID: ${mock.appId}  AppSecret: ${mock.appSecret}`);
+  logger.info(`Run the MCP server with WECHAT_API_BASE_URL=${baseURL} to publish against it`);
+}
+
+export default MockWeChatServer;
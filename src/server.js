@@ -10,7 +10,12 @@ import { dirname } from 'path';
 import { z } from 'zod';
 import WeChatPublisher from './tools/wechat-publisher.js';
 import WeChatStatus from './tools/wechat-status.js';
+import WeChatDraft from './tools/wechat-draft.js';
+import WeChatPublished from './tools/wechat-published.js';
+import WeChatImageCache from './tools/wechat-image-cache.js';
 import { setupOAuth } from './auth/index.js';
+import { setupWeChatCallback, setupComponentCallback } from './callback/index.js';
+import { getDefaultComponent } from './services/WeChatComponent.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -36,23 +41,47 @@ function createMcpServer() {
   server.registerTool(
     "wechat_publish_article",
     {
-      description: "将文章发布到微信公众号，支持Markdown格式",
+      description: "将文章发布到微信公众号，支持Markdown格式；传入articles可创建多图文草稿（第一篇为头条）",
       inputSchema: {
-        title: z.string().describe("文章标题"),
-        content: z.string().describe("文章内容，支持Markdown或HTML格式"),
-        author: z.string().describe("作者名称"),
+        title: z.string().optional().describe("文章标题（单篇模式必需，也可在Markdown的Front Matter中提供）"),
+        content: z.string().optional().describe("文章内容，支持Markdown或HTML格式（单篇模式必需）；Markdown开头的YAML Front Matter可提供title、author、digest、cover、content_source_url、need_open_comment、only_fans_can_comment、theme、tags，显式传入的参数优先"),
+        author: z.string().optional().describe("作者名称，多图文模式下作为各篇文章的默认作者"),
         appId: z.string().describe("微信公众号AppID"),
-        appSecret: z.string().describe("微信公众号AppSecret"),
+        appSecret: z.string().optional().describe("微信公众号AppSecret（第三方平台授权模式下可不填）"),
         coverImagePath: z.string().optional().describe("封面图片路径"),
+        coverImageBase64: z.string().optional().describe("封面图片数据（base64或data URI），用于无法访问服务器文件的客户端，优先于coverImagePath"),
+        digest: z.string().optional().describe("文章摘要，不填则从内容自动提取"),
+        contentSourceUrl: z.string().optional().describe("原文链接（阅读原文）"),
+        needOpenComment: z.boolean().optional().describe("是否打开留言，默认false"),
+        onlyFansCanComment: z.boolean().optional().describe("是否仅粉丝可留言，默认false"),
+        articles: z.array(z.object({
+          title: z.string().optional().describe("文章标题（也可在Markdown的Front Matter中提供）"),
+          content: z.string().describe("文章内容，支持Markdown或HTML格式，Markdown可带Front Matter"),
+          author: z.string().optional().describe("作者名称"),
+          coverImagePath: z.string().optional().describe("封面图片路径"),
+          coverImageBase64: z.string().optional().describe("封面图片数据（base64或data URI）"),
+          digest: z.string().optional().describe("文章摘要"),
+          contentSourceUrl: z.string().optional().describe("原文链接"),
+          needOpenComment: z.boolean().optional().describe("是否打开留言"),
+          onlyFansCanComment: z.boolean().optional().describe("是否仅粉丝可留言"),
+          contentType: z.enum(['markdown', 'html']).optional().describe("内容格式，默认沿用顶层contentType"),
+          theme: z.string().optional().describe("文章主题，默认沿用顶层theme")
+        })).min(1).max(8).optional().describe("多图文文章列表（最多8篇），提供时忽略顶层title/content/coverImagePath/coverImageBase64/digest/contentSourceUrl/needOpenComment/onlyFansCanComment"),
+        images: z.record(z.string()).optional().describe("内联图片，键为正文中引用的图片文件名（如 chart.png），值为base64或data URI；也可作为coverImagePath引用"),
         contentType: z.enum(['markdown', 'html']).default('markdown').describe("内容格式：markdown 或 html"),
         previewMode: z.boolean().default(false).describe("是否为预览模式"),
         previewOpenId: z.string().optional().describe("预览用户OpenID"),
-        draftOnly: z.boolean().default(true).describe("是否仅创建草稿不发布，默认true")
+        draftOnly: z.boolean().default(true).describe("是否仅创建草稿不发布，默认true"),
+        publishTimeout: z.number().min(0).max(600).optional().describe("正式发布后等待发布结果的最长时间（秒），默认60"),
+        imageFailurePolicy: z.enum(['fail', 'warn', 'remove', 'placeholder']).optional().describe("图片上传失败时的处理方式：fail 取消发布、warn 保留原地址（默认）、remove 移除图片、placeholder 替换为占位文字"),
+        linkMode: z.enum(['footnote', 'text', 'keep']).optional().describe("外部链接的处理方式：footnote 转为脚注编号并在文末列出参考链接（默认）、text 只保留链接文字、keep 不处理；公众号文章链接始终保留"),
+        mathMode: z.enum(['image', 'svg', 'off']).optional().describe("Markdown中 $...$、$$...$$ 公式的处理方式：image 渲染为图片上传（默认）、svg 输出内联SVG、off 不解析公式"),
+        theme: z.string().optional().describe("Markdown文章主题：default（默认）、minimal、tech、elegant，或自定义主题目录中的主题名称")
       }
     },
     async (params) => {
-      const { title, content, author, appId, appSecret, coverImagePath, contentType = 'markdown', previewMode, previewOpenId, draftOnly = true } = params;
-      logger.info(`Publishing article: ${title}`);
+      const { title, content, author, appId, appSecret, coverImagePath, coverImageBase64, images, digest, contentSourceUrl, needOpenComment, onlyFansCanComment, articles, contentType = 'markdown', previewMode, previewOpenId, draftOnly = true, publishTimeout, imageFailurePolicy, linkMode, mathMode, theme } = params;
+      logger.info(`Publishing article: ${articles ? `${articles.length} articles, lead: ${articles[0].title}` : title}`);
 
       try {
         const result = await WeChatPublisher.publish({
@@ -62,10 +91,22 @@ function createMcpServer() {
           appId,
           appSecret,
           coverImagePath,
+          coverImageBase64,
+          images,
+          digest,
+          contentSourceUrl,
+          needOpenComment,
+          onlyFansCanComment,
+          articles,
           contentType,
           previewMode,
           previewOpenId,
-          draftOnly
+          draftOnly,
+          publishTimeout,
+          imageFailurePolicy,
+          linkMode,
+          mathMode,
+          theme
         });
 
         return result;
@@ -88,17 +129,19 @@ function createMcpServer() {
     {
       description: "查询文章发布状态和统计数据",
       inputSchema: {
-        msgId: z.string().describe("消息ID"),
+        publishId: z.string().optional().describe("发布ID（发布文章或发布草稿时返回的publishId）"),
+        msgId: z.string().optional().describe("已弃用，请改用publishId"),
         appId: z.string().describe("微信公众号AppID"),
-        appSecret: z.string().describe("微信公众号AppSecret")
+        appSecret: z.string().optional().describe("微信公众号AppSecret（第三方平台授权模式下可不填）")
       }
     },
     async (params) => {
-      const { msgId, appId, appSecret } = params;
-      logger.info(`Querying status for message: ${msgId}`);
+      const { publishId, msgId, appId, appSecret } = params;
+      logger.info(`Querying status for publish: ${publishId || msgId}`);
 
       try {
         const result = await WeChatStatus.query({
+          publishId,
           msgId,
           appId,
           appSecret
@@ -118,6 +161,339 @@ function createMcpServer() {
     }
   );
 
+  // 注册草稿管理工具
+  server.registerTool(
+    "wechat_list_drafts",
+    {
+      description: "获取草稿箱中的草稿列表（分页）",
+      inputSchema: {
+        appId: z.string().describe("微信公众号AppID"),
+        appSecret: z.string().optional().describe("微信公众号AppSecret（第三方平台授权模式下可不填）"),
+        offset: z.number().int().min(0).default(0).describe("起始位置，从0开始"),
+        count: z.number().int().min(1).max(20).default(20).describe("返回数量，1-20"),
+        noContent: z.boolean().default(true).describe("是否省略文章正文，默认true")
+      }
+    },
+    async (params) => {
+      logger.info('Listing drafts');
+
+      try {
+        return await WeChatDraft.list(params);
+      } catch (error) {
+        logger.error(`获取草稿列表失败: ${error.message}`);
+        return {
+          content: [{
+            type: "text",
+            text: `❌ 获取草稿列表失败: ${error.message}`
+          }],
+          isError: true
+        };
+      }
+    }
+  );
+
+  server.registerTool(
+    "wechat_get_draft",
+    {
+      description: "根据media_id获取草稿详情（含文章正文）",
+      inputSchema: {
+        mediaId: z.string().describe("草稿MediaID"),
+        appId: z.string().describe("微信公众号AppID"),
+        appSecret: z.string().optional().describe("微信公众号AppSecret（第三方平台授权模式下可不填）")
+      }
+    },
+    async (params) => {
+      logger.info(`Getting draft: ${params.mediaId}`);
+
+      try {
+        return await WeChatDraft.get(params);
+      } catch (error) {
+        logger.error(`获取草稿失败: ${error.message}`);
+        return {
+          content: [{
+            type: "text",
+            text: `❌ 获取草稿失败: ${error.message}`
+          }],
+          isError: true
+        };
+      }
+    }
+  );
+
+  server.registerTool(
+    "wechat_update_draft",
+    {
+      description: "修改草稿中的单篇文章，仅覆盖传入的字段",
+      inputSchema: {
+        mediaId: z.string().describe("草稿MediaID"),
+        appId: z.string().describe("微信公众号AppID"),
+        appSecret: z.string().optional().describe("微信公众号AppSecret（第三方平台授权模式下可不填）"),
+        index: z.number().int().min(0).max(7).default(0).describe("要修改的文章在草稿中的位置，从0开始"),
+        title: z.string().optional().describe("新标题"),
+        author: z.string().optional().describe("新作者"),
+        digest: z.string().optional().describe("新摘要"),
+        content: z.string().optional().describe("新正文，支持Markdown或HTML格式；Markdown开头的Front Matter同样会修改标题、作者等字段，显式传入的参数优先"),
+        contentType: z.enum(['markdown', 'html']).default('markdown').describe("新正文的格式：markdown 或 html"),
+        contentSourceUrl: z.string().optional().describe("原文链接"),
+        needOpenComment: z.boolean().optional().describe("是否打开留言"),
+        onlyFansCanComment: z.boolean().optional().describe("是否仅粉丝可留言"),
+        coverImagePath: z.string().optional().describe("新封面图片路径"),
+        imageFailurePolicy: z.enum(['fail', 'warn', 'remove', 'placeholder']).optional().describe("图片上传失败时的处理方式：fail 取消发布、warn 保留原地址（默认）、remove 移除图片、placeholder 替换为占位文字"),
+        linkMode: z.enum(['footnote', 'text', 'keep']).optional().describe("外部链接的处理方式：footnote 转为脚注编号并在文末列出参考链接（默认）、text 只保留链接文字、keep 不处理；公众号文章链接始终保留"),
+        mathMode: z.enum(['image', 'svg', 'off']).optional().describe("Markdown中 $...$、$$...$$ 公式的处理方式：image 渲染为图片上传（默认）、svg 输出内联SVG、off 不解析公式"),
+        theme: z.string().optional().describe("新正文使用的Markdown文章主题，默认为default")
+      }
+    },
+    async (params) => {
+      logger.info(`Updating draft: ${params.mediaId}`);
+
+      try {
+        return await WeChatDraft.update(params);
+      } catch (error) {
+        logger.error(`修改草稿失败: ${error.message}`);
+        return {
+          content: [{
+            type: "text",
+            text: `❌ 修改草稿失败: ${error.message}`
+          }],
+          isError: true
+        };
+      }
+    }
+  );
+
+  server.registerTool(
+    "wechat_publish_draft",
+    {
+      description: "发布已有草稿（如draftOnly创建并在后台审阅过的草稿），返回发布ID、消息ID和文章链接",
+      inputSchema: {
+        mediaId: z.string().describe("草稿MediaID"),
+        appId: z.string().describe("微信公众号AppID"),
+        appSecret: z.string().optional().describe("微信公众号AppSecret（第三方平台授权模式下可不填）"),
+        publishTimeout: z.number().min(0).max(600).optional().describe("等待发布结果的最长时间（秒），默认60")
+      }
+    },
+    async (params) => {
+      logger.info(`Publishing draft: ${params.mediaId}`);
+
+      try {
+        return await WeChatDraft.publish(params);
+      } catch (error) {
+        logger.error(`发布草稿失败: ${error.message}`);
+        return {
+          content: [{
+            type: "text",
+            text: `❌ 发布草稿失败: ${error.message}`
+          }],
+          isError: true
+        };
+      }
+    }
+  );
+
+  server.registerTool(
+    "wechat_delete_draft",
+    {
+      description: "删除草稿（不可恢复）",
+      inputSchema: {
+        mediaId: z.string().describe("草稿MediaID"),
+        appId: z.string().describe("微信公众号AppID"),
+        appSecret: z.string().optional().describe("微信公众号AppSecret（第三方平台授权模式下可不填）")
+      }
+    },
+    async (params) => {
+      logger.info(`Deleting draft: ${params.mediaId}`);
+
+      try {
+        return await WeChatDraft.delete(params);
+      } catch (error) {
+        logger.error(`删除草稿失败: ${error.message}`);
+        return {
+          content: [{
+            type: "text",
+            text: `❌ 删除草稿失败: ${error.message}`
+          }],
+          isError: true
+        };
+      }
+    }
+  );
+
+  server.registerTool(
+    "wechat_count_drafts",
+    {
+      description: "获取草稿箱中的草稿总数",
+      inputSchema: {
+        appId: z.string().describe("微信公众号AppID"),
+        appSecret: z.string().optional().describe("微信公众号AppSecret（第三方平台授权模式下可不填）")
+      }
+    },
+    async (params) => {
+      logger.info('Counting drafts');
+
+      try {
+        return await WeChatDraft.count(params);
+      } catch (error) {
+        logger.error(`获取草稿总数失败: ${error.message}`);
+        return {
+          content: [{
+            type: "text",
+            text: `❌ 获取草稿总数失败: ${error.message}`
+          }],
+          isError: true
+        };
+      }
+    }
+  );
+
+  // 注册已发布文章管理工具
+  server.registerTool(
+    "wechat_list_published",
+    {
+      description: "分页获取已发布的文章列表（标题、链接、更新时间、article_id）",
+      inputSchema: {
+        appId: z.string().describe("微信公众号AppID"),
+        appSecret: z.string().optional().describe("微信公众号AppSecret（第三方平台授权模式下可不填）"),
+        offset: z.number().int().min(0).default(0).describe("起始位置，从0开始"),
+        count: z.number().int().min(1).max(20).default(20).describe("返回数量，1-20"),
+        noContent: z.boolean().default(true).describe("是否省略文章正文，默认true")
+      }
+    },
+    async (params) => {
+      logger.info('Listing published articles');
+
+      try {
+        return await WeChatPublished.list(params);
+      } catch (error) {
+        logger.error(`获取已发布文章列表失败: ${error.message}`);
+        return {
+          content: [{
+            type: "text",
+            text: `❌ 获取已发布文章列表失败: ${error.message}`
+          }],
+          isError: true
+        };
+      }
+    }
+  );
+
+  server.registerTool(
+    "wechat_get_published_article",
+    {
+      description: "根据article_id获取已发布文章的完整内容",
+      inputSchema: {
+        articleId: z.string().describe("已发布文章的ArticleID"),
+        appId: z.string().describe("微信公众号AppID"),
+        appSecret: z.string().optional().describe("微信公众号AppSecret（第三方平台授权模式下可不填）")
+      }
+    },
+    async (params) => {
+      logger.info(`Getting published article: ${params.articleId}`);
+
+      try {
+        return await WeChatPublished.get(params);
+      } catch (error) {
+        logger.error(`获取已发布文章失败: ${error.message}`);
+        return {
+          content: [{
+            type: "text",
+            text: `❌ 获取已发布文章失败: ${error.message}`
+          }],
+          isError: true
+        };
+      }
+    }
+  );
+
+  server.registerTool(
+    "wechat_delete_published_article",
+    {
+      description: "删除已发布的文章（不可恢复），需传入confirm: true确认",
+      inputSchema: {
+        articleId: z.string().describe("已发布文章的ArticleID"),
+        appId: z.string().describe("微信公众号AppID"),
+        appSecret: z.string().optional().describe("微信公众号AppSecret（第三方平台授权模式下可不填）"),
+        index: z.number().int().min(0).max(8).default(0).describe("要删除的文章位置，从1开始；0表示删除整条图文消息"),
+        confirm: z.boolean().default(false).describe("确认删除，必须为true才会执行")
+      }
+    },
+    async (params) => {
+      logger.info(`Deleting published article: ${params.articleId}`);
+
+      try {
+        return await WeChatPublished.delete(params);
+      } catch (error) {
+        logger.error(`删除已发布文章失败: ${error.message}`);
+        return {
+          content: [{
+            type: "text",
+            text: `❌ 删除已发布文章失败: ${error.message}`
+          }],
+          isError: true
+        };
+      }
+    }
+  );
+
+  // 注册图片上传缓存管理工具
+  server.registerTool(
+    "wechat_inspect_image_cache",
+    {
+      description: "查看图片上传缓存（按图片内容哈希记录的已上传封面图media_id和正文图片URL）",
+      inputSchema: {
+        appId: z.string().optional().describe("只查看指定公众号的缓存"),
+        target: z.enum(["cover", "content"]).optional().describe("只查看封面图（cover）或正文图片（content）"),
+        olderThanDays: z.number().positive().optional().describe("只查看早于指定天数上传的图片"),
+        limit: z.number().int().min(1).max(200).default(20).describe("最多显示的记录数")
+      }
+    },
+    async (params) => {
+      logger.info('Inspecting image cache');
+
+      try {
+        return await WeChatImageCache.inspect(params);
+      } catch (error) {
+        logger.error(`查看图片上传缓存失败: ${error.message}`);
+        return {
+          content: [{
+            type: "text",
+            text: `❌ 查看图片上传缓存失败: ${error.message}`
+          }],
+          isError: true
+        };
+      }
+    }
+  );
+
+  server.registerTool(
+    "wechat_purge_image_cache",
+    {
+      description: "清理图片上传缓存，下次发布时重新上传图片（只删除本地记录，不删除微信素材库中的图片）；不传过滤条件时清空全部",
+      inputSchema: {
+        appId: z.string().optional().describe("只清理指定公众号的缓存"),
+        target: z.enum(["cover", "content"]).optional().describe("只清理封面图（cover）或正文图片（content）"),
+        hash: z.string().optional().describe("只清理指定SHA-256哈希的图片"),
+        olderThanDays: z.number().positive().optional().describe("只清理早于指定天数上传的图片")
+      }
+    },
+    async (params) => {
+      logger.info('Purging image cache');
+
+      try {
+        return await WeChatImageCache.purge(params);
+      } catch (error) {
+        logger.error(`清理图片上传缓存失败: ${error.message}`);
+        return {
+          content: [{
+            type: "text",
+            text: `❌ 清理图片上传缓存失败: ${error.message}`
+          }],
+          isError: true
+        };
+      }
+    }
+  );
+
   return server;
 }
 
@@ -152,7 +528,38 @@ async function startHttpServer(port) {
       introspect: `${baseUrl}/oauth/introspect`
     });
   } else {
-    app.use(express.json());
+    // 内联图片（base64）会显著增大请求体
+    app.use(express.json({ limit: process.env.MCP_HTTP_BODY_LIMIT || '20mb' }));
+  }
+
+  // 微信服务器事件接收（配置 WECHAT_CALLBACK_TOKEN 后启用）
+  const callbackPath = process.env.WECHAT_CALLBACK_PATH || '/wechat/callback';
+  const useCallback = Boolean(process.env.WECHAT_CALLBACK_TOKEN);
+
+  if (useCallback) {
+    const callback = setupWeChatCallback({
+      token: process.env.WECHAT_CALLBACK_TOKEN,
+      encodingAESKey: process.env.WECHAT_ENCODING_AES_KEY,
+      appId: process.env.WECHAT_CALLBACK_APPID,
+      path: callbackPath,
+      storagePath: process.env.MCP_DATA_PATH || './data'
+    });
+    callback.setupRoutes(app);
+  }
+
+  // 第三方平台授权事件接收（配置第三方平台及 WECHAT_COMPONENT_TOKEN 后启用）
+  const componentPath = process.env.WECHAT_COMPONENT_PATH || '/wechat/component';
+  const component = getDefaultComponent();
+  const useComponent = Boolean(component && process.env.WECHAT_COMPONENT_TOKEN);
+
+  if (useComponent) {
+    const componentCallback = setupComponentCallback({
+      component,
+      token: process.env.WECHAT_COMPONENT_TOKEN,
+      encodingAESKey: process.env.WECHAT_COMPONENT_ENCODING_AES_KEY,
+      path: componentPath
+    });
+    componentCallback.setupRoutes(app);
   }
 
   // 健康检查
@@ -161,7 +568,9 @@ async function startHttpServer(port) {
       status: 'ok',
       server: 'wechat-publisher-mcp',
       sessions: Object.keys(transports).length,
-      oauth: useOAuth
+      oauth: useOAuth,
+      wechatCallback: useCallback,
+      wechatComponent: useComponent
     });
   });
 
@@ -256,6 +665,12 @@ async function startHttpServer(port) {
     logger.info(`HTTP server listening on port ${port}`);
     logger.info(`MCP endpoint: ${mcpServerUrl.toString()}`);
     logger.info(`Health check: ${baseUrl}/health`);
+    if (useCallback) {
+      logger.info(`WeChat callback URL: ${baseUrl}${callbackPath}`);
+    }
+    if (useComponent) {
+      logger.info(`WeChat component event URL: ${baseUrl}${componentPath}`);
+    }
     if (useOAuth) {
       logger.info('OAuth authentication: ENABLED');
       logger.info(`OAuth discovery: ${baseUrl}/.well-known/oauth-authorization-server`);
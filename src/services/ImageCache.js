@@ -0,0 +1,148 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { createHash } from 'crypto';
+import logger from '../utils/logger.js';
+
+/**
+ * 计算图片内容哈希（SHA-256）
+ * @param {Buffer} buffer 预处理后的图片数据
+ * @returns {string} 十六进制哈希
+ */
+export function hashImage(buffer) {
+  return createHash('sha256').update(buffer).digest('hex');
+}
+
+/**
+ * 图片上传缓存
+ * 按 AppID + 上传接口 + 图片内容哈希记录已上传图片的微信URL或media_id，
+ * 重复预览、重新发布同一篇文章时跳过上传，避免重复占用永久素材配额
+ */
+export class ImageCache {
+  constructor(storagePath) {
+    this.storagePath = storagePath;
+    // 串行化读写，避免同一进程内并发上传时互相覆盖
+    this.queue = Promise.resolve();
+  }
+
+  static key(appId, target, hash) {
+    return `${appId}:${target}:${hash}`;
+  }
+
+  /**
+   * 读取文件中的全部缓存（每次读取，以获取其他进程写入的记录）
+   */
+  async load() {
+    try {
+      const data = await fs.readFile(this.storagePath, 'utf8');
+      return JSON.parse(data).images || {};
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error('Failed to load image cache', { error: error.message });
+      }
+      return {};
+    }
+  }
+
+  async save(images) {
+    await fs.mkdir(path.dirname(this.storagePath), { recursive: true });
+    // 先写临时文件再重命名，避免并发读取到写了一半的文件
+    const tempPath = `${this.storagePath}.${process.pid}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify({ images }, null, 2), { mode: 0o600 });
+    await fs.rename(tempPath, this.storagePath);
+  }
+
+  /**
+   * 读取-修改-写入，同一进程内按顺序执行
+   * @param {Function} update (images) => 返回值，修改images后写回文件
+   */
+  modify(update) {
+    const task = this.queue.then(async () => {
+      const images = await this.load();
+      const result = update(images);
+      await this.save(images);
+      return result;
+    });
+    this.queue = task.catch(() => {});
+    return task;
+  }
+
+  /**
+   * 查找已上传的图片
+   * @param {string} appId 公众号AppID
+   * @param {string} target 上传接口：cover 或 content
+   * @param {string} hash 图片内容哈希
+   * @returns {Promise<Object|undefined>} { appId, target, hash, url, mediaId, filename, size, createdAt }
+   */
+  async get(appId, target, hash) {
+    const images = await this.load();
+    return images[ImageCache.key(appId, target, hash)];
+  }
+
+  /**
+   * 记录已上传的图片
+   * @param {Object} entry { appId, target, hash, url, mediaId, filename, size }
+   */
+  async set(entry) {
+    await this.modify(images => {
+      images[ImageCache.key(entry.appId, entry.target, entry.hash)] = { ...entry, createdAt: Date.now() };
+    });
+  }
+
+  /**
+   * 列出缓存记录（按上传时间倒序）
+   * @param {Object} [filter] 过滤条件 { appId, target, olderThan（时间戳，毫秒） }
+   * @returns {Promise<Array<Object>>} 缓存记录
+   */
+  async list(filter = {}) {
+    const images = await this.load();
+    return Object.values(images)
+      .filter(entry => ImageCache.matches(entry, filter))
+      .sort((a, b) => b.createdAt - a.createdAt);
+  }
+
+  /**
+   * 删除缓存记录
+   * @param {Object} [filter] 过滤条件 { appId, target, hash, olderThan }，不传时清空全部
+   * @returns {Promise<Array<Object>>} 被删除的记录
+   */
+  async purge(filter = {}) {
+    return this.modify(images => {
+      const removed = [];
+      Object.entries(images).forEach(([key, entry]) => {
+        if (ImageCache.matches(entry, filter)) {
+          removed.push(entry);
+          delete images[key];
+        }
+      });
+      return removed;
+    });
+  }
+
+  static matches(entry, { appId, target, hash, olderThan } = {}) {
+    return (!appId || entry.appId === appId)
+      && (!target || entry.target === target)
+      && (!hash || entry.hash === hash)
+      && (!olderThan || entry.createdAt < olderThan);
+  }
+}
+
+let defaultImageCache;
+
+/**
+ * 获取默认图片上传缓存（MCP_DATA_PATH/wechat-image-cache.json）
+ * WECHAT_IMAGE_CACHE=off 时不使用缓存
+ * @returns {ImageCache|null} 图片上传缓存
+ */
+export function getDefaultImageCache() {
+  if (defaultImageCache === undefined) {
+    if (process.env.WECHAT_IMAGE_CACHE === 'off') {
+      defaultImageCache = null;
+    } else {
+      const storagePath = process.env.MCP_DATA_PATH || './data';
+      defaultImageCache = new ImageCache(`${storagePath}/wechat-image-cache.json`);
+    }
+  }
+  return defaultImageCache;
+}
+
+export default getDefaultImageCache;
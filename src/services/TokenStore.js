@@ -0,0 +1,146 @@
+import { createHash } from 'crypto';
+import { promises as fs } from 'fs';
+import path from 'path';
+import logger from '../utils/logger.js';
+
+/**
+ * 生成令牌存储的键
+ * 键中包含凭据、获取策略和接口地址的哈希，AppSecret错误的调用不会拿到其他调用缓存的令牌，
+ * 指向模拟服务器的令牌也不会被用于正式接口
+ * @param {string} appId 公众号AppID
+ * @param {Object} [options] 令牌来源
+ * @param {string} [options.credential] 获取令牌使用的凭据（如AppSecret）
+ * @param {string} [options.strategy] access_token获取策略
+ * @param {string} [options.baseURL] 微信接口地址
+ * @returns {string} 令牌存储的键，形如 AppID:哈希
+ */
+export function getTokenKey(appId, { credential = '', strategy = '', baseURL = '' } = {}) {
+  const digest = createHash('sha256')
+    .update(JSON.stringify([credential, strategy, baseURL]))
+    .digest('hex')
+    .slice(0, 16);
+  return `${appId}:${digest}`;
+}
+
+/**
+ * 内存令牌存储
+ * 同一进程内的所有 WeChatAPI 实例共享，按 getTokenKey 生成的键缓存 access_token
+ */
+export class MemoryTokenStore {
+  constructor() {
+    this.tokens = new Map();
+  }
+
+  /**
+   * 获取令牌
+   * @param {string} key 令牌键（见 getTokenKey）
+   * @returns {Promise<Object|undefined>} { accessToken, expiresAt }
+   */
+  async get(key) {
+    return this.tokens.get(key);
+  }
+
+  /**
+   * 保存令牌
+   * @param {string} key 令牌键（见 getTokenKey）
+   * @param {Object} token { accessToken, expiresAt }
+   */
+  async set(key, token) {
+    this.tokens.set(key, token);
+  }
+
+  /**
+   * 删除令牌
+   * @param {string} key 令牌键（见 getTokenKey）
+   */
+  async delete(key) {
+    this.tokens.delete(key);
+  }
+}
+
+/**
+ * 文件令牌存储
+ * 将 access_token 持久化到文件，服务重启或多个进程之间可以复用，避免重复消耗 cgi-bin/token 调用次数
+ */
+export class FileTokenStore {
+  constructor(storagePath) {
+    this.storagePath = storagePath;
+    // 串行执行读取-修改-写入，避免同时保存的令牌互相覆盖
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * 读取文件中的全部令牌（每次读取，以获取其他进程刷新的令牌）
+   */
+  async load() {
+    try {
+      const data = await fs.readFile(this.storagePath, 'utf8');
+      return JSON.parse(data).tokens || {};
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error('Failed to load access tokens', { error: error.message });
+      }
+      return {};
+    }
+  }
+
+  async save(tokens) {
+    await fs.mkdir(path.dirname(this.storagePath), { recursive: true });
+    // 先写临时文件再重命名，避免并发读取到写了一半的文件
+    const tempPath = `${this.storagePath}.${process.pid}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify({ tokens }, null, 2), { mode: 0o600 });
+    await fs.rename(tempPath, this.storagePath);
+  }
+
+  async get(key) {
+    const tokens = await this.load();
+    return tokens[key];
+  }
+
+  /**
+   * 读取-修改-写入，同一进程内按顺序执行
+   * @param {Function} update (tokens) => void，修改tokens后写回文件
+   */
+  modify(update) {
+    const task = this.queue.then(async () => {
+      const tokens = await this.load();
+      update(tokens);
+      await this.save(tokens);
+    });
+    this.queue = task.catch(() => {});
+    return task;
+  }
+
+  async set(key, token) {
+    await this.modify(tokens => {
+      tokens[key] = token;
+    });
+  }
+
+  async delete(key) {
+    await this.modify(tokens => {
+      delete tokens[key];
+    });
+  }
+}
+
+let defaultTokenStore = null;
+
+/**
+ * 获取默认令牌存储
+ * WECHAT_TOKEN_STORE=file 时使用文件存储（MCP_DATA_PATH/wechat-tokens.json），否则使用内存存储
+ * @returns {MemoryTokenStore|FileTokenStore} 令牌存储
+ */
+export function getDefaultTokenStore() {
+  if (!defaultTokenStore) {
+    if (process.env.WECHAT_TOKEN_STORE === 'file') {
+      const storagePath = process.env.MCP_DATA_PATH || './data';
+      defaultTokenStore = new FileTokenStore(`${storagePath}/wechat-tokens.json`);
+    } else {
+      defaultTokenStore = new MemoryTokenStore();
+    }
+  }
+  return defaultTokenStore;
+}
+
+export default getDefaultTokenStore;
@@ -2,368 +2,887 @@ import axios from 'axios';
 import FormData from 'form-data';
 import { promises as fs } from 'fs';
 import path from 'path';
+import { getDefaultTokenStore, getTokenKey } from './TokenStore.js';
+import { getDefaultImageCache, hashImage } from './ImageCache.js';
+import { getDefaultComponent } from './WeChatComponent.js';
+import { WeChatAPIError, TOKEN_INVALID_ERRCODES } from './WeChatAPIError.js';
+import { requestWithRetry } from '../utils/retry.js';
+import { getHttpConfig, getHttpClient } from '../utils/http.js';
+import { IMAGE_TARGETS, IMAGE_CONTENT_TYPES, DEFAULT_MAX_WIDTH, detectImageFormat, formatBytes, preprocessImage } from '../utils/image.js';
+import { fetchRemoteImage } from '../utils/remoteImage.js';
 import logger from '../utils/logger.js';
 
+/**
+ * 发布状态（freepublish/get 返回的 publish_status）
+ */
+export const PUBLISH_STATUS = {
+  SUCCESS: 0,
+  PUBLISHING: 1,
+  ORIGINAL_FAILED: 2,
+  FAILED: 3,
+  AUDIT_REJECTED: 4,
+  DELETED: 5,
+  BANNED: 6
+};
+
+// 发布成功后文章才被删除或封禁的状态：发布本身成功，不属于发布失败
+const REMOVED_PUBLISH_STATUSES = [PUBLISH_STATUS.DELETED, PUBLISH_STATUS.BANNED];
+
+// 微信公众平台接口地址
+const DEFAULT_BASE_URL = 'https://api.weixin.qq.com';
+
+/**
+ * 发布结果轮询的默认配置（毫秒）
+ */
+const DEFAULT_PUBLISH_POLLING = {
+  timeout: 60000,
+  initialInterval: 2000,
+  maxInterval: 10000,
+  backoffFactor: 1.5
+};
+
+/**
+ * access_token获取策略
+ * - client_credential: cgi-bin/token，每次获取都会使同一AppID之前的令牌失效
+ * - stable: cgi-bin/stable_token，有效期内重复获取返回同一令牌，不影响共用该公众号的其他服务
+ * - external: 由外部令牌服务（URL或函数）统一签发
+ * - component: 第三方平台授权模式，通过第三方平台换取授权方的 authorizer_access_token，无需AppSecret
+ */
+export const TOKEN_STRATEGIES = ['client_credential', 'stable', 'external', 'component'];
+
+// 外部令牌服务未返回有效期时的缓存时间（秒）
+const DEFAULT_EXTERNAL_TOKEN_TTL = 300;
+
+// 正在进行中的令牌刷新请求（按令牌键），保证并发调用只请求一次令牌接口
+const pendingTokenRequests = new Map();
+
 /**
  * 微信公众号API服务
  * 封装微信公众平台的API调用，包括access_token管理、图片上传、文章发布等
  */
 class WeChatAPI {
-  constructor(appId, appSecret) {
+  /**
+   * @param {string} appId 公众号AppID
+   * @param {string} [appSecret] 公众号AppSecret，第三方平台授权模式下可不填
+   * @param {Object} [options] 可选配置
+   * @param {Object} [options.publishPolling] 发布结果轮询配置（timeout、initialInterval、maxInterval、backoffFactor，单位毫秒）
+   * @param {Object} [options.tokenStore] access_token存储，默认使用进程内共享的存储（见 TokenStore.js）
+   * @param {string} [options.tokenStrategy] access_token获取策略（见 TOKEN_STRATEGIES），默认读取 WECHAT_TOKEN_STRATEGY
+   * @param {string|Function} [options.tokenProvider] 外部令牌服务URL，或 ({ appId, forceRefresh }) => token 函数，默认读取 WECHAT_TOKEN_PROVIDER_URL
+   * @param {WeChatComponent} [options.component] 第三方平台；未提供AppSecret时默认使用环境变量配置的第三方平台
+   * @param {string} [options.baseURL] 微信接口地址，默认读取 WECHAT_API_BASE_URL，未设置时为 https://api.weixin.qq.com（可指向本地模拟服务器）
+   * @param {Object} [options.http] HTTP配置（proxy、caFile、localAddress、timeouts），未指定的项读取环境变量（见 utils/http.js）
+   * @param {Object} [options.imageProcessing] 上传前的图片预处理配置 { enabled, maxWidth }，默认读取 WECHAT_IMAGE_PROCESSING、WECHAT_IMAGE_MAX_WIDTH
+   * @param {ImageCache|null} [options.imageCache] 图片上传缓存，默认使用 MCP_DATA_PATH/wechat-image-cache.json（见 ImageCache.js），传入null时不使用缓存
+   * @param {Object} [options.remoteImages] 远程图片下载配置（allowlist、maxBytes、timeout），allowlist默认读取 WECHAT_REMOTE_IMAGE_ALLOWLIST
+   * @param {Object} [options.retry] 临时性故障重试配置（maxRetries、baseDelay、maxDelay，单位毫秒），maxRetries默认读取 WECHAT_MAX_RETRIES
+   */
+  constructor(appId, appSecret, options = {}) {
     this.appId = appId;
     this.appSecret = appSecret;
-    this.accessToken = null;
-    this.tokenExpireTime = 0;
+    this.baseURL = (options.baseURL || process.env.WECHAT_API_BASE_URL || DEFAULT_BASE_URL).replace(/\/+$/, '');
+    this.httpConfig = getHttpConfig(options.http);
+    this.http = getHttpClient(this.httpConfig);
+    this.tokenStore = options.tokenStore || getDefaultTokenStore();
+    this.tokenProvider = options.tokenProvider || process.env.WECHAT_TOKEN_PROVIDER_URL;
+    this.component = options.component || (appSecret ? null : getDefaultComponent());
+    this.tokenStrategy = options.tokenStrategy
+      || (this.component ? 'component' : null)
+      || process.env.WECHAT_TOKEN_STRATEGY
+      || (options.tokenProvider ? 'external' : 'client_credential');
+
+    if (!TOKEN_STRATEGIES.includes(this.tokenStrategy)) {
+      throw new Error(`不支持的access_token获取策略: ${this.tokenStrategy}（可选: ${TOKEN_STRATEGIES.join(', ')}）`);
+    }
+
+    if (this.tokenStrategy === 'external' && !this.tokenProvider) {
+      throw new Error('external策略需要配置外部令牌服务（tokenProvider 或 WECHAT_TOKEN_PROVIDER_URL）');
+    }
+
+    if (this.tokenStrategy === 'component' && !this.component) {
+      throw new Error('component策略需要配置第三方平台（WECHAT_COMPONENT_APPID、WECHAT_COMPONENT_APPSECRET）');
+    }
+    this.tokenKey = this.getTokenKey();
+    this.publishPolling = {
+      ...DEFAULT_PUBLISH_POLLING,
+      ...(process.env.WECHAT_PUBLISH_TIMEOUT ? { timeout: parseInt(process.env.WECHAT_PUBLISH_TIMEOUT, 10) * 1000 } : {}),
+      ...options.publishPolling
+    };
+    this.retry = {
+      ...(process.env.WECHAT_MAX_RETRIES ? { maxRetries: parseInt(process.env.WECHAT_MAX_RETRIES, 10) } : {}),
+      ...options.retry
+    };
+    // 本实例发生过的重试记录，用于在工具响应中展示
+    this.retries = [];
+    this.imageProcessing = {
+      enabled: process.env.WECHAT_IMAGE_PROCESSING !== 'off',
+      maxWidth: parseInt(process.env.WECHAT_IMAGE_MAX_WIDTH, 10) || DEFAULT_MAX_WIDTH,
+      ...options.imageProcessing
+    };
+    this.remoteImages = { ...options.remoteImages };
+    this.imageCache = options.imageCache !== undefined ? options.imageCache : getDefaultImageCache();
+    // 本实例上传过的图片及其处理记录，用于在工具响应中展示
+    this.processedImages = [];
+    // 本实例命中上传缓存、未重复上传的图片
+    this.reusedImages = [];
+    // 上传失败的图片及其处理方式（见 imageFailurePolicy），用于在工具响应中展示
+    this.failedImages = [];
+    // 正在上传的图片（按上传接口和内容哈希），相同图片并发上传时只上传一次
+    this.pendingImageUploads = new Map();
     
     logger.debug('WeChatAPI initialized', { appId });
   }
 
+  /**
+   * 生成access_token在令牌存储中的键
+   * 键中包含凭据，AppSecret不同的实例不共用缓存的令牌；第三方平台授权模式使用第三方平台签发令牌时的键
+   * @returns {string} 令牌键
+   */
+  getTokenKey() {
+    if (this.tokenStrategy === 'component') {
+      return this.component.getTokenKey(this.appId);
+    }
+
+    let credential = this.appSecret || '';
+    if (this.tokenStrategy === 'external' && typeof this.tokenProvider === 'string') {
+      credential = `${this.tokenProvider}:${credential}`;
+    }
+    return getTokenKey(this.appId, {
+      credential,
+      strategy: this.tokenStrategy,
+      baseURL: this.baseURL
+    });
+  }
+
   /**
    * 获取访问令牌(Access Token)
-   * 自动处理token缓存和刷新
+   * 优先使用令牌存储中未过期的token；需要刷新时，同一AppID和凭据的并发调用共享同一次请求
+   * @param {Object} [options] 获取选项
+   * @param {boolean} [options.forceRefresh=false] 忽略缓存并要求令牌接口签发新令牌（令牌被微信判定无效时使用）
    * @returns {Promise<string>} Access Token
    */
-  async getAccessToken() {
-    const now = Date.now();
-    
+  async getAccessToken({ forceRefresh = false } = {}) {
+    const cached = forceRefresh ? null : await this.tokenStore.get(this.tokenKey);
+
     // 如果token还没过期，直接返回缓存的token
-    if (this.accessToken && now < this.tokenExpireTime) {
+    if (cached && Date.now() < cached.expiresAt) {
       logger.debug('使用缓存的access_token');
-      return this.accessToken;
+      return cached.accessToken;
+    }
+
+    if (!pendingTokenRequests.has(this.tokenKey)) {
+      const request = this.refreshAccessToken({ forceRefresh }).finally(() => {
+        pendingTokenRequests.delete(this.tokenKey);
+      });
+      pendingTokenRequests.set(this.tokenKey, request);
     }
 
+    return pendingTokenRequests.get(this.tokenKey);
+  }
+
+  /**
+   * 按配置的策略获取新的access_token并写入令牌存储
+   * @param {Object} [options] 获取选项
+   * @param {boolean} [options.forceRefresh=false] 是否强制签发新令牌
+   * @returns {Promise<string>} Access Token
+   */
+  async refreshAccessToken({ forceRefresh = false } = {}) {
+    const now = Date.now();
+
+    logger.debug('获取新的access_token', { strategy: this.tokenStrategy, forceRefresh });
+
+    let token;
+    if (this.tokenStrategy === 'stable') {
+      token = await this.fetchStableToken(forceRefresh);
+    } else if (this.tokenStrategy === 'external') {
+      token = await this.fetchExternalToken(forceRefresh);
+    } else if (this.tokenStrategy === 'component') {
+      token = await this.component.fetchAuthorizerToken(this.appId);
+    } else {
+      token = await this.fetchClientCredentialToken();
+    }
+
+    await this.tokenStore.set(this.tokenKey, {
+      accessToken: token.accessToken,
+      // 提前60秒过期，避免边界情况
+      expiresAt: now + Math.max(token.expiresIn - 60, 0) * 1000
+    });
+
+    logger.info('access_token获取成功', {
+      strategy: this.tokenStrategy,
+      expiresIn: token.expiresIn
+    });
+
+    return token.accessToken;
+  }
+
+  /**
+   * 通过 cgi-bin/token 获取令牌
+   * @returns {Promise<Object>} { accessToken, expiresIn }
+   */
+  async fetchClientCredentialToken() {
     try {
-      logger.debug('获取新的access_token');
-      const response = await axios.get('https://api.weixin.qq.com/cgi-bin/token', {
+      const response = await this.request(() => this.http.get(`${this.baseURL}/cgi-bin/token`, {
         params: {
           grant_type: 'client_credential',
           appid: this.appId,
           secret: this.appSecret
         },
-        timeout: 10000
-      });
+        timeout: this.httpConfig.timeouts.json
+      }), { action: '获取Access Token', endpoint: '/cgi-bin/token', withToken: false });
 
       if (response.data.access_token) {
-        this.accessToken = response.data.access_token;
-        // 提前60秒过期，避免边界情况
-        this.tokenExpireTime = now + (response.data.expires_in - 60) * 1000;
-        
-        logger.info('access_token获取成功', { 
-          expiresIn: response.data.expires_in 
-        });
-        
-        return this.accessToken;
+        return {
+          accessToken: response.data.access_token,
+          expiresIn: response.data.expires_in
+        };
       } else {
-        throw new Error(`获取Access Token失败: ${response.data.errmsg || '未知错误'}`);
+        throw WeChatAPIError.fromResponse(response.data, { action: '获取Access Token', endpoint: '/cgi-bin/token' });
+      }
+    } catch (error) {
+      throw WeChatAPIError.from(error, { action: '获取Access Token', endpoint: '/cgi-bin/token' });
+    }
+  }
+
+  /**
+   * 通过 cgi-bin/stable_token 获取稳定版令牌
+   * 普通模式下有效期内重复调用返回同一令牌；force_refresh 会签发新令牌（每天有次数限制），仅在令牌被判定无效时使用
+   * @param {boolean} forceRefresh 是否强制刷新
+   * @returns {Promise<Object>} { accessToken, expiresIn }
+   */
+  async fetchStableToken(forceRefresh) {
+    try {
+      const response = await this.request(() => this.http.post(`${this.baseURL}/cgi-bin/stable_token`, {
+        grant_type: 'client_credential',
+        appid: this.appId,
+        secret: this.appSecret,
+        force_refresh: forceRefresh
+      }, { timeout: this.httpConfig.timeouts.json }), { action: '获取Stable Access Token', endpoint: '/cgi-bin/stable_token', withToken: false });
+
+      if (response.data.access_token) {
+        return {
+          accessToken: response.data.access_token,
+          expiresIn: response.data.expires_in
+        };
+      } else {
+        throw WeChatAPIError.fromResponse(response.data, { action: '获取Stable Access Token', endpoint: '/cgi-bin/stable_token' });
+      }
+    } catch (error) {
+      throw WeChatAPIError.from(error, { action: '获取Stable Access Token', endpoint: '/cgi-bin/stable_token' });
+    }
+  }
+
+  /**
+   * 从外部令牌服务获取令牌
+   * URL方式：GET {url}?appid=...&force_refresh=0|1，响应为 { access_token, expires_in } 或 { accessToken, expiresIn }
+   * 函数方式：调用 tokenProvider({ appId, forceRefresh })，可返回令牌字符串或上述对象
+   * @param {boolean} forceRefresh 是否要求外部服务签发新令牌
+   * @returns {Promise<Object>} { accessToken, expiresIn }
+   */
+  async fetchExternalToken(forceRefresh) {
+    let result;
+
+    try {
+      if (typeof this.tokenProvider === 'function') {
+        result = await this.tokenProvider({ appId: this.appId, forceRefresh });
+      } else {
+        // 外部令牌服务通常部署在内网，不经过访问微信接口的代理
+        const response = await axios.get(this.tokenProvider, {
+          params: { appid: this.appId, force_refresh: forceRefresh ? 1 : 0 },
+          timeout: 10000
+        });
+        result = response.data;
       }
     } catch (error) {
       if (error.response) {
-        const errorData = error.response.data;
-        throw new Error(`Access Token请求失败: ${errorData.errmsg || error.message}`);
+        throw new Error(`外部令牌服务请求失败: ${error.message} (HTTP状态: ${error.response.status})`);
       } else {
-        throw new Error(`Access Token网络请求失败: ${error.message}`);
+        throw new Error(`外部令牌服务请求失败: ${error.message}`);
+      }
+    }
+
+    const accessToken = typeof result === 'string'
+      ? result
+      : result && (result.access_token || result.accessToken);
+
+    if (!accessToken) {
+      throw new Error(`外部令牌服务未返回access_token: ${(result && result.errmsg) || '响应格式不正确'}`);
+    }
+
+    return {
+      accessToken,
+      expiresIn: (result && (result.expires_in || result.expiresIn)) || DEFAULT_EXTERNAL_TOKEN_TTL
+    };
+  }
+
+  /**
+   * 使令牌失效
+   * 只有存储中的令牌仍是失效的那个时才删除，避免误删其他调用刚刷新的令牌
+   * @param {string} staleToken 已失效的access_token
+   * @returns {Promise<boolean>} 是否删除了缓存（为false说明其他调用已经换上了新令牌）
+   */
+  async invalidateAccessToken(staleToken) {
+    const cached = await this.tokenStore.get(this.tokenKey);
+    if (!cached || cached.accessToken === staleToken) {
+      await this.tokenStore.delete(this.tokenKey);
+      logger.info('access_token已失效，已从缓存中移除', { appId: this.appId });
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * 携带access_token发起请求；若微信返回令牌无效(40001/40014/42001)，刷新令牌后重试一次
+   * @param {Function} request 接收access_token并返回axios响应的函数
+   * @returns {Promise<Object>} axios响应
+   */
+  async withAccessToken(request) {
+    const accessToken = await this.getAccessToken();
+    const response = await request(accessToken);
+
+    if (response.data && TOKEN_INVALID_ERRCODES.includes(response.data.errcode)) {
+      logger.warn('access_token无效，刷新后重试', { errcode: response.data.errcode });
+      // stable_token 在有效期内会返回同一个令牌，因此需要强制刷新才能拿到新令牌
+      const forceRefresh = await this.invalidateAccessToken(accessToken);
+      return request(await this.getAccessToken({ forceRefresh }));
+    }
+
+    return response;
+  }
+
+  /**
+   * 发送微信接口请求：附带access_token，并对临时性故障（系统繁忙、频率限制、超时、连接重置等）退避重试
+   * 重试策略见 utils/retry.js；每次重试都会记录到 this.retries
+   * @param {Function} send 接收access_token并返回axios响应的函数
+   * @param {Object} context 请求信息
+   * @param {string} context.action 操作名称
+   * @param {string} context.endpoint 接口路径
+   * @param {boolean} [context.idempotent=true] 请求是否幂等，非幂等请求只在确定微信未处理时重试
+   * @param {boolean} [context.withToken=true] 是否需要附带access_token（获取令牌的请求本身不需要）
+   * @returns {Promise<Object>} axios响应
+   */
+  async request(send, { action, endpoint, idempotent = true, withToken = true }) {
+    return requestWithRetry(
+      () => (withToken ? this.withAccessToken(send) : send()),
+      {
+        action,
+        endpoint,
+        idempotent,
+        retry: this.retry,
+        onRetry: retryInfo => this.retries.push(retryInfo)
       }
+    );
+  }
+
+  /**
+   * 构建重试记录的说明文本
+   * @param {Array<Object>} retries 重试记录
+   * @returns {string} 说明文本，没有重试时返回空字符串
+   */
+  static formatRetries(retries = []) {
+    if (retries.length === 0) {
+      return '';
+    }
+
+    let message = `🔁 自动重试: ${retries.length}次\n`;
+    retries.forEach(({ action, reason, retry, delay }) => {
+      message += `   • ${action}: ${reason}，${(delay / 1000).toFixed(1)}秒后第${retry}次重试\n`;
+    });
+    return message;
+  }
+
+  /**
+   * 格式化图片处理记录，只列出做过处理的图片
+   * @param {Array<Object>} images 图片处理记录（processedImages）
+   * @param {Array<Object>} [reusedImages] 命中上传缓存的图片（reusedImages）
+   * @returns {string} 处理摘要，没有处理过的图片时返回空字符串
+   */
+  static formatImageProcessing(images = [], reusedImages = []) {
+    const processed = images.filter(image => image.actions.length > 0);
+    let message = '';
+
+    if (processed.length > 0) {
+      message += `🗜️ 图片处理: ${processed.length}张\n`;
+      processed.forEach(({ label, file, actions, originalSize, size }) => {
+        message += `   • ${label} ${file}: ${actions.join('，')}（${formatBytes(originalSize)} → ${formatBytes(size)}）\n`;
+      });
+    }
+
+    if (reusedImages.length > 0) {
+      message += `♻️ 复用已上传图片: ${reusedImages.length}张（内容未变化，跳过上传）\n`;
+    }
+    return message;
+  }
+
+  /**
+   * 格式化图片上传失败记录
+   * @param {Array<Object>} images 上传失败的图片（failedImages）
+   * @returns {string} 失败列表，没有失败时返回空字符串
+   */
+  static formatFailedImages(images = []) {
+    if (images.length === 0) {
+      return '';
+    }
+
+    let message = `⚠️ 图片上传失败: ${images.length}张\n`;
+    images.forEach(({ label, src, reason, action }) => {
+      message += `   • ${label} ${src}: ${reason}（${action}）\n`;
+    });
+    return message;
+  }
+
+  /**
+   * 读取待上传的图片，按接口限制预处理
+   * @param {string|Object} imagePath 图片文件路径，或内联图片 { buffer, filename }
+   * @param {string} target 上传接口：cover 或 content（见 utils/image.js 的 IMAGE_TARGETS）
+   * @returns {Promise<Object>} { buffer, contentType, filename, report }
+   */
+  async readImageForUpload(imagePath, target) {
+    if (Buffer.isBuffer(imagePath.buffer)) {
+      return this.prepareImageForUpload(imagePath.buffer, imagePath.filename || 'image', target);
+    }
+
+    const stats = await fs.stat(imagePath);
+    if (!stats.isFile()) {
+      throw new Error('指定路径不是有效文件');
+    }
+
+    const buffer = await fs.readFile(imagePath);
+    return this.prepareImageForUpload(buffer, path.basename(imagePath), target);
+  }
+
+  /**
+   * 按接口限制预处理图片（缩放、格式转换、压缩、去除EXIF）
+   * @param {Buffer} buffer 图片数据
+   * @param {string} filename 文件名
+   * @param {string} target 上传接口：cover 或 content
+   * @returns {Promise<Object>} { buffer, contentType, filename, report }
+   */
+  async prepareImageForUpload(buffer, filename, target) {
+    const { label, maxBytes } = IMAGE_TARGETS[target];
+
+    // 关闭预处理时按原样上传，只检查大小
+    if (!this.imageProcessing.enabled) {
+      if (buffer.length > maxBytes) {
+        throw new Error(`图片文件过大，${label}请使用小于${formatBytes(maxBytes)}的图片`);
+      }
+      const format = detectImageFormat(buffer);
+      return { buffer, filename, contentType: IMAGE_CONTENT_TYPES[format] || 'image/jpeg' };
+    }
+
+    const image = await preprocessImage(buffer, {
+      target,
+      filename,
+      maxWidth: this.imageProcessing.maxWidth
+    });
+    this.processedImages.push({ label, file: filename, ...image.report });
+
+    logger.debug(`${label}预处理完成`, { filename, ...image.report });
+    return image;
+  }
+
+  /**
+   * 上传图片，内容相同的图片只上传一次
+   * 先查找上传缓存，未命中时上传并记录结果；同一实例中正在上传的相同图片共用同一次上传
+   * @param {Object} image 预处理后的图片 { buffer, filename }
+   * @param {string} target 上传接口：cover 或 content
+   * @param {Function} upload 实际上传，返回 { url, mediaId }
+   * @returns {Promise<Object>} 上传结果 { url, mediaId }
+   */
+  async uploadImageOnce(image, target, upload) {
+    if (!this.imageCache) {
+      return upload();
+    }
+
+    const hash = hashImage(image.buffer);
+    const key = `${target}:${hash}`;
+    const { label } = IMAGE_TARGETS[target];
+
+    if (this.pendingImageUploads.has(key)) {
+      const result = await this.pendingImageUploads.get(key);
+      this.reusedImages.push({ label, file: image.filename, hash, ...result });
+      return result;
+    }
+
+    const pending = (async () => {
+      const entry = await this.findUploadedImage(target, hash);
+      if (entry) {
+        this.reusedImages.push({ label, file: image.filename, hash, url: entry.url, mediaId: entry.mediaId });
+        logger.info(`${label}命中上传缓存，跳过上传`, { filename: image.filename, hash });
+        return { url: entry.url, mediaId: entry.mediaId };
+      }
+
+      const result = await upload();
+      await this.rememberUploadedImage({ target, hash, ...result, filename: image.filename, size: image.buffer.length });
+      return result;
+    })();
+
+    this.pendingImageUploads.set(key, pending);
+    try {
+      return await pending;
+    } finally {
+      this.pendingImageUploads.delete(key);
+    }
+  }
+
+  /**
+   * 在上传缓存中查找已上传的图片，缓存读取失败时按未命中处理
+   */
+  async findUploadedImage(target, hash) {
+    try {
+      return await this.imageCache.get(this.appId, target, hash);
+    } catch (error) {
+      logger.warn('读取图片上传缓存失败', { error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * 记录上传结果，缓存写入失败不影响上传
+   */
+  async rememberUploadedImage(entry) {
+    try {
+      await this.imageCache.set({ appId: this.appId, ...entry });
+    } catch (error) {
+      logger.warn('写入图片上传缓存失败', { error: error.message });
     }
   }
 
   /**
    * 上传封面图片
-   * @param {string} imagePath 图片文件路径
+   * @param {string|Object} imagePath 图片文件路径，或内联图片 { buffer, filename }
    * @returns {Promise<string>} 媒体ID
    */
   async uploadCoverImage(imagePath) {
-    const accessToken = await this.getAccessToken();
-    
     try {
-      // 检查文件是否存在
-      const stats = await fs.stat(imagePath);
-      if (!stats.isFile()) {
-        throw new Error('指定路径不是有效文件');
-      }
-      
-      // 检查文件大小（微信要求缩略图不超过64KB，这里放宽到1MB）
-      if (stats.size > 1024 * 1024) {
-        throw new Error('图片文件过大，请使用小于1MB的图片');
-      }
-      
-      // 读取图片文件
-      const imageBuffer = await fs.readFile(imagePath);
-      const formData = new FormData();
-      
-      // 根据文件扩展名确定Content-Type
-      const ext = path.extname(imagePath).toLowerCase();
-      let contentType = 'image/jpeg';
-      if (ext === '.png') contentType = 'image/png';
-      else if (ext === '.gif') contentType = 'image/gif';
-      else if (ext === '.webp') contentType = 'image/webp';
-      
-      formData.append('media', imageBuffer, {
-        filename: path.basename(imagePath),
-        contentType: contentType
-      });
+      const image = await this.readImageForUpload(imagePath, 'cover');
 
-      logger.debug('开始上传封面图', { 
-        path: imagePath, 
-        size: stats.size, 
-        contentType 
-      });
+      const { mediaId } = await this.uploadImageOnce(image, 'cover', async () => {
+        // 表单数据是流，只能发送一次，重试时需要重新构建
+        // 永久素材重复上传会占用素材库配额，因此按非幂等请求处理
+        const response = await this.request(accessToken => {
+          const formData = new FormData();
+          formData.append('media', image.buffer, {
+            filename: image.filename,
+            contentType: image.contentType
+          });
 
-      const response = await axios.post(
-        `https://api.weixin.qq.com/cgi-bin/material/add_material?access_token=${accessToken}&type=image`,
-        formData,
-        { 
-          headers: formData.getHeaders(),
-          timeout: 30000
+          return this.http.post(
+            `${this.baseURL}/cgi-bin/material/add_material?access_token=${accessToken}&type=image`,
+            formData,
+            { 
+              headers: formData.getHeaders(),
+              timeout: this.httpConfig.timeouts.upload
+            }
+          );
+        }, { action: '封面图上传', endpoint: '/cgi-bin/material/add_material', idempotent: false });
+
+        if (!response.data.media_id) {
+          throw WeChatAPIError.fromResponse(response.data, { action: '封面图上传', endpoint: '/cgi-bin/material/add_material' });
         }
-      );
 
-      if (response.data.media_id) {
         logger.info('封面图上传成功', { 
           mediaId: response.data.media_id,
           url: response.data.url
         });
-        return response.data.media_id;
-      } else {
-        throw new Error(`封面图上传失败: ${response.data.errmsg || '未知错误'}`);
-      }
+        return { mediaId: response.data.media_id, url: response.data.url };
+      });
+
+      return mediaId;
     } catch (error) {
       if (error.code === 'ENOENT') {
         throw new Error(`图片文件不存在: ${imagePath}`);
-      } else if (error.response) {
-        const errorData = error.response.data;
-        throw new Error(`封面图上传失败: ${errorData.errmsg || error.message}`);
-      } else {
-        throw new Error(`封面图上传请求失败: ${error.message}`);
       }
+      throw WeChatAPIError.from(error, { action: '封面图上传', endpoint: '/cgi-bin/material/add_material' });
     }
   }
 
   /**
    * 上传文章内容中的图片（返回URL而非media_id）
-   * @param {string} imagePath 图片文件路径
+   * @param {string|Object} imagePath 图片文件路径，或内联图片 { buffer, filename }
    * @returns {Promise<string>} 图片URL
    */
   async uploadContentImage(imagePath) {
-    const accessToken = await this.getAccessToken();
-
     try {
-      // 检查文件是否存在
-      const stats = await fs.stat(imagePath);
-      if (!stats.isFile()) {
-        throw new Error('指定路径不是有效文件');
+      const image = await this.readImageForUpload(imagePath, 'content');
+      return await this.sendContentImage(image);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new Error(`图片文件不存在: ${imagePath}`);
       }
+      throw WeChatAPIError.from(error, { action: '内容图片上传', endpoint: '/cgi-bin/media/uploadimg' });
+    }
+  }
 
-      // 检查文件大小（微信限制10MB）
-      if (stats.size > 10 * 1024 * 1024) {
-        throw new Error('图片文件过大，请使用小于10MB的图片');
-      }
+  /**
+   * 下载远程图片并转存到微信（微信不显示外链图片）
+   * @param {string} url 图片地址
+   * @returns {Promise<string>} 微信图片URL
+   */
+  async uploadRemoteImage(url) {
+    const remote = await fetchRemoteImage(url, this.remoteImages);
+    logger.debug('远程图片下载完成', { url, size: remote.buffer.length, format: remote.format });
 
-      // 读取图片文件
-      const imageBuffer = await fs.readFile(imagePath);
-      const formData = new FormData();
+    try {
+      const image = await this.prepareImageForUpload(remote.buffer, remote.filename, 'content');
+      return await this.sendContentImage(image);
+    } catch (error) {
+      throw WeChatAPIError.from(error, { action: '内容图片上传', endpoint: '/cgi-bin/media/uploadimg' });
+    }
+  }
 
-      // 根据文件扩展名确定Content-Type
-      const ext = path.extname(imagePath).toLowerCase();
-      let contentType = 'image/jpeg';
-      if (ext === '.png') contentType = 'image/png';
-      else if (ext === '.gif') contentType = 'image/gif';
-      else if (ext === '.webp') contentType = 'image/webp';
+  /**
+   * 通过 media/uploadimg 上传已预处理的图片，内容相同的图片直接使用缓存的URL
+   * @param {Object} image 图片 { buffer, contentType, filename }
+   * @returns {Promise<string>} 图片URL
+   */
+  async sendContentImage(image) {
+    const { url } = await this.uploadImageOnce(image, 'content', async () => {
+      // 使用 uploadimg 接口，返回 URL（表单数据在每次重试时重新构建）
+      const response = await this.request(accessToken => {
+        const formData = new FormData();
+        formData.append('media', image.buffer, {
+          filename: image.filename,
+          contentType: image.contentType
+        });
 
-      formData.append('media', imageBuffer, {
-        filename: path.basename(imagePath),
-        contentType: contentType
-      });
+        return this.http.post(
+          `${this.baseURL}/cgi-bin/media/uploadimg?access_token=${accessToken}`,
+          formData,
+          {
+            headers: formData.getHeaders(),
+            timeout: this.httpConfig.timeouts.upload
+          }
+        );
+      }, { action: '内容图片上传', endpoint: '/cgi-bin/media/uploadimg' });
 
-      logger.debug('开始上传内容图片', {
-        path: imagePath,
-        size: stats.size,
-        contentType
-      });
+      if (!response.data.url) {
+        throw WeChatAPIError.fromResponse(response.data, { action: '内容图片上传', endpoint: '/cgi-bin/media/uploadimg' });
+      }
 
-      // 使用 uploadimg 接口，返回 URL
-      const response = await axios.post(
-        `https://api.weixin.qq.com/cgi-bin/media/uploadimg?access_token=${accessToken}`,
-        formData,
-        {
-          headers: formData.getHeaders(),
-          timeout: 60000
-        }
-      );
+      logger.info('内容图片上传成功', {
+        url: response.data.url
+      });
+      return { url: response.data.url };
+    });
 
-      if (response.data.url) {
-        logger.info('内容图片上传成功', {
-          url: response.data.url
-        });
-        return response.data.url;
-      } else {
-        throw new Error(`内容图片上传失败: ${response.data.errmsg || '未知错误'}`);
-      }
-    } catch (error) {
-      if (error.code === 'ENOENT') {
-        throw new Error(`图片文件不存在: ${imagePath}`);
-      } else if (error.response) {
-        const errorData = error.response.data;
-        throw new Error(`内容图片上传失败: ${errorData.errmsg || error.message}`);
-      } else {
-        throw new Error(`内容图片上传请求失败: ${error.message}`);
-      }
-    }
+    return url;
   }
 
   /**
    * 发布文章（使用草稿+发布流程）
+   * 支持单篇文章参数，或通过articles传入多图文（第一篇为头条）
    * @param {Object} options 发布选项
+   * @param {Array<Object>} [options.articles] 多图文列表，每项包含title、content、author、digest、thumbMediaId
+   * @param {Object} [options.publishPolling] 本次发布的结果轮询配置，覆盖实例配置
    * @returns {Promise<Object>} 发布结果
    */
-  async publishArticle({ title, content, author, thumbMediaId, draftOnly = true }) {
-    // 检查是否为测试环境（通过AppID判断）
-    if (this.appId.startsWith('test_')) {
-      logger.info('测试模式：模拟文章发布成功');
-      const mockMsgId = Date.now().toString();
-      const mockPublishId = (Date.now() - 1000).toString();
-      const mockUrl = `https://mp.weixin.qq.com/s/example_${mockMsgId}`;
-      
-      return {
-        success: true,
-        publishId: mockPublishId,
-        msgId: mockMsgId,
-        articleUrl: mockUrl,
-        mediaId: 'test_media_id'
-      };
-    }
-    
-    logger.info('正式发布模式：调用真实微信API', { appId: this.appId });
-    const accessToken = await this.getAccessToken();
-    logger.info('获取到access_token', { tokenLength: accessToken.length });
-    
-    console.log('🚀 开始发布文章到微信公众号');
-    console.log('AppID:', this.appId);
-    console.log('文章标题:', title);
-    console.log('作者:', author);
+  async publishArticle({ title, content, author, thumbMediaId, digest, articles, draftOnly = true, publishPolling }) {
+    const articleList = this.normalizeArticles({ title, content, author, thumbMediaId, digest, articles });
+
+    logger.info('调用微信API发布文章', {
+      appId: this.appId,
+      titles: articleList.map(article => article.title),
+      author: articleList[0].author
+    });
     
     try {
-      logger.debug('开始创建草稿');
+      logger.debug('开始创建草稿', { articleCount: articleList.length });
       
       // 1. 创建草稿
-      const articleData = {
-        title,
-        author: author || '',
-        digest: this.extractDigest(content),
-        content,
-        content_source_url: '',
-        need_open_comment: 0,
-        only_fans_can_comment: 0
-      };
-      
-      // 只有当thumbMediaId存在且不为null时才添加thumb_media_id字段
-      if (thumbMediaId && thumbMediaId !== null && thumbMediaId !== 'null') {
-        articleData.thumb_media_id = thumbMediaId;
-      }
-      
       const draftData = {
-        articles: [articleData]
+        articles: articleList.map(article => this.buildDraftArticle(article))
       };
       
-      console.log('📋 草稿数据:', JSON.stringify({
-        ...draftData,
-        articles: [{
-          ...draftData.articles[0],
-          content: `${draftData.articles[0].content.substring(0, 100)}...`
-        }]
-      }, null, 2));
-      console.log('🖼️ thumbMediaId:', thumbMediaId);
-
-      console.log('📝 正在创建草稿...');
-      const draftResponse = await axios.post(
-        `https://api.weixin.qq.com/cgi-bin/draft/add?access_token=${accessToken}`,
+      logger.debug('草稿数据', {
+        articles: draftData.articles.map(article => ({
+          ...article,
+          content: `${article.content.substring(0, 100)}...`
+        }))
+      });
+
+      // 创建草稿不是幂等操作：超时等无法确认结果的情况不重试，避免产生重复草稿
+      const draftResponse = await this.request(accessToken => this.http.post(
+        `${this.baseURL}/cgi-bin/draft/add?access_token=${accessToken}`,
         draftData,
-        { timeout: 30000 }
-      );
+        { timeout: this.httpConfig.timeouts.json }
+      ), { action: '创建草稿', endpoint: '/cgi-bin/draft/add', idempotent: false });
 
-      console.log('草稿API响应:', JSON.stringify(draftResponse.data, null, 2));
+      logger.debug('草稿API响应', draftResponse.data);
 
-      if (draftResponse.data.errcode && draftResponse.data.errcode !== 0) {
-        throw new Error(`创建草稿失败: ${draftResponse.data.errmsg}`);
-      }
+      WeChatAPIError.assertResponse(draftResponse.data, { action: '创建草稿', endpoint: '/cgi-bin/draft/add' });
 
       const mediaId = draftResponse.data.media_id;
       logger.info('草稿创建成功', { mediaId });
-      console.log('✅ 草稿创建成功，MediaID:', mediaId);
 
       // 如果只创建草稿，直接返回
       if (draftOnly) {
-        logger.info('仅创建草稿模式，跳过发布步骤');
-        console.log('📝 草稿已创建，请在微信公众平台后台手动发布');
+        logger.info('仅创建草稿模式，跳过发布步骤，请在微信公众平台后台手动发布');
         return {
           success: true,
           mediaId,
           draftOnly: true,
+          articleCount: articleList.length,
           message: '草稿创建成功，请在微信公众平台后台手动发布'
         };
       }
 
       // 2. 发布草稿
-      logger.debug('开始发布草稿');
-      console.log('🚀 正在发布草稿到微信公众号...');
-      
-      const publishResponse = await axios.post(
-        `https://api.weixin.qq.com/cgi-bin/freepublish/submit?access_token=${accessToken}`,
-        { media_id: mediaId },
-        { timeout: 30000 }
-      );
+      const publishResult = await this.submitDraft(mediaId, publishPolling);
 
-      console.log('发布API响应:', JSON.stringify(publishResponse.data, null, 2));
+      return {
+        ...publishResult,
+        articleCount: articleList.length
+      };
 
-      if (publishResponse.data.errcode && publishResponse.data.errcode !== 0) {
-        throw new Error(`发布文章失败: ${publishResponse.data.errmsg}`);
-      }
+    } catch (error) {
+      throw WeChatAPIError.from(error, { action: '创建草稿', endpoint: '/cgi-bin/draft/add' });
+    }
+  }
+
+  /**
+   * 发布已有草稿（freepublish/submit），并轮询发布状态获取真实结果
+   * 发布失败时抛出错误；超时仍未出结果时返回pending: true，不会生成文章链接；
+   * 发布成功但文章随后被删除或封禁时返回removed: true
+   * @param {string} mediaId 草稿media_id
+   * @param {Object} [publishPolling] 结果轮询配置，覆盖实例配置
+   * @returns {Promise<Object>} 发布结果，包含publishId、msgId、pending、removed、statusText、articleUrl、articleUrls
+   */
+  async submitDraft(mediaId, publishPolling) {
+    logger.info('开始发布草稿', { mediaId });
+
+    const publishData = await this.callAPI('freepublish/submit', {
+      data: { media_id: mediaId },
+      action: '发布文章',
+      idempotent: false
+    });
+
+    logger.debug('发布API响应', publishData);
+
+    // freepublish/submit 返回的消息ID字段为 msg_data_id
+    const publishId = publishData.publish_id;
+    const msgId = publishData.msg_data_id;
+    logger.info('文章发布提交成功', { publishId, msgId });
+
+    const outcome = await this.waitForPublishResult(publishId, publishPolling);
+
+    if (outcome.state === 'failed') {
+      const failIdx = outcome.failIdx && outcome.failIdx.length > 0
+        ? `，失败文章序号: ${outcome.failIdx.join(', ')}`
+        : '';
+      throw new Error(`发布文章失败: ${outcome.statusText} (发布ID: ${publishId}${failIdx})`);
+    }
+
+    const pending = outcome.state === 'pending';
+    const removed = outcome.state === 'removed';
+    if (pending) {
+      logger.warn('等待发布结果超时，发布仍在进行中', { publishId, elapsed: `${outcome.elapsed}ms` });
+    } else if (removed) {
+      logger.warn('文章发布成功，但已被移除', { publishId, msgId, statusText: outcome.statusText });
+    } else {
+      logger.info('文章发布成功', { publishId, msgId, articleUrl: outcome.articleUrls[0] });
+    }
+
+    return {
+      success: true,
+      pending,
+      removed,
+      publishId,
+      msgId,
+      publishStatus: outcome.publishStatus,
+      statusText: outcome.statusText,
+      articleId: outcome.articleId,
+      articleUrl: outcome.articleUrls[0] || null,
+      articleUrls: outcome.articleUrls,
+      mediaId
+    };
+  }
+
+  /**
+   * 轮询发布状态直到出现最终结果或超时
+   * 每次查询间隔按backoffFactor递增，最长不超过maxInterval
+   * @param {string} publishId 发布ID
+   * @param {Object} [pollingOptions] 轮询配置，覆盖实例配置
+   * @returns {Promise<Object>} 轮询结果，state为 success / removed（发布成功后文章已被删除或封禁） / failed / pending
+   */
+  async waitForPublishResult(publishId, pollingOptions = {}) {
+    const { timeout, initialInterval, maxInterval, backoffFactor } = {
+      ...this.publishPolling,
+      ...pollingOptions
+    };
+    const startTime = Date.now();
+    let interval = initialInterval;
+    let attempts = 0;
+    let lastStatus = null;
+
+    logger.debug('开始轮询发布状态', { publishId, timeout });
+
+    while (Date.now() - startTime + interval <= timeout) {
+      await new Promise(resolve => setTimeout(resolve, interval));
+      attempts++;
 
-      const publishId = publishResponse.data.publish_id;
-      const msgId = publishResponse.data.msg_id;
-      console.log('✅ 文章发布提交成功！');
-      console.log('发布ID:', publishId);
-      console.log('消息ID:', msgId);
-      
-      // 等待一段时间让文章发布完成，然后查询真实的文章URL
-      logger.debug('等待文章发布完成...');
-      await new Promise(resolve => setTimeout(resolve, 3000)); // 等待3秒
-      
-      let articleUrl = null;
       try {
-        // 查询发布状态获取真实的文章URL
-        const statusResult = await this.getPublishStatus(publishId);
-        if (statusResult.article_detail && statusResult.article_detail.item && statusResult.article_detail.item.length > 0) {
-          articleUrl = statusResult.article_detail.item[0].url;
-        }
+        lastStatus = await this.getPublishStatus(publishId);
       } catch (error) {
-        logger.warn('获取文章URL失败，使用默认格式', { error: error.message });
-        // 如果查询失败，使用备用URL格式
-        articleUrl = `https://mp.weixin.qq.com/s/${publishId}`;
-      }
-      
-      // 如果还是没有获取到URL，使用备用格式
-      if (!articleUrl) {
-        articleUrl = `https://mp.weixin.qq.com/s/${publishId}`;
+        // 单次查询失败不中断轮询，直到超时
+        logger.warn('查询发布状态失败，稍后重试', { publishId, attempts, error: error.message });
       }
 
-      logger.info('文章发布成功', { publishId, msgId, articleUrl });
+      if (lastStatus && lastStatus.publish_status !== PUBLISH_STATUS.PUBLISHING) {
+        const publishStatus = lastStatus.publish_status;
+        const items = (lastStatus.article_detail && lastStatus.article_detail.item) || [];
+        logger.info('发布状态已确定', { publishId, publishStatus, attempts });
 
-      return {
-        success: true,
-        publishId,
-        msgId,
-        articleUrl,
-        mediaId
-      };
+        let state = 'failed';
+        if (publishStatus === PUBLISH_STATUS.SUCCESS) {
+          state = 'success';
+        } else if (REMOVED_PUBLISH_STATUSES.includes(publishStatus)) {
+          state = 'removed';
+        }
 
-    } catch (error) {
-      if (error.response) {
-        const errorData = error.response.data;
-        throw new Error(`发布文章失败: ${errorData.errmsg || error.message}`);
-      } else {
-        throw new Error(`发布文章请求失败: ${error.message}`);
+        return {
+          state,
+          publishStatus,
+          statusText: WeChatAPI.getPublishStatusText(publishStatus),
+          articleId: lastStatus.article_id,
+          articleUrls: items.map(item => item.article_url),
+          failIdx: lastStatus.fail_idx || [],
+          attempts,
+          elapsed: Date.now() - startTime
+        };
       }
+
+      interval = Math.min(Math.round(interval * backoffFactor), maxInterval);
     }
+
+    return {
+      state: 'pending',
+      publishStatus: PUBLISH_STATUS.PUBLISHING,
+      statusText: WeChatAPI.getPublishStatusText(PUBLISH_STATUS.PUBLISHING),
+      articleUrls: [],
+      failIdx: [],
+      attempts,
+      elapsed: Date.now() - startTime
+    };
+  }
+
+  /**
+   * 获取发布状态的中文描述
+   * @param {number} publishStatus 发布状态码
+   * @returns {string} 状态描述
+   */
+  static getPublishStatusText(publishStatus) {
+    const statusMap = {
+      [PUBLISH_STATUS.SUCCESS]: '发布成功',
+      [PUBLISH_STATUS.PUBLISHING]: '发布中',
+      [PUBLISH_STATUS.ORIGINAL_FAILED]: '原创声明失败',
+      [PUBLISH_STATUS.FAILED]: '常规失败',
+      [PUBLISH_STATUS.AUDIT_REJECTED]: '平台审核不通过',
+      [PUBLISH_STATUS.DELETED]: '成功后用户已删除所有文章',
+      [PUBLISH_STATUS.BANNED]: '成功后系统封禁所有文章'
+    };
+
+    return statusMap[publishStatus] || `未知状态(${publishStatus})`;
   }
 
   /**
@@ -371,26 +890,10 @@ class WeChatAPI {
    * @param {Object} options 预览选项
    * @returns {Promise<Object>} 预览结果
    */
-  async previewArticle({ title, content, author, thumbMediaId, previewOpenId }) {
+  async previewArticle({ title, content, author, thumbMediaId, digest, articles, previewOpenId }) {
     try {
-      // 检查是否为测试模式（测试OpenID）
-      if (previewOpenId === 'test_openid' || previewOpenId.startsWith('test_')) {
-        logger.info('测试模式：模拟预览发送成功');
-        const mockMsgId = Date.now().toString();
-        const mockUrl = `https://mp.weixin.qq.com/s/example_${mockMsgId}`;
-        
-        return {
-          success: true,
-          msgId: mockMsgId,
-          articleUrl: mockUrl,
-          mediaId: 'test_media_id'
-        };
-      }
-      
       // 先创建图文消息素材
-      const mediaId = await this.createNewsMedia({ title, content, author, thumbMediaId });
-      
-      const accessToken = await this.getAccessToken();
+      const mediaId = await this.createNewsMedia({ title, content, author, thumbMediaId, digest, articles });
       
       const previewData = {
         touser: previewOpenId,
@@ -400,11 +903,11 @@ class WeChatAPI {
 
       logger.debug('发送预览消息', { previewOpenId, mediaId });
 
-      const response = await axios.post(
-        `https://api.weixin.qq.com/cgi-bin/message/mass/preview?access_token=${accessToken}`,
+      const response = await this.request(accessToken => this.http.post(
+        `${this.baseURL}/cgi-bin/message/mass/preview?access_token=${accessToken}`,
         previewData,
-        { timeout: 30000 }
-      );
+        { timeout: this.httpConfig.timeouts.json }
+      ), { action: '文章预览', endpoint: '/cgi-bin/message/mass/preview', idempotent: false });
 
       if (response.data.errcode === 0) {
         logger.info('文章预览发送成功', { msgId: response.data.msg_id });
@@ -414,57 +917,47 @@ class WeChatAPI {
           mediaId
         };
       } else {
-        throw new Error(`文章预览失败: ${response.data.errmsg}`);
+        throw WeChatAPIError.fromResponse(response.data, { action: '文章预览', endpoint: '/cgi-bin/message/mass/preview' });
       }
     } catch (error) {
-      if (error.response) {
-        const errorData = error.response.data;
-        throw new Error(`文章预览失败: ${errorData.errmsg || error.message}`);
-      } else {
-        throw new Error(`文章预览请求失败: ${error.message}`);
-      }
+      throw WeChatAPIError.from(error, { action: '文章预览', endpoint: '/cgi-bin/message/mass/preview' });
     }
   }
 
   /**
    * 创建图文消息素材（用于预览）
-   * @param {Object} options 图文消息选项
+   * @param {Object} options 图文消息选项，支持articles多图文
    * @returns {Promise<string>} 媒体ID
    */
-  async createNewsMedia({ title, content, author, thumbMediaId }) {
-    const accessToken = await this.getAccessToken();
+  async createNewsMedia({ title, content, author, thumbMediaId, digest, articles }) {
+    const articleList = this.normalizeArticles({ title, content, author, thumbMediaId, digest, articles });
     
     try {
       const newsData = {
-        articles: [{
-          title,
-          author: author || '',
-          digest: this.extractDigest(content),
-          content,
-          content_source_url: '',
-          show_cover_pic: thumbMediaId ? 1 : 0,
-          ...(thumbMediaId ? { thumb_media_id: thumbMediaId } : {})
-        }]
+        articles: articleList.map(article => ({
+          title: article.title,
+          author: article.author || '',
+          digest: article.digest || this.extractDigest(article.content),
+          content: article.content,
+          content_source_url: article.contentSourceUrl || '',
+          show_cover_pic: article.thumbMediaId ? 1 : 0,
+          ...(article.thumbMediaId ? { thumb_media_id: article.thumbMediaId } : {})
+        }))
       };
 
-      const response = await axios.post(
-        `https://api.weixin.qq.com/cgi-bin/media/uploadnews?access_token=${accessToken}`,
+      const response = await this.request(accessToken => this.http.post(
+        `${this.baseURL}/cgi-bin/media/uploadnews?access_token=${accessToken}`,
         newsData,
-        { timeout: 30000 }
-      );
+        { timeout: this.httpConfig.timeouts.json }
+      ), { action: '创建图文消息', endpoint: '/cgi-bin/media/uploadnews' });
 
       if (response.data.media_id) {
         return response.data.media_id;
       } else {
-        throw new Error(`创建图文消息失败: ${response.data.errmsg || '未知错误'}`);
+        throw WeChatAPIError.fromResponse(response.data, { action: '创建图文消息', endpoint: '/cgi-bin/media/uploadnews' });
       }
     } catch (error) {
-      if (error.response) {
-        const errorData = error.response.data;
-        throw new Error(`创建图文消息失败: ${errorData.errmsg || error.message}`);
-      } else {
-        throw new Error(`创建图文消息请求失败: ${error.message}`);
-      }
+      throw WeChatAPIError.from(error, { action: '创建图文消息', endpoint: '/cgi-bin/media/uploadnews' });
     }
   }
 
@@ -476,50 +969,17 @@ class WeChatAPI {
   async getPublishStatus(msgId) {
     logger.info('开始查询发布状态', { msgId, appId: this.appId });
     
-    // 检查是否为明确的测试模式（只有以test_开头的msgId才使用模拟数据）
-    if (msgId && msgId.toString().startsWith('test_')) {
-      logger.info('测试模式：返回模拟状态数据', { msgId });
-      return {
-        errcode: 0,
-        errmsg: 'ok',
-        publish_status: 1, // 发布成功
-        article_detail: {
-          count: 1,
-          item: [{
-            article_id: msgId,
-            title: '测试文章标题',
-            author: '测试作者',
-            digest: '这是一篇测试文章',
-            content: '',
-            content_source_url: '',
-            url: `https://mp.weixin.qq.com/s/test_${msgId}`,
-            publish_time: Math.floor(Date.now() / 1000),
-            stat_info: {
-              read_num: 0,  // 测试模式不显示虚假阅读量
-              like_num: 0,
-              comment_num: 0,
-              share_num: 0
-            }
-          }]
-        }
-      };
-    }
-    
-    // 对于真实的msgId，始终调用真实的微信API
-    const accessToken = await this.getAccessToken();
-    logger.debug('获取到access_token，准备查询状态', { tokenLength: accessToken.length });
-    
     try {
       logger.debug('调用微信API查询发布状态', { 
         msgId, 
         api: 'freepublish/get' 
       });
       
-      const response = await axios.post(
-        `https://api.weixin.qq.com/cgi-bin/freepublish/get?access_token=${accessToken}`,
+      const response = await this.request(accessToken => this.http.post(
+        `${this.baseURL}/cgi-bin/freepublish/get?access_token=${accessToken}`,
         { publish_id: msgId },
-        { timeout: 15000 }
-      );
+        { timeout: this.httpConfig.timeouts.json }
+      ), { action: '查询发布状态', endpoint: '/cgi-bin/freepublish/get' });
 
       logger.debug('微信API响应', { 
         errcode: response.data.errcode,
@@ -535,14 +995,8 @@ class WeChatAPI {
         });
         return response.data;
       } else {
-        // 如果是文章不存在或权限问题，返回更友好的错误信息
-        if (response.data.errcode === 40007) {
-          throw new Error(`文章不存在或已被删除 (错误码: ${response.data.errcode})`);
-        } else if (response.data.errcode === 40001) {
-          throw new Error(`access_token无效，请检查AppID和AppSecret (错误码: ${response.data.errcode})`);
-        } else {
-          throw new Error(`查询发布状态失败: ${response.data.errmsg} (错误码: ${response.data.errcode})`);
-        }
+        // 错误码对应的处理建议见 WeChatAPIError
+        throw WeChatAPIError.fromResponse(response.data, { action: '查询发布状态', endpoint: '/cgi-bin/freepublish/get' });
       }
     } catch (error) {
       logger.error('状态查询失败', { 
@@ -551,17 +1005,197 @@ class WeChatAPI {
         isAxiosError: !!error.response
       });
       
-      if (error.response) {
-        const errorData = error.response.data;
-        throw new Error(`微信API调用失败: ${errorData.errmsg || error.message} (HTTP状态: ${error.response.status})`);
-      } else if (error.code === 'ECONNABORTED') {
-        throw new Error('请求超时，请检查网络连接后重试');
-      } else {
-        throw new Error(`网络请求失败: ${error.message}`);
-      }
+      throw WeChatAPIError.from(error, { action: '查询发布状态', endpoint: '/cgi-bin/freepublish/get' });
     }
   }
 
+  /**
+   * 调用返回JSON的微信接口（自动附带access_token并检查errcode）
+   * @param {string} apiPath 接口路径，如 'draft/get'
+   * @param {Object} options 请求选项
+   * @param {string} [options.method='post'] 请求方法
+   * @param {Object} [options.data] 请求体（POST）
+   * @param {string} options.action 操作名称，用于错误信息
+   * @param {number} [options.timeout] 超时时间（毫秒），默认为JSON接口超时
+   * @param {boolean} [options.idempotent=true] 请求是否幂等，非幂等请求在结果不确定时不重试
+   * @returns {Promise<Object>} 接口响应数据
+   */
+  async callAPI(apiPath, { method = 'post', data, action, timeout = this.httpConfig.timeouts.json, idempotent = true }) {
+    let response;
+    try {
+      logger.debug(`调用微信API: ${apiPath}`, { action });
+      response = await this.request(accessToken => {
+        const url = `${this.baseURL}/cgi-bin/${apiPath}?access_token=${accessToken}`;
+        return method === 'get'
+          ? this.http.get(url, { timeout })
+          : this.http.post(url, data || {}, { timeout });
+      }, { action, endpoint: `/cgi-bin/${apiPath}`, idempotent });
+    } catch (error) {
+      throw WeChatAPIError.from(error, { action, endpoint: `/cgi-bin/${apiPath}` });
+    }
+
+    return WeChatAPIError.assertResponse(response.data, { action, endpoint: `/cgi-bin/${apiPath}` });
+  }
+
+  /**
+   * 获取草稿列表
+   * @param {Object} options 分页选项
+   * @param {number} [options.offset=0] 起始位置
+   * @param {number} [options.count=20] 返回数量（1-20）
+   * @param {boolean} [options.noContent=false] 是否不返回content字段
+   * @returns {Promise<Object>} 包含total_count、item_count、item的草稿列表
+   */
+  async batchGetDrafts({ offset = 0, count = 20, noContent = false } = {}) {
+    const data = await this.callAPI('draft/batchget', {
+      data: { offset, count, no_content: noContent ? 1 : 0 },
+      action: '获取草稿列表'
+    });
+
+    logger.info('草稿列表获取成功', { totalCount: data.total_count, itemCount: data.item_count });
+    return data;
+  }
+
+  /**
+   * 获取草稿详情
+   * @param {string} mediaId 草稿media_id
+   * @returns {Promise<Array<Object>>} 草稿中的文章列表(news_item)
+   */
+  async getDraft(mediaId) {
+    const data = await this.callAPI('draft/get', {
+      data: { media_id: mediaId },
+      action: '获取草稿'
+    });
+
+    return data.news_item || [];
+  }
+
+  /**
+   * 修改草稿中的单篇文章
+   * @param {Object} options 修改选项
+   * @param {string} options.mediaId 草稿media_id
+   * @param {number} [options.index=0] 要修改的文章在草稿中的位置（从0开始）
+   * @param {Object} options.article 完整的文章数据（draft/add格式的字段）
+   * @returns {Promise<void>}
+   */
+  async updateDraft({ mediaId, index = 0, article }) {
+    await this.callAPI('draft/update', {
+      data: { media_id: mediaId, index, articles: article },
+      action: '修改草稿'
+    });
+
+    logger.info('草稿修改成功', { mediaId, index });
+  }
+
+  /**
+   * 删除草稿
+   * @param {string} mediaId 草稿media_id
+   * @returns {Promise<void>}
+   */
+  async deleteDraft(mediaId) {
+    await this.callAPI('draft/delete', {
+      data: { media_id: mediaId },
+      action: '删除草稿'
+    });
+
+    logger.info('草稿删除成功', { mediaId });
+  }
+
+  /**
+   * 获取草稿总数
+   * @returns {Promise<number>} 草稿总数
+   */
+  async getDraftCount() {
+    const data = await this.callAPI('draft/count', {
+      method: 'get',
+      action: '获取草稿总数'
+    });
+
+    return data.total_count;
+  }
+
+  /**
+   * 获取已发布文章列表
+   * @param {Object} options 分页选项
+   * @param {number} [options.offset=0] 起始位置
+   * @param {number} [options.count=20] 返回数量（1-20）
+   * @param {boolean} [options.noContent=false] 是否不返回content字段
+   * @returns {Promise<Object>} 包含total_count、item_count、item的已发布文章列表
+   */
+  async batchGetPublishedArticles({ offset = 0, count = 20, noContent = false } = {}) {
+    const data = await this.callAPI('freepublish/batchget', {
+      data: { offset, count, no_content: noContent ? 1 : 0 },
+      action: '获取已发布文章列表'
+    });
+
+    logger.info('已发布文章列表获取成功', { totalCount: data.total_count, itemCount: data.item_count });
+    return data;
+  }
+
+  /**
+   * 获取已发布文章详情
+   * @param {string} articleId 发布后的article_id
+   * @returns {Promise<Array<Object>>} 图文消息中的文章列表(news_item)
+   */
+  async getPublishedArticle(articleId) {
+    const data = await this.callAPI('freepublish/getarticle', {
+      data: { article_id: articleId },
+      action: '获取已发布文章'
+    });
+
+    return data.news_item || [];
+  }
+
+  /**
+   * 删除已发布文章（不可恢复）
+   * @param {string} articleId 发布后的article_id
+   * @param {number} [index=0] 要删除的文章位置（从1开始），0表示删除整条图文消息
+   * @returns {Promise<void>}
+   */
+  async deletePublishedArticle(articleId, index = 0) {
+    await this.callAPI('freepublish/delete', {
+      data: { article_id: articleId, index },
+      action: '删除已发布文章'
+    });
+
+    logger.info('已发布文章删除成功', { articleId, index });
+  }
+
+  /**
+   * 统一单篇/多图文参数为文章列表
+   * @param {Object} options 单篇文章字段或articles数组
+   * @returns {Array<Object>} 文章列表
+   */
+  normalizeArticles({ title, content, author, thumbMediaId, digest, articles }) {
+    if (Array.isArray(articles) && articles.length > 0) {
+      return articles;
+    }
+    return [{ title, content, author, thumbMediaId, digest }];
+  }
+
+  /**
+   * 构建草稿接口(draft/add)所需的单篇文章数据
+   * @param {Object} article 文章信息
+   * @returns {Object} 草稿文章数据
+   */
+  buildDraftArticle({ title, content, author, thumbMediaId, digest, contentSourceUrl, needOpenComment, onlyFansCanComment }) {
+    const articleData = {
+      title,
+      author: author || '',
+      digest: digest || this.extractDigest(content),
+      content,
+      content_source_url: contentSourceUrl || '',
+      need_open_comment: needOpenComment ? 1 : 0,
+      only_fans_can_comment: onlyFansCanComment ? 1 : 0
+    };
+
+    // 只有当thumbMediaId存在且不为null时才添加thumb_media_id字段
+    if (thumbMediaId && thumbMediaId !== 'null') {
+      articleData.thumb_media_id = thumbMediaId;
+    }
+
+    return articleData;
+  }
+
   /**
    * 从内容中提取摘要
    * @param {string} content 文章内容
@@ -571,6 +1205,7 @@ class WeChatAPI {
     // 移除所有HTML标签、CSS样式和Markdown标记
     let digest = content
       .replace(/<style[^>]*>[\s\S]*?<\/style>/gi, '')  // 移除style标签
+      .replace(/<svg[^>]*>[\s\S]*?<\/svg>/gi, '')      // 移除内联SVG（公式中的字形）
       .replace(/<[^>]*>/g, '')      // 移除所有HTML标签
       .replace(/[#*`]/g, '')        // 移除Markdown标记
       .replace(/\s+/g, ' ')         // 替换多个空白字符为单个空格
@@ -581,9 +1216,10 @@ class WeChatAPI {
       digest = digest.substring(0, 60) + '...';
     }
     
-    console.log('📝 生成的摘要:', digest);
+    logger.debug('生成的摘要', { digest });
     return digest;
   }
 }
 
+export { WeChatAPIError };
 export default WeChatAPI;
\ No newline at end of file
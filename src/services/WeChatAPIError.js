@@ -0,0 +1,258 @@
+/**
+ * 微信接口错误
+ * 携带错误码、错误信息、接口路径和HTTP状态，便于按错误码给出处理建议
+ */
+export class WeChatAPIError extends Error {
+  /**
+   * @param {string} message 错误描述
+   * @param {Object} [details] 错误详情
+   * @param {number} [details.errcode] 微信返回的错误码（网络错误时为空）
+   * @param {string} [details.errmsg] 微信返回的错误信息
+   * @param {string} [details.endpoint] 接口路径，如 /cgi-bin/draft/add
+   * @param {number} [details.httpStatus] HTTP状态码
+   * @param {string} [details.action] 操作名称
+   */
+  constructor(message, { errcode, errmsg, endpoint, httpStatus, action } = {}) {
+    super(message);
+    this.name = 'WeChatAPIError';
+    this.errcode = errcode;
+    this.errmsg = errmsg;
+    this.endpoint = endpoint;
+    this.httpStatus = httpStatus;
+    this.action = action;
+  }
+
+  /**
+   * 错误码对应的说明和处理建议，未收录的错误码返回undefined
+   */
+  get info() {
+    return WECHAT_ERROR_CODES[this.errcode];
+  }
+
+  /**
+   * 根据微信接口的响应数据创建错误
+   * @param {Object} data 响应数据（含errcode、errmsg）
+   * @param {Object} context 调用信息
+   * @param {string} context.action 操作名称
+   * @param {string} context.endpoint 接口路径
+   * @returns {WeChatAPIError} 错误
+   */
+  static fromResponse(data = {}, { action, endpoint }) {
+    const errmsg = data.errmsg || '未知错误';
+    const message = data.errcode
+      ? `${action}失败: ${errmsg} (错误码: ${data.errcode})`
+      : `${action}失败: ${errmsg}`;
+
+    return new WeChatAPIError(message, {
+      errcode: data.errcode,
+      errmsg,
+      endpoint,
+      action
+    });
+  }
+
+  /**
+   * 将请求过程中的异常转换为 WeChatAPIError
+   * 已经是 WeChatAPIError 或非HTTP请求异常（如文件不存在）时原样返回
+   * @param {Error} error 异常
+   * @param {Object} context 调用信息
+   * @param {string} context.action 操作名称
+   * @param {string} context.endpoint 接口路径
+   * @returns {Error} 转换后的错误
+   */
+  static from(error, { action, endpoint }) {
+    if (error instanceof WeChatAPIError || !error.isAxiosError) {
+      return error;
+    }
+
+    if (error.response) {
+      const errorData = error.response.data || {};
+      return new WeChatAPIError(
+        `${action}失败: ${errorData.errmsg || error.message} (HTTP状态: ${error.response.status})`,
+        {
+          errcode: errorData.errcode,
+          errmsg: errorData.errmsg || error.message,
+          endpoint,
+          httpStatus: error.response.status,
+          action
+        }
+      );
+    }
+
+    const message = error.code === 'ECONNABORTED'
+      ? `${action}请求超时，请检查网络连接后重试`
+      : `${action}请求失败: ${error.message}`;
+
+    return new WeChatAPIError(message, { errmsg: error.message, endpoint, action });
+  }
+
+  /**
+   * 检查响应数据中的errcode，非0时抛出错误
+   * @param {Object} data 响应数据
+   * @param {Object} context 调用信息（action、endpoint）
+   * @returns {Object} 响应数据
+   */
+  static assertResponse(data, context) {
+    if (data.errcode && data.errcode !== 0) {
+      throw WeChatAPIError.fromResponse(data, context);
+    }
+    return data;
+  }
+}
+
+/**
+ * 表示access_token无效或已过期的错误码，收到后刷新令牌并重试一次
+ */
+export const TOKEN_INVALID_ERRCODES = [40001, 40014, 42001];
+
+/**
+ * 常见错误码说明及处理建议（中文、英文）
+ * 参考微信公众平台全局返回码说明
+ */
+export const WECHAT_ERROR_CODES = {
+  [-1]: {
+    zh: { title: '微信系统繁忙', advice: ['稍后重试', '如果持续出现，查看微信公众平台是否有维护通知'] },
+    en: { title: 'WeChat system is busy', advice: ['Retry later', 'Check the WeChat Official Accounts Platform for maintenance notices if it persists'] }
+  },
+  40001: {
+    zh: { title: 'AppSecret错误或access_token无效', advice: ['检查AppID和AppSecret是否正确、是否属于同一公众号', '确认没有其他服务使用同一AppID重新获取了access_token（可改用stable策略）'] },
+    en: { title: 'Invalid AppSecret or access_token', advice: ['Check that the AppID and AppSecret are correct and belong to the same account', 'Make sure no other service refreshed the access_token for this AppID (consider the stable token strategy)'] }
+  },
+  40002: {
+    zh: { title: '不合法的凭证类型', advice: ['检查获取access_token时的grant_type参数'] },
+    en: { title: 'Invalid grant_type', advice: ['Check the grant_type used to obtain the access_token'] }
+  },
+  40005: {
+    zh: { title: '不支持的文件类型', advice: ['使用JPG、PNG或GIF格式的图片'] },
+    en: { title: 'Unsupported file type', advice: ['Use JPG, PNG or GIF images'] }
+  },
+  40007: {
+    zh: { title: '不合法的媒体文件ID', advice: ['检查media_id是否正确', '素材或草稿可能已被删除，可先调用列表接口确认', '封面图素材被删除后，使用 wechat_purge_image_cache 清理图片上传缓存再重新发布'] },
+    en: { title: 'Invalid media_id', advice: ['Check that the media_id is correct', 'The material or draft may have been deleted; list them first to confirm', 'If a cover image was deleted from the material library, clear it from the upload cache with wechat_purge_image_cache and publish again'] }
+  },
+  40009: {
+    zh: { title: '图片尺寸或大小不符合要求', advice: ['压缩图片，封面图不超过64KB、正文图片不超过1MB'] },
+    en: { title: 'Invalid image size', advice: ['Compress the image: covers must be under 64KB and inline images under 1MB'] }
+  },
+  40013: {
+    zh: { title: '不合法的AppID', advice: ['检查AppID是否正确，注意不要包含空格'] },
+    en: { title: 'Invalid AppID', advice: ['Check that the AppID is correct and contains no whitespace'] }
+  },
+  40014: {
+    zh: { title: '不合法的access_token', advice: ['access_token已失效，将自动刷新后重试；如果反复出现，检查令牌获取策略'] },
+    en: { title: 'Invalid access_token', advice: ['The access_token is refreshed and retried automatically; check the token strategy if this keeps happening'] }
+  },
+  40125: {
+    zh: { title: '不合法的AppSecret', advice: ['在公众平台「设置与开发 → 基本配置」中核对或重置AppSecret'] },
+    en: { title: 'Invalid AppSecret', advice: ['Verify or reset the AppSecret under Settings & Development → Basic Configuration'] }
+  },
+  40164: {
+    zh: { title: '调用接口的IP地址不在白名单中', advice: ['在公众平台「设置与开发 → 基本配置 → IP白名单」中添加服务器出口IP', '使用代理或云函数时，添加的是实际出口IP', '需要固定出口时，可通过 WECHAT_PROXY_URL 经白名单代理访问，或用 WECHAT_LOCAL_ADDRESS 指定本机出口IP'] },
+    en: { title: 'Caller IP is not in the API IP whitelist', advice: ['Add the server egress IP under Settings & Development → Basic Configuration → IP Whitelist', 'When using a proxy or cloud function, whitelist its actual egress IP', 'To pin the egress, route through a whitelisted proxy with WECHAT_PROXY_URL or bind a local IP with WECHAT_LOCAL_ADDRESS'] }
+  },
+  41001: {
+    zh: { title: '缺少access_token参数', advice: ['检查令牌获取是否成功'] },
+    en: { title: 'Missing access_token', advice: ['Check that the access_token was obtained successfully'] }
+  },
+  42001: {
+    zh: { title: 'access_token已过期', advice: ['access_token将自动刷新后重试；如果反复出现，检查服务器时间是否准确'] },
+    en: { title: 'access_token expired', advice: ['The access_token is refreshed and retried automatically; check the server clock if this keeps happening'] }
+  },
+  45002: {
+    zh: { title: '内容超过长度限制', advice: ['正文不超过2万字符、1MB，可拆分为多篇文章'] },
+    en: { title: 'Content exceeds the length limit', advice: ['Keep the body under 20,000 characters and 1MB, or split it into several articles'] }
+  },
+  45003: {
+    zh: { title: '标题超过长度限制', advice: ['标题不超过64个字符'] },
+    en: { title: 'Title exceeds the length limit', advice: ['Keep the title within 64 characters'] }
+  },
+  45004: {
+    zh: { title: '摘要超过长度限制', advice: ['摘要不超过120个字符'] },
+    en: { title: 'Digest exceeds the length limit', advice: ['Keep the digest within 120 characters'] }
+  },
+  45009: {
+    zh: { title: '接口调用次数已达每日上限', advice: ['次日零点后恢复', '可在公众平台「接口权限」中查看用量，必要时使用clear_quota接口重置（每月有次数限制）'] },
+    en: { title: 'Daily API quota reached', advice: ['The quota resets at midnight (UTC+8)', 'Check usage under API Permissions and reset it with clear_quota if necessary (limited per month)'] }
+  },
+  45011: {
+    zh: { title: '接口调用过于频繁', advice: ['降低调用频率，稍后重试'] },
+    en: { title: 'API called too frequently', advice: ['Slow down and retry later'] }
+  },
+  45166: {
+    zh: { title: '文章内容不合法', advice: ['检查正文中是否有不支持的标签、脚本或外部链接', '正文图片需先上传到微信服务器'] },
+    en: { title: 'Invalid article content', advice: ['Check the body for unsupported tags, scripts or external links', 'Inline images must be uploaded to WeChat first'] }
+  },
+  48001: {
+    zh: { title: '公众号未获得该接口权限', advice: ['在公众平台「接口权限」中确认已获得该接口权限', '发布、草稿等接口需要公众号完成微信认证'] },
+    en: { title: 'API not authorized for this account', advice: ['Check API Permissions on the platform to confirm access', 'Publishing and draft APIs require a verified account'] }
+  },
+  50001: {
+    zh: { title: '用户未授权该接口', advice: ['第三方平台模式下，确认公众号授权时勾选了相应的权限集'] },
+    en: { title: 'API not authorized by the user', advice: ['In third-party platform mode, make sure the account granted the required permission set'] }
+  },
+  50002: {
+    zh: { title: '公众号受限（可能因违规被封禁）', advice: ['登录公众平台查看账号状态和违规记录'] },
+    en: { title: 'Account restricted (possibly banned for violations)', advice: ['Log in to the platform to check the account status and violation records'] }
+  },
+  53503: {
+    zh: { title: '该草稿未通过发布检查', advice: ['检查草稿的标题、封面、正文是否完整合规', '可在公众平台打开草稿查看具体问题'] },
+    en: { title: 'Draft failed the pre-publish check', advice: ['Check that the title, cover and body are complete and compliant', 'Open the draft on the platform to see the exact problem'] }
+  },
+  53504: {
+    zh: { title: '需前往公众平台官网使用该草稿', advice: ['该草稿包含接口不支持的内容，请在公众平台后台手动发布'] },
+    en: { title: 'Draft must be used on the platform website', advice: ['The draft contains content the API cannot publish; publish it manually on the platform'] }
+  },
+  53505: {
+    zh: { title: '请手动保存成功后再发表', advice: ['在公众平台打开草稿并保存一次，再重新发布'] },
+    en: { title: 'Save the draft manually before publishing', advice: ['Open and save the draft once on the platform, then publish again'] }
+  },
+  61023: {
+    zh: { title: '授权方refresh_token无效', advice: ['公众号可能已取消授权或重新授权，请让公众号重新授权给第三方平台'] },
+    en: { title: 'Invalid authorizer refresh_token', advice: ['The account may have revoked or renewed authorization; ask it to authorize the platform again'] }
+  }
+};
+
+/**
+ * 获取错误提示语言（WECHAT_ERROR_LANG=en 时使用英文）
+ * @returns {string} 'zh' 或 'en'
+ */
+export function getErrorLanguage() {
+  return process.env.WECHAT_ERROR_LANG === 'en' ? 'en' : 'zh';
+}
+
+/**
+ * 构建微信接口错误的说明和处理建议
+ * @param {Error} error 错误
+ * @param {string} [lang] 语言（zh/en），默认读取 WECHAT_ERROR_LANG
+ * @returns {string} 说明文本（未收录的错误码不含处理建议）；不是微信接口错误时返回空字符串
+ */
+export function formatWeChatError(error, lang = getErrorLanguage()) {
+  if (!(error instanceof WeChatAPIError)) {
+    return '';
+  }
+
+  const labels = lang === 'en'
+    ? { errcode: 'Error code', endpoint: 'Endpoint', httpStatus: 'HTTP status', advice: 'Suggestions' }
+    : { errcode: '错误码', endpoint: '接口', httpStatus: 'HTTP状态', advice: '处理建议' };
+  const info = error.info && error.info[lang];
+
+  let message = '';
+  if (error.errcode !== undefined) {
+    message += `🔍 ${labels.errcode} ${error.errcode}: ${info ? info.title : error.errmsg}\n`;
+  }
+  if (error.endpoint) {
+    message += `🌐 ${labels.endpoint}: ${error.endpoint}\n`;
+  }
+  if (error.httpStatus) {
+    message += `📡 ${labels.httpStatus}: ${error.httpStatus}\n`;
+  }
+
+  if (info) {
+    message += `\n💡 ${labels.advice}:\n`;
+    message += info.advice.map(item => `• ${item}\n`).join('');
+  }
+
+  return message;
+}
+
+export default WeChatAPIError;
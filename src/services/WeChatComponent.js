@@ -0,0 +1,357 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { getDefaultTokenStore, getTokenKey } from './TokenStore.js';
+import { WeChatAPIError, TOKEN_INVALID_ERRCODES } from './WeChatAPIError.js';
+import { requestWithRetry } from '../utils/retry.js';
+import { getHttpConfig, getHttpClient } from '../utils/http.js';
+import logger from '../utils/logger.js';
+
+// 正在进行中的component_access_token请求（按令牌键），保证并发调用只请求一次令牌接口
+const pendingComponentTokenRequests = new Map();
+
+// api_get_authorizer_list 单次最多返回的授权方数量
+const AUTHORIZER_LIST_PAGE_SIZE = 500;
+
+/**
+ * 微信开放平台第三方平台
+ * 通过 component_verify_ticket 获取 component_access_token，并为已授权的公众号换取、刷新 authorizer_access_token，
+ * 使工具调用只需提供授权方AppID，无需收集各公众号的AppSecret
+ */
+export class WeChatComponent {
+  /**
+   * @param {Object} options 配置选项
+   * @param {string} options.componentAppId 第三方平台AppID
+   * @param {string} options.componentAppSecret 第三方平台AppSecret
+   * @param {string} [options.storagePath='./data'] 数据存储目录，ticket和授权方refresh_token保存在 wechat-component.json
+   * @param {Object} [options.tokenStore] component_access_token存储，默认与公众号access_token共用
+   * @param {string} [options.baseURL] 微信接口地址，默认读取 WECHAT_API_BASE_URL，未设置时为 https://api.weixin.qq.com
+   * @param {Object} [options.http] HTTP配置（proxy、caFile、localAddress、timeouts），未指定的项读取环境变量（见 utils/http.js）
+   * @param {Object} [options.retry] 临时性故障重试配置（maxRetries、baseDelay、maxDelay，单位毫秒），maxRetries默认读取 WECHAT_MAX_RETRIES
+   */
+  constructor({ componentAppId, componentAppSecret, storagePath = './data', tokenStore, baseURL, http, retry } = {}) {
+    if (!componentAppId || !componentAppSecret) {
+      throw new Error('第三方平台授权模式需要配置第三方平台AppID和AppSecret');
+    }
+
+    this.componentAppId = componentAppId;
+    this.componentAppSecret = componentAppSecret;
+    this.storagePath = `${storagePath}/wechat-component.json`;
+    this.tokenStore = tokenStore || getDefaultTokenStore();
+    this.baseURL = (baseURL || process.env.WECHAT_API_BASE_URL || 'https://api.weixin.qq.com').replace(/\/+$/, '');
+    this.httpConfig = getHttpConfig(http);
+    this.http = getHttpClient(this.httpConfig);
+    this.retry = {
+      ...(process.env.WECHAT_MAX_RETRIES ? { maxRetries: parseInt(process.env.WECHAT_MAX_RETRIES, 10) } : {}),
+      ...retry
+    };
+  }
+
+  /**
+   * 生成本第三方平台签发的令牌在令牌存储中的键
+   * @param {string} appId 令牌所属AppID（component_access_token为 component:第三方平台AppID）
+   * @returns {string} 令牌键
+   */
+  getTokenKey(appId) {
+    return getTokenKey(appId, {
+      credential: `${this.componentAppId}:${this.componentAppSecret}`,
+      strategy: 'component',
+      baseURL: this.baseURL
+    });
+  }
+
+  /**
+   * 读取ticket和授权方信息（每次读取，以获取HTTP服务接收到的推送）
+   */
+  async load() {
+    try {
+      const data = await fs.readFile(this.storagePath, 'utf8');
+      const parsed = JSON.parse(data);
+      return {
+        verifyTicket: parsed.verifyTicket,
+        authorizers: parsed.authorizers || {}
+      };
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error('Failed to load component data', { error: error.message });
+      }
+      return { verifyTicket: undefined, authorizers: {} };
+    }
+  }
+
+  async save(data) {
+    await fs.mkdir(path.dirname(this.storagePath), { recursive: true });
+    // 文件中包含授权方refresh_token，先写临时文件再重命名，并限制访问权限
+    const tempPath = `${this.storagePath}.${process.pid}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(data, null, 2), { mode: 0o600 });
+    await fs.rename(tempPath, this.storagePath);
+  }
+
+  /**
+   * 保存微信推送的 component_verify_ticket（每10分钟推送一次）
+   * @param {string} ticket component_verify_ticket
+   * @param {number} [createTime] 推送时间（秒）
+   */
+  async saveVerifyTicket(ticket, createTime) {
+    const data = await this.load();
+    data.verifyTicket = {
+      ticket,
+      createTime: createTime || Math.floor(Date.now() / 1000)
+    };
+    await this.save(data);
+    logger.info('component_verify_ticket updated', { componentAppId: this.componentAppId });
+  }
+
+  /**
+   * 获取第三方平台的 component_access_token
+   * @returns {Promise<string>} component_access_token
+   */
+  async getComponentAccessToken() {
+    const cacheKey = this.getTokenKey(`component:${this.componentAppId}`);
+    const cached = await this.tokenStore.get(cacheKey);
+
+    if (cached && Date.now() < cached.expiresAt) {
+      logger.debug('使用缓存的component_access_token');
+      return cached.accessToken;
+    }
+
+    if (!pendingComponentTokenRequests.has(cacheKey)) {
+      const request = this.refreshComponentAccessToken(cacheKey).finally(() => {
+        pendingComponentTokenRequests.delete(cacheKey);
+      });
+      pendingComponentTokenRequests.set(cacheKey, request);
+    }
+
+    return pendingComponentTokenRequests.get(cacheKey);
+  }
+
+  /**
+   * 使用 component_verify_ticket 获取新的 component_access_token
+   * @param {string} cacheKey 令牌存储中的键
+   * @returns {Promise<string>} component_access_token
+   */
+  async refreshComponentAccessToken(cacheKey) {
+    const { verifyTicket } = await this.load();
+    if (!verifyTicket) {
+      throw new Error('尚未收到component_verify_ticket，请确认授权事件接收URL配置正确，微信每10分钟推送一次');
+    }
+
+    const now = Date.now();
+    const data = await this.request('api_component_token', {
+      component_appid: this.componentAppId,
+      component_appsecret: this.componentAppSecret,
+      component_verify_ticket: verifyTicket.ticket
+    }, '获取component_access_token', { withToken: false });
+
+    await this.tokenStore.set(cacheKey, {
+      accessToken: data.component_access_token,
+      // 提前60秒过期，避免边界情况
+      expiresAt: now + (data.expires_in - 60) * 1000
+    });
+
+    logger.info('component_access_token获取成功', { expiresIn: data.expires_in });
+    return data.component_access_token;
+  }
+
+  /**
+   * 使component_access_token失效
+   * 只有存储中的令牌仍是失效的那个时才删除，避免误删其他调用刚刷新的令牌
+   * @param {string} staleToken 已失效的component_access_token
+   */
+  async invalidateComponentAccessToken(staleToken) {
+    const cacheKey = this.getTokenKey(`component:${this.componentAppId}`);
+    const cached = await this.tokenStore.get(cacheKey);
+    if (!cached || cached.accessToken === staleToken) {
+      await this.tokenStore.delete(cacheKey);
+      logger.info('component_access_token已失效，已从缓存中移除', { componentAppId: this.componentAppId });
+    }
+  }
+
+  /**
+   * 处理公众号授权（授权成功/授权更新事件），用授权码换取并保存授权方令牌
+   * @param {string} authorizationCode 授权码
+   * @returns {Promise<Object>} { authorizerAppId, accessToken, expiresIn }
+   */
+  async handleAuthorization(authorizationCode) {
+    // 授权码只能使用一次，无法确认微信是否已处理时不重试
+    const data = await this.request('api_query_auth', {
+      component_appid: this.componentAppId,
+      authorization_code: authorizationCode
+    }, '使用授权码获取授权信息', { idempotent: false });
+
+    const info = data.authorization_info;
+    await this.saveAuthorizer(info.authorizer_appid, info.authorizer_refresh_token);
+    await this.tokenStore.set(this.getTokenKey(info.authorizer_appid), {
+      accessToken: info.authorizer_access_token,
+      expiresAt: Date.now() + (info.expires_in - 60) * 1000
+    });
+
+    logger.info('公众号授权成功', { authorizerAppId: info.authorizer_appid });
+    return {
+      authorizerAppId: info.authorizer_appid,
+      accessToken: info.authorizer_access_token,
+      expiresIn: info.expires_in
+    };
+  }
+
+  /**
+   * 保存授权方的 authorizer_refresh_token
+   * @param {string} authorizerAppId 授权方AppID
+   * @param {string} refreshToken authorizer_refresh_token
+   */
+  async saveAuthorizer(authorizerAppId, refreshToken) {
+    const data = await this.load();
+    data.authorizers[authorizerAppId] = {
+      refreshToken,
+      updatedAt: Date.now()
+    };
+    await this.save(data);
+  }
+
+  /**
+   * 移除授权方（取消授权事件）
+   * @param {string} authorizerAppId 授权方AppID
+   */
+  async removeAuthorizer(authorizerAppId) {
+    const data = await this.load();
+    if (data.authorizers[authorizerAppId]) {
+      delete data.authorizers[authorizerAppId];
+      await this.save(data);
+    }
+    await this.tokenStore.delete(this.getTokenKey(authorizerAppId));
+    logger.info('公众号已取消授权', { authorizerAppId });
+  }
+
+  /**
+   * 获取授权方的 authorizer_refresh_token
+   * 本地没有记录时（如在启用本服务之前授权的公众号），从已授权账号列表中查找
+   * @param {string} authorizerAppId 授权方AppID
+   * @returns {Promise<string>} authorizer_refresh_token
+   */
+  async getAuthorizerRefreshToken(authorizerAppId) {
+    const { authorizers } = await this.load();
+    if (authorizers[authorizerAppId]) {
+      return authorizers[authorizerAppId].refreshToken;
+    }
+
+    let offset = 0;
+    let totalCount = 0;
+
+    do {
+      const data = await this.request('api_get_authorizer_list', {
+        component_appid: this.componentAppId,
+        offset,
+        count: AUTHORIZER_LIST_PAGE_SIZE
+      }, '拉取已授权的账号列表');
+
+      const authorizer = (data.list || []).find(item => item.authorizer_appid === authorizerAppId);
+      if (authorizer) {
+        await this.saveAuthorizer(authorizerAppId, authorizer.refresh_token);
+        return authorizer.refresh_token;
+      }
+
+      totalCount = data.total_count || 0;
+      offset += AUTHORIZER_LIST_PAGE_SIZE;
+    } while (offset < totalCount);
+
+    throw new Error(`公众号 ${authorizerAppId} 未授权给第三方平台 ${this.componentAppId}`);
+  }
+
+  /**
+   * 获取（刷新）授权方的 authorizer_access_token
+   * @param {string} authorizerAppId 授权方AppID
+   * @returns {Promise<Object>} { accessToken, expiresIn }
+   */
+  async fetchAuthorizerToken(authorizerAppId) {
+    const refreshToken = await this.getAuthorizerRefreshToken(authorizerAppId);
+
+    // 刷新时微信可能返回新的refresh_token并使旧的失效，无法确认微信是否已处理时不重试
+    const data = await this.request('api_authorizer_token', {
+      component_appid: this.componentAppId,
+      authorizer_appid: authorizerAppId,
+      authorizer_refresh_token: refreshToken
+    }, '获取authorizer_access_token', { idempotent: false });
+
+    if (data.authorizer_refresh_token && data.authorizer_refresh_token !== refreshToken) {
+      await this.saveAuthorizer(authorizerAppId, data.authorizer_refresh_token);
+    }
+
+    return {
+      accessToken: data.authorizer_access_token,
+      expiresIn: data.expires_in
+    };
+  }
+
+  /**
+   * 携带component_access_token发起请求；若微信返回令牌无效(40001/40014/42001)，刷新令牌后重试一次
+   * @param {Function} send 接收component_access_token并返回axios响应的函数
+   * @returns {Promise<Object>} axios响应
+   */
+  async withComponentAccessToken(send) {
+    const componentAccessToken = await this.getComponentAccessToken();
+    const response = await send(componentAccessToken);
+
+    if (response.data && TOKEN_INVALID_ERRCODES.includes(response.data.errcode)) {
+      logger.warn('component_access_token无效，刷新后重试', { errcode: response.data.errcode });
+      await this.invalidateComponentAccessToken(componentAccessToken);
+      return send(await this.getComponentAccessToken());
+    }
+
+    return response;
+  }
+
+  /**
+   * 调用第三方平台接口（cgi-bin/component/*），对临时性故障退避重试（见 utils/retry.js）
+   * @param {string} apiPath 接口名称，如 'api_query_auth'
+   * @param {Object} data 请求体
+   * @param {string} action 操作名称，用于错误信息
+   * @param {Object} [options] 请求选项
+   * @param {boolean} [options.withToken=true] 是否附带component_access_token
+   * @param {boolean} [options.idempotent=true] 请求是否幂等，非幂等请求只在确定微信未处理时重试
+   * @returns {Promise<Object>} 接口响应数据
+   */
+  async request(apiPath, data, action, { withToken = true, idempotent = true } = {}) {
+    const endpoint = `/cgi-bin/component/${apiPath}`;
+    const send = componentAccessToken => this.http.post(
+      `${this.baseURL}${endpoint}${componentAccessToken ? `?component_access_token=${componentAccessToken}` : ''}`,
+      data,
+      { timeout: this.httpConfig.timeouts.json }
+    );
+
+    let response;
+    try {
+      response = await requestWithRetry(
+        () => (withToken ? this.withComponentAccessToken(send) : send()),
+        { action, endpoint, idempotent, retry: this.retry }
+      );
+    } catch (error) {
+      throw WeChatAPIError.from(error, { action, endpoint });
+    }
+
+    return WeChatAPIError.assertResponse(response.data, { action, endpoint });
+  }
+}
+
+let defaultComponent;
+
+/**
+ * 获取根据环境变量配置的第三方平台
+ * 设置了 WECHAT_COMPONENT_APPID 和 WECHAT_COMPONENT_APPSECRET 时启用授权模式
+ * @returns {WeChatComponent|null} 第三方平台，未配置时返回null
+ */
+export function getDefaultComponent() {
+  if (defaultComponent === undefined) {
+    const componentAppId = process.env.WECHAT_COMPONENT_APPID;
+    const componentAppSecret = process.env.WECHAT_COMPONENT_APPSECRET;
+
+    defaultComponent = componentAppId && componentAppSecret
+      ? new WeChatComponent({
+        componentAppId,
+        componentAppSecret,
+        storagePath: process.env.MCP_DATA_PATH || './data'
+      })
+      : null;
+  }
+  return defaultComponent;
+}
+
+export default WeChatComponent;
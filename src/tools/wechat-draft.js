@@ -0,0 +1,437 @@
+import WeChatAPI from '../services/WeChatAPI.js';
+import { WeChatAPIError, formatWeChatError } from '../services/WeChatAPIError.js';
+import WeChatPublisher from './wechat-publisher.js';
+import WeChatStatus from './wechat-status.js';
+import { validateDraftParams } from '../utils/validator.js';
+import logger from '../utils/logger.js';
+
+/**
+ * 微信公众号草稿管理工具
+ * 提供草稿的列表查询、详情获取、单篇修改、发布、删除和计数功能
+ */
+class WeChatDraft {
+  /**
+   * 获取草稿列表
+   * @param {Object} params 查询参数（appId、appSecret、offset、count、noContent）
+   * @returns {Object} MCP格式的响应结果
+   */
+  static async list(params) {
+    return this.run('获取草稿列表', params, { logContext: { offset: params.offset, count: params.count } }, async (wechatAPI) => {
+      const { offset = 0, count = 20, noContent = true } = params;
+      const data = await wechatAPI.batchGetDrafts({ offset, count, noContent });
+
+      const drafts = (data.item || []).map(item => ({
+        mediaId: item.media_id,
+        updateTime: item.update_time,
+        articles: ((item.content && item.content.news_item) || []).map(article => this.formatArticle(article, !noContent))
+      }));
+
+      return {
+        text: this.buildListMessage({ totalCount: data.total_count, offset, drafts }),
+        data: {
+          totalCount: data.total_count,
+          itemCount: data.item_count,
+          offset,
+          drafts
+        }
+      };
+    });
+  }
+
+  /**
+   * 获取单个草稿的详情
+   * @param {Object} params 查询参数（appId、appSecret、mediaId）
+   * @returns {Object} MCP格式的响应结果
+   */
+  static async get(params) {
+    return this.run('获取草稿', params, { requireMediaId: true, logContext: { mediaId: params.mediaId } }, async (wechatAPI) => {
+      const { mediaId } = params;
+      const newsItems = await wechatAPI.getDraft(mediaId);
+      const articles = newsItems.map(article => this.formatArticle(article, true));
+
+      return {
+        text: this.buildDraftMessage(mediaId, articles),
+        data: { mediaId, articles }
+      };
+    });
+  }
+
+  /**
+   * 修改草稿中的单篇文章
+   * 先拉取草稿当前内容，仅覆盖传入的字段，再整体提交给draft/update
+   * 新正文开头的Front Matter同样会修改标题、作者等字段，显式传入的参数优先
+   * @param {Object} params 修改参数（appId、appSecret、mediaId、index及待修改字段）
+   * @returns {Object} MCP格式的响应结果
+   */
+  static async update(params) {
+    return this.run('修改草稿', params, { requireMediaId: true, requireChanges: true, logContext: { mediaId: params.mediaId, index: params.index } }, async (wechatAPI) => {
+      const {
+        mediaId,
+        index = 0,
+        title,
+        author,
+        digest,
+        content,
+        contentSourceUrl,
+        needOpenComment,
+        onlyFansCanComment,
+        coverImagePath,
+        contentType = 'markdown',
+        imageFailurePolicy,
+        theme,
+        linkMode,
+        mathMode
+      } = WeChatPublisher.applyFrontMatter(params);
+
+      const newsItems = await wechatAPI.getDraft(mediaId);
+      if (index >= newsItems.length) {
+        throw new Error(`草稿中不存在第${index + 1}篇文章（共${newsItems.length}篇）`);
+      }
+
+      const current = newsItems[index];
+      const article = {
+        title: current.title,
+        author: current.author,
+        digest: current.digest,
+        content: current.content,
+        content_source_url: current.content_source_url,
+        thumb_media_id: current.thumb_media_id,
+        need_open_comment: current.need_open_comment,
+        only_fans_can_comment: current.only_fans_can_comment
+      };
+      const updatedFields = [];
+
+      if (title !== undefined) {
+        article.title = title;
+        updatedFields.push('title');
+      }
+
+      if (author !== undefined) {
+        article.author = author;
+        updatedFields.push('author');
+      }
+
+      if (digest !== undefined) {
+        article.digest = digest;
+        updatedFields.push('digest');
+      }
+
+      if (contentSourceUrl !== undefined) {
+        article.content_source_url = contentSourceUrl;
+        updatedFields.push('contentSourceUrl');
+      }
+
+      if (needOpenComment !== undefined) {
+        article.need_open_comment = needOpenComment ? 1 : 0;
+        updatedFields.push('needOpenComment');
+      }
+
+      if (onlyFansCanComment !== undefined) {
+        article.only_fans_can_comment = onlyFansCanComment ? 1 : 0;
+        updatedFields.push('onlyFansCanComment');
+      }
+
+      if (content !== undefined) {
+        article.content = await WeChatPublisher.renderContent({ content, contentType, coverImagePath, imageFailurePolicy, theme, linkMode, mathMode }, wechatAPI);
+        updatedFields.push('content');
+      }
+
+      if (coverImagePath) {
+        article.thumb_media_id = await wechatAPI.uploadCoverImage(coverImagePath);
+        updatedFields.push('cover');
+      }
+
+      await wechatAPI.updateDraft({ mediaId, index, article });
+
+      return {
+        text: this.buildUpdateMessage({ mediaId, index, title: article.title, updatedFields }),
+        data: { mediaId, index, updatedFields }
+      };
+    });
+  }
+
+  /**
+   * 删除草稿
+   * @param {Object} params 删除参数（appId、appSecret、mediaId）
+   * @returns {Object} MCP格式的响应结果
+   */
+  static async delete(params) {
+    return this.run('删除草稿', params, { requireMediaId: true, logContext: { mediaId: params.mediaId } }, async (wechatAPI) => {
+      const { mediaId } = params;
+      await wechatAPI.deleteDraft(mediaId);
+
+      return {
+        text: `🗑️ 草稿已删除\n\n📋 草稿MediaID: ${mediaId}\n`,
+        data: { mediaId, deleted: true }
+      };
+    });
+  }
+
+  /**
+   * 发布已有草稿
+   * 用于先以draftOnly创建草稿、在后台审阅后再发布的场景
+   * @param {Object} params 发布参数（appId、appSecret、mediaId）
+   * @returns {Object} MCP格式的响应结果
+   */
+  static async publish(params) {
+    return this.run('发布草稿', params, { requireMediaId: true, logContext: { mediaId: params.mediaId } }, async (wechatAPI) => {
+      const { mediaId, publishTimeout } = params;
+      const result = await wechatAPI.submitDraft(
+        mediaId,
+        publishTimeout !== undefined ? { timeout: publishTimeout * 1000 } : undefined
+      );
+
+      return {
+        text: this.buildPublishMessage(result),
+        data: {
+          mediaId,
+          pending: result.pending,
+          removed: result.removed,
+          publishStatus: result.publishStatus,
+          statusText: result.statusText,
+          publishId: result.publishId,
+          msgId: result.msgId,
+          articleId: result.articleId,
+          articleUrl: result.articleUrl,
+          articleUrls: result.articleUrls
+        }
+      };
+    });
+  }
+
+  /**
+   * 获取草稿总数
+   * @param {Object} params 查询参数（appId、appSecret）
+   * @returns {Object} MCP格式的响应结果
+   */
+  static async count(params) {
+    return this.run('获取草稿总数', params, {}, async (wechatAPI) => {
+      const totalCount = await wechatAPI.getDraftCount();
+
+      return {
+        text: `📊 草稿统计\n\n📝 草稿总数: ${totalCount}\n`,
+        data: { totalCount }
+      };
+    });
+  }
+
+  /**
+   * 执行草稿操作的通用流程：参数验证、初始化API、构建MCP响应
+   * @param {string} action 操作名称
+   * @param {Object} params 调用参数
+   * @param {Object} options 参数验证选项（见 validateDraftParams）
+   * @param {Object} [options.logContext] 日志中记录的操作参数（如mediaId），只包含该操作实际使用的字段
+   * @param {Function} handler 具体操作，返回 { text, data }
+   * @returns {Object} MCP格式的响应结果
+   */
+  static async run(action, params, { logContext = {}, ...validateOptions }, handler) {
+    const startTime = Date.now();
+    let wechatAPI;
+
+    try {
+      logger.info(`开始${action}`, logContext);
+
+      const validation = validateDraftParams(params, validateOptions);
+      if (!validation.valid) {
+        throw new Error(`参数验证失败: ${validation.errors.join(', ')}`);
+      }
+
+      wechatAPI = new WeChatAPI(params.appId, params.appSecret);
+      const { text, data } = await handler(wechatAPI);
+      const { retries, processedImages, reusedImages, failedImages } = wechatAPI;
+      const structuredContent = { ...data };
+      if (processedImages.length > 0) {
+        structuredContent.processedImages = processedImages;
+      }
+      if (reusedImages.length > 0) {
+        structuredContent.reusedImages = reusedImages;
+      }
+      if (failedImages.length > 0) {
+        structuredContent.failedImages = failedImages;
+      }
+      if (retries.length > 0) {
+        structuredContent.retries = retries;
+      }
+
+      const executionTime = Date.now() - startTime;
+      logger.info(`${action}成功`, { executionTime: `${executionTime}ms` });
+
+      return {
+        content: [{
+          type: 'text',
+          text: `${text}${WeChatAPI.formatImageProcessing(processedImages, reusedImages)}${WeChatAPI.formatFailedImages(failedImages)}${WeChatAPI.formatRetries(retries)}⏱️ 处理时间: ${executionTime}ms\n`
+        }],
+        structuredContent
+      };
+
+    } catch (error) {
+      const executionTime = Date.now() - startTime;
+      logger.error(`${action}失败`, {
+        ...logContext,
+        error: error.message,
+        executionTime: `${executionTime}ms`
+      });
+
+      return {
+        content: [{
+          type: 'text',
+          text: this.buildErrorMessage(action, error, wechatAPI ? wechatAPI.retries : [], wechatAPI ? wechatAPI.failedImages : [])
+        }],
+        isError: true
+      };
+    }
+  }
+
+  /**
+   * 将微信返回的news_item转换为统一的文章结构
+   * @param {Object} article 微信返回的文章数据
+   * @param {boolean} includeContent 是否包含正文
+   * @returns {Object} 文章信息
+   */
+  static formatArticle(article, includeContent) {
+    return {
+      title: article.title,
+      author: article.author,
+      digest: article.digest,
+      url: article.url,
+      thumbMediaId: article.thumb_media_id,
+      thumbUrl: article.thumb_url,
+      contentSourceUrl: article.content_source_url,
+      ...(includeContent ? { content: article.content } : {})
+    };
+  }
+
+  /**
+   * 构建草稿列表消息
+   */
+  static buildListMessage({ totalCount, offset, drafts }) {
+    let message = '📋 草稿列表\n\n';
+    message += `📝 草稿总数: ${totalCount}\n`;
+
+    if (drafts.length === 0) {
+      message += 'ℹ️ 当前页没有草稿\n';
+      return message;
+    }
+
+    message += `📄 当前显示: 第${offset + 1}-${offset + drafts.length}条\n\n`;
+
+    drafts.forEach((draft, i) => {
+      const [leadArticle = {}] = draft.articles;
+      message += `${offset + i + 1}. 📱 ${leadArticle.title || '(无标题)'}`;
+      if (draft.articles.length > 1) {
+        message += ` 等${draft.articles.length}篇`;
+      }
+      message += '\n';
+      message += `   📋 MediaID: ${draft.mediaId}\n`;
+      message += `   📅 更新时间: ${WeChatStatus.formatTimestamp(draft.updateTime)}\n`;
+    });
+
+    return message;
+  }
+
+  /**
+   * 构建草稿详情消息
+   */
+  static buildDraftMessage(mediaId, articles) {
+    let message = '📝 草稿详情\n\n';
+    message += `📋 草稿MediaID: ${mediaId}\n`;
+    message += `📚 文章数: ${articles.length}\n`;
+
+    articles.forEach((article, index) => {
+      message += `\n${index + 1}. 📱 标题: ${article.title}\n`;
+      if (article.author) {
+        message += `   👤 作者: ${article.author}\n`;
+      }
+      if (article.digest) {
+        message += `   📄 摘要: ${article.digest}\n`;
+      }
+      if (article.content) {
+        message += `   📏 正文长度: ${article.content.length}字符\n`;
+      }
+      if (article.url) {
+        message += `   🔗 预览链接: ${article.url}\n`;
+      }
+    });
+
+    return message;
+  }
+
+  /**
+   * 构建草稿修改消息
+   */
+  static buildUpdateMessage({ mediaId, index, title, updatedFields }) {
+    let message = '✅ 草稿修改成功！\n\n';
+    message += `📋 草稿MediaID: ${mediaId}\n`;
+    message += `📍 文章位置: 第${index + 1}篇\n`;
+    message += `📱 标题: ${title}\n`;
+    message += `✏️ 已修改: ${updatedFields.join(', ')}\n`;
+    return message;
+  }
+
+  /**
+   * 构建草稿发布消息
+   */
+  static buildPublishMessage({ mediaId, pending, removed, statusText, publishId, msgId, articleUrl, articleUrls }) {
+    let message = '✅ 草稿发布成功！\n\n';
+    if (pending) {
+      message = '⏳ 草稿已提交发布，发布结果仍在等待中（still pending）\n\n';
+    } else if (removed) {
+      message = `⚠️ 草稿已发布成功，但文章已被移除: ${statusText}\n\n`;
+    }
+    message += `📋 草稿MediaID: ${mediaId}\n`;
+    message += `📊 发布ID: ${publishId}\n`;
+
+    if (msgId) {
+      message += `📨 消息ID: ${msgId}\n`;
+    }
+
+    if (articleUrls && articleUrls.length > 1) {
+      articleUrls.forEach((url, index) => {
+        if (url) {
+          message += `🔗 第${index + 1}篇链接: ${url}\n`;
+        }
+      });
+    } else if (articleUrl) {
+      message += `🔗 链接: ${articleUrl}\n`;
+    }
+
+    message += pending
+      ? `\n⏳ 在等待时间内未获得最终发布结果，请稍后使用 wechat_query_status 查询发布ID ${publishId}\n`
+      : `\n💡 可使用 wechat_query_status 并传入发布ID ${publishId} 查询最新发布状态\n`;
+    return message;
+  }
+
+  /**
+   * 构建错误响应消息
+   */
+  static buildErrorMessage(action, error, retries = [], failedImages = []) {
+    let message = `❌ ${action}失败: ${error.message}\n\n`;
+
+    const failedSummary = WeChatAPI.formatFailedImages(failedImages);
+    if (failedSummary) {
+      message += `${failedSummary}\n`;
+    }
+
+    const retrySummary = WeChatAPI.formatRetries(retries);
+    if (retrySummary) {
+      message += `${retrySummary}\n`;
+    }
+
+    const details = formatWeChatError(error);
+    if (details) {
+      message += `${details}\n`;
+    }
+
+    if (error instanceof WeChatAPIError && error.info) {
+      return message.trimEnd();
+    }
+
+    message += '💡 解决建议:\n';
+    message += '• 检查网络连接是否正常\n';
+    message += '• 确认服务器IP已加入公众号IP白名单';
+
+    return message;
+  }
+}
+
+export default WeChatDraft;
@@ -0,0 +1,157 @@
+import { getDefaultImageCache } from '../services/ImageCache.js';
+import WeChatStatus from './wechat-status.js';
+import { validateImageCacheParams } from '../utils/validator.js';
+import { formatBytes } from '../utils/image.js';
+import logger from '../utils/logger.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const TARGET_LABELS = {
+  cover: '封面图',
+  content: '正文图片'
+};
+
+/**
+ * 图片上传缓存管理工具
+ * 查看和清理已上传图片的缓存记录（内容哈希 → 微信URL或media_id）
+ */
+class WeChatImageCache {
+  /**
+   * 查看缓存记录
+   * @param {Object} params 查询参数（appId、target、olderThanDays、limit）
+   * @returns {Object} MCP格式的响应结果
+   */
+  static async inspect(params) {
+    return this.run('查看图片上传缓存', params, async (imageCache) => {
+      const { limit = 20 } = params;
+      const entries = await imageCache.list(this.buildFilter(params));
+
+      return {
+        text: this.buildInspectMessage(entries, limit),
+        data: {
+          total: entries.length,
+          totalSize: entries.reduce((sum, entry) => sum + (entry.size || 0), 0),
+          entries: entries.slice(0, limit)
+        }
+      };
+    });
+  }
+
+  /**
+   * 清理缓存记录，不传过滤条件时清空全部
+   * 只删除本地记录，不会删除微信素材库中的图片
+   * @param {Object} params 清理参数（appId、target、hash、olderThanDays）
+   * @returns {Object} MCP格式的响应结果
+   */
+  static async purge(params) {
+    return this.run('清理图片上传缓存', params, async (imageCache) => {
+      const removed = await imageCache.purge(this.buildFilter(params));
+
+      let text = '🧹 图片上传缓存已清理\n\n';
+      text += `🗑️ 删除记录: ${removed.length}条\n`;
+      if (removed.length > 0) {
+        const covers = removed.filter(entry => entry.target === 'cover').length;
+        text += `   • 封面图: ${covers}条，正文图片: ${removed.length - covers}条\n`;
+      }
+      text += 'ℹ️ 只删除本地缓存记录，不会删除微信素材库中的图片\n';
+
+      return {
+        text,
+        data: { removed: removed.length, entries: removed }
+      };
+    });
+  }
+
+  /**
+   * 执行缓存操作的通用流程：参数验证、获取缓存、构建MCP响应
+   * @param {string} action 操作名称
+   * @param {Object} params 调用参数
+   * @param {Function} handler 具体操作，返回 { text, data }
+   * @returns {Object} MCP格式的响应结果
+   */
+  static async run(action, params, handler) {
+    const startTime = Date.now();
+
+    try {
+      logger.info(`开始${action}`, { appId: params.appId, target: params.target });
+
+      const validation = validateImageCacheParams(params);
+      if (!validation.valid) {
+        throw new Error(`参数验证失败: ${validation.errors.join(', ')}`);
+      }
+
+      const imageCache = getDefaultImageCache();
+      if (!imageCache) {
+        throw new Error('图片上传缓存未启用（WECHAT_IMAGE_CACHE=off）');
+      }
+
+      const { text, data } = await handler(imageCache);
+
+      const executionTime = Date.now() - startTime;
+      logger.info(`${action}成功`, { executionTime: `${executionTime}ms` });
+
+      return {
+        content: [{
+          type: 'text',
+          text: `${text}⏱️ 处理时间: ${executionTime}ms\n`
+        }],
+        structuredContent: data
+      };
+
+    } catch (error) {
+      logger.error(`${action}失败`, { error: error.message });
+
+      return {
+        content: [{
+          type: 'text',
+          text: `❌ ${action}失败: ${error.message}`
+        }],
+        isError: true
+      };
+    }
+  }
+
+  /**
+   * 将调用参数转换为缓存过滤条件
+   */
+  static buildFilter({ appId, target, hash, olderThanDays }) {
+    return {
+      appId,
+      target,
+      hash,
+      olderThan: olderThanDays ? Date.now() - olderThanDays * DAY : undefined
+    };
+  }
+
+  /**
+   * 构建缓存记录列表消息
+   */
+  static buildInspectMessage(entries, limit) {
+    let message = '🗂️ 图片上传缓存\n\n';
+    message += `📝 记录总数: ${entries.length}\n`;
+
+    if (entries.length === 0) {
+      message += 'ℹ️ 没有符合条件的缓存记录\n';
+      return message;
+    }
+
+    const totalSize = entries.reduce((sum, entry) => sum + (entry.size || 0), 0);
+    message += `💾 已避免重复上传的图片总大小: ${formatBytes(totalSize)}\n`;
+    if (entries.length > limit) {
+      message += `📄 当前显示: 最近${limit}条\n`;
+    }
+    message += '\n';
+
+    entries.slice(0, limit).forEach((entry, index) => {
+      message += `${index + 1}. [${TARGET_LABELS[entry.target] || entry.target}] ${entry.filename || '(未知文件名)'}（${formatBytes(entry.size || 0)}）\n`;
+      message += `   🆔 AppID: ${entry.appId}\n`;
+      message += entry.mediaId ? `   📋 MediaID: ${entry.mediaId}\n` : `   🔗 URL: ${entry.url}\n`;
+      message += `   🔑 SHA-256: ${entry.hash}\n`;
+      message += `   📅 上传时间: ${WeChatStatus.formatTimestamp(Math.floor(entry.createdAt / 1000))}\n`;
+    });
+
+    return message;
+  }
+}
+
+export default WeChatImageCache;
@@ -0,0 +1,246 @@
+import WeChatAPI from '../services/WeChatAPI.js';
+import { WeChatAPIError, formatWeChatError } from '../services/WeChatAPIError.js';
+import WeChatStatus from './wechat-status.js';
+import { validatePublishedParams } from '../utils/validator.js';
+import logger from '../utils/logger.js';
+
+/**
+ * 微信公众号已发布文章管理工具
+ * 提供已发布文章的分页查询、详情获取和删除功能
+ */
+class WeChatPublished {
+  /**
+   * 获取已发布文章列表
+   * @param {Object} params 查询参数（appId、appSecret、offset、count、noContent）
+   * @returns {Object} MCP格式的响应结果
+   */
+  static async list(params) {
+    return this.run('获取已发布文章列表', params, {}, async (wechatAPI) => {
+      const { offset = 0, count = 20, noContent = true } = params;
+      const data = await wechatAPI.batchGetPublishedArticles({ offset, count, noContent });
+
+      const items = (data.item || []).map(item => ({
+        articleId: item.article_id,
+        updateTime: item.update_time,
+        articles: ((item.content && item.content.news_item) || []).map(article => this.formatArticle(article, !noContent))
+      }));
+
+      return {
+        text: this.buildListMessage({ totalCount: data.total_count, offset, items }),
+        data: {
+          totalCount: data.total_count,
+          itemCount: data.item_count,
+          offset,
+          items
+        }
+      };
+    });
+  }
+
+  /**
+   * 获取已发布文章的完整内容
+   * @param {Object} params 查询参数（appId、appSecret、articleId）
+   * @returns {Object} MCP格式的响应结果
+   */
+  static async get(params) {
+    return this.run('获取已发布文章', params, { requireArticleId: true }, async (wechatAPI) => {
+      const { articleId } = params;
+      const newsItems = await wechatAPI.getPublishedArticle(articleId);
+      const articles = newsItems.map(article => this.formatArticle(article, true));
+
+      return {
+        text: this.buildArticleMessage(articleId, articles),
+        data: { articleId, articles }
+      };
+    });
+  }
+
+  /**
+   * 删除已发布文章
+   * 删除后不可恢复，必须传入confirm: true
+   * @param {Object} params 删除参数（appId、appSecret、articleId、index、confirm）
+   * @returns {Object} MCP格式的响应结果
+   */
+  static async delete(params) {
+    return this.run('删除已发布文章', params, { requireArticleId: true, requireConfirm: true }, async (wechatAPI) => {
+      const { articleId, index = 0 } = params;
+      await wechatAPI.deletePublishedArticle(articleId, index);
+
+      let text = '🗑️ 已发布文章已删除\n\n';
+      text += `🆔 ArticleID: ${articleId}\n`;
+      text += `📍 删除范围: ${index === 0 ? '整条图文消息' : `第${index}篇`}\n`;
+
+      return {
+        text,
+        data: { articleId, index, deleted: true }
+      };
+    });
+  }
+
+  /**
+   * 执行已发布文章操作的通用流程：参数验证、初始化API、构建MCP响应
+   * @param {string} action 操作名称
+   * @param {Object} params 调用参数
+   * @param {Object} validateOptions 参数验证选项
+   * @param {Function} handler 具体操作，返回 { text, data }
+   * @returns {Object} MCP格式的响应结果
+   */
+  static async run(action, params, validateOptions, handler) {
+    const startTime = Date.now();
+    let wechatAPI;
+
+    try {
+      logger.info(`开始${action}`, { articleId: params.articleId });
+
+      const validation = validatePublishedParams(params, validateOptions);
+      if (!validation.valid) {
+        throw new Error(`参数验证失败: ${validation.errors.join(', ')}`);
+      }
+
+      wechatAPI = new WeChatAPI(params.appId, params.appSecret);
+      const { text, data } = await handler(wechatAPI);
+      const { retries } = wechatAPI;
+
+      const executionTime = Date.now() - startTime;
+      logger.info(`${action}成功`, { executionTime: `${executionTime}ms` });
+
+      return {
+        content: [{
+          type: 'text',
+          text: `${text}${WeChatAPI.formatRetries(retries)}⏱️ 处理时间: ${executionTime}ms\n`
+        }],
+        structuredContent: retries.length > 0 ? { ...data, retries } : data
+      };
+
+    } catch (error) {
+      const executionTime = Date.now() - startTime;
+      logger.error(`${action}失败`, {
+        articleId: params.articleId,
+        error: error.message,
+        executionTime: `${executionTime}ms`
+      });
+
+      return {
+        content: [{
+          type: 'text',
+          text: this.buildErrorMessage(action, error, wechatAPI ? wechatAPI.retries : [])
+        }],
+        isError: true
+      };
+    }
+  }
+
+  /**
+   * 将微信返回的news_item转换为统一的文章结构
+   * @param {Object} article 微信返回的文章数据
+   * @param {boolean} includeContent 是否包含正文
+   * @returns {Object} 文章信息
+   */
+  static formatArticle(article, includeContent) {
+    return {
+      title: article.title,
+      author: article.author,
+      digest: article.digest,
+      url: article.url,
+      thumbUrl: article.thumb_url,
+      contentSourceUrl: article.content_source_url,
+      isDeleted: Boolean(article.is_deleted),
+      ...(includeContent ? { content: article.content } : {})
+    };
+  }
+
+  /**
+   * 构建已发布文章列表消息
+   */
+  static buildListMessage({ totalCount, offset, items }) {
+    let message = '📰 已发布文章列表\n\n';
+    message += `📊 发布总数: ${totalCount}\n`;
+
+    if (items.length === 0) {
+      message += 'ℹ️ 当前页没有已发布文章\n';
+      return message;
+    }
+
+    message += `📄 当前显示: 第${offset + 1}-${offset + items.length}条\n`;
+
+    items.forEach((item, i) => {
+      message += `\n${offset + i + 1}. 🆔 ArticleID: ${item.articleId}\n`;
+      message += `   📅 更新时间: ${WeChatStatus.formatTimestamp(item.updateTime)}\n`;
+      item.articles.forEach(article => {
+        message += `   📱 ${article.title}${article.isDeleted ? '（已删除）' : ''}\n`;
+        if (article.url) {
+          message += `      🔗 ${article.url}\n`;
+        }
+      });
+    });
+
+    return message;
+  }
+
+  /**
+   * 构建已发布文章详情消息
+   */
+  static buildArticleMessage(articleId, articles) {
+    let message = '📰 已发布文章详情\n\n';
+    message += `🆔 ArticleID: ${articleId}\n`;
+    message += `📚 文章数: ${articles.length}\n`;
+
+    articles.forEach((article, index) => {
+      message += `\n${index + 1}. 📱 标题: ${article.title}${article.isDeleted ? '（已删除）' : ''}\n`;
+      if (article.author) {
+        message += `   👤 作者: ${article.author}\n`;
+      }
+      if (article.digest) {
+        message += `   📄 摘要: ${article.digest}\n`;
+      }
+      if (article.content) {
+        message += `   📏 正文长度: ${article.content.length}字符\n`;
+      }
+      if (article.url) {
+        message += `   🔗 文章链接: ${article.url}\n`;
+      }
+    });
+
+    return message;
+  }
+
+  /**
+   * 构建错误响应消息
+   */
+  static buildErrorMessage(action, error, retries = []) {
+    let message = `❌ ${action}失败: ${error.message}\n\n`;
+
+    const retrySummary = WeChatAPI.formatRetries(retries);
+    if (retrySummary) {
+      message += `${retrySummary}\n`;
+    }
+
+    if (error.message.includes('confirm')) {
+      message += '⚠️ 删除确认:\n';
+      message += '• 删除已发布文章后无法恢复，读者将无法再访问\n';
+      message += '• 确认无误后，请传入confirm: true重新调用\n\n';
+    }
+
+    // 参数验证失败与网络、IP白名单无关，不附加通用解决建议
+    if (error.message.startsWith('参数验证失败')) {
+      return message.trimEnd();
+    }
+
+    const details = formatWeChatError(error);
+    if (details) {
+      message += `${details}\n`;
+    }
+
+    if (error instanceof WeChatAPIError && error.info) {
+      return message.trimEnd();
+    }
+
+    message += '💡 解决建议:\n';
+    message += '• 检查网络连接是否正常\n';
+    message += '• 确认服务器IP已加入公众号IP白名单';
+
+    return message;
+  }
+}
+
+export default WeChatPublished;
@@ -1,8 +1,27 @@
 import WeChatAPI from '../services/WeChatAPI.js';
+import { WeChatAPIError, formatWeChatError } from '../services/WeChatAPIError.js';
 import MarkdownConverter from '../services/MarkdownConverter.js';
+import { loadTheme, parseFrontMatter } from '../markdown/index.js';
+import { inlineCSS, convertLinks, listImages, replaceImages, listMathImages, replaceMathImages } from '../html/index.js';
 import { validatePublishParams } from '../utils/validator.js';
+import { isRemoteImage, isWeChatImage } from '../utils/remoteImage.js';
+import { isDataURI, decodeImageData, describeImageSource } from '../utils/image.js';
+import { mapSettled } from '../utils/concurrency.js';
 import logger from '../utils/logger.js';
 
+// 正文图片的默认上传并发数
+const DEFAULT_IMAGE_CONCURRENCY = 3;
+
+/**
+ * 图片上传失败后的处理说明（见 imageFailurePolicy）
+ */
+const IMAGE_FAILURE_ACTIONS = {
+  fail: '已取消发布',
+  warn: '保留原地址',
+  remove: '已从正文移除',
+  placeholder: '已替换为占位文字'
+};
+
 /**
  * 微信公众号发布工具
  * 提供文章发布的核心功能，包括Markdown转换、图片上传、文章发布等
@@ -15,11 +34,16 @@ class WeChatPublisher {
    */
   static async publish(params) {
     const startTime = Date.now();
+    let wechatAPI;
     
     try {
+      // Markdown开头的Front Matter补充未传入的标题、作者、封面等参数
+      params = this.applyFrontMatter(params);
+
       // 详细记录调用参数（隐藏敏感信息）
       const logParams = {
         title: params.title,
+        articleCount: Array.isArray(params.articles) ? params.articles.length : 1,
         author: params.author,
         contentLength: params.content ? params.content.length : 0,
         contentPreview: params.content ? params.content.substring(0, 100) + '...' : '',
@@ -32,7 +56,7 @@ class WeChatPublisher {
       
       logger.info('=== MCP调用开始 ===');
       logger.info('调用参数详情', logParams);
-      logger.info('开始发布流程', { title: params.title });
+      logger.info('开始发布流程', { title: params.title || params.articles?.[0]?.title });
       
       // 1. 参数验证
       const validation = validatePublishParams(params);
@@ -41,156 +65,32 @@ class WeChatPublisher {
       }
 
       const {
-        title,
-        content,
-        author,
         appId,
         appSecret,
-        coverImagePath,
         previewMode = false,
         previewOpenId,
         draftOnly = true,
-        contentType = 'markdown'  // 'markdown' 或 'html'
+        publishTimeout,
+        imageFailurePolicy,
+        linkMode,
+        mathMode
       } = params;
 
       // 2. 初始化微信API
       logger.debug('初始化微信API');
-      const wechatAPI = new WeChatAPI(appId, appSecret);
-
-      // 3. 处理文章内嵌图片
-      let processedContent = content;
-
-      // 确定基础路径（从 coverImagePath 推断文章目录，或使用当前目录）
-      let basePath = process.cwd();
-      if (coverImagePath) {
-        const path = await import('path');
-        const coverDir = path.default.dirname(coverImagePath);
-        if (coverDir.endsWith('/images') || coverDir.endsWith('\\images')) {
-          basePath = path.default.dirname(coverDir);
-        } else {
-          basePath = coverDir;
+      wechatAPI = new WeChatAPI(appId, appSecret);
+
+      // 3. 逐篇处理文章（内嵌图片、格式转换、封面图），多图文时第一篇为头条
+      const articles = this.normalizeArticles(params);
+      const preparedArticles = [];
+      for (const [index, article] of articles.entries()) {
+        if (articles.length > 1) {
+          logger.info(`处理第 ${index + 1}/${articles.length} 篇文章`, { title: article.title });
         }
+        preparedArticles.push(await this.prepareArticle({ ...article, images: params.images, imageFailurePolicy, linkMode, mathMode }, wechatAPI));
       }
 
-      if (contentType === 'markdown') {
-        const imageRegex = /!\[([^\]]*)\]\(([^)]+)\)/g;
-        const imageMatches = [...content.matchAll(imageRegex)];
-
-        if (imageMatches.length > 0) {
-          logger.info(`发现 ${imageMatches.length} 张内嵌图片（Markdown），开始上传...`);
-
-        for (const match of imageMatches) {
-          const [fullMatch, altText, imagePath] = match;
-
-          try {
-            const path = await import('path');
-            let absolutePath = imagePath;
-
-            if (!path.default.isAbsolute(imagePath)) {
-              absolutePath = path.default.resolve(basePath, imagePath);
-            }
-
-            logger.debug(`上传图片: ${absolutePath}`);
-            const imageUrl = await wechatAPI.uploadContentImage(absolutePath);
-
-            processedContent = processedContent.replace(
-              fullMatch,
-              `![${altText}](${imageUrl})`
-            );
-
-            logger.info(`图片上传成功: ${path.default.basename(absolutePath)} -> ${imageUrl}`);
-          } catch (error) {
-            logger.warn(`图片上传失败: ${imagePath}`, { error: error.message });
-          }
-        }
-        }
-      } else if (contentType === 'html') {
-        // HTML 模式：检测 <img src="..."> 中的本地图片路径并上传
-        const imgRegex = /<img\s[^>]*src=["']([^"']+)["'][^>]*>/gi;
-        const imgMatches = [...content.matchAll(imgRegex)];
-        const localImages = imgMatches.filter(m => {
-          const src = m[1];
-          return !src.startsWith('http://') && !src.startsWith('https://') && !src.startsWith('data:');
-        });
-
-        if (localImages.length > 0) {
-          logger.info(`发现 ${localImages.length} 张本地图片（HTML），开始上传...`);
-
-          for (const match of localImages) {
-            const [fullImgTag, imagePath] = match;
-
-            try {
-              const path = await import('path');
-              let absolutePath = imagePath;
-
-              if (!path.default.isAbsolute(imagePath)) {
-                absolutePath = path.default.resolve(basePath, imagePath);
-              }
-
-              logger.debug(`上传图片: ${absolutePath}`);
-              const imageUrl = await wechatAPI.uploadContentImage(absolutePath);
-
-              // 替换 img 标签中的 src 属性
-              const newImgTag = fullImgTag.replace(imagePath, imageUrl);
-              processedContent = processedContent.replace(fullImgTag, newImgTag);
-
-              logger.info(`图片上传成功: ${path.default.basename(absolutePath)} -> ${imageUrl}`);
-            } catch (error) {
-              logger.warn(`图片上传失败: ${imagePath}`, { error: error.message });
-            }
-          }
-        }
-      }
-
-      // 4. 转换为微信HTML（根据 contentType 决定是否转换）
-      let htmlContent;
-      if (contentType === 'html') {
-        // 已经是 HTML，直接使用
-        logger.debug('内容已是HTML格式，跳过Markdown转换');
-        htmlContent = processedContent;
-      } else {
-        // Markdown 格式，需要转换
-        logger.debug('转换Markdown内容');
-        htmlContent = MarkdownConverter.convertToWeChatHTML(processedContent);
-        logger.debug('Markdown转换完成', {
-          originalLength: content.length,
-          htmlLength: htmlContent.length
-        });
-      }
-
-      // 4. 处理封面图 - 如果没有提供封面图，则自动生成
-      let thumbMediaId = null;
-      let coverPath = coverImagePath;
-      
-      if (!coverPath) {
-        // 自动生成封面图
-        logger.info('未提供封面图，正在根据文章内容自动生成封面图...');
-        coverPath = await WeChatPublisher.generateCoverImage(title, content);
-      }
-      
-      if (coverPath) {
-        try {
-          logger.debug('开始上传封面图', { path: coverPath });
-          thumbMediaId = await wechatAPI.uploadCoverImage(coverPath);
-          logger.info('封面图上传成功', { mediaId: thumbMediaId });
-          
-          // 如果是自动生成的封面图，上传后删除临时文件
-          if (!coverImagePath && coverPath) {
-            try {
-              const fs = await import('fs/promises');
-              await fs.unlink(coverPath);
-              logger.debug('临时封面图文件已清理', { coverPath });
-            } catch (cleanupError) {
-              logger.warn('清理临时封面图文件失败', { error: cleanupError.message });
-            }
-          }
-        } catch (error) {
-          logger.warn('封面图上传失败，将继续发布', { error: error.message });
-          // 不抛出错误，继续发布流程
-        }
-      }
-
-      // 5. 发布或预览文章
+      // 4. 发布或预览文章
       let result;
       if (previewMode) {
         if (!previewOpenId) {
@@ -199,40 +99,37 @@ class WeChatPublisher {
         
         logger.debug('开始预览文章', { previewOpenId });
         result = await wechatAPI.previewArticle({
-          title,
-          content: htmlContent,
-          author,
-          thumbMediaId,
+          articles: preparedArticles,
           previewOpenId
         });
         
       } else {
         logger.debug(draftOnly ? '创建草稿' : '开始正式发布文章');
         result = await wechatAPI.publishArticle({
-          title,
-          content: htmlContent,
-          author,
-          thumbMediaId,
-          draftOnly
+          articles: preparedArticles,
+          draftOnly,
+          publishPolling: publishTimeout !== undefined ? { timeout: publishTimeout * 1000 } : undefined
         });
       }
 
       const executionTime = Date.now() - startTime;
       const mode = previewMode ? '预览' : (draftOnly ? '草稿创建' : '发布');
-      logger.info(`文章${mode}成功`, {
+      logger.info(result.pending ? `文章${mode}已提交，结果待定` : `文章${mode}成功`, {
         ...result,
         executionTime: `${executionTime}ms`
       });
 
-      // 6. 构建成功响应
+      // 5. 构建成功响应
       const successMessage = this.buildSuccessMessage({
-        title,
-        author,
+        articles: preparedArticles,
         result,
         previewMode,
         draftOnly,
         executionTime,
-        thumbMediaId
+        retries: wechatAPI.retries,
+        processedImages: wechatAPI.processedImages,
+        reusedImages: wechatAPI.reusedImages,
+        failedImages: wechatAPI.failedImages
       });
 
       return {
@@ -253,26 +150,497 @@ class WeChatPublisher {
       return {
         content: [{
           type: "text",
-          text: this.buildErrorMessage(error, params)
+          text: this.buildErrorMessage(error, params, wechatAPI ? wechatAPI.retries : [], wechatAPI ? wechatAPI.failedImages : [])
         }],
         isError: true
       };
     }
   }
 
+  /**
+   * 用Markdown内容开头的Front Matter补充文章参数，显式传入的参数优先
+   * 多图文模式下逐篇读取，顶层的author、theme也优先于各篇的Front Matter
+   * @param {Object} params 发布参数
+   * @returns {Object} 补充后的发布参数
+   */
+  static applyFrontMatter(params) {
+    if (params.articles === undefined) {
+      return this.mergeFrontMatter(params, params.contentType);
+    }
+    if (!Array.isArray(params.articles)) {
+      return params;
+    }
+    return {
+      ...params,
+      articles: params.articles.map(article => (article && typeof article === 'object'
+        ? this.mergeFrontMatter(article, article.contentType || params.contentType, { author: params.author, theme: params.theme })
+        : article))
+    };
+  }
+
+  /**
+   * 用Front Matter补充单篇文章中未传入的字段
+   * @param {Object} article 文章参数
+   * @param {string} [contentType='markdown'] 内容格式，HTML内容不读取Front Matter
+   * @param {Object} [inherited] 文章未指定时沿用的顶层参数
+   * @returns {Object} 补充后的文章参数
+   */
+  static mergeFrontMatter(article, contentType = 'markdown', inherited = {}) {
+    if ((contentType || 'markdown') !== 'markdown' || typeof article.content !== 'string') {
+      return article;
+    }
+
+    // tags 在转换正文时输出（见 MarkdownConverter.convertToWeChatHTML）
+    const merged = { ...article };
+    Object.entries(MarkdownConverter.readFrontMatter(article.content)).forEach(([field, value]) => {
+      if (field !== 'tags' && merged[field] === undefined && inherited[field] === undefined) {
+        merged[field] = value;
+      }
+    });
+    return merged;
+  }
+
+  /**
+   * 将发布参数统一为文章列表
+   * 单篇模式使用顶层的title/content等字段；多图文模式使用articles数组，
+   * 每篇文章未指定的author、contentType、theme沿用顶层参数
+   * @param {Object} params 发布参数
+   * @returns {Array<Object>} 文章列表
+   */
+  static normalizeArticles(params) {
+    const { author, contentType = 'markdown', theme } = params;
+
+    if (Array.isArray(params.articles) && params.articles.length > 0) {
+      return params.articles.map(article => ({
+        ...article,
+        author: article.author !== undefined ? article.author : author,
+        contentType: article.contentType || contentType,
+        theme: article.theme || theme
+      }));
+    }
+
+    return [{
+      title: params.title,
+      content: params.content,
+      author,
+      digest: params.digest,
+      coverImagePath: params.coverImagePath,
+      coverImageBase64: params.coverImageBase64,
+      contentSourceUrl: params.contentSourceUrl,
+      needOpenComment: params.needOpenComment,
+      onlyFansCanComment: params.onlyFansCanComment,
+      contentType,
+      theme
+    }];
+  }
+
+  /**
+   * 处理单篇文章：上传内嵌图片、转换为微信HTML、上传封面图
+   * @param {Object} article 文章参数
+   * @param {WeChatAPI} wechatAPI 微信API实例
+   * @returns {Promise<Object>} 可直接提交给微信的文章数据
+   */
+  static async prepareArticle(article, wechatAPI) {
+    const {
+      title,
+      content,
+      author,
+      digest,
+      coverImagePath,
+      coverImageBase64,
+      contentSourceUrl,
+      needOpenComment,
+      onlyFansCanComment,
+      images,
+      imageFailurePolicy = this.getImageFailurePolicy(),
+      contentType = 'markdown',  // 'markdown' 或 'html'
+      theme,
+      linkMode,
+      mathMode
+    } = article;
+
+    // 1. 上传内嵌图片并转换为微信HTML
+    const htmlContent = await this.renderContent({ content, contentType, coverImagePath, images, imageFailurePolicy, theme, linkMode, mathMode }, wechatAPI);
+
+    // 2. 处理封面图 - 优先使用内联封面图；如果没有提供封面图，则自动生成
+    let thumbMediaId = null;
+    let coverPath = coverImagePath;
+
+    if (coverImageBase64 || this.isInlineImage(coverImagePath, images)) {
+      try {
+        const cover = coverImageBase64
+          ? { buffer: decodeImageData(coverImageBase64), filename: 'cover' }
+          : this.getInlineImage(coverImagePath, images);
+        thumbMediaId = await wechatAPI.uploadCoverImage(cover);
+        logger.info('封面图上传成功', { mediaId: thumbMediaId });
+      } catch (error) {
+        this.handleCoverFailure(error, coverImageBase64 ? 'coverImageBase64' : coverImagePath, imageFailurePolicy, wechatAPI);
+      }
+      coverPath = null;
+    } else if (!coverPath) {
+      // 自动生成封面图（副标题从正文中提取，不包括Front Matter）
+      logger.info('未提供封面图，正在根据文章内容自动生成封面图...');
+      const body = contentType === 'markdown' ? parseFrontMatter(content).body : content;
+      coverPath = await WeChatPublisher.generateCoverImage(title, body);
+    }
+    
+    if (coverPath) {
+      try {
+        logger.debug('开始上传封面图', { path: coverPath });
+        thumbMediaId = await wechatAPI.uploadCoverImage(coverPath);
+        logger.info('封面图上传成功', { mediaId: thumbMediaId });
+        
+        // 如果是自动生成的封面图，上传后删除临时文件
+        if (!coverImagePath && coverPath) {
+          try {
+            const fs = await import('fs/promises');
+            await fs.unlink(coverPath);
+            logger.debug('临时封面图文件已清理', { coverPath });
+          } catch (cleanupError) {
+            logger.warn('清理临时封面图文件失败', { error: cleanupError.message });
+          }
+        }
+      } catch (error) {
+        this.handleCoverFailure(error, coverImagePath || '自动生成的封面图', imageFailurePolicy, wechatAPI);
+      }
+    }
+
+    return {
+      title,
+      author,
+      digest,
+      content: htmlContent,
+      thumbMediaId,
+      contentSourceUrl,
+      needOpenComment,
+      onlyFansCanComment
+    };
+  }
+
+  /**
+   * 上传文章内嵌图片，并将内容转换为微信HTML
+   * @param {Object} options 内容选项
+   * @param {string} options.content 文章内容
+   * @param {string} [options.contentType='markdown'] 内容格式：markdown 或 html
+   * @param {string} [options.coverImagePath] 封面图路径，用于推断相对图片路径的基础目录
+   * @param {Object} [options.images] 内联图片 { 文件名: base64或data URI }，正文中引用该文件名的图片直接使用其中的数据
+   * @param {string} [options.imageFailurePolicy] 图片上传失败时的处理方式（fail、warn、remove、placeholder），默认读取 WECHAT_IMAGE_FAILURE_POLICY，未设置时为warn
+   * @param {string} [options.theme] 主题名称，默认读取 WECHAT_THEME，未设置时为default（HTML内容只使用主题样式表）
+   * @param {string} [options.linkMode] 外部链接的处理方式（footnote、text、keep），默认读取 WECHAT_LINK_MODE，未设置时为footnote
+   * @param {string} [options.mathMode] Markdown中公式的处理方式（image、svg、off），默认读取 WECHAT_MATH_MODE，未设置时为image
+   * @param {WeChatAPI} wechatAPI 微信API实例
+   * @returns {Promise<string>} 微信HTML内容
+   */
+  static async renderContent({ content, contentType = 'markdown', coverImagePath, images, imageFailurePolicy = this.getImageFailurePolicy(), theme, linkMode = this.getLinkMode(), mathMode = this.getMathMode() }, wechatAPI) {
+    // 先加载主题，主题不存在时在上传图片前报错
+    const articleTheme = await loadTheme(theme);
+
+    const path = await import('path');
+
+    // 确定图片相对路径的基础路径（从 coverImagePath 推断文章目录，或使用当前目录）
+    let basePath = process.cwd();
+    if (coverImagePath && !this.isInlineImage(coverImagePath, images)) {
+      const coverDir = path.default.dirname(coverImagePath);
+      if (coverDir.endsWith('/images') || coverDir.endsWith('\\images')) {
+        basePath = path.default.dirname(coverDir);
+      } else {
+        basePath = coverDir;
+      }
+    }
+
+    // 1. 转换为微信HTML（根据 contentType 决定是否转换）
+    let htmlContent;
+    if (contentType === 'html') {
+      // 已经是 HTML，只需将主题样式表和内容中的<style>内联到style属性
+      logger.debug('内容已是HTML格式，跳过Markdown转换', { theme: articleTheme.name });
+      htmlContent = inlineCSS(content, { css: articleTheme.stylesheet });
+    } else {
+      // Markdown 格式，需要转换
+      logger.debug('转换Markdown内容', { theme: articleTheme.name });
+      htmlContent = MarkdownConverter.convertToWeChatHTML(content, { theme: articleTheme, math: mathMode });
+      logger.debug('Markdown转换完成', {
+        originalLength: content.length,
+        htmlLength: htmlContent.length
+      });
+    }
+
+    // 2. 上传正文中的本地图片、内联图片和外链图片（已在微信服务器上的图片跳过）
+    // 从转换后的 <img> 中查找，代码中的图片语法不会被当作图片
+    const sources = new Map();
+    for (const { src } of listImages(htmlContent)) {
+      const source = this.getImageSource(src, contentType);
+      if (!isWeChatImage(source)) {
+        // 同一图片在文中多次出现时只上传一次（相对路径按解析后的绝对路径去重）
+        sources.set(this.getImageKey(source, basePath, images, path.default), source);
+      }
+    }
+
+    if (sources.size > 0) {
+      const concurrency = parseInt(process.env.WECHAT_IMAGE_CONCURRENCY, 10) || DEFAULT_IMAGE_CONCURRENCY;
+      logger.info(`发现 ${sources.size} 张需要上传的图片（${contentType === 'html' ? 'HTML' : 'Markdown'}），开始上传（并发数 ${concurrency}）...`);
+
+      const keys = [...sources.keys()];
+      const results = await mapSettled(keys, concurrency, key => this.uploadImage(sources.get(key), basePath, wechatAPI, images));
+      const uploaded = new Map(keys.map((key, index) => [key, results[index]]));
+
+      results.forEach((result, index) => {
+        const src = sources.get(keys[index]);
+        if (result.status === 'fulfilled') {
+          logger.info(`图片上传成功: ${describeImageSource(src)} -> ${result.value}`);
+          return;
+        }
+        logger.warn(`图片上传失败: ${describeImageSource(src)}`, { error: result.reason.message });
+        wechatAPI.failedImages.push({
+          label: '正文图片',
+          src: describeImageSource(src),
+          reason: result.reason.message,
+          action: IMAGE_FAILURE_ACTIONS[imageFailurePolicy]
+        });
+      });
+
+      const failedCount = results.filter(result => result.status === 'rejected').length;
+      if (failedCount > 0 && imageFailurePolicy === 'fail') {
+        throw new Error(`${failedCount}张图片上传失败，已取消发布（imageFailurePolicy: fail）`);
+      }
+
+      // 只替换 img 标签的 src 属性
+      htmlContent = replaceImages(htmlContent, ({ src, alt }) => {
+        const source = this.getImageSource(src, contentType);
+        if (isWeChatImage(source)) {
+          return undefined;
+        }
+        const result = uploaded.get(this.getImageKey(source, basePath, images, path.default));
+        if (result.status === 'fulfilled') {
+          return { src: result.value };
+        }
+        return this.applyImageFailurePolicy({ src: source, alt }, imageFailurePolicy);
+      });
+    }
+
+    // 3. 公式渲染的SVG图片栅格化为PNG后上传
+    if (contentType !== 'html' && mathMode === 'image') {
+      htmlContent = await this.uploadMathImages(htmlContent, imageFailurePolicy, wechatAPI);
+    }
+
+    // 4. 微信文章中只有公众号文章链接可以点击，其他链接按 linkMode 转换为脚注或文字
+    return convertLinks(htmlContent, { mode: linkMode, styles: articleTheme.styles });
+  }
+
+  /**
+   * 上传文章中的一张图片
+   * data URI和images中提供的内联图片解码后上传；本地图片直接上传；http(s)外链图片下载后转存（微信不显示外链图片）
+   * @param {string} src 图片地址或路径
+   * @param {string} basePath 相对路径的基础目录
+   * @param {WeChatAPI} wechatAPI 微信API实例
+   * @param {Object} [images] 内联图片 { 文件名: base64或data URI }
+   * @returns {Promise<string>} 微信图片URL
+   */
+  static async uploadImage(src, basePath, wechatAPI, images) {
+    const inlineImage = this.getInlineImage(src, images);
+    if (inlineImage) {
+      logger.debug(`上传内联图片: ${describeImageSource(src)}`);
+      return wechatAPI.uploadContentImage(inlineImage);
+    }
+
+    if (isRemoteImage(src)) {
+      logger.debug(`转存外链图片: ${src}`);
+      return wechatAPI.uploadRemoteImage(src);
+    }
+
+    const path = await import('path');
+    const absolutePath = path.default.isAbsolute(src) ? src : path.default.resolve(basePath, src);
+    logger.debug(`上传图片: ${absolutePath}`);
+    return wechatAPI.uploadContentImage(absolutePath);
+  }
+
+  /**
+   * 上传正文中的公式图片（SVG由 preprocessImage 用canvas栅格化为PNG）
+   * 上传失败的公式改为内联SVG，imageFailurePolicy 为 fail 时取消发布
+   * @param {string} htmlContent 正文HTML
+   * @param {string} imageFailurePolicy 图片上传失败时的处理方式
+   * @param {WeChatAPI} wechatAPI 微信API实例
+   * @returns {Promise<string>} 替换公式图片地址后的HTML
+   */
+  static async uploadMathImages(htmlContent, imageFailurePolicy, wechatAPI) {
+    const formulas = listMathImages(htmlContent);
+    if (formulas.length === 0) {
+      return htmlContent;
+    }
+
+    const concurrency = parseInt(process.env.WECHAT_IMAGE_CONCURRENCY, 10) || DEFAULT_IMAGE_CONCURRENCY;
+    logger.info(`发现 ${formulas.length} 个公式，转换为图片上传（并发数 ${concurrency}）...`);
+    const results = await mapSettled(formulas, concurrency, ({ src }) => this.uploadImage(src, process.cwd(), wechatAPI));
+
+    const urls = new Map();
+    results.forEach((result, index) => {
+      const { src, tex } = formulas[index];
+      if (result.status === 'fulfilled') {
+        urls.set(src, result.value);
+        return;
+      }
+      logger.warn(`公式图片上传失败: ${tex}`, { error: result.reason.message });
+      wechatAPI.failedImages.push({
+        label: '公式',
+        src: tex,
+        reason: result.reason.message,
+        action: imageFailurePolicy === 'fail' ? IMAGE_FAILURE_ACTIONS.fail : '已改为内联SVG'
+      });
+    });
+
+    const failedCount = formulas.length - urls.size;
+    if (failedCount > 0 && imageFailurePolicy === 'fail') {
+      throw new Error(`${failedCount}个公式图片上传失败，已取消发布（imageFailurePolicy: fail）`);
+    }
+    return replaceMathImages(htmlContent, urls);
+  }
+
+  /**
+   * 图片去重键：内联图片和外链图片使用原地址，本地图片使用解析后的绝对路径
+   */
+  static getImageKey(src, basePath, images, path) {
+    if (this.isInlineImage(src, images) || isRemoteImage(src)) {
+      return src;
+    }
+    return path.isAbsolute(src) ? src : path.resolve(basePath, src);
+  }
+
+  /**
+   * 图片在正文中的地址对应的来源
+   * Markdown中的图片地址经过百分号编码（见 normalizeURL），本地路径和内联图片的文件名需要还原
+   * @param {string} src img标签的src属性
+   * @param {string} contentType 内容格式：markdown 或 html
+   * @returns {string} 图片路径、文件名或地址
+   */
+  static getImageSource(src, contentType) {
+    if (contentType === 'html' || isRemoteImage(src) || isDataURI(src)) {
+      return src;
+    }
+    try {
+      return decodeURIComponent(src);
+    } catch {
+      return src;
+    }
+  }
+
+  /**
+   * 按 imageFailurePolicy 替换上传失败的图片（替换结果的格式见 replaceImages）
+   * @param {Object} image 图片 { src, alt }
+   * @param {string} policy 处理方式：warn 保留原图片，remove 移除，placeholder 替换为占位文字
+   * @returns {Object|undefined} 替换结果，保留原图片时为undefined
+   */
+  static applyImageFailurePolicy({ src, alt }, policy) {
+    if (policy === 'remove') {
+      return { html: '' };
+    }
+
+    if (policy === 'placeholder') {
+      const name = alt || (isDataURI(src) ? '' : src.split(/[\\/]/).pop());
+      const text = MarkdownConverter.escapeHtml(`【图片：${name || '未能加载'}】`);
+      return { html: `<span style="color: #999;">${text}</span>` };
+    }
+
+    return undefined;
+  }
+
+  /**
+   * 处理封面图上传失败：fail 时取消发布，否则记录后继续发布（不设置封面）
+   */
+  static handleCoverFailure(error, src, policy, wechatAPI) {
+    wechatAPI.failedImages.push({
+      label: '封面图',
+      src: describeImageSource(src),
+      reason: error.message,
+      action: policy === 'fail' ? IMAGE_FAILURE_ACTIONS.fail : '未设置封面'
+    });
+
+    if (policy === 'fail') {
+      throw new Error(`封面图上传失败，已取消发布（imageFailurePolicy: fail）: ${error.message}`);
+    }
+    logger.warn('封面图上传失败，将继续发布', { error: error.message });
+  }
+
+  /**
+   * 获取默认的图片上传失败处理方式
+   * @returns {string} WECHAT_IMAGE_FAILURE_POLICY，未设置时为warn
+   */
+  static getImageFailurePolicy() {
+    return process.env.WECHAT_IMAGE_FAILURE_POLICY || 'warn';
+  }
+
+  /**
+   * 获取默认的外部链接处理方式
+   * @returns {string} WECHAT_LINK_MODE，未设置时为footnote
+   */
+  static getLinkMode() {
+    return process.env.WECHAT_LINK_MODE || 'footnote';
+  }
+
+  /**
+   * 获取默认的公式处理方式
+   * @returns {string} WECHAT_MATH_MODE，未设置时为image
+   */
+  static getMathMode() {
+    return process.env.WECHAT_MATH_MODE || 'image';
+  }
+
+  /**
+   * 获取内联图片：data URI，或在images中提供了数据的文件名
+   * @param {string} src 图片地址或路径
+   * @param {Object} [images] 内联图片 { 文件名: base64或data URI }
+   * @returns {Object|null} { buffer, filename }，不是内联图片时返回null
+   */
+  static getInlineImage(src, images) {
+    if (!this.isInlineImage(src, images)) {
+      return null;
+    }
+
+    return isDataURI(src)
+      ? { buffer: decodeImageData(src), filename: 'image' }
+      : { buffer: decodeImageData(images[src]), filename: src.split(/[\\/]/).pop() };
+  }
+
+  /**
+   * 判断图片是否为内联图片（data URI，或在images中提供了数据）
+   * @param {string} src 图片地址或路径
+   * @param {Object} [images] 内联图片 { 文件名: base64或data URI }
+   * @returns {boolean}
+   */
+  static isInlineImage(src, images) {
+    if (typeof src !== 'string') {
+      return false;
+    }
+    return isDataURI(src) || Boolean(images && Object.prototype.hasOwnProperty.call(images, src));
+  }
+
   /**
    * 构建成功响应消息
    */
-  static buildSuccessMessage({ title, author, result, previewMode, draftOnly, executionTime, thumbMediaId }) {
+  static buildSuccessMessage({ articles, result, previewMode, draftOnly, executionTime, retries = [], processedImages = [], reusedImages = [], failedImages = [] }) {
     const mode = previewMode ? '预览' : (draftOnly ? '草稿创建' : '发布');
     const icon = previewMode ? '👀' : (draftOnly ? '📝' : '✅');
+    const [leadArticle] = articles;
 
     let message = `${icon} 文章${mode}成功！\n\n`;
-    message += `📱 标题: ${title}\n`;
-    message += `👤 作者: ${author}\n`;
+    if (result.pending) {
+      message = '⏳ 文章已提交发布，发布结果仍在等待中（still pending）\n\n';
+    } else if (result.removed) {
+      message = `⚠️ 文章已发布成功，但已被移除: ${result.statusText}\n\n`;
+    }
 
-    if (result.articleUrl) {
-      message += `🔗 链接: ${result.articleUrl}\n`;
+    if (articles.length > 1) {
+      message += `📚 多图文: 共${articles.length}篇\n`;
+      articles.forEach((article, index) => {
+        const label = index === 0 ? '头条' : `次条${index}`;
+        const url = result.articleUrls && result.articleUrls[index];
+        message += `  ${index + 1}. [${label}] ${article.title}${article.author ? ` - ${article.author}` : ''}${url ? `\n     🔗 ${url}` : ''}\n`;
+      });
+    } else {
+      message += `📱 标题: ${leadArticle.title}\n`;
+      message += `👤 作者: ${leadArticle.author}\n`;
+
+      if (result.articleUrl) {
+        message += `🔗 链接: ${result.articleUrl}\n`;
+      }
     }
 
     if (result.mediaId) {
@@ -287,14 +655,24 @@ class WeChatPublisher {
       message += `📨 消息ID: ${result.msgId}\n`;
     }
 
-    if (thumbMediaId) {
-      message += `🖼️ 封面图: 已上传\n`;
+    const coverCount = articles.filter(article => article.thumbMediaId).length;
+    if (coverCount > 0) {
+      message += articles.length > 1
+        ? `🖼️ 封面图: 已上传${coverCount}/${articles.length}张\n`
+        : '🖼️ 封面图: 已上传\n';
     }
 
+    message += WeChatAPI.formatImageProcessing(processedImages, reusedImages);
+    message += WeChatAPI.formatFailedImages(failedImages);
+    message += WeChatAPI.formatRetries(retries);
     message += `⏱️ 处理时间: ${executionTime}ms\n`;
 
     if (previewMode) {
       message += `\n👀 预览已发送到指定用户，请检查微信查看效果。`;
+    } else if (result.pending) {
+      message += `\n⏳ 在等待时间内未获得最终发布结果，文章链接将在发布完成后生成。请稍后使用 wechat_query_status 查询发布ID ${result.publishId}。`;
+    } else if (result.removed) {
+      message += '\n⚠️ 发布本身已成功，文章随后被删除或封禁，读者已无法查看。请登录微信公众号后台确认。';
     } else if (draftOnly) {
       message += `\n📝 草稿已创建成功！请登录微信公众号后台查看和发布。`;
     } else {
@@ -539,29 +917,28 @@ class WeChatPublisher {
 
   /**
    * 构建错误响应消息
+   * 微信接口错误按错误码给出处理建议（见 WeChatAPIError），未收录的错误附加通用解决方案
    */
-  static buildErrorMessage(error, params) {
+  static buildErrorMessage(error, params, retries = [], failedImages = []) {
     let message = `❌ 发布失败: ${error.message}\n\n`;
     
-    // 常见错误的解决建议
-    if (error.message.includes('access_token')) {
-      message += `🔑 AppID/AppSecret问题:\n`;
-      message += `• 检查微信公众号AppID和AppSecret是否正确\n`;
-      message += `• 确认公众号类型是否支持发布接口\n`;
-      message += `• 验证公众号是否已认证\n\n`;
+    const failedSummary = WeChatAPI.formatFailedImages(failedImages);
+    if (failedSummary) {
+      message += `${failedSummary}\n`;
+    }
+    
+    const retrySummary = WeChatAPI.formatRetries(retries);
+    if (retrySummary) {
+      message += `${retrySummary}\n`;
     }
     
-    if (error.message.includes('ip')) {
-      message += `🌐 IP白名单问题:\n`;
-      message += `• 将服务器IP添加到微信公众平台的IP白名单\n`;
-      message += `• 登录微信公众平台 -> 开发 -> 基本配置 -> IP白名单\n\n`;
+    const details = formatWeChatError(error);
+    if (details) {
+      message += `${details}\n`;
     }
     
-    if (error.message.includes('media') || error.message.includes('图')) {
-      message += `🖼️ 封面图问题:\n`;
-      message += `• 检查图片路径是否正确\n`;
-      message += `• 确认图片格式为PNG、JPG或JPEG\n`;
-      message += `• 验证图片大小不超过1MB\n\n`;
+    if (error instanceof WeChatAPIError && error.info) {
+      return message.trimEnd();
     }
     
     message += `💡 通用解决方案:\n`;
@@ -1,4 +1,6 @@
-import WeChatAPI from '../services/WeChatAPI.js';
+import WeChatAPI, { PUBLISH_STATUS } from '../services/WeChatAPI.js';
+import { WeChatAPIError, formatWeChatError } from '../services/WeChatAPIError.js';
+import { getPublishEventStore, PublishEventStore } from '../callback/index.js';
 import { validateStatusParams } from '../utils/validator.js';
 import logger from '../utils/logger.js';
 
@@ -14,9 +16,12 @@ class WeChatStatus {
    */
   static async query(params) {
     const startTime = Date.now();
+    let wechatAPI;
     
     try {
-      logger.info('开始查询状态', { msgId: params.msgId });
+      // msgId是该参数已弃用的旧名称，仍然兼容
+      params = { ...params, publishId: params.publishId || params.msgId };
+      logger.info('开始查询状态', { publishId: params.publishId });
       
       // 1. 参数验证
       const validation = validateStatusParams(params);
@@ -24,25 +29,37 @@ class WeChatStatus {
         throw new Error(`参数验证失败: ${validation.errors.join(', ')}`);
       }
 
-      const { msgId, appId, appSecret } = params;
+      const { publishId, appId, appSecret } = params;
 
-      // 2. 初始化微信API
-      logger.debug('初始化微信API');
-      const wechatAPI = new WeChatAPI(appId, appSecret);
+      // 2. 优先使用微信推送的发布结果事件（PUBLISHJOBFINISH，只使用同一公众号的事件），无需调用接口
+      let statusData;
+      const publishEvent = await getPublishEventStore().get(publishId, appId);
+      if (publishEvent) {
+        logger.debug('使用推送的发布结果事件', { publishId });
+        statusData = PublishEventStore.toStatusData(publishEvent);
+      } else {
+        // 3. 初始化微信API并查询发布状态
+        logger.debug('初始化微信API');
+        wechatAPI = new WeChatAPI(appId, appSecret);
 
-      // 3. 查询发布状态
-      logger.debug('查询发布状态', { msgId });
-      const statusData = await wechatAPI.getPublishStatus(msgId);
+        logger.debug('查询发布状态', { publishId });
+        statusData = await wechatAPI.getPublishStatus(publishId);
+      }
 
       const executionTime = Date.now() - startTime;
       logger.info('状态查询成功', { 
-        msgId,
+        publishId,
         status: statusData.publish_status,
         executionTime: `${executionTime}ms` 
       });
 
       // 4. 构建成功响应
-      const successMessage = this.buildStatusMessage(statusData, executionTime, msgId);
+      let successMessage = this.buildStatusMessage(statusData, executionTime, publishId);
+      if (publishEvent) {
+        successMessage += `📡 数据来源: 微信发布结果推送（${this.formatTimestamp(Math.floor(publishEvent.receivedAt / 1000))}接收）\n`;
+      } else {
+        successMessage += WeChatAPI.formatRetries(wechatAPI.retries);
+      }
 
       return {
         content: [{
@@ -54,7 +71,7 @@ class WeChatStatus {
     } catch (error) {
       const executionTime = Date.now() - startTime;
       logger.error('状态查询失败', {
-        msgId: params.msgId,
+        publishId: params.publishId,
         error: error.message,
         executionTime: `${executionTime}ms`,
         stack: error.stack
@@ -63,7 +80,7 @@ class WeChatStatus {
       return {
         content: [{
           type: "text",
-          text: this.buildErrorMessage(error)
+          text: this.buildErrorMessage(error, wechatAPI ? wechatAPI.retries : [])
         }],
         isError: true
       };
@@ -73,11 +90,11 @@ class WeChatStatus {
   /**
    * 构建状态响应消息
    */
-  static buildStatusMessage(statusData, executionTime, msgId) {
+  static buildStatusMessage(statusData, executionTime, publishId) {
     let message = `📊 文章状态查询结果\n\n`;
     
     // 处理微信API的真实响应格式
-    message += `📨 消息ID: ${msgId || '未知'}\n`;
+    message += `🆔 发布ID: ${publishId || '未知'}\n`;
     
     // 发布状态
     if (statusData.publish_status !== undefined) {
@@ -85,6 +102,11 @@ class WeChatStatus {
       message += `📈 状态: ${statusText}\n`;
     }
     
+    // 发布失败或审核不通过时，fail_idx 标明出问题的文章序号
+    if (statusData.fail_idx && statusData.fail_idx.length > 0) {
+      message += `⚠️ 失败文章序号: ${statusData.fail_idx.join(', ')}\n`;
+    }
+    
     // 处理文章详情（微信API返回的格式）
     if (statusData.article_detail && statusData.article_detail.item && statusData.article_detail.item.length > 0) {
       const article = statusData.article_detail.item[0];
@@ -117,8 +139,8 @@ class WeChatStatus {
       }
       
       // 文章链接
-      if (article.url) {
-        message += `🔗 文章链接: ${article.url}\n`;
+      if (article.article_url) {
+        message += `🔗 文章链接: ${article.article_url}\n`;
       }
     } else {
       // 如果没有文章详情，可能是刚发布还未生成统计数据
@@ -130,26 +152,34 @@ class WeChatStatus {
 
   /**
    * 构建错误响应消息
+   * 微信接口错误按错误码给出处理建议（见 WeChatAPIError），未收录的错误附加通用建议
    */
-  static buildErrorMessage(error) {
+  static buildErrorMessage(error, retries = []) {
     let message = `❌ 状态查询失败: ${error.message}\n\n`;
     
-    // 常见错误的解决建议
-    if (error.message.includes('access_token')) {
-      message += `🔑 认证问题:\n`;
-      message += `• 检查AppID和AppSecret是否正确\n`;
-      message += `• 确认公众号权限是否足够\n\n`;
+    const retrySummary = WeChatAPI.formatRetries(retries);
+    if (retrySummary) {
+      message += `${retrySummary}\n`;
+    }
+    
+    const details = formatWeChatError(error);
+    if (details) {
+      message += `${details}\n`;
+    }
+    
+    if (error instanceof WeChatAPIError && error.info) {
+      return message.trimEnd();
     }
     
-    if (error.message.includes('msgId') || error.message.includes('not found')) {
-      message += `🔍 消息ID问题:\n`;
-      message += `• 检查提供的msgId是否正确\n`;
+    if (error.message.includes('publishId') || error.message.includes('not found')) {
+      message += `🔍 发布ID问题:\n`;
+      message += `• 检查提供的publishId是否正确\n`;
       message += `• 确认消息是否确实存在\n`;
       message += `• 只能查询最近的发布记录\n\n`;
     }
     
     message += `💡 解决建议:\n`;
-    message += `• 确认msgId来自发布成功的返回结果\n`;
+    message += `• 确认publishId来自发布接口返回的结果（不是msgId）\n`;
     message += `• 检查网络连接是否正常\n`;
     message += `• 如果是新发布的文章，请稍等几分钟后重试\n`;
     message += `• 确保查询的是本公众号发布的文章`;
@@ -162,11 +192,13 @@ class WeChatStatus {
    */
   static getStatusText(status) {
     const statusMap = {
-      0: '🟡 发布中',
-      1: '🟢 发布成功',
-      2: '🔴 发布失败',
-      3: '🟠 审核中',
-      4: '🔴 审核失败'
+      [PUBLISH_STATUS.SUCCESS]: '🟢 发布成功',
+      [PUBLISH_STATUS.PUBLISHING]: '🟡 发布中',
+      [PUBLISH_STATUS.ORIGINAL_FAILED]: '🔴 原创声明失败',
+      [PUBLISH_STATUS.FAILED]: '🔴 常规失败',
+      [PUBLISH_STATUS.AUDIT_REJECTED]: '🟠 平台审核不通过',
+      [PUBLISH_STATUS.DELETED]: '⚪ 成功后用户已删除所有文章',
+      [PUBLISH_STATUS.BANNED]: '⚫ 成功后系统封禁所有文章'
     };
     
     return statusMap[status] || `🤔 未知状态(${status})`;
@@ -0,0 +1,36 @@
+/**
+ * 限制并发数的批量异步任务
+ * 用于并行上传文章图片，避免同时发起过多请求触发微信接口频率限制
+ */
+
+/**
+ * 以有限并发处理列表中的每一项，单项失败不影响其他项
+ * @param {Array} items 待处理列表
+ * @param {number} limit 最大并发数（小于1或无效时为1）
+ * @param {Function} worker (item, index) => Promise
+ * @returns {Promise<Array<Object>>} 与items一一对应的结果 { status: 'fulfilled', value } 或 { status: 'rejected', reason }
+ */
+async function mapSettled(items, limit, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const runWorker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      try {
+        results[index] = { status: 'fulfilled', value: await worker(items[index], index) };
+      } catch (reason) {
+        results[index] = { status: 'rejected', reason };
+      }
+    }
+  };
+
+  // 并发数无效（如NaN）时按1处理，否则不会启动任何任务
+  const workerCount = Math.min(Math.max(1, limit || 1), items.length);
+  await Promise.all(Array.from({ length: workerCount }, runWorker));
+  return results;
+}
+
+export {
+  mapSettled
+};
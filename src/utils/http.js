@@ -0,0 +1,186 @@
+/**
+ * 微信接口HTTP客户端
+ * 统一配置代理（HTTP/HTTPS/SOCKS）、出口地址、自定义CA证书和按请求类型区分的超时，
+ * WeChatAPI、第三方平台的所有请求（包括表单上传）共用同一套配置
+ */
+
+import axios from 'axios';
+import http from 'http';
+import https from 'https';
+import tls from 'tls';
+import { readFileSync } from 'fs';
+import { HttpsProxyAgent } from 'https-proxy-agent';
+import { SocksProxyAgent } from 'socks-proxy-agent';
+import logger from './logger.js';
+
+/**
+ * 默认超时（毫秒）
+ * - json: 普通JSON接口（令牌、草稿、发布、查询等）
+ * - upload: 表单上传接口（封面图、正文图片）
+ */
+const DEFAULT_TIMEOUTS = {
+  json: 30000,
+  upload: 60000
+};
+
+const SOCKS_PROTOCOLS = ['socks:', 'socks4:', 'socks4a:', 'socks5:', 'socks5h:'];
+
+// 按配置缓存的HTTP客户端，使各WeChatAPI实例复用连接
+const clients = new Map();
+
+/**
+ * 读取超时环境变量（秒）
+ */
+function getTimeoutFromEnv(name) {
+  const value = parseInt(process.env[name], 10);
+  return value > 0 ? value * 1000 : undefined;
+}
+
+/**
+ * 获取HTTP配置，未指定的项读取环境变量
+ * @param {Object} [options] 配置选项
+ * @param {string} [options.proxy] 代理地址（http://、https://、socks5:// 等），默认读取 WECHAT_PROXY_URL；未设置时沿用 HTTPS_PROXY 等标准环境变量
+ * @param {string} [options.noProxy] 不经过代理直接访问的主机（逗号分隔，格式同 NO_PROXY），默认读取 NO_PROXY
+ * @param {string} [options.caFile] 额外信任的CA证书文件（PEM），默认读取 WECHAT_CA_FILE
+ * @param {string} [options.localAddress] 发起连接使用的本机IP（多出口IP时固定使用白名单中的地址），默认读取 WECHAT_LOCAL_ADDRESS
+ * @param {Object} [options.timeouts] 超时配置 { json, upload }（毫秒），默认读取 WECHAT_REQUEST_TIMEOUT、WECHAT_UPLOAD_TIMEOUT（秒）
+ * @returns {Object} { proxy, noProxy, caFile, localAddress, timeouts }
+ */
+function getHttpConfig(options = {}) {
+  return {
+    proxy: options.proxy || process.env.WECHAT_PROXY_URL || undefined,
+    noProxy: options.noProxy || process.env.NO_PROXY || process.env.no_proxy || undefined,
+    caFile: options.caFile || process.env.WECHAT_CA_FILE || undefined,
+    localAddress: options.localAddress || process.env.WECHAT_LOCAL_ADDRESS || undefined,
+    timeouts: {
+      json: getTimeoutFromEnv('WECHAT_REQUEST_TIMEOUT') || DEFAULT_TIMEOUTS.json,
+      upload: getTimeoutFromEnv('WECHAT_UPLOAD_TIMEOUT') || DEFAULT_TIMEOUTS.upload,
+      ...options.timeouts
+    }
+  };
+}
+
+/**
+ * 判断地址是否命中 NO_PROXY 规则
+ * 规则以逗号或空格分隔：* 匹配全部；example.com 和 .example.com 匹配该域名及其子域名；可带端口，如 localhost:3000
+ * @param {string} url 请求地址
+ * @param {string} [noProxy] NO_PROXY 规则
+ * @returns {boolean} 是否应绕过代理直接访问
+ */
+function shouldBypassProxy(url, noProxy) {
+  if (!noProxy) {
+    return false;
+  }
+
+  let target;
+  try {
+    target = new URL(url);
+  } catch {
+    return false;
+  }
+  const hostname = target.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  const port = target.port || (target.protocol === 'https:' ? '443' : '80');
+
+  return noProxy.split(/[\s,]+/).filter(Boolean).some(rule => {
+    if (rule === '*') {
+      return true;
+    }
+
+    const match = rule.toLowerCase().match(/^(.+?)(?::(\d+))?$/);
+    const ruleHost = match[1].replace(/^\*?\./, '').replace(/^\[|\]$/g, '');
+    if (match[2] && match[2] !== port) {
+      return false;
+    }
+    return hostname === ruleHost || hostname.endsWith(`.${ruleHost}`);
+  });
+}
+
+/**
+ * 根据配置创建连接代理
+ * @param {Object} config HTTP配置（见 getHttpConfig）
+ * @returns {Object} axios配置 { httpAgent, httpsAgent, proxy }，无需自定义时返回空对象
+ */
+function createAgents({ proxy, caFile, localAddress }) {
+  if (!proxy && !caFile && !localAddress) {
+    return {};
+  }
+
+  const agentOptions = { keepAlive: true };
+  if (caFile) {
+    // 在系统默认根证书之外追加信任，而不是替换
+    agentOptions.ca = [...tls.rootCertificates, readFileSync(caFile, 'utf8')];
+  }
+  if (localAddress) {
+    agentOptions.localAddress = localAddress;
+  }
+
+  if (!proxy) {
+    return {
+      httpAgent: new http.Agent(agentOptions),
+      httpsAgent: new https.Agent(agentOptions)
+    };
+  }
+
+  let protocol;
+  try {
+    protocol = new URL(proxy).protocol;
+  } catch {
+    throw new Error(`代理地址格式错误: ${proxy}`);
+  }
+
+  let agent;
+  if (SOCKS_PROTOCOLS.includes(protocol)) {
+    agent = new SocksProxyAgent(proxy, agentOptions);
+  } else if (protocol === 'http:' || protocol === 'https:') {
+    // 通过CONNECT隧道转发，HTTP和HTTPS目标地址均适用
+    agent = new HttpsProxyAgent(proxy, agentOptions);
+  } else {
+    throw new Error(`不支持的代理协议: ${protocol}（可选: http、https、socks4、socks5）`);
+  }
+
+  // 由代理Agent负责转发，禁用axios自带的代理处理
+  return { httpAgent: agent, httpsAgent: agent, proxy: false };
+}
+
+/**
+ * 获取指定配置的HTTP客户端（相同配置共用同一个axios实例）
+ * @param {Object} config HTTP配置（见 getHttpConfig）
+ * @returns {import('axios').AxiosInstance} axios实例
+ */
+function getHttpClient(config) {
+  const key = JSON.stringify([config.proxy, config.noProxy, config.caFile, config.localAddress]);
+
+  if (!clients.has(key)) {
+    const client = axios.create(createAgents(config));
+    if (config.proxy && config.noProxy) {
+      // 命中 NO_PROXY 的地址（如内网的模拟服务器）改用不经过代理的连接
+      const direct = createAgents({ ...config, proxy: undefined });
+      client.interceptors.request.use(request => {
+        if (shouldBypassProxy(client.getUri(request), config.noProxy)) {
+          Object.assign(request, { httpAgent: direct.httpAgent, httpsAgent: direct.httpsAgent, proxy: false });
+        }
+        return request;
+      });
+    }
+    clients.set(key, client);
+    if (config.proxy || config.caFile || config.localAddress) {
+      logger.debug('HTTP client configured', {
+        // 代理地址中可能包含账号密码
+        proxy: config.proxy ? config.proxy.replace(/\/\/[^@/]*@/, '//***@') : undefined,
+        noProxy: config.noProxy,
+        caFile: config.caFile,
+        localAddress: config.localAddress
+      });
+    }
+  }
+
+  return clients.get(key);
+}
+
+export {
+  DEFAULT_TIMEOUTS,
+  getHttpConfig,
+  shouldBypassProxy,
+  createAgents,
+  getHttpClient
+};
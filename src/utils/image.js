@@ -0,0 +1,505 @@
+/**
+ * 上传前的图片预处理
+ * 按各上传接口的限制统一格式和大小：缩放到最大宽度，将WebP/BMP/SVG等转换为接口支持的格式，
+ * 逐级降低JPEG质量直到满足大小限制，并去除EXIF等元数据（依赖canvas解码和编码）
+ */
+
+import logger from './logger.js';
+
+/**
+ * 各上传接口的限制
+ * - cover: material/add_material（永久图片素材），支持JPG/PNG/GIF/BMP，不超过10MB；BMP体积过大，统一转换
+ * - content: media/uploadimg（图文消息内的图片），仅支持JPG/PNG，不超过1MB
+ */
+const IMAGE_TARGETS = {
+  cover: { label: '封面图', maxBytes: 10 * 1024 * 1024, formats: ['jpeg', 'png', 'gif'] },
+  content: { label: '内容图片', maxBytes: 1024 * 1024, formats: ['jpeg', 'png'] }
+};
+
+// 默认最大宽度（像素），微信文章正文的显示宽度远小于此值
+const DEFAULT_MAX_WIDTH = 1080;
+
+// 逐级尝试的JPEG质量
+const JPEG_QUALITIES = [0.92, 0.85, 0.78, 0.7, 0.6, 0.5];
+
+// 降低质量仍超出大小限制时，每轮缩小的比例和最小宽度
+const DOWNSCALE_FACTOR = 0.8;
+const MIN_WIDTH = 320;
+
+const FORMAT_NAMES = { jpeg: 'JPEG', png: 'PNG', gif: 'GIF', webp: 'WebP', bmp: 'BMP', svg: 'SVG' };
+const IMAGE_CONTENT_TYPES = { jpeg: 'image/jpeg', png: 'image/png', gif: 'image/gif', webp: 'image/webp', bmp: 'image/bmp', svg: 'image/svg+xml' };
+const EXTENSIONS = { jpeg: '.jpg', png: '.png', gif: '.gif' };
+
+// 可能带透明通道的格式，转换时优先输出PNG
+const ALPHA_FORMATS = ['png', 'gif', 'webp', 'svg'];
+
+// PNG中可去除的元数据块
+const PNG_METADATA_CHUNKS = ['eXIf', 'tEXt', 'zTXt', 'iTXt', 'tIME'];
+
+let canvasModule;
+
+/**
+ * 加载canvas（可选依赖，原生模块安装失败时返回null）
+ */
+async function loadCanvas() {
+  if (canvasModule === undefined) {
+    try {
+      const canvas = await import('canvas');
+      canvasModule = canvas.default || canvas;
+    } catch (error) {
+      logger.warn('canvas不可用，图片将不做缩放和格式转换', { error: error.message });
+      canvasModule = null;
+    }
+  }
+  return canvasModule;
+}
+
+/**
+ * 根据文件头识别图片格式
+ * @param {Buffer} buffer 图片数据
+ * @returns {string|null} jpeg、png、gif、webp、bmp、svg，无法识别时返回null
+ */
+function detectImageFormat(buffer) {
+  if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return 'jpeg';
+  }
+  if (buffer.length >= 8 && buffer.readUInt32BE(0) === 0x89504e47 && buffer.readUInt32BE(4) === 0x0d0a1a0a) {
+    return 'png';
+  }
+  if (buffer.toString('ascii', 0, 4) === 'GIF8') {
+    return 'gif';
+  }
+  if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+    return 'webp';
+  }
+  if (buffer.toString('ascii', 0, 2) === 'BM') {
+    return 'bmp';
+  }
+  if (/^\s*(<\?xml[^>]*>\s*)?(<!--[\s\S]*?-->\s*)*(<!DOCTYPE svg[^>]*>\s*)?<svg[\s>]/i.test(buffer.toString('utf8', 0, 1024))) {
+    return 'svg';
+  }
+  return null;
+}
+
+/**
+ * 遍历JPEG在图像数据之前的标记段
+ * @param {Buffer} buffer JPEG数据
+ * @param {Function} callback 参数为 { marker, start, end }，start/end为整个段（含标记）的范围
+ * @returns {number} 图像数据（SOS）开始的位置
+ */
+function walkJpegSegments(buffer, callback) {
+  let offset = 2;
+  while (offset + 4 <= buffer.length && buffer[offset] === 0xff) {
+    const marker = buffer[offset + 1];
+    // SOS之后为压缩数据；EOI表示结束
+    if (marker === 0xda || marker === 0xd9) {
+      break;
+    }
+    const end = offset + 2 + buffer.readUInt16BE(offset + 2);
+    callback({ marker, start: offset, end });
+    offset = end;
+  }
+  return offset;
+}
+
+/**
+ * 读取图片尺寸（JPEG、PNG、GIF可直接从文件头读取，无需解码）
+ * @param {Buffer} buffer 图片数据
+ * @param {string} format 图片格式
+ * @returns {Object|null} { width, height }
+ */
+function readImageSize(buffer, format) {
+  if (format === 'png' && buffer.length >= 24) {
+    return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+  }
+  if (format === 'gif' && buffer.length >= 10) {
+    return { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+  }
+  if (format === 'jpeg') {
+    let size = null;
+    walkJpegSegments(buffer, ({ marker, start }) => {
+      // SOF0-SOF15（不含DHT、JPG、DAC）
+      if (!size && marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+        size = { width: buffer.readUInt16BE(start + 7), height: buffer.readUInt16BE(start + 5) };
+      }
+    });
+    return size;
+  }
+  return null;
+}
+
+/**
+ * 读取JPEG的EXIF方向（1为正常方向）
+ * @param {Buffer} buffer JPEG数据
+ * @returns {number} 方向值1-8
+ */
+function getJpegOrientation(buffer) {
+  let orientation = 1;
+
+  walkJpegSegments(buffer, ({ marker, start, end }) => {
+    if (marker !== 0xe1 || buffer.toString('ascii', start + 4, start + 10) !== 'Exif\0\0') {
+      return;
+    }
+
+    const tiff = start + 10;
+    const littleEndian = buffer.toString('ascii', tiff, tiff + 2) === 'II';
+    const readUInt16 = pos => (littleEndian ? buffer.readUInt16LE(pos) : buffer.readUInt16BE(pos));
+    const readUInt32 = pos => (littleEndian ? buffer.readUInt32LE(pos) : buffer.readUInt32BE(pos));
+
+    const ifd = tiff + readUInt32(tiff + 4);
+    if (ifd + 2 > end) {
+      return;
+    }
+    const count = readUInt16(ifd);
+    for (let i = 0; i < count; i++) {
+      const entry = ifd + 2 + i * 12;
+      if (entry + 12 > end) {
+        break;
+      }
+      // 0x0112: Orientation
+      if (readUInt16(entry) === 0x0112) {
+        const value = readUInt16(entry + 8);
+        orientation = value >= 1 && value <= 8 ? value : 1;
+        break;
+      }
+    }
+  });
+
+  return orientation;
+}
+
+/**
+ * 去除JPEG中的EXIF、XMP（APP1）和IPTC（APP13）元数据，保留ICC色彩配置，不重新编码
+ * @param {Buffer} buffer JPEG数据
+ * @returns {Buffer} 去除元数据后的JPEG，没有元数据时返回原数据
+ */
+function stripJpegMetadata(buffer) {
+  const removed = [];
+  const dataStart = walkJpegSegments(buffer, ({ marker, start, end }) => {
+    if (marker === 0xe1 || marker === 0xed) {
+      removed.push([start, end]);
+    }
+  });
+
+  if (removed.length === 0) {
+    return buffer;
+  }
+
+  const parts = [];
+  let offset = 0;
+  for (const [start, end] of removed) {
+    parts.push(buffer.subarray(offset, start));
+    offset = end;
+  }
+  parts.push(buffer.subarray(offset, dataStart), buffer.subarray(dataStart));
+  return Buffer.concat(parts);
+}
+
+/**
+ * 去除PNG中的EXIF和文本元数据块，不重新编码
+ * @param {Buffer} buffer PNG数据
+ * @returns {Buffer} 去除元数据后的PNG，没有元数据时返回原数据
+ */
+function stripPngMetadata(buffer) {
+  const parts = [buffer.subarray(0, 8)];
+  let offset = 8;
+  let stripped = false;
+
+  while (offset + 12 <= buffer.length) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('ascii', offset + 4, offset + 8);
+    const end = offset + 12 + length;
+
+    if (PNG_METADATA_CHUNKS.includes(type)) {
+      stripped = true;
+    } else {
+      parts.push(buffer.subarray(offset, end));
+    }
+
+    offset = end;
+    if (type === 'IEND') {
+      break;
+    }
+  }
+
+  return stripped ? Buffer.concat(parts) : buffer;
+}
+
+/**
+ * 按EXIF方向和目标尺寸将图片绘制到画布
+ * @param {Object} canvas canvas模块
+ * @param {Object} image 已解码的图片
+ * @param {Object} options 绘制选项
+ * @param {number} options.width 输出宽度（旋转后）
+ * @param {number} options.orientation EXIF方向
+ * @param {string} [options.background] 背景色（输出JPEG时填充透明区域）
+ * @returns {Object} 画布
+ */
+function drawImage(canvas, image, { width, orientation, background }) {
+  const rotated = orientation > 4;
+  const displayWidth = rotated ? image.height : image.width;
+  const displayHeight = rotated ? image.width : image.height;
+  const height = Math.max(1, Math.round(displayHeight * width / displayWidth));
+
+  const target = canvas.createCanvas(width, height);
+  const ctx = target.getContext('2d');
+
+  if (background) {
+    ctx.fillStyle = background;
+    ctx.fillRect(0, 0, width, height);
+  }
+
+  // 绘制尺寸为旋转前的宽高
+  const drawWidth = rotated ? height : width;
+  const drawHeight = rotated ? width : height;
+  const transforms = {
+    2: [-1, 0, 0, 1, drawWidth, 0],
+    3: [-1, 0, 0, -1, drawWidth, drawHeight],
+    4: [1, 0, 0, -1, 0, drawHeight],
+    5: [0, 1, 1, 0, 0, 0],
+    6: [0, 1, -1, 0, drawHeight, 0],
+    7: [0, -1, -1, 0, drawHeight, drawWidth],
+    8: [0, -1, 1, 0, 0, drawWidth]
+  };
+  if (transforms[orientation]) {
+    ctx.transform(...transforms[orientation]);
+  }
+
+  ctx.drawImage(image, 0, 0, drawWidth, drawHeight);
+  return target;
+}
+
+/**
+ * 重新编码图片，逐级降低质量、缩小尺寸直到满足大小限制
+ * @returns {Object} { buffer, format, width, height, quality }
+ */
+function encodeImage(canvas, image, { format, orientation, maxWidth, maxBytes }) {
+  const displayWidth = orientation > 4 ? image.height : image.width;
+  let width = Math.min(displayWidth, maxWidth);
+
+  for (;;) {
+    if (ALPHA_FORMATS.includes(format)) {
+      const pngCanvas = drawImage(canvas, image, { width, orientation });
+      const png = pngCanvas.toBuffer('image/png', { compressionLevel: 9 });
+      if (png.length <= maxBytes) {
+        return { buffer: png, format: 'png', width, height: pngCanvas.height };
+      }
+    }
+
+    // JPEG不支持透明，透明区域填充白色（与微信文章背景一致）
+    const jpegCanvas = drawImage(canvas, image, { width, orientation, background: '#ffffff' });
+    for (const quality of JPEG_QUALITIES) {
+      const jpeg = jpegCanvas.toBuffer('image/jpeg', { quality });
+      if (jpeg.length <= maxBytes) {
+        return { buffer: jpeg, format: 'jpeg', width, height: jpegCanvas.height, quality };
+      }
+    }
+
+    if (width <= MIN_WIDTH) {
+      break;
+    }
+    width = Math.max(MIN_WIDTH, Math.round(width * DOWNSCALE_FACTOR));
+  }
+
+  throw new Error(`图片压缩后仍超过${formatBytes(maxBytes)}，请更换图片`);
+}
+
+/**
+ * 格式化文件大小
+ */
+function formatBytes(bytes) {
+  if (bytes >= 1024 * 1024) {
+    return `${(bytes / 1024 / 1024).toFixed(1)}MB`;
+  }
+  return `${Math.max(1, Math.round(bytes / 1024))}KB`;
+}
+
+/**
+ * 判断是否为data URI图片
+ * @param {string} src 图片地址
+ * @returns {boolean}
+ */
+function isDataURI(src) {
+  return /^data:/i.test(src);
+}
+
+/**
+ * 解码内联图片：data URI（base64或URL编码）或纯base64字符串
+ * @param {string} value data URI或base64字符串
+ * @returns {Buffer} 图片数据
+ */
+function decodeImageData(value) {
+  if (typeof value !== 'string' || value.trim() === '') {
+    throw new Error('内联图片数据不能为空');
+  }
+
+  let data = value.trim();
+  let base64 = true;
+
+  if (isDataURI(data)) {
+    const commaIndex = data.indexOf(',');
+    if (commaIndex === -1) {
+      throw new Error('data URI格式错误：缺少数据部分');
+    }
+    const header = data.slice(5, commaIndex).toLowerCase();
+    if (header && !header.startsWith('image/')) {
+      throw new Error(`data URI不是图片类型: ${header.split(';')[0]}`);
+    }
+    base64 = header.split(';').includes('base64');
+    data = data.slice(commaIndex + 1);
+  }
+
+  if (!base64) {
+    // 非base64的data URI（如 data:image/svg+xml;utf8,<svg...>）为URL编码的文本
+    try {
+      return Buffer.from(decodeURIComponent(data), 'utf8');
+    } catch {
+      throw new Error('data URI格式错误：URL编码无效');
+    }
+  }
+
+  data = data.replace(/\s+/g, '');
+  if (!/^[A-Za-z0-9+/_-]*={0,2}$/.test(data)) {
+    throw new Error('内联图片不是有效的base64编码');
+  }
+  return Buffer.from(data, 'base64');
+}
+
+/**
+ * 生成用于日志和报告的图片来源描述（data URI只显示类型和大小）
+ * @param {string} src 图片地址
+ * @returns {string}
+ */
+function describeImageSource(src) {
+  if (!isDataURI(src)) {
+    return src;
+  }
+  const commaIndex = src.indexOf(',');
+  const header = commaIndex === -1 ? src.slice(0, 40) : src.slice(0, commaIndex);
+  return `${header},...(${formatBytes(src.length - commaIndex - 1)})`;
+}
+
+/**
+ * 预处理待上传的图片
+ * 格式和尺寸已满足要求时只去除元数据（不重新编码）；否则用canvas解码后缩放、转换格式并压缩
+ * @param {Buffer} buffer 图片数据
+ * @param {Object} options 处理选项
+ * @param {string} [options.target='content'] 上传接口：cover（封面图）或 content（内容图片），见 IMAGE_TARGETS
+ * @param {string} [options.filename='image'] 文件名，转换格式时替换扩展名
+ * @param {number} [options.maxWidth=1080] 最大宽度（像素）
+ * @returns {Promise<Object>} { buffer, contentType, filename, report }
+ *   report: { format, outputFormat, originalSize, size, originalWidth, width, quality, actions }
+ */
+async function preprocessImage(buffer, { target = 'content', filename = 'image', maxWidth = DEFAULT_MAX_WIDTH } = {}) {
+  const limits = IMAGE_TARGETS[target];
+  const format = detectImageFormat(buffer);
+  if (!format) {
+    throw new Error('无法识别的图片格式，请使用JPG、PNG、GIF、WebP、BMP或SVG图片');
+  }
+
+  const size = readImageSize(buffer, format);
+  const orientation = format === 'jpeg' ? getJpegOrientation(buffer) : 1;
+  const actions = [];
+  const report = {
+    format,
+    outputFormat: format,
+    originalSize: buffer.length,
+    size: buffer.length,
+    originalWidth: size ? size.width : undefined,
+    width: size ? size.width : undefined,
+    actions
+  };
+
+  // 1. 格式、尺寸、方向都无需调整时，只去除元数据
+  let output = buffer;
+  if (format === 'jpeg') {
+    output = stripJpegMetadata(buffer);
+  } else if (format === 'png') {
+    output = stripPngMetadata(buffer);
+  }
+  if (output !== buffer) {
+    actions.push(format === 'jpeg' ? '去除EXIF' : '去除元数据');
+  }
+
+  const needsDecode = !limits.formats.includes(format)
+    || !size
+    || size.width > maxWidth
+    || orientation !== 1
+    || output.length > limits.maxBytes;
+
+  if (!needsDecode) {
+    report.size = output.length;
+    return { buffer: output, contentType: IMAGE_CONTENT_TYPES[format], filename, report };
+  }
+
+  // 2. 需要缩放、转换或压缩
+  const canvas = await loadCanvas();
+  if (!canvas) {
+    if (limits.formats.includes(format) && output.length <= limits.maxBytes) {
+      // 无法按EXIF方向旋转时保留EXIF，由客户端按方向显示
+      if (orientation !== 1) {
+        output = buffer;
+        actions.length = 0;
+      }
+      actions.push('canvas不可用，未缩放');
+      report.size = output.length;
+      return { buffer: output, contentType: IMAGE_CONTENT_TYPES[format], filename, report };
+    }
+    throw new Error(`${limits.label}需要转换格式或压缩（${FORMAT_NAMES[format]}，${formatBytes(buffer.length)}），但canvas不可用，请安装canvas或先手动转换为JPG/PNG`);
+  }
+
+  let image;
+  try {
+    image = await canvas.loadImage(buffer);
+  } catch (error) {
+    throw new Error(`${FORMAT_NAMES[format]}图片解码失败: ${error.message}`);
+  }
+  if (!image.width || !image.height) {
+    throw new Error(`${FORMAT_NAMES[format]}图片缺少尺寸信息，无法转换`);
+  }
+
+  const encoded = encodeImage(canvas, image, { format, orientation, maxWidth, maxBytes: limits.maxBytes });
+  const originalWidth = orientation > 4 ? image.height : image.width;
+
+  if (encoded.format !== format) {
+    actions.push(`${FORMAT_NAMES[format]}转${FORMAT_NAMES[encoded.format]}`);
+  }
+  if (orientation !== 1) {
+    actions.push('按EXIF方向旋转');
+  }
+  if (encoded.width !== originalWidth) {
+    actions.push(`缩放 ${originalWidth}→${encoded.width}px`);
+  }
+  if (encoded.quality) {
+    actions.push(`JPEG质量${Math.round(encoded.quality * 100)}%`);
+  }
+
+  Object.assign(report, {
+    outputFormat: encoded.format,
+    size: encoded.buffer.length,
+    originalWidth,
+    width: encoded.width,
+    quality: encoded.quality
+  });
+
+  const extension = EXTENSIONS[encoded.format];
+  const outputName = filename.replace(/\.[^.]*$/, '') + extension;
+
+  return { buffer: encoded.buffer, contentType: IMAGE_CONTENT_TYPES[encoded.format], filename: outputName, report };
+}
+
+export {
+  IMAGE_TARGETS,
+  IMAGE_CONTENT_TYPES,
+  DEFAULT_MAX_WIDTH,
+  detectImageFormat,
+  readImageSize,
+  getJpegOrientation,
+  stripJpegMetadata,
+  stripPngMetadata,
+  formatBytes,
+  isDataURI,
+  decodeImageData,
+  describeImageSource,
+  preprocessImage
+};
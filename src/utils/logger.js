@@ -1,12 +1,13 @@
 /**
  * 日志工具
  * 提供统一的日志记录功能，支持不同级别的日志输出
+ * 所有日志输出到 stderr：stdio 模式下 stdout 是MCP协议通道
  */
 
 const logger = {
   info: (message, ...args) => {
     if (process.env.NODE_ENV !== 'production') {
-      console.log(`[INFO] ${message}`, ...args);
+      console.error(`[INFO] ${message}`, ...args);
     }
   },
   
@@ -20,7 +21,7 @@ const logger = {
   
   debug: (message, ...args) => {
     if (process.env.DEBUG) {
-      console.log(`[DEBUG] ${message}`, ...args);
+      console.error(`[DEBUG] ${message}`, ...args);
     }
   },
   
@@ -0,0 +1,217 @@
+/**
+ * 下载文章中的远程图片
+ * 微信不显示外链图片，发布前需要下载后通过 media/uploadimg 转存；
+ * 下载时校验域名白名单、大小和图片类型，并拒绝访问内网地址
+ */
+
+import axios from 'axios';
+import dns from 'dns';
+import net from 'net';
+import path from 'path';
+import { detectImageFormat } from './image.js';
+
+// 已在微信服务器上的图片，无需转存
+const WECHAT_IMAGE_HOSTS = ['mmbiz.qpic.cn', 'mmbiz.qlogo.cn'];
+
+/**
+ * 默认下载配置
+ * - maxBytes: 下载大小上限（转存前还会按接口限制压缩）
+ * - timeout: 下载超时（毫秒）
+ * - maxRedirects: 最多跟随的重定向次数
+ */
+const DEFAULT_REMOTE_IMAGE_OPTIONS = {
+  maxBytes: 20 * 1024 * 1024,
+  timeout: 15000,
+  maxRedirects: 3
+};
+
+// 内网、本机和保留地址，防止通过文章图片访问内部服务
+const privateAddresses = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => privateAddresses.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => privateAddresses.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * 判断是否为内网或保留地址
+ * @param {string} address IP地址
+ * @returns {boolean}
+ */
+function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  if (family === 0) {
+    return false;
+  }
+
+  // IPv4映射的IPv6地址（::ffff:127.0.0.1）按IPv4判断
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) {
+    return privateAddresses.check(mapped[1], 'ipv4');
+  }
+
+  return privateAddresses.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * 判断图片地址是否为http(s)远程地址
+ * @param {string} src 图片地址
+ * @returns {boolean}
+ */
+function isRemoteImage(src) {
+  return /^https?:\/\//i.test(src);
+}
+
+/**
+ * 判断图片是否已在微信服务器上
+ * @param {string} src 图片地址
+ * @returns {boolean}
+ */
+function isWeChatImage(src) {
+  try {
+    const { hostname } = new URL(src);
+    return WECHAT_IMAGE_HOSTS.some(host => hostname === host || hostname.endsWith(`.${host}`));
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * 解析域名白名单
+ * @param {string|Array<string>} [allowlist] 逗号分隔的域名或域名数组，默认读取 WECHAT_REMOTE_IMAGE_ALLOWLIST
+ * @returns {Array<string>} 小写域名列表，为空表示不限制
+ */
+function parseAllowlist(allowlist = process.env.WECHAT_REMOTE_IMAGE_ALLOWLIST) {
+  const list = Array.isArray(allowlist) ? allowlist : String(allowlist || '').split(',');
+  return list.map(domain => domain.trim().toLowerCase().replace(/^\*\./, '')).filter(Boolean);
+}
+
+/**
+ * 判断域名是否在白名单中（白名单中的域名同时匹配其子域名）
+ * @param {string} hostname 域名
+ * @param {Array<string>} allowlist 域名白名单，为空表示不限制
+ * @returns {boolean}
+ */
+function isAllowedHost(hostname, allowlist) {
+  if (allowlist.length === 0) {
+    return true;
+  }
+  const host = hostname.toLowerCase();
+  return allowlist.some(domain => host === domain || host.endsWith(`.${domain}`));
+}
+
+/**
+ * 校验下载地址（包括重定向后的地址）
+ * 白名单中明确列出的域名允许解析到内网地址，用于内网图床
+ */
+function checkRemoteURL(url, allowlist) {
+  const { protocol, hostname } = url;
+
+  if (protocol !== 'http:' && protocol !== 'https:') {
+    throw new Error(`不支持的图片地址协议: ${protocol}`);
+  }
+
+  if (!isAllowedHost(hostname, allowlist)) {
+    throw new Error(`图片域名 ${hostname} 不在白名单中（WECHAT_REMOTE_IMAGE_ALLOWLIST）`);
+  }
+
+  const address = hostname.replace(/^\[|\]$/g, '');
+  if (allowlist.length === 0 && isPrivateAddress(address)) {
+    throw new Error(`不允许下载内网地址的图片: ${hostname}`);
+  }
+}
+
+/**
+ * 拒绝解析到内网地址的DNS查询（域名为IP时不会经过此函数，由 checkRemoteURL 校验）
+ */
+function safeLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) {
+      callback(error);
+      return;
+    }
+
+    const addresses = Array.isArray(address) ? address.map(item => item.address) : [address];
+    if (addresses.some(isPrivateAddress)) {
+      callback(new Error(`图片域名 ${hostname} 解析到内网地址，已拒绝下载`));
+      return;
+    }
+    callback(null, address, family);
+  });
+}
+
+/**
+ * 下载远程图片
+ * @param {string} src 图片地址
+ * @param {Object} [options] 下载选项
+ * @param {string|Array<string>} [options.allowlist] 域名白名单，默认读取 WECHAT_REMOTE_IMAGE_ALLOWLIST，为空时允许所有公网域名
+ * @param {number} [options.maxBytes] 下载大小上限（字节）
+ * @param {number} [options.timeout] 下载超时（毫秒）
+ * @param {number} [options.maxRedirects] 最多跟随的重定向次数
+ * @returns {Promise<Object>} { buffer, filename, format }
+ */
+async function fetchRemoteImage(src, options = {}) {
+  const { maxBytes, timeout, maxRedirects } = { ...DEFAULT_REMOTE_IMAGE_OPTIONS, ...options };
+  const allowlist = parseAllowlist(options.allowlist);
+
+  let url;
+  try {
+    url = new URL(src);
+  } catch {
+    throw new Error(`图片地址格式错误: ${src}`);
+  }
+  checkRemoteURL(url, allowlist);
+
+  let response;
+  try {
+    response = await axios.get(url.href, {
+      responseType: 'arraybuffer',
+      timeout,
+      maxRedirects,
+      maxContentLength: maxBytes,
+      // 白名单明确列出的域名允许内网图床，否则拒绝解析到内网地址
+      ...(allowlist.length === 0 ? { lookup: safeLookup } : {}),
+      beforeRedirect: redirect => checkRemoteURL(new URL(redirect.href), allowlist),
+      headers: { Accept: 'image/*' }
+    });
+  } catch (error) {
+    if (error.code === 'ERR_BAD_RESPONSE' && /maxContentLength/.test(error.message)) {
+      throw new Error(`图片超过${Math.round(maxBytes / 1024 / 1024)}MB，已放弃下载`);
+    }
+    if (error.code === 'ECONNABORTED') {
+      throw new Error(`图片下载超时（${timeout / 1000}秒）`);
+    }
+    if (error.response) {
+      throw new Error(`图片下载失败 (HTTP状态: ${error.response.status})`);
+    }
+    throw new Error(`图片下载失败: ${error.message}`);
+  }
+
+  const buffer = Buffer.from(response.data);
+  const format = detectImageFormat(buffer);
+  if (!format) {
+    throw new Error(`下载的内容不是图片（Content-Type: ${response.headers['content-type'] || '未知'}）`);
+  }
+
+  let filename = path.posix.basename(url.pathname);
+  try {
+    filename = decodeURIComponent(filename);
+  } catch {
+    // 保留原始文件名
+  }
+  filename = filename || 'image';
+  return { buffer, filename, format };
+}
+
+export {
+  WECHAT_IMAGE_HOSTS,
+  DEFAULT_REMOTE_IMAGE_OPTIONS,
+  isPrivateAddress,
+  isRemoteImage,
+  isWeChatImage,
+  parseAllowlist,
+  isAllowedHost,
+  fetchRemoteImage
+};
@@ -0,0 +1,133 @@
+/**
+ * 微信接口请求重试
+ * 按错误码或网络错误类型判断是否为临时性故障，使用带抖动的指数退避重试
+ */
+
+import logger from './logger.js';
+
+/**
+ * 默认重试配置（毫秒）
+ */
+const DEFAULT_RETRY = {
+  maxRetries: 3,
+  baseDelay: 1000,
+  maxDelay: 10000
+};
+
+/**
+ * 可重试的错误码及其策略
+ * 收到错误码说明微信已拒绝该请求，因此非幂等请求也可以重试
+ */
+const RETRYABLE_ERRCODES = {
+  [-1]: { reason: '系统繁忙', maxRetries: 3, baseDelay: 1000 },
+  45011: { reason: '接口调用过于频繁', maxRetries: 3, baseDelay: 2000 }
+};
+
+// 连接未建立的网络错误：请求没有到达微信，任何请求都可以重试
+const CONNECTION_ERROR_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN'];
+
+// 请求可能已被微信处理的网络错误：只对幂等请求重试，避免重复创建草稿、重复发布
+const TRANSIENT_ERROR_CODES = ['ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'EPIPE'];
+
+/**
+ * 判断一次请求结果是否应该重试
+ * @param {Object} result 请求结果
+ * @param {Object} [result.response] axios响应
+ * @param {Error} [result.error] 请求异常
+ * @param {boolean} idempotent 请求是否幂等
+ * @returns {Object|null} 重试策略 { reason, maxRetries?, baseDelay? }，不应重试时返回null
+ */
+function getRetryPolicy({ response, error }, idempotent) {
+  if (response) {
+    const errcode = response.data && response.data.errcode;
+    const policy = RETRYABLE_ERRCODES[errcode];
+    return policy ? { ...policy, reason: `${policy.reason}(${errcode})` } : null;
+  }
+
+  if (!error || !error.isAxiosError) {
+    return null;
+  }
+
+  if (error.response) {
+    const status = error.response.status;
+    if (status === 429) {
+      return { reason: `HTTP ${status}` };
+    }
+    return status >= 500 && idempotent ? { reason: `HTTP ${status}` } : null;
+  }
+
+  if (CONNECTION_ERROR_CODES.includes(error.code)) {
+    return { reason: error.code };
+  }
+
+  if (TRANSIENT_ERROR_CODES.includes(error.code) && idempotent) {
+    return { reason: error.code === 'ECONNABORTED' ? '请求超时' : error.code };
+  }
+
+  return null;
+}
+
+/**
+ * 计算第N次重试前的等待时间（指数退避 + 随机抖动）
+ * @param {number} retry 第几次重试（从1开始）
+ * @param {number} baseDelay 初始等待时间
+ * @param {number} maxDelay 最长等待时间
+ * @returns {number} 等待时间（毫秒）
+ */
+function getRetryDelay(retry, baseDelay, maxDelay) {
+  const delay = Math.min(maxDelay, baseDelay * 2 ** (retry - 1));
+  return Math.round(delay / 2 + Math.random() * delay / 2);
+}
+
+/**
+ * 发送请求，遇到临时性故障时退避重试
+ * 重试用尽后，错误码响应原样返回（由调用方转换为错误），请求异常原样抛出
+ * @param {Function} send 发送请求的函数，返回axios响应
+ * @param {Object} context 请求信息
+ * @param {string} context.action 操作名称
+ * @param {string} context.endpoint 接口路径
+ * @param {boolean} [context.idempotent=true] 请求是否幂等（重复发送不会产生副作用）
+ * @param {Object} [context.retry] 重试配置（maxRetries、baseDelay、maxDelay），覆盖默认配置
+ * @param {Function} [context.onRetry] 每次重试前调用，参数为 { action, endpoint, retry, reason, delay }
+ * @returns {Promise<Object>} axios响应
+ */
+async function requestWithRetry(send, { action, endpoint, idempotent = true, retry = {}, onRetry } = {}) {
+  const options = { ...DEFAULT_RETRY, ...retry };
+
+  for (let attempt = 1; ; attempt++) {
+    const result = {};
+    try {
+      result.response = await send();
+    } catch (error) {
+      result.error = error;
+    }
+
+    const policy = getRetryPolicy(result, idempotent);
+    const maxRetries = Math.min(options.maxRetries, policy && policy.maxRetries !== undefined ? policy.maxRetries : Infinity);
+
+    if (!policy || attempt > maxRetries) {
+      if (result.error) {
+        throw result.error;
+      }
+      return result.response;
+    }
+
+    const delay = getRetryDelay(attempt, policy.baseDelay || options.baseDelay, options.maxDelay);
+    const retryInfo = { action, endpoint, retry: attempt, reason: policy.reason, delay };
+
+    logger.warn(`${action}遇到临时性故障，${delay}ms后第${attempt}次重试`, { endpoint, reason: policy.reason });
+    if (onRetry) {
+      onRetry(retryInfo);
+    }
+
+    await new Promise(resolve => setTimeout(resolve, delay));
+  }
+}
+
+export {
+  DEFAULT_RETRY,
+  RETRYABLE_ERRCODES,
+  getRetryPolicy,
+  getRetryDelay,
+  requestWithRetry
+};
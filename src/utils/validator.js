@@ -3,6 +3,25 @@
  * 提供发布和状态查询参数的验证功能
  */
 
+import { isValidThemeName } from '../markdown/themes/index.js';
+import { LINK_MODES } from '../html/links.js';
+import { MATH_MODES } from '../html/math.js';
+
+// 单个草稿最多包含的图文数量（微信限制）
+const MAX_ARTICLES_PER_DRAFT = 8;
+
+/**
+ * 图片上传失败时的处理方式
+ * - fail: 取消发布
+ * - warn: 保留原图片地址，在响应中提示
+ * - remove: 从正文中移除该图片
+ * - placeholder: 替换为占位文字
+ */
+const IMAGE_FAILURE_POLICIES = ['fail', 'warn', 'remove', 'placeholder'];
+
+// 正文中的内联图片（data URI）
+const DATA_URI_PATTERN = /data:image\/[^"')\s]*/gi;
+
 /**
  * 验证发布参数
  * @param {Object} params 发布参数
@@ -10,31 +29,52 @@
  */
 function validatePublishParams(params) {
   const errors = [];
+  const isMultiArticle = params.articles !== undefined;
   
   // 必需参数检查
-  if (!params.title || typeof params.title !== 'string' || params.title.trim() === '') {
-    errors.push('title参数是必需的，且不能为空字符串');
-  }
-  
-  if (!params.content || typeof params.content !== 'string' || params.content.trim() === '') {
-    errors.push('content参数是必需的，且不能为空字符串');
+  if (isMultiArticle) {
+    // 多图文模式：逐篇校验
+    if (!Array.isArray(params.articles) || params.articles.length === 0) {
+      errors.push('articles参数必须是非空数组');
+    } else {
+      if (params.articles.length > MAX_ARTICLES_PER_DRAFT) {
+        errors.push(`多图文最多支持${MAX_ARTICLES_PER_DRAFT}篇文章`);
+      }
+      params.articles.forEach((article, index) => {
+        if (!article || typeof article !== 'object') {
+          errors.push(`articles[${index}]必须是对象`);
+          return;
+        }
+        errors.push(...validateArticleFields(article, `articles[${index}].`));
+      });
+    }
+  } else {
+    errors.push(...validateArticleFields(params));
   }
   
   if (!params.appId || typeof params.appId !== 'string' || params.appId.trim() === '') {
     errors.push('appId参数是必需的，且不能为空字符串');
   }
   
-  if (!params.appSecret || typeof params.appSecret !== 'string' || params.appSecret.trim() === '') {
+  if (!isComponentMode() && (!params.appSecret || typeof params.appSecret !== 'string' || params.appSecret.trim() === '')) {
     errors.push('appSecret参数是必需的，且不能为空字符串');
   }
   
-  // 可选参数类型检查
-  if (params.author && typeof params.author !== 'string') {
+  // 可选参数类型检查（单篇模式下author、contentType已在文章字段中校验）
+  if (isMultiArticle && params.author && typeof params.author !== 'string') {
     errors.push('author参数必须是字符串类型');
   }
   
-  if (params.coverImagePath && typeof params.coverImagePath !== 'string') {
-    errors.push('coverImagePath参数必须是字符串类型');
+  if (params.images !== undefined) {
+    if (!params.images || typeof params.images !== 'object' || Array.isArray(params.images)) {
+      errors.push('images参数必须是对象（文件名到base64图片数据的映射）');
+    } else {
+      Object.entries(params.images).forEach(([name, data]) => {
+        if (typeof data !== 'string' || data.trim() === '') {
+          errors.push(`images["${name}"]必须是非空字符串（base64或data URI）`);
+        }
+      });
+    }
   }
   
   if (params.previewMode !== undefined && typeof params.previewMode !== 'boolean') {
@@ -45,28 +85,16 @@ function validatePublishParams(params) {
     errors.push('previewOpenId参数必须是字符串类型');
   }
 
-  if (params.contentType && !['markdown', 'html'].includes(params.contentType)) {
+  if (isMultiArticle && params.contentType && !['markdown', 'html'].includes(params.contentType)) {
     errors.push('contentType参数必须是 "markdown" 或 "html"');
   }
 
   // 业务规则验证
-  if (params.title && params.title.length > 64) {
-    errors.push('标题长度不能超过64个字符');
-  }
-  
-  if (params.author && params.author.length > 8) {
+  if (isMultiArticle && typeof params.author === 'string' && params.author.length > 8) {
     errors.push('作者名称长度不能超过8个字符');
   }
   
-  if (params.content && params.content.length > 200000) {
-    errors.push('文章内容长度不能超过200,000个字符');
-  }
-  
   // AppID格式验证
-  if (params.appId && !params.appId.startsWith('wx')) {
-    errors.push('AppID格式错误，应该以"wx"开头');
-  }
-  
   if (params.appId && params.appId.length !== 18) {
     errors.push('AppID长度应该为18个字符');
   }
@@ -86,12 +114,117 @@ function validatePublishParams(params) {
     errors.push('previewOpenId格式不正确');
   }
   
+  if (params.publishTimeout !== undefined && !isValidPublishTimeout(params.publishTimeout)) {
+    errors.push('publishTimeout参数必须是0到600之间的数字（秒）');
+  }
+  
+  if (params.imageFailurePolicy !== undefined && !IMAGE_FAILURE_POLICIES.includes(params.imageFailurePolicy)) {
+    errors.push(`imageFailurePolicy参数必须是 ${IMAGE_FAILURE_POLICIES.map(policy => `"${policy}"`).join('、')} 之一`);
+  }
+  
+  if (params.linkMode !== undefined && !LINK_MODES.includes(params.linkMode)) {
+    errors.push(`linkMode参数必须是 ${LINK_MODES.map(mode => `"${mode}"`).join('、')} 之一`);
+  }
+
+  if (params.mathMode !== undefined && !MATH_MODES.includes(params.mathMode)) {
+    errors.push(`mathMode参数必须是 ${MATH_MODES.map(mode => `"${mode}"`).join('、')} 之一`);
+  }
+  
+  if (isMultiArticle && params.theme !== undefined && !isValidThemeName(params.theme)) {
+    errors.push('theme参数只能包含字母、数字、下划线和连字符');
+  }
+  
   return {
     valid: errors.length === 0,
     errors
   };
 }
 
+/**
+ * 验证单篇文章字段（单篇模式的顶层参数或多图文中的每一篇）
+ * @param {Object} article 文章参数
+ * @param {string} prefix 错误信息中的字段前缀，如"articles[1]."
+ * @returns {Array<string>} 错误列表
+ */
+function validateArticleFields(article, prefix = '') {
+  const errors = [];
+  
+  if (!article.title || typeof article.title !== 'string' || article.title.trim() === '') {
+    errors.push(`${prefix}title参数是必需的，且不能为空字符串`);
+  }
+  
+  if (!article.content || typeof article.content !== 'string' || article.content.trim() === '') {
+    errors.push(`${prefix}content参数是必需的，且不能为空字符串`);
+  }
+  
+  if (article.author && typeof article.author !== 'string') {
+    errors.push(`${prefix}author参数必须是字符串类型`);
+  }
+  
+  if (article.coverImagePath && typeof article.coverImagePath !== 'string') {
+    errors.push(`${prefix}coverImagePath参数必须是字符串类型`);
+  }
+  
+  if (article.coverImageBase64 !== undefined && (typeof article.coverImageBase64 !== 'string' || article.coverImageBase64.trim() === '')) {
+    errors.push(`${prefix}coverImageBase64参数必须是非空字符串`);
+  }
+  
+  if (article.digest && typeof article.digest !== 'string') {
+    errors.push(`${prefix}digest参数必须是字符串类型`);
+  }
+  
+  if (article.contentType && !['markdown', 'html'].includes(article.contentType)) {
+    errors.push(`${prefix}contentType参数必须是 "markdown" 或 "html"`);
+  }
+  
+  errors.push(...validateArticleOptions(article, prefix));
+  
+  if (article.theme !== undefined && !isValidThemeName(article.theme)) {
+    errors.push(`${prefix}theme参数只能包含字母、数字、下划线和连字符`);
+  }
+  
+  if (typeof article.title === 'string' && article.title.length > 64) {
+    errors.push(`${prefix}标题长度不能超过64个字符`);
+  }
+  
+  if (typeof article.author === 'string' && article.author.length > 8) {
+    errors.push(`${prefix}作者名称长度不能超过8个字符`);
+  }
+  
+  if (typeof article.digest === 'string' && article.digest.length > 120) {
+    errors.push(`${prefix}摘要长度不能超过120个字符`);
+  }
+  
+  // 内联图片（data URI）上传后会替换为图片地址，不计入内容长度
+  if (typeof article.content === 'string' && article.content.replace(DATA_URI_PATTERN, '').length > 200000) {
+    errors.push(`${prefix}文章内容长度不能超过200,000个字符`);
+  }
+  
+  return errors;
+}
+
+/**
+ * 验证文章的原文链接和留言设置
+ * @param {Object} article 文章参数
+ * @param {string} prefix 错误信息中的字段前缀
+ * @returns {Array<string>} 错误列表
+ */
+function validateArticleOptions(article, prefix = '') {
+  const errors = [];
+  
+  if (article.contentSourceUrl !== undefined && (typeof article.contentSourceUrl !== 'string' || (article.contentSourceUrl !== '' && !/^https?:\/\//i.test(article.contentSourceUrl)))) {
+    errors.push(`${prefix}contentSourceUrl参数必须是 http:// 或 https:// 开头的链接`);
+  }
+  
+  ['needOpenComment', 'onlyFansCanComment'].forEach(field => {
+    if (article[field] !== undefined && typeof article[field] !== 'boolean') {
+      errors.push(`${prefix}${field}参数必须是布尔值类型`);
+    }
+  });
+  
+  return errors;
+}
+
 /**
  * 验证状态查询参数
  * @param {Object} params 状态查询参数
@@ -101,43 +234,230 @@ function validateStatusParams(params) {
   const errors = [];
   
   // 必需参数检查
-  if (!params.msgId || typeof params.msgId !== 'string' || params.msgId.trim() === '') {
-    errors.push('msgId参数是必需的，且不能为空字符串');
+  if (!params.publishId || typeof params.publishId !== 'string' || params.publishId.trim() === '') {
+    errors.push('publishId参数是必需的，且不能为空字符串');
   }
   
   if (!params.appId || typeof params.appId !== 'string' || params.appId.trim() === '') {
     errors.push('appId参数是必需的，且不能为空字符串');
   }
   
-  if (!params.appSecret || typeof params.appSecret !== 'string' || params.appSecret.trim() === '') {
+  if (!isComponentMode() && (!params.appSecret || typeof params.appSecret !== 'string' || params.appSecret.trim() === '')) {
     errors.push('appSecret参数是必需的，且不能为空字符串');
   }
   
   // 格式验证
-  if (params.msgId && !isValidMsgId(params.msgId)) {
-    errors.push('msgId格式不正确，应该是数字字符串');
+  if (params.publishId && !isValidMsgId(params.publishId)) {
+    errors.push('publishId格式不正确，应该是发布接口返回的数字字符串');
   }
   
   // AppID格式验证
-  if (params.appId && !params.appId.startsWith('wx')) {
-    errors.push('AppID格式错误，应该以"wx"开头');
+  if (params.appId && params.appId.length !== 18) {
+    errors.push('AppID长度应该为18个字符');
+  }
+  
+  // AppSecret格式验证
+  if (params.appSecret && params.appSecret.length !== 32) {
+    errors.push('AppSecret长度应该为32个字符');
+  }
+  
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * 验证公众号凭证参数（appId、appSecret）
+ * @param {Object} params 参数
+ * @returns {Array<string>} 错误列表
+ */
+function validateCredentials(params) {
+  const errors = [];
+  
+  if (!params.appId || typeof params.appId !== 'string' || params.appId.trim() === '') {
+    errors.push('appId参数是必需的，且不能为空字符串');
+  }
+  
+  if (!isComponentMode() && (!params.appSecret || typeof params.appSecret !== 'string' || params.appSecret.trim() === '')) {
+    errors.push('appSecret参数是必需的，且不能为空字符串');
   }
   
   if (params.appId && params.appId.length !== 18) {
     errors.push('AppID长度应该为18个字符');
   }
   
-  // AppSecret格式验证
   if (params.appSecret && params.appSecret.length !== 32) {
     errors.push('AppSecret长度应该为32个字符');
   }
   
+  return errors;
+}
+
+/**
+ * 验证草稿管理参数
+ * @param {Object} params 草稿管理参数
+ * @param {Object} [options] 校验选项
+ * @param {boolean} [options.requireMediaId=false] 是否必须提供mediaId
+ * @param {boolean} [options.requireChanges=false] 是否必须提供至少一个待修改字段（修改草稿时）
+ * @returns {Object} 验证结果
+ */
+function validateDraftParams(params, { requireMediaId = false, requireChanges = false } = {}) {
+  const errors = validateCredentials(params);
+  
+  if (requireMediaId && (!params.mediaId || typeof params.mediaId !== 'string' || params.mediaId.trim() === '')) {
+    errors.push('mediaId参数是必需的，且不能为空字符串');
+  }
+  
+  // 分页参数
+  if (params.offset !== undefined && (!Number.isInteger(params.offset) || params.offset < 0)) {
+    errors.push('offset参数必须是非负整数');
+  }
+  
+  if (params.count !== undefined && (!Number.isInteger(params.count) || params.count < 1 || params.count > 20)) {
+    errors.push('count参数必须是1到20之间的整数');
+  }
+  
+  if (params.index !== undefined && (!Number.isInteger(params.index) || params.index < 0 || params.index >= MAX_ARTICLES_PER_DRAFT)) {
+    errors.push(`index参数必须是0到${MAX_ARTICLES_PER_DRAFT - 1}之间的整数`);
+  }
+  
+  if (params.publishTimeout !== undefined && !isValidPublishTimeout(params.publishTimeout)) {
+    errors.push('publishTimeout参数必须是0到600之间的数字（秒）');
+  }
+  
+  // 待修改字段
+  if (requireChanges) {
+    const patchFields = ['title', 'author', 'digest', 'content', 'coverImagePath', 'contentSourceUrl', 'needOpenComment', 'onlyFansCanComment'];
+    if (!patchFields.some(field => params[field] !== undefined)) {
+      errors.push(`至少需要提供一个待修改字段：${patchFields.join(', ')}`);
+    }
+  }
+  
+  if (params.title !== undefined && (typeof params.title !== 'string' || params.title.trim() === '' || params.title.length > 64)) {
+    errors.push('title参数不能为空，且长度不能超过64个字符');
+  }
+  
+  if (params.author !== undefined && (typeof params.author !== 'string' || params.author.length > 8)) {
+    errors.push('作者名称长度不能超过8个字符');
+  }
+  
+  if (params.digest !== undefined && (typeof params.digest !== 'string' || params.digest.length > 120)) {
+    errors.push('摘要长度不能超过120个字符');
+  }
+  
+  if (params.content !== undefined && (typeof params.content !== 'string' || params.content.trim() === '')) {
+    errors.push('content参数不能为空字符串');
+  }
+  
+  errors.push(...validateArticleOptions(params));
+  
+  if (params.contentType && !['markdown', 'html'].includes(params.contentType)) {
+    errors.push('contentType参数必须是 "markdown" 或 "html"');
+  }
+  
+  if (params.imageFailurePolicy !== undefined && !IMAGE_FAILURE_POLICIES.includes(params.imageFailurePolicy)) {
+    errors.push(`imageFailurePolicy参数必须是 ${IMAGE_FAILURE_POLICIES.map(policy => `"${policy}"`).join('、')} 之一`);
+  }
+  
+  if (params.linkMode !== undefined && !LINK_MODES.includes(params.linkMode)) {
+    errors.push(`linkMode参数必须是 ${LINK_MODES.map(mode => `"${mode}"`).join('、')} 之一`);
+  }
+
+  if (params.mathMode !== undefined && !MATH_MODES.includes(params.mathMode)) {
+    errors.push(`mathMode参数必须是 ${MATH_MODES.map(mode => `"${mode}"`).join('、')} 之一`);
+  }
+  
+  if (params.theme !== undefined && !isValidThemeName(params.theme)) {
+    errors.push('theme参数只能包含字母、数字、下划线和连字符');
+  }
+  
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * 验证已发布文章管理参数
+ * @param {Object} params 已发布文章管理参数
+ * @param {Object} [options] 校验选项
+ * @param {boolean} [options.requireArticleId=false] 是否必须提供articleId
+ * @param {boolean} [options.requireConfirm=false] 是否必须显式确认（删除操作）
+ * @returns {Object} 验证结果
+ */
+function validatePublishedParams(params, { requireArticleId = false, requireConfirm = false } = {}) {
+  const errors = validateCredentials(params);
+  
+  if (requireArticleId && (!params.articleId || typeof params.articleId !== 'string' || params.articleId.trim() === '')) {
+    errors.push('articleId参数是必需的，且不能为空字符串');
+  }
+  
+  if (params.offset !== undefined && (!Number.isInteger(params.offset) || params.offset < 0)) {
+    errors.push('offset参数必须是非负整数');
+  }
+  
+  if (params.count !== undefined && (!Number.isInteger(params.count) || params.count < 1 || params.count > 20)) {
+    errors.push('count参数必须是1到20之间的整数');
+  }
+  
+  if (params.index !== undefined && (!Number.isInteger(params.index) || params.index < 0 || params.index > MAX_ARTICLES_PER_DRAFT)) {
+    errors.push(`index参数必须是0到${MAX_ARTICLES_PER_DRAFT}之间的整数（0表示删除整条图文消息）`);
+  }
+  
+  // 删除已发布文章不可恢复，必须显式确认
+  if (requireConfirm && params.confirm !== true) {
+    errors.push('删除已发布文章不可恢复，请将confirm参数设置为true以确认删除');
+  }
+  
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * 验证图片上传缓存管理参数（缓存保存在本地，不需要AppSecret）
+ * @param {Object} params 缓存管理参数
+ * @returns {Object} 验证结果
+ */
+function validateImageCacheParams(params) {
+  const errors = [];
+  
+  if (params.appId !== undefined && (typeof params.appId !== 'string' || params.appId.trim() === '')) {
+    errors.push('appId参数不能为空字符串');
+  }
+  
+  if (params.target !== undefined && !['cover', 'content'].includes(params.target)) {
+    errors.push('target参数必须是 "cover" 或 "content"');
+  }
+  
+  if (params.hash !== undefined && (typeof params.hash !== 'string' || !/^[0-9a-f]{64}$/i.test(params.hash))) {
+    errors.push('hash参数必须是64位十六进制的SHA-256哈希');
+  }
+  
+  if (params.olderThanDays !== undefined && (typeof params.olderThanDays !== 'number' || !(params.olderThanDays > 0))) {
+    errors.push('olderThanDays参数必须是大于0的数字');
+  }
+  
+  if (params.limit !== undefined && (!Number.isInteger(params.limit) || params.limit < 1 || params.limit > 200)) {
+    errors.push('limit参数必须是1到200之间的整数');
+  }
+  
   return {
     valid: errors.length === 0,
     errors
   };
 }
 
+/**
+ * 是否启用了第三方平台授权模式（此时只需提供授权方AppID，AppSecret可不填）
+ * @returns {boolean} 是否启用
+ */
+function isComponentMode() {
+  return Boolean(process.env.WECHAT_COMPONENT_APPID && process.env.WECHAT_COMPONENT_APPSECRET);
+}
+
 /**
  * 验证OpenID格式
  * @param {string} openId OpenID
@@ -148,6 +468,15 @@ function isValidOpenId(openId) {
   return /^[a-zA-Z0-9_-]{1,50}$/.test(openId);
 }
 
+/**
+ * 验证发布结果等待时间
+ * @param {number} publishTimeout 等待时间（秒）
+ * @returns {boolean} 是否有效
+ */
+function isValidPublishTimeout(publishTimeout) {
+  return typeof publishTimeout === 'number' && publishTimeout >= 0 && publishTimeout <= 600;
+}
+
 /**
  * 验证消息ID格式
  * @param {string} msgId 消息ID
@@ -258,8 +587,14 @@ function parseNaturalLanguage(userRequest) {
 }
 
 export {
+  IMAGE_FAILURE_POLICIES,
   validatePublishParams,
+  validateArticleFields,
   validateStatusParams,
+  validateCredentials,
+  validateDraftParams,
+  validatePublishedParams,
+  validateImageCacheParams,
   validateFilePath,
   sanitizeParams,
   parseNaturalLanguage,
@@ -0,0 +1,125 @@
+/**
+ * XML工具
+ * 解析微信服务器推送的XML消息（结构简单：无属性、无命名空间），并构建回复用的XML
+ */
+
+const TOKEN_REGEX = /<!\[CDATA\[([\s\S]*?)\]\]>|<\?[\s\S]*?\?>|<!--[\s\S]*?-->|<(\/?)([A-Za-z_][\w.-]*)[^>]*?(\/?)>|([^<]+)/g;
+
+/**
+ * 将XML字符串解析为普通对象
+ * 只有文本的元素解析为字符串，包含子元素的解析为对象，同名元素重复出现时解析为数组
+ * @param {string} xml XML字符串
+ * @returns {Object} 根元素的内容，如 <xml><A>1</A></xml> 解析为 { A: '1' }
+ */
+function parseXML(xml) {
+  if (!xml || typeof xml !== 'string') {
+    throw new Error('XML内容不能为空');
+  }
+
+  const root = { name: '#root', children: [], text: '' };
+  const stack = [root];
+
+  for (const match of xml.matchAll(TOKEN_REGEX)) {
+    const [token, cdata, closing, name, selfClosing, text] = match;
+    const current = stack[stack.length - 1];
+
+    if (cdata !== undefined) {
+      current.text += cdata;
+    } else if (name) {
+      if (closing) {
+        if (current.name !== name) {
+          throw new Error(`XML格式错误: 期望</${current.name}>，实际为</${name}>`);
+        }
+        stack.pop();
+      } else {
+        const node = { name, children: [], text: '' };
+        current.children.push(node);
+        if (!selfClosing) {
+          stack.push(node);
+        }
+      }
+    } else if (text !== undefined) {
+      current.text += text.trim() ? decodeEntities(text.trim()) : '';
+    } else if (!token.startsWith('<?') && !token.startsWith('<!--')) {
+      throw new Error(`XML格式错误: 无法解析 ${token}`);
+    }
+  }
+
+  if (stack.length !== 1) {
+    throw new Error(`XML格式错误: <${stack[stack.length - 1].name}> 未闭合`);
+  }
+
+  if (root.children.length !== 1) {
+    throw new Error('XML格式错误: 必须有且仅有一个根元素');
+  }
+
+  const value = toValue(root.children[0]);
+  return typeof value === 'string' ? {} : value;
+}
+
+/**
+ * 将解析树节点转换为字符串或对象
+ * @param {Object} node 解析树节点
+ * @returns {string|Object} 节点值
+ */
+function toValue(node) {
+  if (node.children.length === 0) {
+    return node.text;
+  }
+
+  const result = {};
+  for (const child of node.children) {
+    const value = toValue(child);
+    if (Object.prototype.hasOwnProperty.call(result, child.name)) {
+      result[child.name] = [].concat(result[child.name], value);
+    } else {
+      result[child.name] = value;
+    }
+  }
+  return result;
+}
+
+/**
+ * 解码XML预定义实体
+ * @param {string} text 文本
+ * @returns {string} 解码后的文本
+ */
+function decodeEntities(text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, '\'')
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * 构建微信格式的XML（字符串值使用CDATA包裹）
+ * @param {Object} data 扁平对象，如 { Encrypt: '...', TimeStamp: 123 }
+ * @returns {string} XML字符串
+ */
+function buildXML(data) {
+  const fields = Object.entries(data).map(([key, value]) => {
+    const content = typeof value === 'number' ? value : `<![CDATA[${value}]]>`;
+    return `<${key}>${content}</${key}>`;
+  });
+  return `<xml>${fields.join('')}</xml>`;
+}
+
+/**
+ * 将可能为单值或数组的字段统一为数组
+ * @param {*} value 字段值
+ * @returns {Array} 数组
+ */
+function toArray(value) {
+  if (value === undefined || value === null || value === '') {
+    return [];
+  }
+  return Array.isArray(value) ? value : [value];
+}
+
+export {
+  parseXML,
+  buildXML,
+  toArray
+};
@@ -0,0 +1,195 @@
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { jest } from '@jest/globals';
+import { ImageCache, hashImage } from '../src/services/ImageCache.js';
+import { MockWeChatServer } from '../src/mock/MockWeChatServer.js';
+import WeChatAPI from '../src/services/WeChatAPI.js';
+import { MemoryTokenStore } from '../src/services/TokenStore.js';
+
+// 1x1像素的PNG
+const PNG = Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNk+M9QDwADhgGAWjR9awAAAABJRU5ErkJggg==', 'base64');
+
+const entry = (hash, extra = {}) => ({ appId: 'wxA', target: 'content', hash, url: `http://mmbiz.qpic.cn/${hash}/0`, filename: `${hash}.png`, size: 1, ...extra });
+
+describe('ImageCache', () => {
+  let dir;
+  let file;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'wechat-image-cache-'));
+    file = path.join(dir, 'nested', 'wechat-image-cache.json');
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  test('hashImage按内容计算SHA-256', () => {
+    expect(hashImage(PNG)).toMatch(/^[0-9a-f]{64}$/);
+    expect(hashImage(Buffer.from(PNG))).toBe(hashImage(PNG));
+    expect(hashImage(Buffer.from('other'))).not.toBe(hashImage(PNG));
+  });
+
+  test('未命中时返回undefined，命中时返回记录', async () => {
+    const cache = new ImageCache(file);
+    expect(await cache.get('wxA', 'content', 'h1')).toBeUndefined();
+
+    await cache.set(entry('h1'));
+
+    expect(await cache.get('wxA', 'content', 'h1')).toMatchObject({ ...entry('h1'), createdAt: expect.any(Number) });
+  });
+
+  test('AppID或上传接口不同时不命中', async () => {
+    const cache = new ImageCache(file);
+    await cache.set(entry('h1'));
+
+    expect(await cache.get('wxB', 'content', 'h1')).toBeUndefined();
+    expect(await cache.get('wxA', 'cover', 'h1')).toBeUndefined();
+  });
+
+  test('记录写入文件，其他实例可以读取', async () => {
+    await new ImageCache(file).set(entry('h1'));
+
+    expect(await new ImageCache(file).get('wxA', 'content', 'h1')).toMatchObject(entry('h1'));
+    const stat = await fs.stat(file);
+    expect(stat.mode & 0o777).toBe(0o600);
+  });
+
+  test('并发写入按顺序执行，不会互相覆盖', async () => {
+    const cache = new ImageCache(file);
+
+    await Promise.all(Array.from({ length: 10 }, (_, i) => cache.set(entry(`h${i}`))));
+
+    expect(await cache.list()).toHaveLength(10);
+    expect((await fs.readdir(path.dirname(file))).filter(name => name.endsWith('.tmp'))).toEqual([]);
+  });
+
+  test('写入失败不影响后续写入', async () => {
+    const cache = new ImageCache(file);
+    jest.spyOn(fs, 'rename').mockRejectedValueOnce(new Error('磁盘已满'));
+
+    const [failed, succeeded] = await Promise.allSettled([cache.set(entry('h1')), cache.set(entry('h2'))]);
+
+    expect(failed).toMatchObject({ status: 'rejected', reason: { message: '磁盘已满' } });
+    expect(succeeded.status).toBe('fulfilled');
+    expect(await cache.get('wxA', 'content', 'h2')).toBeDefined();
+  });
+
+  test('文件内容损坏时按空缓存处理', async () => {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, '{not json');
+    const cache = new ImageCache(file);
+
+    expect(await cache.get('wxA', 'content', 'h1')).toBeUndefined();
+    await cache.set(entry('h1'));
+    expect(await cache.list()).toHaveLength(1);
+  });
+
+  test('list按上传时间倒序并支持过滤', async () => {
+    const cache = new ImageCache(file);
+    const now = jest.spyOn(Date, 'now');
+    now.mockReturnValueOnce(1000);
+    await cache.set(entry('h1'));
+    now.mockReturnValueOnce(2000);
+    await cache.set(entry('h2', { target: 'cover', mediaId: 'm2' }));
+    now.mockReturnValueOnce(3000);
+    await cache.set(entry('h3', { appId: 'wxB' }));
+
+    expect((await cache.list()).map(item => item.hash)).toEqual(['h3', 'h2', 'h1']);
+    expect((await cache.list({ appId: 'wxA' })).map(item => item.hash)).toEqual(['h2', 'h1']);
+    expect((await cache.list({ target: 'cover' })).map(item => item.hash)).toEqual(['h2']);
+    expect((await cache.list({ olderThan: 2500 })).map(item => item.hash)).toEqual(['h2', 'h1']);
+  });
+
+  test('purge删除匹配的记录并返回', async () => {
+    const cache = new ImageCache(file);
+    await cache.set(entry('h1'));
+    await cache.set(entry('h2', { appId: 'wxB' }));
+
+    const removed = await cache.purge({ appId: 'wxA' });
+
+    expect(removed.map(item => item.hash)).toEqual(['h1']);
+    expect((await cache.list()).map(item => item.hash)).toEqual(['h2']);
+    expect(await cache.purge()).toHaveLength(1);
+    expect(await cache.list()).toEqual([]);
+  });
+});
+
+describe('WeChatAPI使用上传缓存', () => {
+  let mock;
+  let baseURL;
+  let dir;
+
+  const createAPI = imageCache => new WeChatAPI(mock.appId, mock.appSecret, {
+    baseURL,
+    tokenStore: new MemoryTokenStore(),
+    imageCache,
+    imageProcessing: { enabled: false },
+    retry: { baseDelay: 0, maxDelay: 0 }
+  });
+
+  const uploads = () => mock.requests.filter(request => request.endpoint === 'media/uploadimg').length;
+
+  beforeAll(async () => {
+    mock = new MockWeChatServer();
+    baseURL = await mock.start();
+  });
+
+  afterAll(async () => {
+    await mock.stop();
+  });
+
+  beforeEach(async () => {
+    mock.reset();
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'wechat-image-cache-'));
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  test('相同图片再次上传时命中缓存', async () => {
+    const cache = new ImageCache(path.join(dir, 'cache.json'));
+
+    const url = await createAPI(cache).uploadContentImage({ buffer: PNG, filename: 'a.png' });
+    const api = createAPI(cache);
+    const reused = await api.uploadContentImage({ buffer: Buffer.from(PNG), filename: 'b.png' });
+
+    expect(reused).toBe(url);
+    expect(uploads()).toBe(1);
+    expect(api.reusedImages).toEqual([expect.objectContaining({ file: 'b.png', url, hash: hashImage(PNG) })]);
+  });
+
+  test('同一实例并发上传相同图片时只上传一次', async () => {
+    const api = createAPI(new ImageCache(path.join(dir, 'cache.json')));
+
+    const urls = await Promise.all([1, 2, 3].map(i => api.uploadContentImage({ buffer: PNG, filename: `${i}.png` })));
+
+    expect(new Set(urls).size).toBe(1);
+    expect(uploads()).toBe(1);
+  });
+
+  test('其他公众号上传的图片不命中', async () => {
+    const cache = new ImageCache(path.join(dir, 'cache.json'));
+    await cache.set(entry(hashImage(PNG), { appId: 'wx_other_app' }));
+
+    const url = await createAPI(cache).uploadContentImage({ buffer: PNG, filename: 'a.png' });
+
+    expect(url).toMatch(/^http:\/\/mmbiz\.qpic\.cn\/mock\//);
+    expect(uploads()).toBe(1);
+  });
+
+  test('缓存读写失败时仍然上传', async () => {
+    const cache = new ImageCache(path.join(dir, 'cache.json'));
+    jest.spyOn(cache, 'get').mockRejectedValue(new Error('读取失败'));
+    jest.spyOn(cache, 'set').mockRejectedValue(new Error('写入失败'));
+
+    const url = await createAPI(cache).uploadContentImage({ buffer: PNG, filename: 'a.png' });
+
+    expect(url).toMatch(/^http:\/\/mmbiz\.qpic\.cn\//);
+    expect(uploads()).toBe(1);
+  });
+});
@@ -0,0 +1,253 @@
+import { MockWeChatServer } from '../src/mock/MockWeChatServer.js';
+import WeChatAPI, { WeChatAPIError } from '../src/services/WeChatAPI.js';
+import { MemoryTokenStore } from '../src/services/TokenStore.js';
+
+// 1x1像素的PNG，用作封面图
+const COVER = {
+  buffer: Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNk+M9QDwADhgGAWjR9awAAAABJRU5ErkJggg==', 'base64'),
+  filename: 'cover.png'
+};
+
+describe('MockWeChatServer', () => {
+  let mock;
+  let baseURL;
+
+  const createAPI = (options = {}) => new WeChatAPI(mock.appId, mock.appSecret, {
+    baseURL,
+    tokenStore: new MemoryTokenStore(),
+    imageCache: null,
+    imageProcessing: { enabled: false },
+    publishPolling: { initialInterval: 10, maxInterval: 10, timeout: 2000 },
+    retry: { baseDelay: 1, maxDelay: 10 },
+    ...options
+  });
+
+  const countRequests = endpoint => mock.requests.filter(request => request.endpoint === endpoint).length;
+
+  beforeAll(async () => {
+    mock = new MockWeChatServer();
+    baseURL = await mock.start();
+  });
+
+  afterAll(async () => {
+    await mock.stop();
+  });
+
+  beforeEach(() => {
+    mock.reset();
+  });
+
+  describe('发布流程', () => {
+    test('创建草稿、提交发布、轮询结果并返回文章链接', async () => {
+      const api = createAPI();
+      mock.setPublishResult({ status: 0, polls: 2 });
+
+      const thumbMediaId = await api.uploadCoverImage(COVER);
+      const result = await api.publishArticle({
+        articles: [
+          { title: '头条', content: '<p>正文一</p>', thumbMediaId },
+          { title: '次条', content: '<p>正文二</p>', thumbMediaId }
+        ],
+        draftOnly: false
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.pending).toBe(false);
+      expect(result.articleCount).toBe(2);
+      expect(result.msgId).toBeDefined();
+      expect(result.articleUrls).toHaveLength(2);
+      expect(result.articleUrl).toBe(result.articleUrls[0]);
+      expect(result.articleUrls[1]).toMatch(/^https:\/\/mp\.weixin\.qq\.com\/s\/.+_2$/);
+      // 前两次查询返回"发布中"，第三次返回最终结果
+      expect(countRequests('freepublish/get')).toBe(3);
+      // 提交发布后草稿从草稿箱移除
+      expect(await api.getDraftCount()).toBe(0);
+    });
+
+    test('仅创建草稿时不提交发布', async () => {
+      const api = createAPI();
+      const thumbMediaId = await api.uploadCoverImage(COVER);
+
+      const result = await api.publishArticle({ title: '草稿', content: '<p>正文</p>', thumbMediaId });
+
+      expect(result.draftOnly).toBe(true);
+      expect(result.mediaId).toBeDefined();
+      expect(countRequests('freepublish/submit')).toBe(0);
+      expect(await api.getDraftCount()).toBe(1);
+    });
+
+    test('发布失败时抛出错误并带上失败文章序号', async () => {
+      const api = createAPI();
+      mock.setPublishResult({ status: 4, polls: 0, failIdx: [1] });
+      const thumbMediaId = await api.uploadCoverImage(COVER);
+
+      await expect(api.publishArticle({ title: '标题', content: '<p>正文</p>', thumbMediaId, draftOnly: false }))
+        .rejects.toThrow(/平台审核不通过.*失败文章序号: 1/);
+    });
+
+    test('超时仍未出结果时返回pending', async () => {
+      const api = createAPI({ publishPolling: { initialInterval: 10, maxInterval: 10, timeout: 50 } });
+      mock.setPublishResult({ status: 0, polls: 100 });
+      const thumbMediaId = await api.uploadCoverImage(COVER);
+
+      const result = await api.publishArticle({ title: '标题', content: '<p>正文</p>', thumbMediaId, draftOnly: false });
+
+      expect(result.pending).toBe(true);
+      expect(result.articleUrl).toBeNull();
+      expect(result.publishId).toBeDefined();
+    });
+
+    test.each([
+      [5, '成功后用户已删除所有文章'],
+      [6, '成功后系统封禁所有文章']
+    ])('发布成功后文章被移除（状态%s）不视为发布失败', async (status, statusText) => {
+      const api = createAPI();
+      mock.setPublishResult({ status, polls: 1 });
+      const thumbMediaId = await api.uploadCoverImage(COVER);
+
+      const result = await api.publishArticle({ title: '标题', content: '<p>正文</p>', thumbMediaId, draftOnly: false });
+
+      expect(result).toMatchObject({ success: true, pending: false, removed: true, publishStatus: status, statusText });
+      expect(result.articleUrl).toBeNull();
+      expect(countRequests('freepublish/get')).toBe(2);
+    });
+  });
+
+  describe('waitForPublishResult', () => {
+    const submit = async api => {
+      const thumbMediaId = await api.uploadCoverImage(COVER);
+      const { mediaId } = await api.publishArticle({ title: '标题', content: '<p>正文</p>', thumbMediaId });
+      const data = await api.callAPI('freepublish/submit', { data: { media_id: mediaId }, action: '发布文章', idempotent: false });
+      return data.publish_id;
+    };
+
+    test.each([
+      [0, 'success'],
+      [2, 'failed'],
+      [3, 'failed'],
+      [4, 'failed'],
+      [5, 'removed'],
+      [6, 'removed']
+    ])('发布状态%s的最终结果为%s', async (status, state) => {
+      const api = createAPI();
+      mock.setPublishResult({ status, polls: 2 });
+      const publishId = await submit(api);
+
+      const outcome = await api.waitForPublishResult(publishId);
+
+      expect(outcome).toMatchObject({ state, publishStatus: status, statusText: WeChatAPI.getPublishStatusText(status), attempts: 3 });
+    });
+
+    test('查询失败不中断轮询，超时后返回pending', async () => {
+      const api = createAPI({ retry: { maxRetries: 0 } });
+      mock.setPublishResult({ status: 0, polls: 100 });
+      const publishId = await submit(api);
+      mock.failNext('freepublish/get', { errcode: -1, errmsg: 'system error' });
+
+      const outcome = await api.waitForPublishResult(publishId, { timeout: 50 });
+
+      expect(outcome.state).toBe('pending');
+      expect(outcome.attempts).toBeGreaterThan(1);
+    });
+  });
+
+  describe('access_token', () => {
+    test('缓存令牌，令牌失效后刷新并重试一次', async () => {
+      const api = createAPI();
+
+      await api.getDraftCount();
+      await api.getDraftCount();
+      expect(countRequests('token')).toBe(1);
+
+      mock.invalidateTokens();
+      expect(await api.getDraftCount()).toBe(0);
+      expect(countRequests('token')).toBe(2);
+      expect(countRequests('draft/count')).toBe(4);
+    });
+
+    test('并发调用只请求一次令牌接口', async () => {
+      const api = createAPI();
+
+      await Promise.all([api.getAccessToken(), api.getAccessToken(), api.getAccessToken()]);
+
+      expect(countRequests('token')).toBe(1);
+    });
+
+    test('AppSecret错误时不使用其他实例缓存的令牌', async () => {
+      const tokenStore = new MemoryTokenStore();
+      await createAPI({ tokenStore }).getAccessToken();
+
+      const api = new WeChatAPI(mock.appId, 'wrong-secret', { baseURL, tokenStore, imageCache: null });
+
+      await expect(api.getAccessToken()).rejects.toMatchObject({ errcode: 40125 });
+    });
+
+    test('stable策略重复获取返回同一令牌', async () => {
+      const first = await createAPI({ tokenStrategy: 'stable' }).getAccessToken();
+      const second = await createAPI({ tokenStrategy: 'stable' }).getAccessToken();
+
+      expect(second).toBe(first);
+      expect(countRequests('stable_token')).toBe(2);
+    });
+  });
+
+  describe('错误码', () => {
+    test('内容校验失败时返回对应错误码', async () => {
+      const api = createAPI();
+      const thumbMediaId = await api.uploadCoverImage(COVER);
+
+      const error = await api.publishArticle({ title: '标题', content: '<script>alert(1)</script>', thumbMediaId })
+        .catch(caught => caught);
+
+      expect(error).toBeInstanceOf(WeChatAPIError);
+      expect(error.errcode).toBe(45166);
+      expect(error.endpoint).toBe('/cgi-bin/draft/add');
+    });
+
+    test('封面图media_id无效时返回40007', async () => {
+      const api = createAPI();
+
+      await expect(api.publishArticle({ title: '标题', content: '<p>正文</p>', thumbMediaId: 'missing' }))
+        .rejects.toMatchObject({ errcode: 40007 });
+    });
+
+    test('系统繁忙(-1)时自动重试', async () => {
+      const api = createAPI();
+      mock.failNext('draft/count', { errcode: -1, errmsg: 'system error' }, 2);
+
+      expect(await api.getDraftCount()).toBe(0);
+      expect(api.retries).toHaveLength(2);
+      expect(countRequests('draft/count')).toBe(3);
+    });
+
+    test('每日调用次数已达上限(45009)时不重试', async () => {
+      const api = createAPI();
+      mock.failNext('draft/count', { errcode: 45009, errmsg: 'reach max api daily quota limit' });
+
+      await expect(api.getDraftCount()).rejects.toMatchObject({ errcode: 45009 });
+      expect(api.retries).toHaveLength(0);
+    });
+
+    test('连接断开时只重试幂等请求', async () => {
+      const api = createAPI();
+      const thumbMediaId = await api.uploadCoverImage(COVER);
+
+      mock.failNext('draft/count', { drop: true });
+      expect(await api.getDraftCount()).toBe(0);
+
+      mock.failNext('draft/add', { drop: true });
+      await expect(api.publishArticle({ title: '标题', content: '<p>正文</p>', thumbMediaId })).rejects.toThrow();
+      expect(countRequests('draft/add')).toBe(1);
+    });
+  });
+
+  describe('reset', () => {
+    test('保留构造时配置的响应延迟', async () => {
+      const slow = new MockWeChatServer({ latency: 25 });
+      slow.setLatency(0);
+      slow.reset();
+
+      expect(slow.latency).toEqual({ '*': 25 });
+    });
+  });
+});
@@ -0,0 +1,103 @@
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { getTokenKey, MemoryTokenStore, FileTokenStore } from '../src/services/TokenStore.js';
+
+const TOKEN = { accessToken: 'token_a', expiresAt: 1700000000000 };
+
+describe('getTokenKey', () => {
+  test('键以AppID开头，相同来源生成相同的键', () => {
+    const key = getTokenKey('wxA', { credential: 'secret', strategy: 'client_credential', baseURL: 'https://api.weixin.qq.com' });
+
+    expect(key).toMatch(/^wxA:[0-9a-f]{16}$/);
+    expect(getTokenKey('wxA', { credential: 'secret', strategy: 'client_credential', baseURL: 'https://api.weixin.qq.com' })).toBe(key);
+  });
+
+  test.each([
+    ['凭据', { credential: 'other' }],
+    ['获取策略', { strategy: 'stable' }],
+    ['接口地址', { baseURL: 'http://127.0.0.1:3000' }]
+  ])('%s不同时生成不同的键', (name, change) => {
+    const source = { credential: 'secret', strategy: 'client_credential', baseURL: 'https://api.weixin.qq.com' };
+
+    expect(getTokenKey('wxA', { ...source, ...change })).not.toBe(getTokenKey('wxA', source));
+  });
+
+  test('键中不包含凭据原文', () => {
+    expect(getTokenKey('wxA', { credential: 'secret' })).not.toContain('secret');
+  });
+});
+
+describe('MemoryTokenStore', () => {
+  test('保存、读取和删除令牌', async () => {
+    const store = new MemoryTokenStore();
+
+    await store.set('wxA:1', TOKEN);
+    expect(await store.get('wxA:1')).toEqual(TOKEN);
+    expect(await store.get('wxA:2')).toBeUndefined();
+
+    await store.delete('wxA:1');
+    expect(await store.get('wxA:1')).toBeUndefined();
+  });
+});
+
+describe('FileTokenStore', () => {
+  let dir;
+  let file;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'wechat-tokens-'));
+    file = path.join(dir, 'nested', 'wechat-tokens.json');
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  test('文件不存在时返回空结果', async () => {
+    expect(await new FileTokenStore(file).get('wxA:1')).toBeUndefined();
+  });
+
+  test('令牌持久化到文件，其他实例可以读取', async () => {
+    await new FileTokenStore(file).set('wxA:1', TOKEN);
+
+    expect(await new FileTokenStore(file).get('wxA:1')).toEqual(TOKEN);
+  });
+
+  test('文件只有所有者可以读写，写入后不残留临时文件', async () => {
+    await new FileTokenStore(file).set('wxA:1', TOKEN);
+
+    expect((await fs.stat(file)).mode & 0o777).toBe(0o600);
+    expect(await fs.readdir(path.dirname(file))).toEqual(['wechat-tokens.json']);
+  });
+
+  test('同时保存的令牌不会互相覆盖', async () => {
+    const store = new FileTokenStore(file);
+
+    await Promise.all(['wxA:1', 'wxB:1', 'wxC:1'].map(key => store.set(key, { ...TOKEN, accessToken: key })));
+
+    const { tokens } = JSON.parse(await fs.readFile(file, 'utf8'));
+    expect(Object.keys(tokens).sort()).toEqual(['wxA:1', 'wxB:1', 'wxC:1']);
+  });
+
+  test('删除令牌时保留其他令牌', async () => {
+    const store = new FileTokenStore(file);
+    await store.set('wxA:1', TOKEN);
+    await store.set('wxB:1', TOKEN);
+
+    await store.delete('wxA:1');
+
+    expect(await store.get('wxA:1')).toBeUndefined();
+    expect(await store.get('wxB:1')).toEqual(TOKEN);
+  });
+
+  test('文件损坏时视为没有缓存的令牌，保存时覆盖', async () => {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, '{"tokens":');
+    const store = new FileTokenStore(file);
+
+    expect(await store.get('wxA:1')).toBeUndefined();
+    await store.set('wxA:1', TOKEN);
+    expect(await store.get('wxA:1')).toEqual(TOKEN);
+  });
+});
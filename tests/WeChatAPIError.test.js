@@ -0,0 +1,127 @@
+import { WeChatAPIError, WECHAT_ERROR_CODES, TOKEN_INVALID_ERRCODES, formatWeChatError, getErrorLanguage } from '../src/services/WeChatAPIError.js';
+
+function axiosError(message, { code, response } = {}) {
+  const error = new Error(message);
+  error.isAxiosError = true;
+  error.code = code;
+  error.response = response;
+  return error;
+}
+
+const context = { action: '创建草稿', endpoint: '/cgi-bin/draft/add' };
+
+describe('WECHAT_ERROR_CODES', () => {
+  test.each(Object.keys(WECHAT_ERROR_CODES))('错误码%s包含中英文说明和处理建议', errcode => {
+    const { zh, en } = WECHAT_ERROR_CODES[errcode];
+
+    for (const info of [zh, en]) {
+      expect(info.title).toEqual(expect.any(String));
+      expect(info.advice.length).toBeGreaterThan(0);
+    }
+    expect(en.advice).toHaveLength(zh.advice.length);
+  });
+
+  test('令牌无效的错误码都有说明', () => {
+    TOKEN_INVALID_ERRCODES.forEach(errcode => {
+      expect(WECHAT_ERROR_CODES[errcode]).toBeDefined();
+    });
+  });
+});
+
+describe('WeChatAPIError', () => {
+  test('fromResponse带上错误码、接口和操作名称', () => {
+    const error = WeChatAPIError.fromResponse({ errcode: 45166, errmsg: 'invalid content hint' }, context);
+
+    expect(error.message).toBe('创建草稿失败: invalid content hint (错误码: 45166)');
+    expect(error).toMatchObject({ errcode: 45166, errmsg: 'invalid content hint', ...context });
+    expect(error.info).toBe(WECHAT_ERROR_CODES[45166]);
+  });
+
+  test('未收录的错误码没有说明', () => {
+    expect(WeChatAPIError.fromResponse({ errcode: 99999, errmsg: 'x' }, context).info).toBeUndefined();
+  });
+
+  test('from转换HTTP错误，保留响应中的错误码', () => {
+    const error = WeChatAPIError.from(axiosError('Request failed', {
+      response: { status: 502, data: { errcode: -1, errmsg: 'system error' } }
+    }), context);
+
+    expect(error.message).toBe('创建草稿失败: system error (HTTP状态: 502)');
+    expect(error).toMatchObject({ errcode: -1, httpStatus: 502, endpoint: context.endpoint });
+  });
+
+  test('from转换超时和网络错误', () => {
+    expect(WeChatAPIError.from(axiosError('timeout of 30000ms exceeded', { code: 'ECONNABORTED' }), context).message)
+      .toBe('创建草稿请求超时，请检查网络连接后重试');
+    expect(WeChatAPIError.from(axiosError('connect ECONNREFUSED'), context).message)
+      .toBe('创建草稿请求失败: connect ECONNREFUSED');
+  });
+
+  test('from原样返回已转换的错误和非请求异常', () => {
+    const converted = WeChatAPIError.fromResponse({ errcode: 40007 }, context);
+    const fileError = new Error('文件不存在');
+
+    expect(WeChatAPIError.from(converted, { action: '发布文章', endpoint: '/cgi-bin/freepublish/submit' })).toBe(converted);
+    expect(WeChatAPIError.from(fileError, context)).toBe(fileError);
+  });
+
+  test('assertResponse在errcode非0时抛出', () => {
+    expect(WeChatAPIError.assertResponse({ errcode: 0, media_id: 'm' }, context)).toEqual({ errcode: 0, media_id: 'm' });
+    expect(() => WeChatAPIError.assertResponse({ errcode: 40007, errmsg: 'invalid media_id' }, context))
+      .toThrow(WeChatAPIError);
+  });
+});
+
+describe('formatWeChatError', () => {
+  test('收录的错误码给出说明和处理建议', () => {
+    const error = WeChatAPIError.fromResponse({ errcode: 40164, errmsg: 'invalid ip' }, context);
+
+    const message = formatWeChatError(error, 'zh');
+
+    expect(message).toContain('🔍 错误码 40164: 调用接口的IP地址不在白名单中');
+    expect(message).toContain('🌐 接口: /cgi-bin/draft/add');
+    expect(message).toContain('💡 处理建议:');
+    WECHAT_ERROR_CODES[40164].zh.advice.forEach(advice => {
+      expect(message).toContain(`• ${advice}`);
+    });
+  });
+
+  test('英文说明', () => {
+    const error = WeChatAPIError.from(axiosError('Bad Gateway', { response: { status: 502, data: { errcode: -1 } } }), context);
+
+    const message = formatWeChatError(error, 'en');
+
+    expect(message).toContain('🔍 Error code -1: WeChat system is busy');
+    expect(message).toContain('📡 HTTP status: 502');
+    expect(message).toContain('💡 Suggestions:');
+  });
+
+  test('未收录的错误码显示微信返回的错误信息，不含处理建议', () => {
+    const message = formatWeChatError(WeChatAPIError.fromResponse({ errcode: 99999, errmsg: 'unknown' }, context), 'zh');
+
+    expect(message).toContain('🔍 错误码 99999: unknown');
+    expect(message).not.toContain('处理建议');
+  });
+
+  test('不是微信接口错误时返回空字符串', () => {
+    expect(formatWeChatError(new Error('文件不存在'))).toBe('');
+  });
+
+  test('默认语言读取WECHAT_ERROR_LANG', () => {
+    const lang = process.env.WECHAT_ERROR_LANG;
+    try {
+      process.env.WECHAT_ERROR_LANG = 'en';
+      expect(getErrorLanguage()).toBe('en');
+      expect(formatWeChatError(WeChatAPIError.fromResponse({ errcode: 48001 }, context))).toContain('API not authorized for this account');
+
+      delete process.env.WECHAT_ERROR_LANG;
+      expect(getErrorLanguage()).toBe('zh');
+    } finally {
+      if (lang === undefined) {
+        delete process.env.WECHAT_ERROR_LANG;
+      } else {
+        process.env.WECHAT_ERROR_LANG = lang;
+      }
+    }
+  });
+});
@@ -0,0 +1,251 @@
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import axios from 'axios';
+import express from 'express';
+import { MockWeChatServer } from '../src/mock/MockWeChatServer.js';
+import { WeChatComponent } from '../src/services/WeChatComponent.js';
+import { MemoryTokenStore } from '../src/services/TokenStore.js';
+import WeChatAPI from '../src/services/WeChatAPI.js';
+import { WeChatCrypto } from '../src/callback/WeChatCrypto.js';
+import { setupComponentCallback } from '../src/callback/component.js';
+import { buildXML } from '../src/utils/xml.js';
+
+describe('WeChatComponent', () => {
+  let mock;
+  let baseURL;
+  let dir;
+  let tokenStore;
+
+  const createComponent = (options = {}) => new WeChatComponent({
+    componentAppId: mock.componentAppId,
+    componentAppSecret: mock.componentAppSecret,
+    storagePath: dir,
+    tokenStore,
+    baseURL,
+    retry: { baseDelay: 0, maxDelay: 0 },
+    ...options
+  });
+
+  const createAPI = component => new WeChatAPI(mock.appId, undefined, {
+    baseURL,
+    component,
+    tokenStore,
+    imageCache: null,
+    retry: { baseDelay: 0, maxDelay: 0 }
+  });
+
+  const countRequests = endpoint => mock.requests.filter(request => request.endpoint === endpoint).length;
+
+  beforeAll(async () => {
+    mock = new MockWeChatServer();
+    baseURL = await mock.start();
+  });
+
+  afterAll(async () => {
+    await mock.stop();
+  });
+
+  beforeEach(async () => {
+    mock.reset();
+    tokenStore = new MemoryTokenStore();
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'wechat-component-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  describe('component_verify_ticket', () => {
+    test('ticket保存到文件，其他实例可以读取', async () => {
+      await createComponent().saveVerifyTicket('ticket@@@1', 1700000000);
+
+      const { verifyTicket } = await createComponent().load();
+      expect(verifyTicket).toEqual({ ticket: 'ticket@@@1', createTime: 1700000000 });
+    });
+
+    test('保存时保留已有的授权方，且文件只有所有者可以读写', async () => {
+      const component = createComponent();
+      await component.saveAuthorizer('wxA', 'refresh_a');
+      await component.saveVerifyTicket('ticket@@@2');
+
+      const file = path.join(dir, 'wechat-component.json');
+      const data = JSON.parse(await fs.readFile(file, 'utf8'));
+      expect(data.authorizers.wxA.refreshToken).toBe('refresh_a');
+      expect(data.verifyTicket.ticket).toBe('ticket@@@2');
+      expect((await fs.stat(file)).mode & 0o777).toBe(0o600);
+      expect(await fs.readdir(dir)).toEqual(['wechat-component.json']);
+    });
+
+    test('尚未收到ticket时无法获取component_access_token', async () => {
+      await expect(createComponent().getComponentAccessToken()).rejects.toThrow('component_verify_ticket');
+      expect(countRequests('component/api_component_token')).toBe(0);
+    });
+  });
+
+  describe('component_access_token', () => {
+    beforeEach(async () => {
+      await createComponent().saveVerifyTicket(mock.verifyTicket);
+    });
+
+    test('缓存令牌，并发调用只请求一次', async () => {
+      const component = createComponent();
+
+      const tokens = await Promise.all([component.getComponentAccessToken(), component.getComponentAccessToken()]);
+      await component.getComponentAccessToken();
+
+      expect(tokens[0]).toBe(tokens[1]);
+      expect(countRequests('component/api_component_token')).toBe(1);
+    });
+
+    test('AppSecret不同的实例不共用缓存的令牌', async () => {
+      await createComponent().getComponentAccessToken();
+
+      await expect(createComponent({ componentAppSecret: 'wrong' }).getComponentAccessToken()).rejects.toMatchObject({ errcode: 61004 });
+    });
+
+    test('令牌失效时刷新后重试一次', async () => {
+      const component = createComponent();
+      const code = mock.authorize();
+      await component.getComponentAccessToken();
+      mock.invalidateComponentTokens();
+
+      await component.handleAuthorization(code);
+
+      expect(countRequests('component/api_component_token')).toBe(2);
+      expect(countRequests('component/api_query_auth')).toBe(2);
+    });
+
+    test('系统繁忙时自动重试', async () => {
+      mock.failNext('component/api_component_token', { errcode: -1, errmsg: 'system error' });
+
+      await createComponent().getComponentAccessToken();
+
+      expect(countRequests('component/api_component_token')).toBe(2);
+    });
+
+    test('使用授权码的请求在连接断开后不重试', async () => {
+      const component = createComponent();
+      const code = mock.authorize();
+      await component.getComponentAccessToken();
+      mock.failNext('component/api_query_auth', { drop: true });
+
+      await expect(component.handleAuthorization(code)).rejects.toThrow();
+      expect(countRequests('component/api_query_auth')).toBe(1);
+    });
+  });
+
+  describe('授权方令牌', () => {
+    beforeEach(async () => {
+      await createComponent().saveVerifyTicket(mock.verifyTicket);
+    });
+
+    test('授权后保存refresh_token，WeChatAPI直接使用授权时获得的令牌', async () => {
+      const component = createComponent();
+      const { authorizerAppId, accessToken } = await component.handleAuthorization(mock.authorize());
+
+      expect(authorizerAppId).toBe(mock.appId);
+      expect((await component.load()).authorizers[mock.appId].refreshToken).toBe(mock.authorizers.get(mock.appId));
+
+      const api = createAPI(component);
+      expect(await api.getAccessToken()).toBe(accessToken);
+      expect(countRequests('component/api_authorizer_token')).toBe(0);
+    });
+
+    test('授权方令牌失效时用refresh_token换取新令牌并重试', async () => {
+      const component = createComponent();
+      await component.handleAuthorization(mock.authorize());
+      const api = createAPI(component);
+      mock.invalidateTokens();
+
+      expect(await api.getDraftCount()).toBe(0);
+      expect(countRequests('component/api_authorizer_token')).toBe(1);
+      expect(countRequests('draft/count')).toBe(2);
+    });
+
+    test('本地没有refresh_token时从已授权账号列表中查找', async () => {
+      mock.authorize();
+      const api = createAPI(createComponent());
+
+      await api.getAccessToken();
+
+      expect(countRequests('component/api_get_authorizer_list')).toBe(1);
+      expect((await createComponent().load()).authorizers[mock.appId]).toBeDefined();
+    });
+
+    test('未授权的公众号无法获取令牌', async () => {
+      await expect(createAPI(createComponent()).getAccessToken()).rejects.toThrow('未授权');
+    });
+
+    test('取消授权后移除refresh_token和缓存的令牌', async () => {
+      const component = createComponent();
+      await component.handleAuthorization(mock.authorize());
+
+      await component.removeAuthorizer(mock.appId);
+
+      expect((await component.load()).authorizers[mock.appId]).toBeUndefined();
+      expect(await tokenStore.get(component.getTokenKey(mock.appId))).toBeUndefined();
+    });
+  });
+
+  describe('授权事件接收', () => {
+    const TOKEN = 'component_token';
+    const AES_KEY = 'abcdefghijklmnopqrstuvwxyz0123456789ABCDEFG';
+    let server;
+    let url;
+
+    beforeEach(async () => {
+      const { setupRoutes } = setupComponentCallback({ component: createComponent(), token: TOKEN, encodingAESKey: AES_KEY });
+      const app = express();
+      setupRoutes(app);
+      await new Promise(resolve => {
+        server = app.listen(0, '127.0.0.1', resolve);
+      });
+      url = `http://127.0.0.1:${server.address().port}/wechat/component`;
+    });
+
+    afterEach(async () => {
+      server.closeAllConnections();
+      await new Promise(resolve => server.close(resolve));
+    });
+
+    const push = (xml, { appId = mock.componentAppId, signature } = {}) => {
+      const crypto = new WeChatCrypto({ token: TOKEN, encodingAESKey: AES_KEY, appId });
+      const encrypted = crypto.encrypt(xml);
+      return axios.post(url, buildXML({ AppId: appId, Encrypt: encrypted }), {
+        params: { timestamp: '1', nonce: '2', msg_signature: signature || crypto.getSignature('1', '2', encrypted) },
+        headers: { 'Content-Type': 'text/xml' },
+        validateStatus: () => true
+      });
+    };
+
+    test('保存推送的component_verify_ticket', async () => {
+      const response = await push(buildXML({ AppId: mock.componentAppId, CreateTime: 1700000000, InfoType: 'component_verify_ticket', ComponentVerifyTicket: 'ticket@@@pushed' }));
+
+      expect(response.data).toBe('success');
+      expect((await createComponent().load()).verifyTicket).toEqual({ ticket: 'ticket@@@pushed', createTime: 1700000000 });
+    });
+
+    test('签名错误的推送被拒绝', async () => {
+      const response = await push(buildXML({ InfoType: 'component_verify_ticket', ComponentVerifyTicket: 'x' }), { signature: 'bad' });
+
+      expect(response.status).toBe(401);
+      expect((await createComponent().load()).verifyTicket).toBeUndefined();
+    });
+
+    test('其他第三方平台的推送被拒绝', async () => {
+      const response = await push(buildXML({ InfoType: 'component_verify_ticket', ComponentVerifyTicket: 'x' }), { appId: 'wxother' });
+
+      expect(response.status).toBe(400);
+    });
+
+    test('授权成功事件换取并保存授权方令牌', async () => {
+      await createComponent().saveVerifyTicket(mock.verifyTicket);
+
+      const response = await push(buildXML({ InfoType: 'authorized', AuthorizationCode: mock.authorize() }));
+
+      expect(response.data).toBe('success');
+      expect((await createComponent().load()).authorizers[mock.appId]).toBeDefined();
+    });
+  });
+});
@@ -0,0 +1,303 @@
+import express from 'express';
+import { jest } from '@jest/globals';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { MockWeChatServer } from '../src/mock/MockWeChatServer.js';
+import WeChatAPI from '../src/services/WeChatAPI.js';
+import { MemoryTokenStore } from '../src/services/TokenStore.js';
+import WeChatPublisher from '../src/tools/wechat-publisher.js';
+import { parseFrontMatter, frontMatterToArticle } from '../src/markdown/index.js';
+
+// 1x1像素的PNG
+const PNG_BASE64 = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNk+M9QDwADhgGAWjR9awAAAABJRU5ErkJggg==';
+const PNG = Buffer.from(PNG_BASE64, 'base64');
+
+describe('WeChatPublisher.renderContent', () => {
+  let mock;
+  let baseURL;
+  let imageServer;
+  let imageURL;
+  let dir;
+
+  const createAPI = () => new WeChatAPI(mock.appId, mock.appSecret, {
+    baseURL,
+    tokenStore: new MemoryTokenStore(),
+    imageCache: null,
+    imageProcessing: { enabled: false },
+    remoteImages: { allowlist: ['127.0.0.1'] },
+    retry: { baseDelay: 0, maxDelay: 0 }
+  });
+
+  const render = (content, options = {}, api = createAPI()) => WeChatPublisher.renderContent({
+    content,
+    imageFailurePolicy: 'warn',
+    linkMode: 'keep',
+    mathMode: 'off',
+    ...options
+  }, api);
+
+  const uploads = () => mock.requests.filter(request => request.endpoint === 'media/uploadimg').length;
+  const srcs = html => [...html.matchAll(/<img[^>]*\ssrc="([^"]*)"/g)].map(match => match[1]);
+
+  beforeAll(async () => {
+    mock = new MockWeChatServer();
+    baseURL = await mock.start();
+
+    const app = express();
+    app.get('/a.png', (req, res) => res.type('png').send(PNG));
+    await new Promise(resolve => {
+      imageServer = app.listen(0, '127.0.0.1', resolve);
+    });
+    imageURL = `http://127.0.0.1:${imageServer.address().port}/a.png`;
+  });
+
+  afterAll(async () => {
+    imageServer.closeAllConnections();
+    await new Promise(resolve => imageServer.close(resolve));
+    await mock.stop();
+  });
+
+  beforeEach(async () => {
+    mock.reset();
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'wechat-publisher-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  test('代码块和行内代码中的图片语法不上传、不改写', async () => {
+    const markdown = [
+      '![图](chart.png)',
+      '',
+      '```md',
+      '![图](chart.png)',
+      '```',
+      '',
+      '行内代码 `![图](chart.png)` 和 `<img src="chart.png">`',
+      ''
+    ].join('\n');
+
+    const html = await render(markdown, { images: { 'chart.png': PNG_BASE64 } });
+
+    expect(uploads()).toBe(1);
+    expect(srcs(html)).toEqual([expect.stringMatching(/^http:\/\/mmbiz\.qpic\.cn\/mock\//)]);
+    expect(html.match(/!\[图\]\(chart\.png\)/g)).toHaveLength(2);
+    expect(html).toContain('&lt;img src=&quot;chart.png&quot;&gt;');
+  });
+
+  test('HTML中只替换src属性，alt和data-*中相同的地址不变', async () => {
+    const content = '<p><img alt="chart.png" data-origin="chart.png" src="chart.png"></p><pre><code>&lt;img src="chart.png"&gt;</code></pre>';
+
+    const html = await render(content, { contentType: 'html', images: { 'chart.png': PNG_BASE64 } });
+
+    expect(html).toMatch(/<img alt="chart\.png" data-origin="chart\.png" src="http:\/\/mmbiz\.qpic\.cn\/mock\/[^"]+"/);
+    expect(html).toContain('&lt;img src="chart.png"&gt;');
+    expect(uploads()).toBe(1);
+  });
+
+  test('同一图片多次出现只上传一次，Markdown中的中文文件名按原文件查找', async () => {
+    await fs.writeFile(path.join(dir, '截图.png'), PNG);
+
+    const html = await render('![a](截图.png) ![b](./截图.png)\n', { coverImagePath: path.join(dir, 'cover.png') });
+
+    expect(uploads()).toBe(1);
+    const [first, second] = srcs(html);
+    expect(first).toMatch(/^http:\/\/mmbiz\.qpic\.cn\//);
+    expect(second).toBe(first);
+  });
+
+  test('data URI图片（包括SVG）解码后上传', async () => {
+    const svg = 'data:image/svg+xml;base64,' + Buffer.from('<svg xmlns="http://www.w3.org/2000/svg" width="1" height="1"></svg>').toString('base64');
+
+    const html = await render(`![png](data:image/png;base64,${PNG_BASE64})\n\n![svg](${svg})\n`);
+
+    expect(uploads()).toBe(2);
+    srcs(html).forEach(src => expect(src).toMatch(/^http:\/\/mmbiz\.qpic\.cn\//));
+  });
+
+  test('外链图片下载后转存，已在微信服务器上的图片跳过', async () => {
+    const html = await render(`![a](${imageURL})\n\n![b](https://mmbiz.qpic.cn/existing/0)\n`);
+
+    expect(uploads()).toBe(1);
+    expect(srcs(html)).toEqual([expect.stringMatching(/^http:\/\/mmbiz\.qpic\.cn\/mock\//), 'https://mmbiz.qpic.cn/existing/0']);
+  });
+
+  test.each([
+    ['warn', html => expect(srcs(html)).toEqual(['missing.png'])],
+    ['remove', html => expect(html).not.toContain('<img')],
+    ['placeholder', html => expect(html).toContain('<span style="color: #999;">【图片：&lt;缺失&gt;】</span>')]
+  ])('上传失败时按%s处理', async (policy, check) => {
+    const api = createAPI();
+
+    const html = await render('![<缺失>](missing.png)\n', { imageFailurePolicy: policy, coverImagePath: path.join(dir, 'cover.png') }, api);
+
+    check(html);
+    expect(api.failedImages).toHaveLength(1);
+  });
+
+  test('部分图片失败时成功的图片仍然替换，失败记录按位置对应', async () => {
+    await fs.writeFile(path.join(dir, 'ok.png'), PNG);
+    const api = createAPI();
+
+    const html = await render('![a](missing-1.png) ![b](ok.png) ![c](missing-2.png)\n', { imageFailurePolicy: 'remove', coverImagePath: path.join(dir, 'cover.png') }, api);
+
+    expect(srcs(html)).toEqual([expect.stringMatching(/^http:\/\/mmbiz\.qpic\.cn\/mock\//)]);
+    expect(api.failedImages.map(image => image.src)).toEqual(['missing-1.png', 'missing-2.png']);
+    expect(api.failedImages[0]).toMatchObject({ label: '正文图片', reason: expect.any(String) });
+  });
+
+  test('默认失败处理方式读取WECHAT_IMAGE_FAILURE_POLICY', async () => {
+    const policy = process.env.WECHAT_IMAGE_FAILURE_POLICY;
+    try {
+      process.env.WECHAT_IMAGE_FAILURE_POLICY = 'remove';
+      const html = await WeChatPublisher.renderContent({ content: '![a](missing.png)\n', coverImagePath: path.join(dir, 'cover.png'), linkMode: 'keep', mathMode: 'off' }, createAPI());
+      expect(html).not.toContain('<img');
+
+      delete process.env.WECHAT_IMAGE_FAILURE_POLICY;
+      expect(WeChatPublisher.getImageFailurePolicy()).toBe('warn');
+    } finally {
+      if (policy !== undefined) {
+        process.env.WECHAT_IMAGE_FAILURE_POLICY = policy;
+      }
+    }
+  });
+
+  test('公式图片去重后上传', async () => {
+    const html = await render('$x$ $y$ $x$\n', { mathMode: 'image' });
+
+    expect(uploads()).toBe(2);
+    expect(srcs(html)).toHaveLength(3);
+    srcs(html).forEach(src => expect(src).toMatch(/^http:\/\/mmbiz\.qpic\.cn\/mock\//));
+  });
+
+  test('公式上传失败时改为内联SVG', async () => {
+    mock.failNext('media/uploadimg', { errcode: 40005, errmsg: 'invalid file type' });
+    const api = createAPI();
+
+    const html = await render('$x$\n', { mathMode: 'image' }, api);
+
+    expect(html).toMatch(/<svg[^>]* role="img" aria-label="x" data-math="inline"/);
+    expect(html).not.toContain('<img');
+    expect(api.failedImages).toHaveLength(1);
+  });
+
+  test('imageFailurePolicy为fail时取消发布', async () => {
+    await expect(render('![a](missing.png)\n', { imageFailurePolicy: 'fail', coverImagePath: path.join(dir, 'cover.png') }))
+      .rejects.toThrow('1张图片上传失败，已取消发布');
+  });
+});
+
+describe('Front Matter', () => {
+  const markdown = [
+    '---',
+    'title: Front Matter标题',
+    'author: Front Matter作者',
+    'theme: tech',
+    'cover: ./cover.png',
+    'need_open_comment: 1',
+    'tags: "#AI，工具, AI"',
+    '---',
+    '# 正文标题',
+    ''
+  ].join('\n');
+
+  test('解析为发布参数', () => {
+    const { data, body } = parseFrontMatter(markdown);
+
+    expect(body).toBe('# 正文标题\n');
+    expect(frontMatterToArticle(data)).toEqual({
+      title: 'Front Matter标题',
+      author: 'Front Matter作者',
+      theme: 'tech',
+      coverImagePath: './cover.png',
+      needOpenComment: true,
+      tags: ['AI', '工具']
+    });
+  });
+
+  test('不是YAML对象的 --- 块视为正文', () => {
+    const content = '---\n标题\n---\n正文';
+
+    expect(parseFrontMatter(content)).toEqual({ data: {}, body: content });
+  });
+
+  test('显式传入的参数优先于Front Matter', () => {
+    const params = WeChatPublisher.applyFrontMatter({ title: '参数标题', content: markdown, author: undefined });
+
+    expect(params).toMatchObject({ title: '参数标题', author: 'Front Matter作者', theme: 'tech', coverImagePath: './cover.png', needOpenComment: true });
+    expect(params.tags).toBeUndefined();
+    expect(params.content).toBe(markdown);
+  });
+
+  test('多图文模式下顶层的author、theme优先于各篇的Front Matter', () => {
+    const params = WeChatPublisher.applyFrontMatter({
+      author: '顶层作者',
+      theme: 'elegant',
+      articles: [{ content: markdown }, { content: markdown, theme: 'minimal' }, null]
+    });
+
+    expect(params.articles[0]).toMatchObject({ title: 'Front Matter标题', coverImagePath: './cover.png' });
+    expect(params.articles[0].author).toBeUndefined();
+    expect(params.articles[0].theme).toBeUndefined();
+    expect(params.articles[1].theme).toBe('minimal');
+    expect(params.articles[2]).toBeNull();
+  });
+
+  test('HTML内容不读取Front Matter', () => {
+    expect(WeChatPublisher.applyFrontMatter({ content: markdown, contentType: 'html' })).toEqual({ content: markdown, contentType: 'html' });
+    expect(WeChatPublisher.applyFrontMatter({ contentType: 'html', articles: [{ content: markdown }] }).articles[0].title).toBeUndefined();
+  });
+
+  test('Front Matter格式错误时报错', () => {
+    expect(() => WeChatPublisher.applyFrontMatter({ content: '---\ntitle: [\n---\n' })).toThrow('Front Matter格式错误');
+    expect(() => WeChatPublisher.applyFrontMatter({ content: '---\ntitle: {a: 1}\n---\n' })).toThrow('Front Matter中的title必须是字符串');
+  });
+
+  describe('自动生成封面图', () => {
+    let mock;
+    let baseURL;
+    let dir;
+
+    beforeAll(async () => {
+      mock = new MockWeChatServer();
+      baseURL = await mock.start();
+    });
+
+    afterAll(async () => {
+      await mock.stop();
+    });
+
+    beforeEach(async () => {
+      dir = await fs.mkdtemp(path.join(os.tmpdir(), 'wechat-publisher-'));
+    });
+
+    afterEach(async () => {
+      jest.restoreAllMocks();
+      await fs.rm(dir, { recursive: true, force: true });
+    });
+
+    test('副标题从去掉Front Matter后的正文中提取', async () => {
+      const coverPath = path.join(dir, 'auto-cover.png');
+      const generate = jest.spyOn(WeChatPublisher, 'generateCoverImage').mockImplementation(async () => {
+        await fs.writeFile(coverPath, PNG);
+        return coverPath;
+      });
+      const api = new WeChatAPI(mock.appId, mock.appSecret, {
+        baseURL,
+        tokenStore: new MemoryTokenStore(),
+        imageCache: null,
+        imageProcessing: { enabled: false },
+        retry: { baseDelay: 0, maxDelay: 0 }
+      });
+      const article = WeChatPublisher.applyFrontMatter({ content: '---\ntitle: 标题\nauthor: 作者名字很长很长很长\n---\n正文第一段足够长的内容\n' });
+
+      const prepared = await WeChatPublisher.prepareArticle({ ...article, linkMode: 'keep', mathMode: 'off' }, api);
+
+      expect(generate).toHaveBeenCalledWith('标题', '正文第一段足够长的内容\n');
+      expect(prepared.thumbMediaId).toEqual(expect.any(String));
+      await expect(fs.access(coverPath)).rejects.toThrow();
+    });
+  });
+});
@@ -0,0 +1,74 @@
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { MockWeChatServer } from '../src/mock/MockWeChatServer.js';
+import WeChatAPI from '../src/services/WeChatAPI.js';
+import { MemoryTokenStore } from '../src/services/TokenStore.js';
+import WeChatStatus from '../src/tools/wechat-status.js';
+
+// 1x1像素的PNG，用作封面图
+const COVER = {
+  buffer: Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNk+M9QDwADhgGAWjR9awAAAABJRU5ErkJggg==', 'base64'),
+  filename: 'cover.png'
+};
+
+describe('WeChatStatus.query', () => {
+  const env = { ...process.env };
+  let mock;
+  let dir;
+  let publishId;
+
+  beforeAll(async () => {
+    mock = new MockWeChatServer();
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'wechat-status-'));
+    process.env.WECHAT_API_BASE_URL = await mock.start();
+    process.env.MCP_DATA_PATH = dir;
+  });
+
+  afterAll(async () => {
+    process.env = env;
+    await mock.stop();
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  beforeEach(async () => {
+    mock.reset();
+    mock.setPublishResult({ status: 0, polls: 0 });
+    const api = new WeChatAPI(mock.appId, mock.appSecret, {
+      tokenStore: new MemoryTokenStore(),
+      imageCache: null,
+      imageProcessing: { enabled: false },
+      publishPolling: { initialInterval: 10, maxInterval: 10 }
+    });
+    const thumbMediaId = await api.uploadCoverImage(COVER);
+    ({ publishId } = await api.publishArticle({ title: '标题', content: '<p>正文</p>', thumbMediaId, draftOnly: false }));
+    mock.requests.length = 0;
+  });
+
+  const textOf = result => result.content[0].text;
+
+  test('按publishId查询发布状态', async () => {
+    const result = await WeChatStatus.query({ publishId, appId: mock.appId, appSecret: mock.appSecret });
+
+    expect(result.isError).toBeUndefined();
+    expect(textOf(result)).toContain(`发布ID: ${publishId}`);
+    expect(mock.requests.filter(request => request.endpoint === 'freepublish/get')).toHaveLength(1);
+  });
+
+  test('兼容已弃用的msgId参数', async () => {
+    const result = await WeChatStatus.query({ msgId: publishId, appId: mock.appId, appSecret: mock.appSecret });
+
+    expect(result.isError).toBeUndefined();
+    expect(textOf(result)).toContain(`发布ID: ${publishId}`);
+  });
+
+  test('缺少或格式错误的publishId时返回参数错误', async () => {
+    const missing = await WeChatStatus.query({ appId: mock.appId, appSecret: mock.appSecret });
+    const invalid = await WeChatStatus.query({ publishId: 'abc', appId: mock.appId, appSecret: mock.appSecret });
+
+    expect(missing.isError).toBe(true);
+    expect(textOf(missing)).toContain('publishId参数是必需的');
+    expect(textOf(invalid)).toContain('publishId格式不正确');
+    expect(mock.requests).toHaveLength(0);
+  });
+});
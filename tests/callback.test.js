@@ -0,0 +1,321 @@
+import { createHash } from 'crypto';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import axios from 'axios';
+import express from 'express';
+import { WeChatCrypto } from '../src/callback/WeChatCrypto.js';
+import { PublishEventStore } from '../src/callback/PublishEventStore.js';
+import { setupWeChatCallback } from '../src/callback/setup.js';
+import { parseXML, buildXML } from '../src/utils/xml.js';
+
+const TOKEN = 'callback_token';
+const AES_KEY = 'abcdefghijklmnopqrstuvwxyz0123456789ABCDEFG';
+const APP_ID = 'wx1111111111111111';
+
+const sha1 = parts => createHash('sha1').update([...parts].sort().join('')).digest('hex');
+
+function publishEventXML({ appId = APP_ID, publishId = '2247483649', status = 0, urls = ['https://mp.weixin.qq.com/s/a'] } = {}) {
+  const items = urls.map((url, index) => `<item><idx>${index + 1}</idx><article_url><![CDATA[${url}]]></article_url></item>`).join('');
+  return `<xml>
+    <ToUserName><![CDATA[gh_${appId}]]></ToUserName>
+    <FromUserName><![CDATA[oUser]]></FromUserName>
+    <CreateTime>1700000000</CreateTime>
+    <MsgType><![CDATA[event]]></MsgType>
+    <Event><![CDATA[PUBLISHJOBFINISH]]></Event>
+    <PublishEventInfo>
+      <publish_id>${publishId}</publish_id>
+      <publish_status>${status}</publish_status>
+      <article_id><![CDATA[article_${publishId}]]></article_id>
+      <article_detail><count>${urls.length}</count>${items}</article_detail>
+    </PublishEventInfo>
+  </xml>`;
+}
+
+describe('WeChatCrypto', () => {
+  describe('签名校验', () => {
+    const crypto = new WeChatCrypto({ token: TOKEN });
+
+    test('签名为token、timestamp、nonce按字典序拼接后的SHA1', () => {
+      expect(crypto.getSignature('1700000000', 'nonce')).toBe(sha1([TOKEN, '1700000000', 'nonce']));
+    });
+
+    test('安全模式的msg_signature包含密文', () => {
+      expect(crypto.getSignature('1700000000', 'nonce', 'cipher')).toBe(sha1([TOKEN, '1700000000', 'nonce', 'cipher']));
+    });
+
+    test('接受正确的签名', () => {
+      expect(crypto.verifySignature(sha1([TOKEN, '1', '2']), '1', '2')).toBe(true);
+    });
+
+    test.each([
+      ['签名错误', sha1(['other_token', '1', '2']), ['1', '2']],
+      ['缺少签名', undefined, ['1', '2']],
+      ['缺少参与签名的参数', sha1([TOKEN, '1']), ['1', undefined]],
+      ['签名长度不一致', 'abc', ['1', '2']]
+    ])('拒绝%s', (name, signature, parts) => {
+      expect(crypto.verifySignature(signature, ...parts)).toBe(false);
+    });
+
+    test('缺少Token时无法创建', () => {
+      expect(() => new WeChatCrypto({})).toThrow('Token');
+    });
+  });
+
+  describe('消息加解密', () => {
+    const crypto = new WeChatCrypto({ token: TOKEN, encodingAESKey: AES_KEY, appId: APP_ID });
+
+    test('加密后可以解密出原消息和AppID', () => {
+      const message = '<xml><Content><![CDATA[你好]]></Content></xml>';
+
+      expect(crypto.decryptMessage(crypto.encrypt(message))).toEqual({ message, appId: APP_ID });
+      expect(crypto.decrypt(crypto.encrypt(message))).toBe(message);
+    });
+
+    test('密文中的AppID与配置不一致时拒绝', () => {
+      const other = new WeChatCrypto({ token: TOKEN, encodingAESKey: AES_KEY, appId: 'wx2222222222222222' });
+
+      expect(() => crypto.decryptMessage(other.encrypt('<xml></xml>'))).toThrow('AppID不匹配');
+    });
+
+    test('未配置AppID时返回密文中的AppID', () => {
+      const sender = new WeChatCrypto({ token: TOKEN, encodingAESKey: AES_KEY, appId: 'wx2222222222222222' });
+      const receiver = new WeChatCrypto({ token: TOKEN, encodingAESKey: AES_KEY });
+
+      expect(receiver.decryptMessage(sender.encrypt('<xml></xml>')).appId).toBe('wx2222222222222222');
+    });
+
+    test('未配置EncodingAESKey时无法解密', () => {
+      expect(() => new WeChatCrypto({ token: TOKEN }).decrypt('AAAA')).toThrow('EncodingAESKey');
+    });
+
+    test('EncodingAESKey长度不是43位时无法创建', () => {
+      expect(() => new WeChatCrypto({ token: TOKEN, encodingAESKey: 'short' })).toThrow('43');
+    });
+  });
+});
+
+describe('parseXML', () => {
+  test('解析CDATA、嵌套元素和重复元素', () => {
+    const message = parseXML(publishEventXML({ urls: ['https://a', 'https://b'] }));
+
+    expect(message.MsgType).toBe('event');
+    expect(message.CreateTime).toBe('1700000000');
+    expect(message.PublishEventInfo.publish_id).toBe('2247483649');
+    expect(message.PublishEventInfo.article_detail.item).toEqual([
+      { idx: '1', article_url: 'https://a' },
+      { idx: '2', article_url: 'https://b' }
+    ]);
+  });
+
+  test('只出现一次的元素不是数组', () => {
+    const message = parseXML(publishEventXML());
+
+    expect(message.PublishEventInfo.article_detail.item).toEqual({ idx: '1', article_url: 'https://mp.weixin.qq.com/s/a' });
+  });
+
+  test('解码实体，CDATA中的内容原样保留', () => {
+    expect(parseXML('<xml><A>a &lt;b&gt; &amp;</A><B><![CDATA[<c>&amp;]]></B></xml>')).toEqual({ A: 'a <b> &', B: '<c>&amp;' });
+  });
+
+  test('忽略XML声明和注释', () => {
+    expect(parseXML('<?xml version="1.0"?><!-- 注释 --><xml><A>1</A></xml>')).toEqual({ A: '1' });
+  });
+
+  test.each([
+    ['空内容', ''],
+    ['标签未闭合', '<xml><A>1</xml>'],
+    ['元素未闭合', '<xml><A>1</A>'],
+    ['多个根元素', '<a></a><b></b>']
+  ])('%s时抛出错误', (name, xml) => {
+    expect(() => parseXML(xml)).toThrow();
+  });
+
+  test('buildXML生成的XML可以被解析', () => {
+    expect(parseXML(buildXML({ Encrypt: 'a<b', TimeStamp: 123 }))).toEqual({ Encrypt: 'a<b', TimeStamp: '123' });
+  });
+});
+
+describe('PublishEventStore', () => {
+  let dir;
+  let store;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'publish-events-'));
+    store = new PublishEventStore(path.join(dir, 'publish-events.json'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  test('事件只返回给同一公众号', async () => {
+    await store.record({ appId: 'wxA', publishId: 100, publishStatus: 0 });
+
+    expect(await store.get('100', 'wxA')).toMatchObject({ appId: 'wxA', publishId: '100', publishStatus: 0 });
+    expect(await store.get('100', 'wxB')).toBeUndefined();
+    expect(await store.get('100')).toBeUndefined();
+  });
+
+  test('不同公众号的相同发布ID互不覆盖', async () => {
+    await store.record({ appId: 'wxA', publishId: '100', publishStatus: 0 });
+    await store.record({ appId: 'wxB', publishId: '100', publishStatus: 3 });
+
+    expect((await store.get('100', 'wxA')).publishStatus).toBe(0);
+    expect((await store.get('100', 'wxB')).publishStatus).toBe(3);
+  });
+
+  test('缺少AppID的事件不记录', async () => {
+    await expect(store.record({ publishId: '100', publishStatus: 0 })).rejects.toThrow('AppID');
+  });
+
+  test('同时到达的事件都被记录，且不留下临时文件', async () => {
+    await Promise.all(Array.from({ length: 20 }, (_, index) => store.record({ appId: 'wxA', publishId: index, publishStatus: 0 })));
+
+    const events = await store.load();
+    expect(events.size).toBe(20);
+    expect(await fs.readdir(dir)).toEqual(['publish-events.json']);
+  });
+
+  test('其他实例写入的事件可以读取', async () => {
+    await store.record({ appId: 'wxA', publishId: '100', publishStatus: 0 });
+
+    const other = new PublishEventStore(path.join(dir, 'publish-events.json'));
+    expect(await other.get('100', 'wxA')).toBeDefined();
+  });
+
+  test('转换为freepublish/get的响应格式', () => {
+    expect(PublishEventStore.toStatusData({ publishId: '1', publishStatus: 0, articleId: 'a', articleUrls: ['u1', 'u2'] })).toEqual({
+      publish_id: '1',
+      publish_status: 0,
+      article_id: 'a',
+      fail_idx: [],
+      article_detail: { count: 2, item: [{ idx: 1, article_url: 'u1' }, { idx: 2, article_url: 'u2' }] }
+    });
+  });
+});
+
+describe('setupWeChatCallback', () => {
+  let dir;
+  let server;
+  let baseURL;
+
+  async function startServer(options) {
+    const callback = setupWeChatCallback({ token: TOKEN, storagePath: dir, ...options });
+    const app = express();
+    callback.setupRoutes(app);
+    await new Promise(resolve => {
+      server = app.listen(0, '127.0.0.1', resolve);
+    });
+    baseURL = `http://127.0.0.1:${server.address().port}/wechat/callback`;
+    return callback;
+  }
+
+  const post = (query, body) => axios.post(baseURL, body, {
+    params: query,
+    headers: { 'Content-Type': 'text/xml' },
+    validateStatus: () => true
+  });
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'wechat-callback-'));
+  });
+
+  afterEach(async () => {
+    if (server) {
+      server.closeAllConnections();
+      await new Promise(resolve => server.close(resolve));
+      server = null;
+    }
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  test('验证服务器地址时返回echostr', async () => {
+    await startServer();
+    const query = { timestamp: '1', nonce: '2', echostr: 'hello', signature: sha1([TOKEN, '1', '2']) };
+
+    expect((await axios.get(baseURL, { params: query })).data).toBe('hello');
+    const rejected = await axios.get(baseURL, { params: { ...query, signature: 'bad' }, validateStatus: () => true });
+    expect(rejected.status).toBe(401);
+  });
+
+  test('明文模式按配置的AppID记录发布事件', async () => {
+    const { eventStore } = await startServer({ appId: APP_ID });
+
+    const response = await post({ timestamp: '1', nonce: '2', signature: sha1([TOKEN, '1', '2']) }, publishEventXML());
+
+    expect(response.data).toBe('success');
+    expect(await eventStore.get('2247483649', APP_ID)).toMatchObject({
+      publishStatus: 0,
+      articleId: 'article_2247483649',
+      articleUrls: ['https://mp.weixin.qq.com/s/a']
+    });
+  });
+
+  test('明文模式未配置AppID时不记录', async () => {
+    const { eventStore } = await startServer();
+
+    const response = await post({ timestamp: '1', nonce: '2', signature: sha1([TOKEN, '1', '2']) }, publishEventXML());
+
+    expect(response.data).toBe('success');
+    expect(await eventStore.load()).toEqual(new Map());
+  });
+
+  test('签名错误的推送被拒绝', async () => {
+    const { eventStore } = await startServer({ appId: APP_ID });
+
+    const response = await post({ timestamp: '1', nonce: '2', signature: sha1(['other', '1', '2']) }, publishEventXML());
+
+    expect(response.status).toBe(401);
+    expect(await eventStore.get('2247483649', APP_ID)).toBeUndefined();
+  });
+
+  test('格式错误的XML返回400', async () => {
+    await startServer({ appId: APP_ID });
+
+    const response = await post({ timestamp: '1', nonce: '2', signature: sha1([TOKEN, '1', '2']) }, '<xml><A>');
+
+    expect(response.status).toBe(400);
+  });
+
+  describe('安全模式', () => {
+    const sender = new WeChatCrypto({ token: TOKEN, encodingAESKey: AES_KEY, appId: 'wx2222222222222222' });
+
+    const encryptedRequest = (xml, crypto = sender) => {
+      const encrypted = crypto.encrypt(xml);
+      return [
+        { timestamp: '1', nonce: '2', msg_signature: crypto.getSignature('1', '2', encrypted) },
+        buildXML({ ToUserName: 'gh_test', Encrypt: encrypted })
+      ];
+    };
+
+    test('按密文中的AppID记录发布事件', async () => {
+      const { eventStore } = await startServer({ encodingAESKey: AES_KEY });
+
+      const response = await post(...encryptedRequest(publishEventXML({ appId: 'wx2222222222222222' })));
+
+      expect(response.data).toBe('success');
+      expect(await eventStore.get('2247483649', 'wx2222222222222222')).toBeDefined();
+      expect(await eventStore.get('2247483649', APP_ID)).toBeUndefined();
+    });
+
+    test('msg_signature与密文不符时拒绝', async () => {
+      const { eventStore } = await startServer({ encodingAESKey: AES_KEY });
+      const [query, body] = encryptedRequest(publishEventXML());
+
+      const response = await post({ ...query, msg_signature: sha1([TOKEN, '1', '2', 'tampered']) }, body);
+
+      expect(response.status).toBe(401);
+      expect(await eventStore.load()).toEqual(new Map());
+    });
+
+    test('密文属于其他公众号时拒绝', async () => {
+      const { eventStore } = await startServer({ encodingAESKey: AES_KEY, appId: APP_ID });
+
+      const response = await post(...encryptedRequest(publishEventXML()));
+
+      expect(response.status).toBe(400);
+      expect(await eventStore.load()).toEqual(new Map());
+    });
+  });
+});
@@ -0,0 +1,83 @@
+import { mapSettled } from '../src/utils/concurrency.js';
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('mapSettled', () => {
+  test('结果顺序与输入一致，与完成顺序无关', async () => {
+    const results = await mapSettled([30, 0, 10], 3, async (ms, index) => {
+      await delay(ms);
+      return `${index}:${ms}`;
+    });
+
+    expect(results).toEqual([
+      { status: 'fulfilled', value: '0:30' },
+      { status: 'fulfilled', value: '1:0' },
+      { status: 'fulfilled', value: '2:10' }
+    ]);
+  });
+
+  test('同时执行的任务不超过并发数', async () => {
+    let running = 0;
+    let maxRunning = 0;
+
+    await mapSettled(Array.from({ length: 10 }, (_, i) => i), 3, async () => {
+      running++;
+      maxRunning = Math.max(maxRunning, running);
+      await delay(1);
+      running--;
+    });
+
+    expect(maxRunning).toBe(3);
+  });
+
+  test('单项失败不影响其他项，失败原因按位置返回', async () => {
+    const error = new Error('上传失败');
+    const started = [];
+
+    const results = await mapSettled(['a', 'b', 'c', 'd'], 2, async item => {
+      started.push(item);
+      if (item === 'b') {
+        throw error;
+      }
+      return item.toUpperCase();
+    });
+
+    expect(started).toEqual(['a', 'b', 'c', 'd']);
+    expect(results).toEqual([
+      { status: 'fulfilled', value: 'A' },
+      { status: 'rejected', reason: error },
+      { status: 'fulfilled', value: 'C' },
+      { status: 'fulfilled', value: 'D' }
+    ]);
+  });
+
+  test('同步抛出的异常也按失败处理', async () => {
+    const results = await mapSettled([1], 1, () => {
+      throw new Error('同步错误');
+    });
+
+    expect(results).toEqual([{ status: 'rejected', reason: new Error('同步错误') }]);
+  });
+
+  test('空列表直接返回', async () => {
+    const worker = () => {
+      throw new Error('不应调用');
+    };
+
+    expect(await mapSettled([], 4, worker)).toEqual([]);
+  });
+
+  test.each([0, -1, NaN])('并发数为%p时按1处理', async limit => {
+    const order = [];
+
+    const results = await mapSettled([20, 0], limit, async ms => {
+      order.push(`start ${ms}`);
+      await delay(ms);
+      order.push(`end ${ms}`);
+      return ms;
+    });
+
+    expect(order).toEqual(['start 20', 'end 20', 'start 0', 'end 0']);
+    expect(results.map(result => result.value)).toEqual([20, 0]);
+  });
+});
@@ -0,0 +1,141 @@
+import { parseMarkdown, WeChatRenderer, tokenize, getLanguage, listLanguages } from '../src/markdown/index.js';
+import defaultTheme from '../src/markdown/themes/default.js';
+
+/**
+ * 只保留有类型的记号 [type, value]
+ */
+const typed = (code, language) => tokenize(code, language)
+  .filter(token => token.type)
+  .map(({ type, value }) => [type, value]);
+
+const render = (markdown, theme) => new WeChatRenderer(theme).render(parseMarkdown(markdown));
+
+// 去掉style属性，只比较结构
+const structure = html => html.replace(/ style="[^"]*"/g, '');
+
+describe('语言定义', () => {
+  test('按名称或别名查找，不区分大小写', () => {
+    expect(getLanguage('JS').name).toBe('javascript');
+    expect(getLanguage('yml').name).toBe('yaml');
+    expect(getLanguage('cobol')).toBeNull();
+    expect(getLanguage(undefined)).toBeNull();
+  });
+
+  test('所有规则都带y标记', () => {
+    listLanguages().forEach(({ name }) => {
+      getLanguage(name).rules.forEach(rule => {
+        expect(rule.pattern.sticky).toBe(true);
+      });
+    });
+  });
+
+  test('不支持的语言返回null', () => {
+    expect(tokenize('MOVE A TO B', 'cobol')).toBeNull();
+  });
+});
+
+describe('tokenize', () => {
+  test('记号拼接后与原代码相同，相邻的同类记号合并', () => {
+    const code = 'const a = [1, 2];\n// 注释\nfoo.bar(`t${a}`) ';
+
+    const tokens = tokenize(code, 'js');
+
+    expect(tokens.map(token => token.value).join('')).toBe(code);
+    tokens.slice(1).forEach((token, index) => expect(token.type).not.toBe(tokens[index].type));
+  });
+
+  test('JavaScript：按上下文区分正则和除号', () => {
+    expect(typed('const re = /a\\/b/g; // 注释\nlet x = a / b / c;', 'js')).toEqual([
+      ['keyword', 'const'], ['operator', '='], ['regex', '/a\\/b/g'], ['punctuation', ';'], ['comment', '// 注释'],
+      ['keyword', 'let'], ['operator', '='], ['operator', '/'], ['operator', '/'], ['punctuation', ';']
+    ]);
+  });
+
+  test('JavaScript：上下文关键字作为方法名时不高亮为关键字', () => {
+    expect(typed('map.get(key); for (const x of list) {}', 'js')).toEqual(expect.arrayContaining([['function', 'get'], ['keyword', 'of']]));
+  });
+
+  test('TypeScript：内置类型', () => {
+    expect(typed('function f(a: string): void {}', 'ts')).toEqual([
+      ['keyword', 'function'], ['function', 'f'], ['punctuation', '('], ['operator', ':'], ['type', 'string'],
+      ['punctuation', ')'], ['operator', ':'], ['keyword', 'void'], ['punctuation', '{}']
+    ]);
+  });
+
+  test('Python：行首的@是装饰器，其他位置是运算符；三引号字符串跨行', () => {
+    expect(typed('@decorator\ndef f(x):\n    return x @ y  # c\n"""doc\nstring"""', 'py')).toEqual([
+      ['annotation', '@decorator'], ['keyword', 'def'], ['function', 'f'], ['punctuation', '('], ['punctuation', '):'],
+      ['keyword', 'return'], ['operator', '@'], ['comment', '# c'], ['string', '"""doc\nstring"""']
+    ]);
+  });
+
+  test.each([
+    ['go', 'func main() { fmt.Println("hi") }', [['keyword', 'func'], ['function', 'Println'], ['string', '"hi"']]],
+    ['java', '@Override public String toString() {}', [['annotation', '@Override'], ['keyword', 'public'], ['type', 'String'], ['function', 'toString']]],
+    ['bash', 'echo "$HOME" # c\nexport A=1', [['builtin', 'echo'], ['string', '"$HOME"'], ['comment', '# c'], ['keyword', 'export']]],
+    ['json', '{"a": 1, "b": [true, null]}', [['property', '"a"'], ['number', '1'], ['literal', 'true'], ['literal', 'null']]],
+    ['yaml', 'key: value # c\nlist:\n  - 1', [['property', 'key'], ['comment', '# c'], ['property', 'list'], ['number', '1']]],
+    ['sql', 'select id from users where name = \'a\';', [['keyword', 'select'], ['keyword', 'from'], ['keyword', 'where'], ['string', '\'a\'']]]
+  ])('%s', (language, code, expected) => {
+    expect(typed(code, language)).toEqual(expect.arrayContaining(expected));
+  });
+
+  test('diff：按行首字符区分增删行和文件头', () => {
+    expect(typed('--- a\n+++ b\n@@ -1 +1 @@\n-old\n+new\n ctx', 'diff')).toEqual([
+      ['meta', '--- a'], ['meta', '+++ b'], ['meta', '@@ -1 +1 @@'], ['deleted', '-old'], ['inserted', '+new']
+    ]);
+  });
+
+  test('超长单行代码在线性时间内完成', () => {
+    const code = `x = ${'a / '.repeat(20000)}b`;
+    const start = Date.now();
+
+    const tokens = tokenize(code, 'js');
+
+    expect(tokens.map(token => token.value).join('')).toBe(code);
+    expect(Date.now() - start).toBeLessThan(2000);
+  });
+});
+
+describe('代码块渲染', () => {
+  test('按主题的syntax样式输出记号，并转义HTML', () => {
+    const html = render('```js\nif (a < 2) {}\n```\n');
+
+    expect(html).toContain(`<span style="${defaultTheme.syntax.keyword}">if</span>`);
+    expect(html).toContain(`<span style="${defaultTheme.syntax.operator}">&lt;</span>`);
+    expect(html).toContain('data-language="js"');
+  });
+
+  test('不支持的语言按纯文本显示', () => {
+    expect(structure(render('```cobol\nMOVE <A>\n```\n'))).toBe('<pre data-language="cobol"><code>MOVE &lt;A&gt;</code></pre>');
+    expect(structure(render('```\nplain\n```\n'))).toBe('<pre data-language="text"><code>plain</code></pre>');
+  });
+
+  test('行号、起始行号和高亮行', () => {
+    const html = render('```text {2} lineNumbers=9\na\n\nb\n```\n');
+
+    expect(structure(html)).toBe('<pre data-language="text"><code><span><span>9</span>a</span><span><span>10</span> </span><span><span>11</span>b</span></code></pre>');
+    expect(html).toContain('min-width: 2ch;');
+    expect(html).toContain(`<span style="${defaultTheme.styles.codeLineHighlight}">`);
+  });
+
+  test('高亮行的范围超出代码行数时截断', () => {
+    const html = render('```text{2-99999999}\na\nb\n```\n');
+
+    expect(html.split(defaultTheme.styles.codeLineHighlight)).toHaveLength(2);
+  });
+
+  test('Mac窗口标题栏和文件名', () => {
+    const html = render('```js mac title="<a>.js"\nx\n```\n');
+
+    expect(structure(html)).toContain('<span><span>●</span> <span>●</span> <span>●</span><span>&lt;a&gt;.js</span></span><code>');
+  });
+
+  test('未标注时使用主题的code选项，标注优先', () => {
+    const theme = { code: { lineNumbers: true, macWindow: true } };
+
+    expect(structure(render('```text\na\n```\n', theme))).toContain('<span>1</span>a');
+    expect(render('```text\na\n```\n', theme)).toContain('●');
+    expect(structure(render('```text noLineNumbers noMac\na\n```\n', theme))).toBe('<pre data-language="text"><code>a</code></pre>');
+  });
+});
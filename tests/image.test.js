@@ -0,0 +1,331 @@
+import {
+  detectImageFormat,
+  readImageSize,
+  getJpegOrientation,
+  stripJpegMetadata,
+  stripPngMetadata,
+  formatBytes,
+  isDataURI,
+  decodeImageData,
+  describeImageSource,
+  preprocessImage
+} from '../src/utils/image.js';
+import { validatePublishParams } from '../src/utils/validator.js';
+
+// canvas是可选的原生依赖，未安装时只测试不需要解码的部分
+const canvas = await import('canvas').then(module => module.default || module).catch(() => null);
+const describeWithCanvas = canvas ? describe : describe.skip;
+const describeWithoutCanvas = canvas ? describe.skip : describe;
+
+// 1x1像素的PNG
+const PNG = Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNk+M9QDwADhgGAWjR9awAAAABJRU5ErkJggg==', 'base64');
+
+function uint16(value, littleEndian = false) {
+  const buffer = Buffer.alloc(2);
+  littleEndian ? buffer.writeUInt16LE(value) : buffer.writeUInt16BE(value);
+  return buffer;
+}
+
+function uint32(value, littleEndian = false) {
+  const buffer = Buffer.alloc(4);
+  littleEndian ? buffer.writeUInt32LE(value) : buffer.writeUInt32BE(value);
+  return buffer;
+}
+
+/**
+ * 构造只含方向标签的EXIF（APP1）段
+ */
+function exifSegment(orientation, littleEndian = true) {
+  const tiff = Buffer.concat([
+    Buffer.from(littleEndian ? 'II' : 'MM'),
+    uint16(42, littleEndian),
+    uint32(8, littleEndian),
+    uint16(1, littleEndian),
+    uint16(0x0112, littleEndian), uint16(3, littleEndian), uint32(1, littleEndian), uint16(orientation, littleEndian), uint16(0),
+    uint32(0, littleEndian)
+  ]);
+  const payload = Buffer.concat([Buffer.from('Exif\0\0', 'binary'), tiff]);
+  return Buffer.concat([Buffer.from([0xff, 0xe1]), uint16(payload.length + 2), payload]);
+}
+
+/**
+ * 构造JPEG的文件结构（不含有效的图像数据，只用于解析）
+ */
+function jpegHeader({ width = 100, height = 50, orientation } = {}) {
+  const sof = Buffer.concat([Buffer.from([0xff, 0xc0, 0x00, 0x11, 0x08]), uint16(height), uint16(width), Buffer.from([3, 1, 0x11, 0, 2, 0x11, 1, 3, 0x11, 1])]);
+  const sos = Buffer.from([0xff, 0xda, 0x00, 0x08, 0x01, 0x01, 0x00, 0x00, 0x3f, 0x00, 0x12, 0x34, 0xff, 0xd9]);
+  return Buffer.concat([Buffer.from([0xff, 0xd8]), orientation ? exifSegment(orientation) : Buffer.alloc(0), sof, sos]);
+}
+
+/**
+ * 在PNG的IHDR之后插入元数据块
+ */
+function pngWithChunk(type, data) {
+  const chunk = Buffer.concat([uint32(data.length), Buffer.from(type), Buffer.from(data), uint32(0)]);
+  return Buffer.concat([PNG.subarray(0, 33), chunk, PNG.subarray(33)]);
+}
+
+/**
+ * 修改PNG的IHDR中的尺寸（只用于不需要解码的场景）
+ */
+function pngWithSize(width, height) {
+  const buffer = Buffer.from(PNG);
+  buffer.writeUInt32BE(width, 16);
+  buffer.writeUInt32BE(height, 20);
+  return buffer;
+}
+
+describe('detectImageFormat', () => {
+  test.each([
+    ['jpeg', jpegHeader()],
+    ['png', PNG],
+    ['gif', Buffer.from('GIF89a\x01\x00\x01\x00', 'binary')],
+    ['webp', Buffer.from('RIFF\x24\x00\x00\x00WEBPVP8 ', 'binary')],
+    ['bmp', Buffer.from('BM\x3a\x00\x00\x00', 'binary')],
+    ['svg', Buffer.from('<svg xmlns="http://www.w3.org/2000/svg"></svg>')],
+    ['svg', Buffer.from('<?xml version="1.0"?>\n<!-- 注释 -->\n<!DOCTYPE svg PUBLIC "-//W3C//DTD SVG 1.1//EN" "x">\n<svg width="1"></svg>')]
+  ])('识别%s', (format, buffer) => {
+    expect(detectImageFormat(buffer)).toBe(format);
+  });
+
+  test.each([
+    ['HTML', Buffer.from('<html><svg></svg></html>')],
+    ['空数据', Buffer.alloc(0)],
+    ['文本', Buffer.from('hello')]
+  ])('无法识别的%s返回null', (name, buffer) => {
+    expect(detectImageFormat(buffer)).toBeNull();
+  });
+});
+
+describe('readImageSize', () => {
+  test('从文件头读取PNG、GIF、JPEG的尺寸', () => {
+    expect(readImageSize(pngWithSize(2000, 1000), 'png')).toEqual({ width: 2000, height: 1000 });
+    expect(readImageSize(Buffer.from('GIF89a\x40\x01\xf0\x00', 'binary'), 'gif')).toEqual({ width: 320, height: 240 });
+    expect(readImageSize(jpegHeader({ width: 640, height: 480, orientation: 6 }), 'jpeg')).toEqual({ width: 640, height: 480 });
+  });
+
+  test('其他格式返回null', () => {
+    expect(readImageSize(Buffer.from('RIFF\x24\x00\x00\x00WEBPVP8 ', 'binary'), 'webp')).toBeNull();
+  });
+});
+
+describe('getJpegOrientation', () => {
+  test.each([true, false])('读取EXIF方向（小端字节序: %s）', littleEndian => {
+    const buffer = Buffer.concat([Buffer.from([0xff, 0xd8]), exifSegment(6, littleEndian), jpegHeader().subarray(2)]);
+
+    expect(getJpegOrientation(buffer)).toBe(6);
+  });
+
+  test('没有EXIF或方向值无效时为1', () => {
+    expect(getJpegOrientation(jpegHeader())).toBe(1);
+    expect(getJpegOrientation(jpegHeader({ orientation: 9 }))).toBe(1);
+  });
+});
+
+describe('去除元数据', () => {
+  test('去除JPEG的EXIF，保留尺寸和图像数据', () => {
+    const original = jpegHeader({ width: 640, height: 480, orientation: 1 });
+
+    const stripped = stripJpegMetadata(original);
+
+    expect(stripped.length).toBe(original.length - exifSegment(1).length);
+    expect(getJpegOrientation(stripped)).toBe(1);
+    expect(readImageSize(stripped, 'jpeg')).toEqual({ width: 640, height: 480 });
+    expect(stripped.subarray(-14)).toEqual(original.subarray(-14));
+  });
+
+  test('去除PNG的文本块，保留图像数据', () => {
+    const stripped = stripPngMetadata(pngWithChunk('tEXt', 'Software\0Photoshop'));
+
+    expect(stripped).toEqual(PNG);
+  });
+
+  test('没有元数据时返回原数据', () => {
+    const jpeg = jpegHeader();
+
+    expect(stripJpegMetadata(jpeg)).toBe(jpeg);
+    expect(stripPngMetadata(PNG)).toBe(PNG);
+  });
+});
+
+describe('formatBytes', () => {
+  test.each([
+    [100, '1KB'],
+    [64 * 1024, '64KB'],
+    [1536 * 1024, '1.5MB']
+  ])('%s字节显示为%s', (bytes, text) => {
+    expect(formatBytes(bytes)).toBe(text);
+  });
+});
+
+describe('内联图片（data URI）', () => {
+  const base64 = PNG.toString('base64');
+  const svg = '<svg xmlns="http://www.w3.org/2000/svg" width="1" height="1"></svg>';
+
+  test('isDataURI', () => {
+    expect(isDataURI(`data:image/png;base64,${base64}`)).toBe(true);
+    expect(isDataURI('DATA:image/png;base64,')).toBe(true);
+    expect(isDataURI('./data:image.png')).toBe(false);
+  });
+
+  test.each([
+    ['base64的data URI', `data:image/png;base64,${base64}`],
+    ['纯base64字符串', base64],
+    ['带换行的base64', base64.replace(/(.{20})/g, '$1\n')],
+    ['URL安全的base64', PNG.toString('base64url')],
+    ['前后有空白', `  data:image/png;base64,${base64}\n`]
+  ])('解码%s', (name, value) => {
+    expect(decodeImageData(value)).toEqual(PNG);
+  });
+
+  test('解码URL编码的SVG', () => {
+    const buffer = decodeImageData(`data:image/svg+xml;utf8,${encodeURIComponent(svg)}`);
+
+    expect(buffer.toString('utf8')).toBe(svg);
+    expect(detectImageFormat(buffer)).toBe('svg');
+  });
+
+  test.each([
+    ['', '内联图片数据不能为空'],
+    ['   ', '内联图片数据不能为空'],
+    [undefined, '内联图片数据不能为空'],
+    ['data:image/png;base64', 'data URI格式错误：缺少数据部分'],
+    [`data:text/html;base64,${base64}`, 'data URI不是图片类型: text/html'],
+    ['data:image/svg+xml,%E0%A4%A', 'data URI格式错误：URL编码无效'],
+    ['data:image/png;base64,not*base64', '内联图片不是有效的base64编码'],
+    ['./images/a.png', '内联图片不是有效的base64编码']
+  ])('%p 报错: %s', (value, message) => {
+    expect(() => decodeImageData(value)).toThrow(message);
+  });
+
+  test('describeImageSource只显示data URI的类型和大小', () => {
+    const src = `data:image/png;base64,${'A'.repeat(2048)}`;
+
+    expect(describeImageSource(src)).toBe('data:image/png;base64,...(2KB)');
+    expect(describeImageSource('./a.png')).toBe('./a.png');
+  });
+
+  test('内容长度不计入内联图片', () => {
+    const params = { appId: 'wx1234567890abcdef', appSecret: '0123456789abcdef0123456789abcdef', title: '标题', content: `![a](data:image/png;base64,${'A'.repeat(200000)})` };
+
+    expect(validatePublishParams(params).valid).toBe(true);
+    expect(validatePublishParams({ ...params, content: 'a'.repeat(200001) }).valid).toBe(false);
+  });
+
+  test('校验images和coverImageBase64参数', () => {
+    const { errors } = validatePublishParams({ appId: 'wx1234567890abcdef', appSecret: '0123456789abcdef0123456789abcdef', title: '标题', content: '正文', images: { 'a.png': '' }, coverImageBase64: ' ' });
+
+    expect(errors).toEqual(expect.arrayContaining([
+      'images["a.png"]必须是非空字符串（base64或data URI）',
+      'coverImageBase64参数必须是非空字符串'
+    ]));
+    expect(validatePublishParams({ appId: 'wx1234567890abcdef', appSecret: '0123456789abcdef0123456789abcdef', title: '标题', content: '正文', images: ['a.png'] }).errors)
+      .toContain('images参数必须是对象（文件名到base64图片数据的映射）');
+  });
+});
+
+describe('preprocessImage', () => {
+  test('格式和大小都满足要求时原样返回', async () => {
+    const result = await preprocessImage(PNG, { target: 'content', filename: 'a.png' });
+
+    expect(result.buffer).toBe(PNG);
+    expect(result).toMatchObject({ contentType: 'image/png', filename: 'a.png' });
+    expect(result.report).toMatchObject({ format: 'png', outputFormat: 'png', originalSize: PNG.length, size: PNG.length, width: 1, actions: [] });
+  });
+
+  test('只去除元数据时不重新编码', async () => {
+    const jpeg = jpegHeader({ orientation: 1 });
+
+    const result = await preprocessImage(jpeg, { filename: 'photo.jpg' });
+
+    expect(result.buffer).toEqual(stripJpegMetadata(jpeg));
+    expect(result.report.actions).toEqual(['去除EXIF']);
+    expect(result.report.size).toBeLessThan(result.report.originalSize);
+  });
+
+  test('无法识别的格式报错', async () => {
+    await expect(preprocessImage(Buffer.from('hello'))).rejects.toThrow('无法识别的图片格式');
+  });
+
+  describeWithoutCanvas('canvas不可用时', () => {
+    test('支持的格式按原样上传并在报告中说明', async () => {
+      const result = await preprocessImage(pngWithSize(2000, 1000), { maxWidth: 1080 });
+
+      expect(result.report.width).toBe(2000);
+      expect(result.report.actions).toEqual(['canvas不可用，未缩放']);
+    });
+
+    test('无法按方向旋转时保留EXIF', async () => {
+      const jpeg = jpegHeader({ orientation: 6 });
+
+      const result = await preprocessImage(jpeg);
+
+      expect(result.buffer).toBe(jpeg);
+      expect(result.report.actions).toEqual(['canvas不可用，未缩放']);
+    });
+
+    test('需要转换格式时报错', async () => {
+      await expect(preprocessImage(Buffer.from('<svg xmlns="http://www.w3.org/2000/svg" width="10" height="10"></svg>')))
+        .rejects.toThrow('canvas不可用');
+    });
+  });
+
+  describeWithCanvas('使用canvas转换', () => {
+    const draw = (width, height, { noise = false } = {}) => {
+      const target = canvas.createCanvas(width, height);
+      const ctx = target.getContext('2d');
+      if (noise) {
+        const pixels = ctx.createImageData(width, height);
+        for (let i = 0; i < pixels.data.length; i++) {
+          pixels.data[i] = (i * 7919) % 251;
+        }
+        ctx.putImageData(pixels, 0, 0);
+      } else {
+        ctx.fillStyle = '#336699';
+        ctx.fillRect(0, 0, width, height);
+      }
+      return target;
+    };
+
+    test('缩放到最大宽度并保持宽高比', async () => {
+      const png = draw(2000, 1000).toBuffer('image/png');
+
+      const result = await preprocessImage(png, { maxWidth: 1080, filename: 'wide.png' });
+
+      expect(result.report).toMatchObject({ outputFormat: 'png', originalWidth: 2000, width: 1080 });
+      expect(result.report.actions).toContain('缩放 2000→1080px');
+      expect(readImageSize(result.buffer, 'png')).toEqual({ width: 1080, height: 540 });
+    });
+
+    test('SVG转换为PNG并替换扩展名', async () => {
+      const svg = Buffer.from('<svg xmlns="http://www.w3.org/2000/svg" width="40" height="20"><rect width="40" height="20" fill="red"/></svg>');
+
+      const result = await preprocessImage(svg, { filename: 'chart.svg' });
+
+      expect(result).toMatchObject({ contentType: 'image/png', filename: 'chart.png' });
+      expect(result.report.actions).toContain('SVG转PNG');
+    });
+
+    test('按EXIF方向旋转，输出不含EXIF', async () => {
+      const plain = draw(200, 100).toBuffer('image/jpeg');
+      const jpeg = Buffer.concat([plain.subarray(0, 2), exifSegment(6), plain.subarray(2)]);
+
+      const result = await preprocessImage(jpeg);
+
+      expect(result.report.actions).toContain('按EXIF方向旋转');
+      expect(readImageSize(result.buffer, 'jpeg')).toEqual({ width: 100, height: 200 });
+      expect(getJpegOrientation(result.buffer)).toBe(1);
+    });
+
+    test('超出大小限制时转为JPEG并降低质量', async () => {
+      const png = draw(1000, 1000, { noise: true }).toBuffer('image/png');
+
+      const result = await preprocessImage(png, { target: 'content' });
+
+      expect(result.buffer.length).toBeLessThanOrEqual(1024 * 1024);
+      expect(result.report.outputFormat).toBe('jpeg');
+      expect(result.report.actions).toContain('PNG转JPEG');
+      expect(result.report.actions.some(action => action.startsWith('JPEG质量'))).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,177 @@
+import { jest } from '@jest/globals';
+import { inlineCSS } from '../src/html/inliner.js';
+import { parseDeclarations, parseStylesheet, serializeDeclarations } from '../src/html/css.js';
+import { parseSelector, specificity } from '../src/html/selector.js';
+import logger from '../src/utils/logger.js';
+
+/**
+ * 取出HTML中第一个匹配元素的style属性
+ */
+function styleOf(html, tag = 'p') {
+  const match = html.match(new RegExp(`<${tag}\\b[^>]*\\sstyle="([^"]*)"`));
+  return match ? match[1] : undefined;
+}
+
+describe('parseDeclarations', () => {
+  test('解析!important，属性名转为小写，忽略无效声明', () => {
+    expect(parseDeclarations('COLOR: red; margin: 0 ! important; : x; bad; 1px: 2; font-family: "a;b" /* 注释 */')).toEqual([
+      { property: 'color', value: 'red', important: false },
+      { property: 'margin', value: '0', important: true },
+      { property: 'font-family', value: '"a;b"', important: false }
+    ]);
+  });
+
+  test('serializeDeclarations', () => {
+    expect(serializeDeclarations([{ property: 'color', value: 'red' }, { property: 'margin', value: '0' }])).toBe('color: red; margin: 0;');
+  });
+});
+
+describe('parseStylesheet', () => {
+  test('拆分选择器列表，跳过at规则和空规则', () => {
+    const { rules, skipped } = parseStylesheet(`
+      @charset "utf-8";
+      @import url("a.css");
+      /* p { color: blue; } */
+      h1, .title[data-x="a,b"] { color: red; }
+      @media (max-width: 600px) { p { color: green; } }
+      @font-face { font-family: x; }
+      .empty {}
+      p { margin: 0 }
+    `);
+
+    expect(rules).toEqual([
+      { selectors: ['h1', '.title[data-x="a,b"]'], declarations: [{ property: 'color', value: 'red', important: false }] },
+      { selectors: ['p'], declarations: [{ property: 'margin', value: '0', important: false }] }
+    ]);
+    expect(skipped).toEqual(['@charset "utf-8"', '@import url("a.css")', '@media (max-width: 600px)', '@font-face']);
+  });
+});
+
+describe('specificity', () => {
+  test.each([
+    ['p', [0, 0, 1]],
+    ['.note', [0, 1, 0]],
+    ['#main', [1, 0, 0]],
+    ['div p.note[data-x]:first-child', [0, 3, 2]],
+    [':not(#a, .b) p', [1, 0, 1]],
+    [':is(.a, h1) span', [0, 1, 1]],
+    [':where(#a .b) p', [0, 0, 1]]
+  ])('%s 的优先级为 %j', (selector, expected) => {
+    expect(specificity(parseSelector(selector))).toEqual(expected);
+  });
+
+  test.each([
+    ['p::before', '伪元素无法内联'],
+    ['a:hover', '不支持内联的伪类 :hover'],
+    ['li:nth-child(foo)', '无法解析的nth表达式'],
+    ['p >', '无法解析的选择器']
+  ])('%s 无法内联', (selector, message) => {
+    expect(() => parseSelector(selector)).toThrow(message);
+  });
+});
+
+describe('inlineCSS', () => {
+  let warn;
+
+  beforeEach(() => {
+    warn = jest.spyOn(logger, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('没有样式表时原样返回', () => {
+    const html = '<p class="a">文字</p>';
+
+    expect(inlineCSS(html)).toBe(html);
+    expect(inlineCSS(html, { css: '  ' })).toBe(html);
+  });
+
+  test('写入style属性并删除<style>元素', () => {
+    const html = inlineCSS('<style>.note { color: red; }</style><p class="note">文字</p>');
+
+    expect(html).not.toContain('<style');
+    expect(styleOf(html)).toBe('color: red;');
+  });
+
+  test('优先级高的选择器覆盖优先级低的，与出现顺序无关', () => {
+    const html = inlineCSS('<div id="main"><p class="note">文字</p></div>', {
+      css: '#main p { color: red; } .note { color: blue; } p { color: green; }'
+    });
+
+    expect(styleOf(html)).toBe('color: red;');
+  });
+
+  test('优先级相同时后出现的规则生效，<style>在主题样式表之后', () => {
+    const html = inlineCSS('<style>.b { color: blue; }</style><p class="a b">文字</p>', {
+      css: '.b { color: green; } .a { color: red; }'
+    });
+
+    expect(styleOf(html)).toBe('color: blue;');
+  });
+
+  test('元素原有的style优先于样式表，!important优先于原有style', () => {
+    const html = inlineCSS('<p class="note" style="color: black; margin: 4px; padding: 1px !important;">文字</p>', {
+      css: '#x, .note { color: red; margin: 0 !important; padding: 2px !important; }'
+    });
+
+    expect(styleOf(html)).toBe('color: black; margin: 0; padding: 1px;');
+  });
+
+  test('!important按优先级比较', () => {
+    const html = inlineCSS('<p id="a" class="note">文字</p>', {
+      css: '#a { color: red !important; } .note { color: blue !important; } p { color: green; }'
+    });
+
+    expect(styleOf(html)).toBe('color: red;');
+  });
+
+  test('简写属性和展开属性按层叠顺序输出', () => {
+    expect(styleOf(inlineCSS('<p class="note">文字</p>', { css: '.note { margin: 0; } p { margin-top: 8px; }' })))
+      .toBe('margin-top: 8px; margin: 0;');
+    expect(styleOf(inlineCSS('<p class="note">文字</p>', { css: '.note { margin-top: 8px; } p { margin: 0; }' })))
+      .toBe('margin: 0; margin-top: 8px;');
+  });
+
+  test('支持组合器、属性选择器和结构伪类', () => {
+    const html = inlineCSS('<ul><li>1</li><li data-x="a b">2</li><li>3</li></ul><p>a</p><span>b</span>', {
+      css: 'ul > li:first-child { color: red; } li[data-x~="b"] { color: blue; } li:nth-child(2n+3) { color: green; } p + span { color: gray; } li:not(:first-child) { margin: 0; }'
+    });
+
+    expect(html).toContain('<li style="color: red;">1</li>');
+    expect(html).toContain('<li data-x="a b" style="color: blue; margin: 0;">2</li>');
+    expect(html).toContain('<li style="color: green; margin: 0;">3</li>');
+    expect(html).toContain('<span style="color: gray;">b</span>');
+  });
+
+  test('无法内联的规则记录警告后跳过，其他规则正常内联', () => {
+    const html = inlineCSS('<p class="note"><a>链接</a></p>', {
+      css: 'a:hover { color: red; } .note::before { content: "x"; } @media print { p { color: gray; } } .note, a:focus { color: blue; }'
+    });
+
+    expect(styleOf(html)).toBe('color: blue;');
+    expect(html).toContain('<a>链接</a>');
+    expect(warn).toHaveBeenCalledWith('4条CSS规则无法内联，已忽略', {
+      rules: [
+        '@media print',
+        'a:hover（不支持内联的伪类 :hover）',
+        '.note::before（伪元素无法内联: .note::before）',
+        'a:focus（不支持内联的伪类 :focus）'
+      ]
+    });
+  });
+
+  test('丢弃media不适用于屏幕的<style>', () => {
+    const html = inlineCSS('<style media="print">p { color: gray; }</style><style media="screen and (min-width: 1px)">p { margin: 0; }</style><p>文字</p>');
+
+    expect(styleOf(html)).toBe('margin: 0;');
+  });
+
+  test('不为<style>、<script>等元素输出样式', () => {
+    const html = inlineCSS('<script>var a = 1;</script><p>文字</p>', { css: '* { color: red; }' });
+
+    expect(html).toContain('<script>var a = 1;</script>');
+    expect(styleOf(html)).toBe('color: red;');
+  });
+});
@@ -0,0 +1,98 @@
+import { convertLinks, isWeChatLink, LINK_MODES } from '../src/html/links.js';
+import { loadTheme } from '../src/markdown/themes/index.js';
+import MarkdownConverter from '../src/services/MarkdownConverter.js';
+
+describe('isWeChatLink', () => {
+  test.each([
+    ['https://mp.weixin.qq.com/s/abc', true],
+    ['http://MP.WEIXIN.QQ.COM/s?__biz=x', true],
+    ['https://weixin.qq.com/', false],
+    ['https://mp.weixin.qq.com.evil.com/s/abc', false],
+    ['javascript:alert(1)//mp.weixin.qq.com', false],
+    ['/s/abc', false]
+  ])('%s: %s', (href, expected) => {
+    expect(isWeChatLink(href)).toBe(expected);
+  });
+});
+
+describe('convertLinks', () => {
+  test('支持的处理方式', () => {
+    expect(LINK_MODES).toEqual(['footnote', 'text', 'keep']);
+  });
+
+  describe('footnote', () => {
+    test('链接文字后加编号，文末列出参考链接，同一地址只编号一次', () => {
+      const html = convertLinks('<p>见<a href="https://a.com/?x=1&amp;y=2">文档</a>和<a href="https://b.com">https://b.com</a>，再见<a href="https://a.com/?x=1&amp;y=2">这里</a></p>');
+
+      expect(html).toBe([
+        '<p>见文档<sup>[1]</sup>和https://b.com<sup>[2]</sup>，再见这里<sup>[1]</sup></p>',
+        '<section><p>参考链接</p><p>[1] 文档: <span>https://a.com/?x=1&amp;y=2</span></p><p>[2] <span>https://b.com</span></p></section>'
+      ].join('\n'));
+    });
+
+    test('保留链接中的格式，列表中的链接文字不含标签', () => {
+      const html = convertLinks('<p><a href="https://a.com"><strong>加粗</strong> &amp; 文字</a></p>');
+
+      expect(html).toContain('<p><strong>加粗</strong> &amp; 文字<sup>[1]</sup></p>');
+      expect(html).toContain('<p>[1] 加粗 &amp; 文字: <span>https://a.com</span></p>');
+    });
+
+    test('微信文章链接保持可点击，相对地址和页内锚点只保留文字', () => {
+      const html = convertLinks('<p><a href="https://mp.weixin.qq.com/s/x">往期</a> <a href="#top">顶部</a> <a href="./a.md">相对</a> <a href="mailto:a@b.com">邮件</a></p>');
+
+      expect(html).toBe([
+        '<p><a href="https://mp.weixin.qq.com/s/x">往期</a> 顶部 相对 邮件<sup>[1]</sup></p>',
+        '<section><p>参考链接</p><p>[1] 邮件: <span>mailto:a@b.com</span></p></section>'
+      ].join('\n'));
+    });
+
+    test('没有可列出的链接时不生成参考链接列表', () => {
+      expect(convertLinks('<p><a href="#top">顶部</a></p>')).toBe('<p>顶部</p>');
+    });
+
+    test('使用主题样式和自定义标题', () => {
+      const styles = { footnoteRef: 'color: red;', footnotes: 'margin: 0;', footnotesTitle: 'font-weight: bold;', footnoteItem: 'font-size: 12px;', footnoteUrl: 'color: gray;' };
+
+      const html = convertLinks('<p><a href="https://a.com">A</a></p>', { styles, title: 'References' });
+
+      expect(html).toBe([
+        '<p>A<sup style="color: red;">[1]</sup></p>',
+        '<section style="margin: 0;"><p style="font-weight: bold;">References</p><p style="font-size: 12px;">[1] A: <span style="color: gray;">https://a.com</span></p></section>'
+      ].join('\n'));
+    });
+
+    test('参考链接中的地址经过转义', () => {
+      const html = convertLinks('<p><a href="https://a.com/&quot;&gt;&lt;script&gt;">x</a></p>');
+
+      expect(html).not.toContain('<script>');
+      expect(html).toContain('https://a.com/&quot;&gt;&lt;script&gt;');
+    });
+  });
+
+  describe('text', () => {
+    test('只保留链接文字，不生成参考链接', () => {
+      const html = convertLinks('<p>见<a href="https://a.com" title="t"><em>文档</em></a>，<a href="https://mp.weixin.qq.com/s/x">往期</a></p>', { mode: 'text' });
+
+      expect(html).toBe('<p>见<em>文档</em>，<a href="https://mp.weixin.qq.com/s/x">往期</a></p>');
+    });
+  });
+
+  test('keep和没有链接时原样返回', () => {
+    const html = '<p><a href="https://a.com">A</a></p>';
+
+    expect(convertLinks(html, { mode: 'keep' })).toBe(html);
+    expect(convertLinks('<p>abbr</p>')).toBe('<p>abbr</p>');
+    expect(convertLinks('')).toBe('');
+  });
+
+  test('Markdown转换后的链接使用主题中的参考链接样式，代码中的链接语法不处理', async () => {
+    const theme = await loadTheme('default');
+    const html = MarkdownConverter.convertToWeChatHTML('[文档](https://a.com) `[x](https://b.com)`\n', { theme });
+
+    const converted = convertLinks(html, { styles: theme.styles });
+
+    expect(converted).toContain(`<sup style="${theme.styles.footnoteRef}">[1]</sup>`);
+    expect(converted).toContain('[x](https://b.com)');
+    expect(converted).not.toContain('[2]');
+  });
+});
@@ -0,0 +1,188 @@
+import { parseMarkdown, WeChatRenderer } from '../src/markdown/index.js';
+
+const text = value => ({ type: 'text', value });
+const paragraph = (...children) => ({ type: 'paragraph', children });
+const listItem = (children, checked = null) => ({ type: 'listItem', checked, children });
+
+/**
+ * 解析结果的固定用例：[名称, Markdown, 期望的AST根节点子节点]
+ */
+const FIXTURES = [
+  [
+    '嵌套列表',
+    '- a\n  - b\n    1. c\n- d\n',
+    [{
+      type: 'list',
+      ordered: false,
+      tight: true,
+      children: [
+        listItem([
+          paragraph(text('a')),
+          {
+            type: 'list',
+            ordered: false,
+            children: [
+              listItem([
+                paragraph(text('b')),
+                { type: 'list', ordered: true, start: 1, children: [listItem([paragraph(text('c'))])] }
+              ])
+            ]
+          }
+        ]),
+        listItem([paragraph(text('d'))])
+      ]
+    }]
+  ],
+  [
+    '松散列表',
+    '- a\n\n- b\n',
+    [{ type: 'list', tight: false, children: [listItem([paragraph(text('a'))]), listItem([paragraph(text('b'))])] }]
+  ],
+  [
+    '有序列表的起始序号',
+    '3. a\n4. b\n',
+    [{ type: 'list', ordered: true, start: 3, children: [listItem([paragraph(text('a'))]), listItem([paragraph(text('b'))])] }]
+  ],
+  [
+    '有序列表的起始序号为0',
+    '0) a\n',
+    [{ type: 'list', ordered: true, start: 0, children: [listItem([paragraph(text('a'))])] }]
+  ],
+  [
+    '只有从1开始的有序列表可以打断段落',
+    'a\n2. b\n',
+    [paragraph(text('a\n2. b'))]
+  ],
+  [
+    '代码中的强调符号按原文保留',
+    '`*a*` **`_b_`**\n',
+    [paragraph(
+      { type: 'inlineCode', value: '*a*' },
+      text(' '),
+      { type: 'strong', children: [{ type: 'inlineCode', value: '_b_' }] }
+    )]
+  ],
+  [
+    '代码跨越强调的边界时优先识别代码',
+    '*a `*` b*\n',
+    [paragraph({ type: 'emphasis', children: [text('a '), { type: 'inlineCode', value: '*' }, text(' b')] })]
+  ],
+  [
+    '包含反引号的代码',
+    '`` a`b ``\n',
+    [paragraph({ type: 'inlineCode', value: 'a`b' })]
+  ],
+  [
+    '表格',
+    '| 左 | 中 | 右 |\n|:---|:---:|---:|\n| `\\|` | **b** | c \\| d |\n',
+    [{
+      type: 'table',
+      align: ['left', 'center', 'right'],
+      children: [
+        { type: 'tableRow', children: [
+          { type: 'tableCell', children: [text('左')] },
+          { type: 'tableCell', children: [text('中')] },
+          { type: 'tableCell', children: [text('右')] }
+        ] },
+        { type: 'tableRow', children: [
+          { type: 'tableCell', children: [{ type: 'inlineCode', value: '|' }] },
+          { type: 'tableCell', children: [{ type: 'strong', children: [text('b')] }] },
+          { type: 'tableCell', children: [text('c | d')] }
+        ] }
+      ]
+    }]
+  ],
+  [
+    '任务列表',
+    '- [x] 完成\n- [ ] 待办\n- [y] 普通\n',
+    [{
+      type: 'list',
+      children: [
+        listItem([paragraph(text('完成'))], true),
+        listItem([paragraph(text('待办'))], false),
+        listItem([paragraph(text('[y] 普通'))])
+      ]
+    }]
+  ],
+  [
+    '删除线',
+    '~~删除~~ ~单波浪线~ ~~~不是删除线~~~\n',
+    [paragraph(
+      { type: 'delete', children: [text('删除')] },
+      text(' '),
+      { type: 'delete', children: [text('单波浪线')] },
+      text(' ~~~不是删除线~~~')
+    )]
+  ],
+  [
+    '尖括号自动链接',
+    '<https://example.com/a?b=1> <me@example.com>\n',
+    [paragraph(
+      { type: 'link', url: 'https://example.com/a?b=1', children: [text('https://example.com/a?b=1')] },
+      text(' '),
+      { type: 'link', url: 'mailto:me@example.com', children: [text('me@example.com')] }
+    )]
+  ],
+  [
+    'GFM扩展自动链接不包含结尾的标点',
+    '见www.example.com/path。以及https://example.com/a_(b)).\n',
+    [paragraph(
+      text('见'),
+      { type: 'link', url: 'http://www.example.com/path', children: [text('www.example.com/path')] },
+      text('。以及'),
+      { type: 'link', url: 'https://example.com/a_(b)', children: [text('https://example.com/a_(b)')] },
+      text(').')
+    )]
+  ],
+  [
+    '代码块保留空白和空行',
+    '```js\n  a\n\n    b  \n```\n',
+    [{ type: 'code', lang: 'js', value: '  a\n\n    b  \n' }]
+  ],
+  [
+    'HTML块中的<pre>保留空白和空行',
+    '<pre>\n  a\n\n    b\n</pre>\n',
+    [{ type: 'html', value: '<pre>\n  a\n\n    b\n</pre>' }]
+  ]
+];
+
+describe('parseMarkdown', () => {
+  test.each(FIXTURES)('%s', (name, markdown, expected) => {
+    const root = parseMarkdown(markdown);
+
+    expect(root.type).toBe('root');
+    expect(root.children).toMatchObject(expected);
+  });
+});
+
+describe('WeChatRenderer', () => {
+  const render = markdown => new WeChatRenderer().render(parseMarkdown(markdown));
+
+  test('代码块中的缩进和空行原样输出', () => {
+    const html = render('```\n  a\n\n    b\n```\n');
+
+    expect(html).toMatch(/<pre[^>]*white-space: pre;[^>]*><code[^>]*> {2}a\n\n {4}b<\/code><\/pre>/);
+  });
+
+  test('<pre>中的空白原样输出', () => {
+    expect(render('<pre>\n  x   y\n</pre>\n')).toContain('<pre>\n  x   y\n</pre>');
+  });
+
+  test('代码中的强调符号不渲染为强调', () => {
+    const html = render('`*a*`\n');
+
+    expect(html).toMatch(/<code[^>]*>\*a\*<\/code>/);
+    expect(html).not.toContain('<em');
+  });
+
+  test('有序列表保留起始序号', () => {
+    expect(render('3. a\n')).toMatch(/<ol start="3"/);
+  });
+
+  test('任务列表渲染勾选状态', () => {
+    const html = render('- [x] a\n- [ ] b\n');
+
+    expect(html).toContain('☑');
+    expect(html).toContain('☐');
+  });
+});
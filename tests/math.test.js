@@ -0,0 +1,190 @@
+import { jest } from '@jest/globals';
+import { parseTex, renderMath, toDataURI, MathParseError } from '../src/math/index.js';
+import { listMathImages, replaceMathImages } from '../src/html/math.js';
+import { parseMarkdown } from '../src/markdown/index.js';
+import MarkdownConverter from '../src/services/MarkdownConverter.js';
+import logger from '../src/utils/logger.js';
+
+// 只保留结构：SVG和data URI的内容、style属性不参与比较
+const structure = html => html
+  .replace(/base64,[^"]+/g, 'base64,...')
+  .replace(/<svg[\s\S]*?<\/svg>/g, '<svg/>')
+  .replace(/ style="[^"]*"/g, '');
+
+describe('parseTex', () => {
+  test('上下标和分数', () => {
+    expect(parseTex('x^2_1')).toEqual([{
+      type: 'supsub',
+      base: { type: 'symbol', char: 'x', cls: 'ord', font: 'italic' },
+      sup: { type: 'symbol', char: '2', cls: 'ord', font: 'roman' },
+      sub: { type: 'symbol', char: '1', cls: 'ord', font: 'roman' }
+    }]);
+    expect(parseTex('\\frac{a}{b}')[0]).toMatchObject({ type: 'frac', rule: true, numer: [{ type: 'group' }], denom: [{ type: 'group' }] });
+  });
+
+  test.each([
+    ['\\sum_{i=1}^{n} i^2', 'supsub'],
+    ['\\sqrt[3]{x}', 'sqrt'],
+    ['\\left( \\frac{a}{b} \\right)', 'leftright'],
+    ['\\begin{pmatrix} a & b \\\\ c & d \\end{pmatrix}', 'array'],
+    ['\\text{速度} = v', 'text'],
+    ['\\mathbf{F}', 'font'],
+    ['\\hat{x}', 'accent'],
+    ['\\color{#c00}{x}', 'color'],
+    ['\\binom{n}{k}', 'frac']
+  ])('%s', (tex, type) => {
+    expect(parseTex(tex)[0].type).toBe(type);
+  });
+
+  test.each([
+    ['\\foo', '不支持的命令 \\foo（位置 4）'],
+    ['{a', '缺少 }（位置 2）'],
+    ['a}', '多余的 }（位置 1）'],
+    ['x^1^2', '重复的上标（位置 4）'],
+    ['\\frac{a}', '\\frac 的分母缺少参数'],
+    ['\\left(', '\\left 缺少对应的 \\right'],
+    ['\\color{red;}{x}', '颜色不合法: red;'],
+    ['\\begin{foo}\\end{foo}', '不支持的环境 foo'],
+    ['\\begin{matrix}a\\end{pmatrix}', '\\begin{matrix} 与 \\end{pmatrix} 不匹配']
+  ])('%s 报错: %s', (tex, message) => {
+    expect(() => parseTex(tex)).toThrow(MathParseError);
+    expect(() => parseTex(tex)).toThrow(message);
+  });
+
+  test('限制嵌套层数和长度', () => {
+    expect(() => parseTex(`${'{'.repeat(100)}x${'}'.repeat(100)}`)).toThrow('公式嵌套层数过多');
+    expect(() => parseTex('x'.repeat(10001))).toThrow('公式过长（超过10000个字符）');
+  });
+
+  test('错误带有位置', () => {
+    try {
+      parseTex('a + \\foo');
+    } catch (error) {
+      expect(error).toMatchObject({ name: 'MathParseError', position: 8 });
+    }
+    expect.assertions(1);
+  });
+});
+
+describe('renderMath', () => {
+  test('输出SVG和以em为单位的尺寸', () => {
+    const result = renderMath('x^2');
+
+    expect(result.svg).toMatch(/^<svg xmlns="http:\/\/www\.w3\.org\/2000\/svg" width="\d+" height="\d+" viewBox="[^"]+">/);
+    expect(result.svg).toContain('font-style="italic">x</text>');
+    expect(result.width).toBeGreaterThan(0);
+    expect(result.height).toBeGreaterThan(0);
+    expect(result.depth).toBeGreaterThanOrEqual(0);
+  });
+
+  test('SVG尺寸按pixelsPerEm缩放', () => {
+    const small = renderMath('x', { pixelsPerEm: 16 });
+    const large = renderMath('x', { pixelsPerEm: 48 });
+
+    const width = svg => Number(svg.match(/width="(\d+(?:\.\d+)?)"/)[1]);
+    expect(width(large.svg)).toBeGreaterThan(width(small.svg) * 2);
+    expect(large.width).toBeCloseTo(small.width);
+  });
+
+  test('行间样式的大运算符更高', () => {
+    const display = renderMath('\\sum_{i=1}^n i', { display: true });
+    const inline = renderMath('\\sum_{i=1}^n i');
+
+    expect(display.height + display.depth).toBeGreaterThan(inline.height + inline.depth);
+  });
+
+  test('使用指定的颜色，转义文字', () => {
+    const { svg } = renderMath('a < b \\text{&}', { color: '#333333' });
+
+    expect(svg).toContain('fill="#333333"');
+    expect(svg).toContain('&lt;');
+    expect(svg).toContain('&amp;');
+  });
+
+  test('toDataURI', () => {
+    expect(toDataURI('<svg/>')).toBe(`data:image/svg+xml;base64,${Buffer.from('<svg/>').toString('base64')}`);
+  });
+});
+
+describe('Markdown中的公式', () => {
+  let warn;
+
+  beforeEach(() => {
+    warn = jest.spyOn(logger, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const markdown = '行内 $x^2$ 价格 $5 和 $10\n\n$$\n\\frac{a}{b}\n$$\n\n代码 `$x$`\n';
+
+  test('解析行内公式和公式块，金额中的$不是公式', () => {
+    const ast = parseMarkdown(markdown, { math: true });
+
+    expect(ast.children[0].children).toEqual([
+      { type: 'text', value: '行内 ' },
+      { type: 'inlineMath', value: 'x^2', display: false },
+      { type: 'text', value: ' 价格 $5 和 $10' }
+    ]);
+    expect(ast.children[1]).toMatchObject({ type: 'math', value: '\\frac{a}{b}' });
+  });
+
+  test('image：渲染为SVG图片', () => {
+    const html = structure(MarkdownConverter.convertToWeChatHTML(markdown));
+
+    expect(html).toBe([
+      '<p>行内 <img src="data:image/svg+xml;base64,..." alt="x^2" data-math="inline" /> 价格 $5 和 $10</p>',
+      '<section><img src="data:image/svg+xml;base64,..." alt="\\frac{a}{b}" data-math="block" /></section>',
+      '<p>代码 <code>$x$</code></p>'
+    ].join('\n'));
+  });
+
+  test('svg：输出内联SVG', () => {
+    const html = MarkdownConverter.convertToWeChatHTML(markdown, { math: 'svg' });
+
+    expect(html).toContain('<svg role="img" aria-label="x^2" data-math="inline"');
+    expect(html).not.toContain('<img');
+  });
+
+  test('off：按普通文字处理', () => {
+    const html = structure(MarkdownConverter.convertToWeChatHTML(markdown, { math: 'off' }));
+
+    expect(html).toContain('<p>行内 $x^2$ 价格 $5 和 $10</p>');
+    expect(html).not.toContain('data-math');
+  });
+
+  test('行内公式按基线对齐', () => {
+    const html = MarkdownConverter.convertToWeChatHTML('$x_1$\n');
+    const { width, height, depth } = renderMath('x_1', { color: '#333' });
+
+    expect(html).toContain(`height: ${+(height + depth).toFixed(3)}em;`);
+    expect(html).toContain(`vertical-align: -${+depth.toFixed(3)}em;`);
+    expect(html).toContain(`width: ${+width.toFixed(3)}em;`);
+  });
+
+  test('无法渲染的公式按原文显示并记录警告', () => {
+    const html = structure(MarkdownConverter.convertToWeChatHTML('错误 $\\foo$\n\n$$\n\\foo\n$$\n'));
+
+    expect(html).toBe('<p>错误 <code>$\\foo$</code></p>\n<section><pre><code>\\foo</code></pre></section>');
+    expect(warn).toHaveBeenCalledWith('公式渲染失败，按原文显示: \\foo', { error: '不支持的命令 \\foo（位置 4）' });
+  });
+});
+
+describe('公式图片', () => {
+  const html = MarkdownConverter.convertToWeChatHTML('$x$ $y$ $x$ ![a](a.png)\n');
+
+  test('listMathImages列出不重复的公式，不包括普通图片', () => {
+    expect(listMathImages(html).map(image => image.tex)).toEqual(['x', 'y']);
+    expect(listMathImages('<p>无公式</p>')).toEqual([]);
+  });
+
+  test('replaceMathImages替换已上传的公式，其他公式改为内联SVG', () => {
+    const [x] = listMathImages(html);
+
+    const replaced = replaceMathImages(html, new Map([[x.src, 'https://mmbiz.qpic.cn/x/0']]));
+
+    expect(structure(replaced)).toBe('<p><img src="https://mmbiz.qpic.cn/x/0" alt="x" data-math="inline" /> <svg/> <img src="https://mmbiz.qpic.cn/x/0" alt="x" data-math="inline" /> <img src="a.png" alt="a" /></p>');
+    expect(replaced).toMatch(/<svg[^>]* role="img" aria-label="y" data-math="inline" style="[^"]*vertical-align/);
+  });
+});
@@ -0,0 +1,166 @@
+import express from 'express';
+import {
+  isPrivateAddress,
+  isRemoteImage,
+  isWeChatImage,
+  parseAllowlist,
+  isAllowedHost,
+  fetchRemoteImage
+} from '../src/utils/remoteImage.js';
+
+// 1x1像素的PNG
+const PNG = Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNk+M9QDwADhgGAWjR9awAAAABJRU5ErkJggg==', 'base64');
+
+describe('isPrivateAddress', () => {
+  test.each([
+    '127.0.0.1', '10.1.2.3', '172.16.0.1', '172.31.255.255', '192.168.1.1', '169.254.169.254',
+    '100.64.0.1', '0.0.0.0', '224.0.0.1', '::1', '::', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1', '::FFFF:10.0.0.1'
+  ])('%s是内网或保留地址', address => {
+    expect(isPrivateAddress(address)).toBe(true);
+  });
+
+  test.each([
+    '8.8.8.8', '172.32.0.1', '100.128.0.1', '2606:4700::1111', '::ffff:8.8.8.8', 'example.com', ''
+  ])('%s不是内网地址', address => {
+    expect(isPrivateAddress(address)).toBe(false);
+  });
+});
+
+describe('图片地址判断', () => {
+  test('isRemoteImage只匹配http(s)地址', () => {
+    expect(isRemoteImage('https://example.com/a.png')).toBe(true);
+    expect(isRemoteImage('HTTP://example.com/a.png')).toBe(true);
+    expect(isRemoteImage('//example.com/a.png')).toBe(false);
+    expect(isRemoteImage('ftp://example.com/a.png')).toBe(false);
+    expect(isRemoteImage('./a.png')).toBe(false);
+  });
+
+  test('isWeChatImage匹配微信图片域名及其子域名', () => {
+    expect(isWeChatImage('https://mmbiz.qpic.cn/mmbiz_png/x/0')).toBe(true);
+    expect(isWeChatImage('http://a.mmbiz.qlogo.cn/x')).toBe(true);
+    expect(isWeChatImage('https://mmbiz.qpic.cn.evil.com/x')).toBe(false);
+    expect(isWeChatImage('not a url')).toBe(false);
+  });
+});
+
+describe('域名白名单', () => {
+  test('parseAllowlist支持逗号分隔的字符串和数组，去掉通配符前缀', () => {
+    expect(parseAllowlist(' CDN.example.com, *.img.example.org ,')).toEqual(['cdn.example.com', 'img.example.org']);
+    expect(parseAllowlist(['a.com', ' '])).toEqual(['a.com']);
+  });
+
+  test('parseAllowlist默认读取WECHAT_REMOTE_IMAGE_ALLOWLIST', () => {
+    const allowlist = process.env.WECHAT_REMOTE_IMAGE_ALLOWLIST;
+    try {
+      process.env.WECHAT_REMOTE_IMAGE_ALLOWLIST = 'a.com,b.com';
+      expect(parseAllowlist()).toEqual(['a.com', 'b.com']);
+
+      delete process.env.WECHAT_REMOTE_IMAGE_ALLOWLIST;
+      expect(parseAllowlist()).toEqual([]);
+    } finally {
+      if (allowlist !== undefined) {
+        process.env.WECHAT_REMOTE_IMAGE_ALLOWLIST = allowlist;
+      }
+    }
+  });
+
+  test.each([
+    ['example.com', [], true],
+    ['example.com', ['example.com'], true],
+    ['img.EXAMPLE.com', ['example.com'], true],
+    ['badexample.com', ['example.com'], false],
+    ['example.com.evil.net', ['example.com'], false]
+  ])('%s 在白名单 %j 中: %s', (hostname, allowlist, expected) => {
+    expect(isAllowedHost(hostname, allowlist)).toBe(expected);
+  });
+});
+
+describe('fetchRemoteImage', () => {
+  let server;
+  let origin;
+  // 测试服务器在本机，需要把127.0.0.1列入白名单
+  const options = { allowlist: ['127.0.0.1'] };
+
+  beforeAll(async () => {
+    const app = express();
+    app.get('/%E5%9B%BE%E7%89%87.png', (req, res) => res.type('png').send(PNG));
+    app.get('/large.png', (req, res) => res.type('png').send(Buffer.concat([PNG, Buffer.alloc(64 * 1024)])));
+    app.get('/page.html', (req, res) => res.type('html').send('<html></html>'));
+    app.get('/redirect', (req, res) => res.redirect(String(req.query.to)));
+    app.get('/slow.png', (req, res) => setTimeout(() => res.type('png').send(PNG), 500));
+
+    await new Promise(resolve => {
+      server = app.listen(0, '127.0.0.1', resolve);
+    });
+    origin = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  test('下载图片并解码文件名', async () => {
+    const image = await fetchRemoteImage(`${origin}/%E5%9B%BE%E7%89%87.png`, options);
+
+    expect(image).toEqual({ buffer: PNG, filename: '图片.png', format: 'png' });
+  });
+
+  test('跟随白名单内的重定向', async () => {
+    const image = await fetchRemoteImage(`${origin}/redirect?to=/%E5%9B%BE%E7%89%87.png`, options);
+
+    expect(image.format).toBe('png');
+  });
+
+  test('未配置白名单时拒绝内网IP', async () => {
+    await expect(fetchRemoteImage(`${origin}/%E5%9B%BE%E7%89%87.png`, { allowlist: [] }))
+      .rejects.toThrow('不允许下载内网地址的图片: 127.0.0.1');
+    await expect(fetchRemoteImage('http://[::1]/a.png', { allowlist: [] }))
+      .rejects.toThrow('不允许下载内网地址的图片');
+  });
+
+  test('未配置白名单时拒绝解析到内网地址的域名', async () => {
+    await expect(fetchRemoteImage(`http://localhost:${server.address().port}/%E5%9B%BE%E7%89%87.png`, { allowlist: [] }))
+      .rejects.toThrow('解析到内网地址');
+  });
+
+  test('拒绝白名单以外的域名', async () => {
+    await expect(fetchRemoteImage('https://example.com/a.png', options))
+      .rejects.toThrow('图片域名 example.com 不在白名单中');
+  });
+
+  test('重定向到白名单以外的域名时拒绝', async () => {
+    const target = `http://localhost:${server.address().port}/%E5%9B%BE%E7%89%87.png`;
+
+    await expect(fetchRemoteImage(`${origin}/redirect?to=${encodeURIComponent(target)}`, options))
+      .rejects.toThrow('图片域名 localhost 不在白名单中');
+  });
+
+  test('超过重定向次数时报错', async () => {
+    await expect(fetchRemoteImage(`${origin}/redirect?to=/%E5%9B%BE%E7%89%87.png`, { ...options, maxRedirects: 0 }))
+      .rejects.toThrow('图片下载失败 (HTTP状态: 302)');
+  });
+
+  test('超过maxBytes时放弃下载', async () => {
+    await expect(fetchRemoteImage(`${origin}/large.png`, { ...options, maxBytes: 1024 }))
+      .rejects.toThrow('图片超过');
+    await expect(fetchRemoteImage(`${origin}/large.png`, { ...options, maxBytes: 1024 * 1024 })).resolves.toMatchObject({ format: 'png' });
+  });
+
+  test('下载超时', async () => {
+    await expect(fetchRemoteImage(`${origin}/slow.png`, { ...options, timeout: 50 }))
+      .rejects.toThrow('图片下载超时');
+  });
+
+  test('HTTP错误和非图片内容', async () => {
+    await expect(fetchRemoteImage(`${origin}/missing.png`, options))
+      .rejects.toThrow('图片下载失败 (HTTP状态: 404)');
+    await expect(fetchRemoteImage(`${origin}/page.html`, options))
+      .rejects.toThrow('下载的内容不是图片（Content-Type: text/html; charset=utf-8）');
+  });
+
+  test('地址格式错误或协议不支持', async () => {
+    await expect(fetchRemoteImage('not a url')).rejects.toThrow('图片地址格式错误: not a url');
+    await expect(fetchRemoteImage('file:///etc/passwd')).rejects.toThrow('不支持的图片地址协议: file:');
+  });
+});
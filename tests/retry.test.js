@@ -0,0 +1,172 @@
+import { jest } from '@jest/globals';
+import { getRetryPolicy, getRetryDelay, requestWithRetry, RETRYABLE_ERRCODES } from '../src/utils/retry.js';
+
+const errcodeResponse = errcode => ({ data: { errcode, errmsg: 'mock error' } });
+
+function axiosError(code, status) {
+  const error = new Error(code || `HTTP ${status}`);
+  error.isAxiosError = true;
+  error.code = code;
+  if (status) {
+    error.response = { status, data: {} };
+  }
+  return error;
+}
+
+/**
+ * 依次返回（或抛出）给定结果的请求函数
+ */
+function sequence(...results) {
+  const send = jest.fn(async () => {
+    const result = results[Math.min(send.mock.calls.length - 1, results.length - 1)];
+    if (result instanceof Error) {
+      throw result;
+    }
+    return result;
+  });
+  return send;
+}
+
+// 错误码自带的初始等待时间也受maxDelay限制，测试中不等待
+const context = { action: '测试接口', endpoint: '/cgi-bin/test', retry: { baseDelay: 0, maxDelay: 0 } };
+
+describe('getRetryPolicy', () => {
+  test.each([-1, 45011])('错误码%s重试', errcode => {
+    expect(getRetryPolicy({ response: errcodeResponse(errcode) }, false)).toMatchObject({ reason: expect.stringContaining(String(errcode)) });
+  });
+
+  test.each([0, 40001, 45009, 45166])('错误码%s不重试', errcode => {
+    expect(getRetryPolicy({ response: errcodeResponse(errcode) }, true)).toBeNull();
+  });
+
+  test('45009（每日调用次数已达上限）不在可重试错误码中', () => {
+    expect(RETRYABLE_ERRCODES[45009]).toBeUndefined();
+  });
+
+  test.each(['ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'EPIPE'])('%s只对幂等请求重试', code => {
+    expect(getRetryPolicy({ error: axiosError(code) }, true)).not.toBeNull();
+    expect(getRetryPolicy({ error: axiosError(code) }, false)).toBeNull();
+  });
+
+  test.each(['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN'])('%s（连接未建立）总是重试', code => {
+    expect(getRetryPolicy({ error: axiosError(code) }, false)).not.toBeNull();
+  });
+
+  test.each([500, 502, 503])('HTTP %s只对幂等请求重试', status => {
+    expect(getRetryPolicy({ error: axiosError(undefined, status) }, true)).toEqual({ reason: `HTTP ${status}` });
+    expect(getRetryPolicy({ error: axiosError(undefined, status) }, false)).toBeNull();
+  });
+
+  test('HTTP 429总是重试', () => {
+    expect(getRetryPolicy({ error: axiosError(undefined, 429) }, false)).toEqual({ reason: 'HTTP 429' });
+  });
+
+  test('HTTP 4xx不重试', () => {
+    expect(getRetryPolicy({ error: axiosError(undefined, 404) }, true)).toBeNull();
+  });
+
+  test('非请求异常不重试', () => {
+    expect(getRetryPolicy({ error: new Error('文件不存在') }, true)).toBeNull();
+  });
+});
+
+describe('getRetryDelay', () => {
+  test('指数退避并带随机抖动，不超过最长等待时间', () => {
+    for (let retry = 1; retry <= 6; retry++) {
+      const delay = getRetryDelay(retry, 1000, 10000);
+      const expected = Math.min(10000, 1000 * 2 ** (retry - 1));
+      expect(delay).toBeGreaterThanOrEqual(expected / 2);
+      expect(delay).toBeLessThanOrEqual(expected);
+    }
+  });
+});
+
+describe('requestWithRetry', () => {
+  test('临时性故障后重试直到成功', async () => {
+    const send = sequence(errcodeResponse(-1), errcodeResponse(45011), { data: { errcode: 0 } });
+
+    const response = await requestWithRetry(send, context);
+
+    expect(response.data.errcode).toBe(0);
+    expect(send).toHaveBeenCalledTimes(3);
+  });
+
+  test('45009直接返回错误码响应，不重试', async () => {
+    const send = sequence(errcodeResponse(45009));
+
+    const response = await requestWithRetry(send, context);
+
+    expect(response.data.errcode).toBe(45009);
+    expect(send).toHaveBeenCalledTimes(1);
+  });
+
+  test('重试用尽后返回最后一次的错误码响应', async () => {
+    const send = sequence(errcodeResponse(-1));
+
+    const response = await requestWithRetry(send, { ...context, retry: { ...context.retry, maxRetries: 2 } });
+
+    expect(response.data.errcode).toBe(-1);
+    expect(send).toHaveBeenCalledTimes(3);
+  });
+
+  test('错误码的maxRetries限制重试次数', async () => {
+    const send = sequence(errcodeResponse(-1));
+
+    await requestWithRetry(send, { ...context, retry: { ...context.retry, maxRetries: 10 } });
+
+    expect(send).toHaveBeenCalledTimes(RETRYABLE_ERRCODES[-1].maxRetries + 1);
+  });
+
+  test('maxRetries为0时不重试', async () => {
+    const send = sequence(errcodeResponse(-1));
+
+    await requestWithRetry(send, { ...context, retry: { maxRetries: 0 } });
+
+    expect(send).toHaveBeenCalledTimes(1);
+  });
+
+  test('非幂等请求超时后不重试，原样抛出异常', async () => {
+    const error = axiosError('ETIMEDOUT');
+    const send = sequence(error);
+
+    await expect(requestWithRetry(send, { ...context, idempotent: false })).rejects.toBe(error);
+    expect(send).toHaveBeenCalledTimes(1);
+  });
+
+  test('幂等请求连接重置后重试', async () => {
+    const send = sequence(axiosError('ECONNRESET'), { data: {} });
+
+    await requestWithRetry(send, context);
+
+    expect(send).toHaveBeenCalledTimes(2);
+  });
+
+  test('每次重试前调用onRetry', async () => {
+    const onRetry = jest.fn();
+    const send = sequence(errcodeResponse(-1), axiosError(undefined, 429), { data: {} });
+
+    await requestWithRetry(send, { ...context, onRetry });
+
+    expect(onRetry.mock.calls.map(([info]) => info)).toEqual([
+      { action: '测试接口', endpoint: '/cgi-bin/test', retry: 1, reason: '系统繁忙(-1)', delay: 0 },
+      { action: '测试接口', endpoint: '/cgi-bin/test', retry: 2, reason: 'HTTP 429', delay: 0 }
+    ]);
+  });
+
+  test('按退避时间等待后重试', async () => {
+    jest.useFakeTimers();
+    try {
+      const send = sequence(errcodeResponse(45011), { data: {} });
+      const promise = requestWithRetry(send, { ...context, retry: { baseDelay: 1000, maxDelay: 1000 } });
+
+      await jest.advanceTimersByTimeAsync(0);
+      expect(send).toHaveBeenCalledTimes(1);
+
+      await jest.advanceTimersByTimeAsync(2000);
+      await promise;
+      expect(send).toHaveBeenCalledTimes(2);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+});
@@ -0,0 +1,209 @@
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import defaultTheme from '../src/markdown/themes/default.js';
+import {
+  BUILTIN_THEMES,
+  getDefaultThemeName,
+  isValidThemeName,
+  validateTheme,
+  loadCustomThemes,
+  loadTheme,
+  listThemes
+} from '../src/markdown/themes/index.js';
+
+const ENV_NAMES = ['WECHAT_THEME', 'WECHAT_THEMES_DIR'];
+
+describe('validateTheme', () => {
+  const dir = path.join(os.tmpdir(), 'themes');
+
+  test('合法的主题定义没有错误', () => {
+    expect(validateTheme({
+      name: 'brand',
+      extends: 'minimal',
+      styles: { h1: 'color: red;', strong: { color: 'red' } },
+      headingPrefixes: { 2: '■ ' },
+      bulletStyles: ['disc'],
+      taskMarkers: { checked: '✔' },
+      syntax: { keyword: { color: '#c00' } },
+      code: { lineNumbers: true },
+      stylesheet: '.note { color: #666; }',
+      stylesheetFile: 'css/brand.css'
+    }, dir)).toEqual([]);
+  });
+
+  test.each([
+    [null, '主题定义必须是对象'],
+    [[], '主题定义必须是对象'],
+    [{ name: '../brand' }, 'name只能包含字母、数字、下划线和连字符'],
+    [{ extends: 'a b' }, 'extends必须是主题名称'],
+    [{ styles: 'color: red' }, 'styles必须是对象'],
+    [{ styles: { h1: 1 } }, 'styles.h1必须是CSS声明字符串或对象'],
+    [{ headingPrefixes: ['■'] }, 'headingPrefixes必须是对象'],
+    [{ bulletStyles: [] }, 'bulletStyles必须是非空字符串数组'],
+    [{ orderedStyles: [1] }, 'orderedStyles必须是非空字符串数组'],
+    [{ taskMarkers: '✔' }, 'taskMarkers必须是对象'],
+    [{ syntax: { keyword: true } }, 'syntax.keyword必须是CSS声明字符串或对象'],
+    [{ code: { macWindow: 'yes' } }, 'code.macWindow必须是布尔值'],
+    [{ stylesheet: 1 }, 'stylesheet必须是字符串']
+  ])('%j: %s', (theme, message) => {
+    expect(validateTheme(theme, dir)).toContain(message);
+  });
+
+  test.each([
+    '../secret.css',
+    'css/../../secret.css',
+    '..',
+    '.',
+    '/etc/passwd'
+  ])('stylesheetFile不能引用主题目录以外的文件: %s', stylesheetFile => {
+    expect(validateTheme({ stylesheetFile }, dir)).toEqual(['stylesheetFile必须是主题目录中的文件']);
+  });
+
+  test('文件名以..开头但在主题目录中的文件是合法的', () => {
+    expect(validateTheme({ stylesheetFile: '..brand.css' }, dir)).toEqual([]);
+  });
+
+  test('isValidThemeName', () => {
+    expect(isValidThemeName('my-theme_2')).toBe(true);
+    expect(isValidThemeName('my theme')).toBe(false);
+    expect(isValidThemeName('')).toBe(false);
+    expect(isValidThemeName(undefined)).toBe(false);
+  });
+});
+
+describe('主题加载', () => {
+  const env = {};
+  let dir;
+
+  const writeTheme = (file, content) => fs.writeFile(path.join(dir, file), typeof content === 'string' ? content : JSON.stringify(content));
+
+  beforeEach(async () => {
+    ENV_NAMES.forEach(name => {
+      env[name] = process.env[name];
+      delete process.env[name];
+    });
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'wechat-themes-'));
+    process.env.WECHAT_THEMES_DIR = dir;
+  });
+
+  afterEach(async () => {
+    ENV_NAMES.forEach(name => {
+      if (env[name] === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = env[name];
+      }
+    });
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  test('默认主题名称读取WECHAT_THEME', async () => {
+    expect(getDefaultThemeName()).toBe('default');
+
+    process.env.WECHAT_THEME = 'tech';
+
+    expect(getDefaultThemeName()).toBe('tech');
+    expect((await loadTheme()).name).toBe('tech');
+  });
+
+  test('内置主题继承default中未定义的样式', async () => {
+    const theme = await loadTheme('minimal');
+
+    expect(theme.name).toBe('minimal');
+    expect(Object.keys(theme.styles)).toEqual(expect.arrayContaining(Object.keys(defaultTheme.styles)));
+  });
+
+  test('未知主题和不合法的名称报错', async () => {
+    await expect(loadTheme('missing')).rejects.toThrow('未知主题: missing（可用主题: default, minimal, tech, elegant）');
+    await expect(loadTheme('../default')).rejects.toThrow('主题名称不合法: ../default');
+  });
+
+  test('自定义主题按元素合并继承的样式，对象形式的样式转换为CSS', async () => {
+    await writeTheme('brand.json', {
+      description: '品牌主题',
+      extends: 'tech',
+      styles: { h1: { color: '#c00', fontSize: '26px' } },
+      bulletStyles: ['square'],
+      code: { lineNumbers: true },
+      stylesheet: '.note { color: #666; }'
+    });
+
+    const theme = await loadTheme('brand');
+    const tech = await loadTheme('tech');
+
+    expect(theme).toMatchObject({ name: 'brand', description: '品牌主题', bulletStyles: ['square'] });
+    expect(theme.styles.h1).toBe('color: #c00; font-size: 26px;');
+    expect(theme.styles.p).toBe(tech.styles.p);
+    expect(theme.orderedStyles).toEqual(tech.orderedStyles);
+    expect(theme.code).toEqual({ ...tech.code, lineNumbers: true });
+    expect(theme.stylesheet.endsWith('.note { color: #666; }')).toBe(true);
+  });
+
+  test('自定义主题覆盖同名内置主题，JS模块导出默认对象', async () => {
+    await writeTheme('tech.mjs', 'export default { description: \'覆盖\', styles: { p: \'color: blue;\' } };');
+
+    const theme = await loadTheme('tech');
+
+    expect(theme.description).toBe('覆盖');
+    expect(theme.styles.p).toBe('color: blue;');
+    expect((await listThemes()).find(item => item.name === 'tech').source).toBe(path.join(dir, 'tech.mjs'));
+  });
+
+  test('读取主题目录中的样式表文件', async () => {
+    await fs.mkdir(path.join(dir, 'css'));
+    await fs.writeFile(path.join(dir, 'css', 'brand.css'), '.brand { color: red; }');
+    await writeTheme('brand.json', { stylesheet: '.note {}', stylesheetFile: 'css/brand.css' });
+
+    const theme = await loadTheme('brand');
+
+    expect(theme.stylesheet.endsWith('.note {}\n.brand { color: red; }')).toBe(true);
+  });
+
+  test('引用主题目录以外文件的主题被跳过，不读取该文件', async () => {
+    const outside = path.join(path.dirname(dir), `${path.basename(dir)}-secret.css`);
+    await fs.writeFile(outside, '.secret {}');
+    try {
+      await writeTheme('leak.json', { stylesheetFile: `../${path.basename(outside)}` });
+      await writeTheme('absolute.json', { stylesheetFile: outside });
+
+      const themes = await loadCustomThemes(dir);
+
+      expect([...themes.keys()]).toEqual([]);
+      await expect(loadTheme('leak')).rejects.toThrow('未知主题: leak');
+    } finally {
+      await fs.rm(outside, { force: true });
+    }
+  });
+
+  test('无法解析或定义不合法的主题被跳过，不影响其他主题', async () => {
+    await writeTheme('broken.json', '{not json');
+    await writeTheme('invalid.json', { styles: [] });
+    await writeTheme('bad name.json', {});
+    await writeTheme('notes.txt', 'ignored');
+    await writeTheme('good.json', { name: 'renamed' });
+
+    const themes = await loadCustomThemes(dir);
+
+    expect([...themes.keys()]).toEqual(['renamed']);
+    expect(themes.get('renamed').source).toBe(path.join(dir, 'good.json'));
+  });
+
+  test('主题目录不存在时只有内置主题', async () => {
+    process.env.WECHAT_THEMES_DIR = path.join(dir, 'missing');
+
+    const themes = await listThemes();
+
+    expect(themes.map(theme => theme.name)).toEqual(BUILTIN_THEMES.map(theme => theme.name));
+    themes.forEach(theme => expect(theme.source).toBe('builtin'));
+  });
+
+  test('继承不存在的主题或循环继承时报错', async () => {
+    await writeTheme('orphan.json', { extends: 'missing' });
+    await writeTheme('a.json', { extends: 'b' });
+    await writeTheme('b.json', { extends: 'a' });
+
+    await expect(loadTheme('orphan')).rejects.toThrow('主题 orphan 继承的主题不存在: missing');
+    await expect(loadTheme('a')).rejects.toThrow('主题继承存在循环: a → b → a');
+  });
+});
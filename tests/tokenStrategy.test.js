@@ -0,0 +1,167 @@
+import express from 'express';
+import { jest } from '@jest/globals';
+import { MockWeChatServer } from '../src/mock/MockWeChatServer.js';
+import WeChatAPI from '../src/services/WeChatAPI.js';
+import { MemoryTokenStore } from '../src/services/TokenStore.js';
+
+describe('access_token获取策略', () => {
+  let mock;
+  let baseURL;
+  let tokenStore;
+
+  const createAPI = (options = {}) => new WeChatAPI(mock.appId, mock.appSecret, {
+    baseURL,
+    tokenStore,
+    imageCache: null,
+    retry: { baseDelay: 0, maxDelay: 0 },
+    ...options
+  });
+
+  const requestsTo = endpoint => mock.requests.filter(request => request.endpoint === endpoint);
+
+  beforeAll(async () => {
+    mock = new MockWeChatServer();
+    baseURL = await mock.start();
+  });
+
+  afterAll(async () => {
+    await mock.stop();
+  });
+
+  beforeEach(() => {
+    mock.reset();
+    tokenStore = new MemoryTokenStore();
+  });
+
+  test('不支持的策略在创建实例时报错', () => {
+    expect(() => createAPI({ tokenStrategy: 'unknown' })).toThrow('不支持的access_token获取策略: unknown');
+  });
+
+  test('external策略未配置外部令牌服务时报错', () => {
+    expect(() => createAPI({ tokenStrategy: 'external' })).toThrow('external策略需要配置外部令牌服务');
+  });
+
+  test('不同策略获取的令牌分开缓存', async () => {
+    await createAPI().getAccessToken();
+    await createAPI({ tokenStrategy: 'stable' }).getAccessToken();
+
+    expect(requestsTo('token')).toHaveLength(1);
+    expect(requestsTo('stable_token')).toHaveLength(1);
+    expect(tokenStore.tokens.size).toBe(2);
+  });
+
+  describe('stable', () => {
+    test('通过stable_token获取令牌，正常获取时不强制刷新', async () => {
+      const api = createAPI({ tokenStrategy: 'stable' });
+
+      await api.getAccessToken();
+      await api.getAccessToken();
+
+      expect(requestsTo('stable_token').map(request => request.body.force_refresh)).toEqual([false]);
+      expect(requestsTo('token')).toHaveLength(0);
+    });
+
+    test('令牌被判定无效时强制刷新后重试', async () => {
+      const api = createAPI({ tokenStrategy: 'stable' });
+      await api.getAccessToken();
+      mock.invalidateTokens();
+
+      expect(await api.getDraftCount()).toBe(0);
+      expect(requestsTo('stable_token').map(request => request.body.force_refresh)).toEqual([false, true]);
+      expect(requestsTo('draft/count')).toHaveLength(2);
+    });
+  });
+
+  describe('external（函数）', () => {
+    test('调用函数获取令牌，传入AppID', async () => {
+      const provider = jest.fn(async () => mock.issueToken());
+      const api = createAPI({ tokenProvider: provider });
+
+      expect(await api.getDraftCount()).toBe(0);
+      expect(provider).toHaveBeenCalledWith({ appId: mock.appId, forceRefresh: false });
+      expect(requestsTo('token')).toHaveLength(0);
+    });
+
+    test('支持返回对象，按返回的过期时间缓存；只返回字符串时使用默认有效期', async () => {
+      const api = createAPI({ tokenProvider: async () => ({ accessToken: mock.issueToken(), expiresIn: 600 }) });
+      const defaultTTL = createAPI({ tokenProvider: async () => mock.issueToken(), tokenStore: new MemoryTokenStore() });
+      const before = Date.now();
+
+      await api.getAccessToken();
+      await defaultTTL.getAccessToken();
+
+      // 提前60秒过期；默认有效期300秒
+      expect((await tokenStore.get(api.tokenKey)).expiresAt - before).toBeGreaterThanOrEqual(539000);
+      expect((await defaultTTL.tokenStore.get(defaultTTL.tokenKey)).expiresAt - before).toBeLessThanOrEqual(241000);
+    });
+
+    test('令牌被判定无效时要求外部服务签发新令牌', async () => {
+      const provider = jest.fn(async () => mock.issueToken());
+      const api = createAPI({ tokenProvider: provider });
+      await api.getAccessToken();
+      mock.invalidateTokens();
+
+      await api.getDraftCount();
+
+      expect(provider.mock.calls.map(([args]) => args.forceRefresh)).toEqual([false, true]);
+    });
+
+    test('未返回令牌时报错', async () => {
+      const api = createAPI({ tokenProvider: async () => ({ errmsg: 'appid not allowed' }) });
+
+      await expect(api.getAccessToken()).rejects.toThrow('外部令牌服务未返回access_token: appid not allowed');
+    });
+  });
+
+  describe('external（URL）', () => {
+    let server;
+    let url;
+    let calls;
+    let respond;
+
+    beforeEach(async () => {
+      calls = [];
+      respond = (req, res) => res.json({ access_token: mock.issueToken(), expires_in: 7200 });
+      const app = express();
+      app.get('/token', (req, res) => {
+        calls.push(req.query);
+        respond(req, res);
+      });
+      await new Promise(resolve => {
+        server = app.listen(0, '127.0.0.1', resolve);
+      });
+      url = `http://127.0.0.1:${server.address().port}/token`;
+    });
+
+    afterEach(async () => {
+      await new Promise(resolve => server.close(resolve));
+    });
+
+    test('请求参数包含AppID和是否强制刷新', async () => {
+      const api = createAPI({ tokenProvider: url });
+      await api.getAccessToken();
+      mock.invalidateTokens();
+
+      await api.getDraftCount();
+
+      expect(calls).toEqual([
+        { appid: mock.appId, force_refresh: '0' },
+        { appid: mock.appId, force_refresh: '1' }
+      ]);
+    });
+
+    test('服务地址不同的实例不共用缓存的令牌', async () => {
+      await createAPI({ tokenProvider: url }).getAccessToken();
+      await createAPI({ tokenProvider: `${url}?region=2` }).getAccessToken();
+
+      expect(calls).toHaveLength(2);
+    });
+
+    test('HTTP错误时报错并带上状态码', async () => {
+      respond = (req, res) => res.status(503).end();
+
+      await expect(createAPI({ tokenProvider: url }).getAccessToken())
+        .rejects.toThrow(/外部令牌服务请求失败.*HTTP状态: 503/);
+    });
+  });
+});